@@ -8,12 +8,19 @@ import './App.css';
 const Home = lazy(() => import('./pages/Home'));
 const Login = lazy(() => import('./pages/Login'));
 const Register = lazy(() => import('./pages/Register'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const VerifyEmail = lazy(() => import('./pages/VerifyEmail'));
 const DoctorList = lazy(() => import('./pages/DoctorList'));
 const DoctorDetail = lazy(() => import('./pages/DoctorDetail'));
 const BookAppointment = lazy(() => import('./pages/BookAppointment'));
 const PatientDashboard = lazy(() => import('./pages/PatientDashboard'));
 const DoctorDashboard = lazy(() => import('./pages/DoctorDashboard'));
+const FrontDeskDashboard = lazy(() => import('./pages/FrontDeskDashboard'));
 const Profile = lazy(() => import('./pages/Profile'));
+const DoctorVerification = lazy(() => import('./pages/DoctorVerification'));
+const ReviewModeration = lazy(() => import('./pages/ReviewModeration'));
+const ClinicAdmin = lazy(() => import('./pages/ClinicAdmin'));
 
 // Loading fallback component
 const LoadingFallback = () => (
@@ -52,9 +59,11 @@ const GuestRoute = ({ children }) => {
 
 // Dashboard router based on role
 const DashboardRouter = () => {
-  const { user } = useAuth();
+  const { user, isStaff } = useAuth();
   
-  if (user?.role === 'doctor') return <DoctorDashboard />;
+  // Receptionists start at the front desk; nurses work from their doctors' schedule
+  if (user?.role === 'receptionist') return <FrontDeskDashboard />;
+  if (user?.role === 'doctor' || isStaff) return <DoctorDashboard />;
   return <PatientDashboard />;
 };
 
@@ -68,8 +77,11 @@ function AppRoutes() {
           {/* Guest routes */}
           <Route path="login" element={<GuestRoute><Login /></GuestRoute>} />
           <Route path="register" element={<GuestRoute><Register /></GuestRoute>} />
+          <Route path="forgot-password" element={<GuestRoute><ForgotPassword /></GuestRoute>} />
+          <Route path="reset-password" element={<GuestRoute><ResetPassword /></GuestRoute>} />
           
           {/* Public routes */}
+          <Route path="verify-email" element={<VerifyEmail />} />
           <Route path="doctors" element={<DoctorList />} />
           <Route path="doctors/:id" element={<DoctorDetail />} />
           
@@ -86,6 +98,30 @@ function AppRoutes() {
             </ProtectedRoute>
           } />
           
+          <Route path="schedule" element={
+            <ProtectedRoute roles={['receptionist', 'nurse']}>
+              <DoctorDashboard />
+            </ProtectedRoute>
+          } />
+          
+          <Route path="admin/doctors" element={
+            <ProtectedRoute roles={['admin']}>
+              <DoctorVerification />
+            </ProtectedRoute>
+          } />
+          
+          <Route path="admin/reviews" element={
+            <ProtectedRoute roles={['admin']}>
+              <ReviewModeration />
+            </ProtectedRoute>
+          } />
+          
+          <Route path="admin/clinics" element={
+            <ProtectedRoute roles={['admin']}>
+              <ClinicAdmin />
+            </ProtectedRoute>
+          } />
+          
           <Route path="profile" element={
             <ProtectedRoute>
               <Profile />
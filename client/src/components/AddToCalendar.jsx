@@ -0,0 +1,42 @@
+import { useState } from 'react';
+import { appointmentAPI } from '../services/api';
+
+/**
+ * AddToCalendar Component
+ *
+ * Downloads an appointment as an .ics file that calendar apps can import
+ * The request needs the auth header, so the file is fetched and saved from a blob
+ *
+ * Props:
+ *   - appointmentId: Appointment to export
+ *
+ * Usage:
+ * <AddToCalendar appointmentId={apt._id} />
+ */
+
+export default function AddToCalendar({ appointmentId }) {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleClick = async () => {
+    setDownloading(true);
+    try {
+      const { data } = await appointmentAPI.downloadIcs(appointmentId);
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `appointment-${appointmentId}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to download calendar file');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <button type="button" onClick={handleClick} className="btn btn-sm btn-outline" disabled={downloading}>
+      {downloading ? 'Downloading...' : 'Add to Calendar'}
+    </button>
+  );
+}
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { doctorAPI } from '../services/api';
+
+/**
+ * AvailabilityOverrides Component
+ *
+ * Lets a doctor (or their staff) manage dated exceptions to their weekly schedule:
+ * time off (whole days or part of a day) and extra one-off hours.
+ * After saving, lists upcoming appointments that no longer fit.
+ *
+ * Props:
+ *   - overrides: Current availabilityOverrides from the doctor profile
+ *   - clinics: Clinics the doctor works at ({ _id, name }), for where extra hours are held
+ *   - doctorId: Doctor to edit when it isn't the signed-in doctor (receptionist, nurse or admin)
+ *   - onSaved: Callback after a successful save (e.g. reload the profile)
+ *
+ * Usage:
+ * <AvailabilityOverrides overrides={doctorProfile.availabilityOverrides} onSaved={loadUser} />
+ */
+
+const emptyOverride = { type: 'block', startDate: '', endDate: '', allDay: true, startTime: '', endTime: '', reason: '', clinic: '' };
+
+export default function AvailabilityOverrides({ overrides = [], clinics = [], doctorId, onSaved }) {
+  const [items, setItems] = useState(overrides);
+  const [draft, setDraft] = useState(emptyOverride);
+  const [affected, setAffected] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const save = async (next) => {
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const { data } = await doctorAPI.updateAvailability({ availabilityOverrides: next }, doctorId);
+      setItems(data.data.availabilityOverrides);
+      setAffected(data.affectedAppointments || []);
+      setMessage({ type: 'success', text: 'Schedule exceptions saved' });
+      if (onSaved) await onSaved();
+      return true;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save schedule exceptions' });
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const { allDay, ...fields } = draft;
+    const override = {
+      type: fields.type,
+      startDate: fields.startDate,
+      endDate: fields.endDate || fields.startDate,
+      reason: fields.reason
+    };
+    if (!(fields.type === 'block' && allDay)) {
+      override.startTime = fields.startTime;
+      override.endTime = fields.endTime;
+    }
+    if (fields.type === 'extra' && fields.clinic) override.clinic = fields.clinic;
+    if (await save([...items, override])) setDraft(emptyOverride);
+  };
+
+  const handleRemove = (id) => save(items.filter(o => o._id !== id));
+
+  const describeOverride = (o) => {
+    const dates = o.endDate && o.endDate !== o.startDate ? `${o.startDate} to ${o.endDate}` : o.startDate;
+    const hours = o.startTime ? `${o.startTime} - ${o.endTime}` : 'All day';
+    const clinic = o.clinic && clinics.find(c => c._id === (o.clinic._id || o.clinic));
+    return [dates, hours, clinic?.name].filter(Boolean).join(' · ');
+  };
+
+  return (
+    <div className="settings-form availability-overrides">
+      <h2>Time Off &amp; Extra Hours</h2>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="alert">{message.text}</div>}
+
+      {affected.length > 0 && (
+        <div className="alert alert-error affected-appointments" role="alert">
+          <div>
+            <strong>{affected.length} upcoming appointment(s) fall outside your new schedule:</strong>
+            <ul>
+              {affected.map(a => (
+                <li key={a._id}>
+                  {format(new Date(a.dateTime), 'EEE, MMM d h:mm a')} — {a.patient?.firstName} {a.patient?.lastName}
+                  {a.patient?.phone && ` (${a.patient.phone})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <p className="no-slots">No exceptions scheduled.</p>
+      ) : (
+        <ul className="override-list">
+          {items.map(o => (
+            <li key={o._id}>
+              <span className={`override-type override-${o.type}`}>{o.type === 'block' ? 'Time off' : 'Extra hours'}</span>
+              <span>{describeOverride(o)}</span>
+              {o.reason && <span className="override-reason">{o.reason}</span>}
+              <button type="button" className="btn btn-sm btn-outline" disabled={saving}
+                onClick={() => handleRemove(o._id)}>Remove</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd}>
+        <h3>Add exception</h3>
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="overrideType">Type</label>
+            <select id="overrideType" value={draft.type}
+              onChange={(e) => setDraft(p => ({ ...p, type: e.target.value }))}>
+              <option value="block">Time off</option>
+              <option value="extra">Extra hours</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="overrideReason">Reason</label>
+            <input type="text" id="overrideReason" value={draft.reason} placeholder="e.g., Public holiday"
+              onChange={(e) => setDraft(p => ({ ...p, reason: e.target.value }))} />
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="overrideStart">From</label>
+            <input type="date" id="overrideStart" value={draft.startDate} required
+              onChange={(e) => setDraft(p => ({ ...p, startDate: e.target.value }))} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="overrideEnd">To (optional)</label>
+            <input type="date" id="overrideEnd" value={draft.endDate} min={draft.startDate}
+              onChange={(e) => setDraft(p => ({ ...p, endDate: e.target.value }))} />
+          </div>
+        </div>
+        {draft.type === 'block' && (
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input type="checkbox" checked={draft.allDay}
+                onChange={(e) => setDraft(p => ({ ...p, allDay: e.target.checked }))} />
+              <span>All day</span>
+            </label>
+          </div>
+        )}
+        {!(draft.type === 'block' && draft.allDay) && (
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="overrideStartTime">Start time</label>
+              <input type="time" id="overrideStartTime" value={draft.startTime} required
+                onChange={(e) => setDraft(p => ({ ...p, startTime: e.target.value }))} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="overrideEndTime">End time</label>
+              <input type="time" id="overrideEndTime" value={draft.endTime} required
+                onChange={(e) => setDraft(p => ({ ...p, endTime: e.target.value }))} />
+            </div>
+          </div>
+        )}
+        {draft.type === 'extra' && clinics.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="overrideClinic">Clinic</label>
+            <select id="overrideClinic" value={draft.clinic}
+              onChange={(e) => setDraft(p => ({ ...p, clinic: e.target.value }))}>
+              <option value="">Main practice</option>
+              {clinics.map(c => <option key={c._id} value={c._id}>{c.name}</option>)}
+            </select>
+          </div>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Add Exception'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { calendarAPI } from '../services/api';
+
+/**
+ * CalendarFeed Component
+ *
+ * Shows the user's private calendar subscription URL with copy and rotate actions
+ * Rotating issues a new URL and stops the old one, e.g. after it was shared by mistake
+ *
+ * Usage:
+ * <CalendarFeed />
+ */
+
+export default function CalendarFeed() {
+  const [feed, setFeed] = useState(null);
+  const [status, setStatus] = useState({ type: '', text: '' });
+  const [rotating, setRotating] = useState(false);
+
+  useEffect(() => {
+    calendarAPI.getFeed()
+      .then(({ data }) => setFeed(data.data))
+      .catch(() => setStatus({ type: 'error', text: 'Failed to load your calendar link' }));
+  }, []);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setStatus({ type: 'success', text: 'Link copied' });
+    } catch (err) {
+      setStatus({ type: 'error', text: 'Copy failed, select the link and copy it manually' });
+    }
+  };
+
+  const handleRotate = async () => {
+    if (!window.confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) return;
+    setRotating(true);
+    try {
+      const { data } = await calendarAPI.rotateFeed();
+      setFeed(data.data);
+      setStatus({ type: 'success', text: 'New link created. Re-subscribe your calendar apps with it.' });
+    } catch (err) {
+      setStatus({ type: 'error', text: err.response?.data?.error || 'Failed to create a new link' });
+    } finally {
+      setRotating(false);
+    }
+  };
+
+  return (
+    <section className="settings-form calendar-feed">
+      <h2>Calendar Subscription</h2>
+      <p className="calendar-feed-hint">
+        Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your appointments there.
+        Anyone with the link can see your appointments, so keep it private.
+      </p>
+
+      {status.text && <div className={`alert alert-${status.type}`} role="status">{status.text}</div>}
+
+      {feed && (
+        <>
+          <input type="text" readOnly value={feed.url} aria-label="Calendar feed link"
+            onFocus={(e) => e.target.select()} />
+          <div className="calendar-feed-actions">
+            <button type="button" className="btn btn-primary btn-sm" onClick={handleCopy}>Copy Link</button>
+            <a href={feed.webcalUrl} className="btn btn-outline btn-sm">Open in Calendar App</a>
+            <button type="button" className="btn btn-outline btn-sm" onClick={handleRotate} disabled={rotating}>
+              {rotating ? 'Creating...' : 'Create New Link'}
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import { dependentAPI } from '../services/api';
+
+/**
+ * DependentsManager Component
+ *
+ * Lets a patient keep profiles for the family members they book for, such
+ * as children or elderly parents. Appointments for them stay on this
+ * account, which receives the reminders.
+ *
+ * Usage:
+ * <DependentsManager />
+ */
+
+const relationships = ['child', 'parent', 'spouse', 'sibling', 'other'];
+const emptyForm = { firstName: '', lastName: '', dateOfBirth: '', gender: '', relationship: 'child' };
+
+export default function DependentsManager() {
+  const [dependents, setDependents] = useState(null);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dependentAPI.getAll()
+      .then(({ data }) => setDependents(data.data))
+      .catch(() => setMessage({ type: 'error', text: 'Failed to load family members' }));
+  }, []);
+
+  const startEdit = (dependent) => {
+    setEditingId(dependent?._id || null);
+    setForm(dependent
+      ? { ...emptyForm, ...dependent, dateOfBirth: dependent.dateOfBirth?.split('T')[0] || '', gender: dependent.gender || '' }
+      : emptyForm);
+    setMessage({ type: '', text: '' });
+  };
+
+  const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    const { firstName, lastName, dateOfBirth, gender, relationship } = form;
+    const body = { firstName, lastName, dateOfBirth, relationship, ...(gender && { gender }) };
+    try {
+      if (editingId) {
+        const { data } = await dependentAPI.update(editingId, body);
+        setDependents(prev => prev.map(d => d._id === editingId ? data.data : d));
+      } else {
+        const { data } = await dependentAPI.create(body);
+        setDependents(prev => [...prev, data.data]);
+      }
+      setForm(null);
+      setEditingId(null);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save family member' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (dependent) => {
+    if (!window.confirm(`Remove ${dependent.firstName} from your family members?`)) return;
+    try {
+      await dependentAPI.remove(dependent._id);
+      setDependents(prev => prev.filter(d => d._id !== dependent._id));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to remove family member' });
+    }
+  };
+
+  return (
+    <section className="settings-form dependents-manager">
+      <h2>Family Members</h2>
+      <p className="calendar-feed-hint">
+        Book appointments for your children or parents. Reminders for their visits come to you.
+      </p>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="alert">{message.text}</div>}
+      {!dependents && !message.text && <div className="loading">Loading...</div>}
+      {dependents?.length === 0 && !form && <p className="empty-state">No family members added yet.</p>}
+
+      {dependents?.length > 0 && (
+        <ul className="patient-results">
+          {dependents.map(dependent => (
+            <li key={dependent._id}>
+              <div>
+                <strong>{dependent.firstName} {dependent.lastName}</strong>
+                <div className="login-meta">
+                  {dependent.relationship} · born {new Date(dependent.dateOfBirth).toLocaleDateString()}
+                </div>
+              </div>
+              <div className="calendar-feed-actions">
+                <button type="button" className="btn btn-outline btn-sm" onClick={() => startEdit(dependent)}>Edit</button>
+                <button type="button" className="btn btn-outline btn-sm" onClick={() => handleRemove(dependent)}>Remove</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form ? (
+        <form onSubmit={handleSubmit} className="walk-in-form">
+          <h3>{editingId ? 'Edit Family Member' : 'Add Family Member'}</h3>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="dependentFirstName">First name</label>
+              <input id="dependentFirstName" name="firstName" value={form.firstName} onChange={handleChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="dependentLastName">Last name</label>
+              <input id="dependentLastName" name="lastName" value={form.lastName} onChange={handleChange} required />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="dependentDob">Date of birth</label>
+              <input id="dependentDob" name="dateOfBirth" type="date" value={form.dateOfBirth} onChange={handleChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="dependentRelationship">They are my</label>
+              <select id="dependentRelationship" name="relationship" value={form.relationship} onChange={handleChange}>
+                {relationships.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="dependentGender">Gender (optional)</label>
+            <select id="dependentGender" name="gender" value={form.gender} onChange={handleChange}>
+              <option value="">Not specified</option>
+              <option value="male">Male</option>
+              <option value="female">Female</option>
+              <option value="other">Other</option>
+              <option value="prefer-not-to-say">Prefer not to say</option>
+            </select>
+          </div>
+          <div className="calendar-feed-actions">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving}>Save</button>
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => setForm(null)}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" className="btn btn-primary btn-sm" onClick={() => startEdit(null)}>Add Family Member</button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { reviewAPI } from '../services/api';
+
+/**
+ * DoctorReviews Component
+ *
+ * Paginated list of a doctor's published reviews. The reviewed doctor can
+ * reply to each one; other signed-in patients and doctors can flag a review
+ * for an administrator.
+ *
+ * Props:
+ * - doctorId: Doctor profile whose reviews are listed
+ *
+ * Usage:
+ * <DoctorReviews doctorId={doctor._id} />
+ */
+
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+export default function DoctorReviews({ doctorId }) {
+  const { user, isAuthenticated } = useAuth();
+  const isReviewedDoctor = user?.doctorProfile?._id === doctorId;
+  const canFlag = isAuthenticated && ['patient', 'doctor'].includes(user?.role) && !isReviewedDoctor;
+
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [replies, setReplies] = useState({});
+  const [flagged, setFlagged] = useState([]);
+
+  useEffect(() => {
+    reviewAPI.getForDoctor(doctorId, { page, limit: 5 })
+      .then(({ data }) => setResult(data))
+      .catch(() => setError('Failed to load reviews'));
+  }, [doctorId, page]);
+
+  const handleReply = async (e, review) => {
+    e.preventDefault();
+    try {
+      const { data } = await reviewAPI.reply(review._id, replies[review._id]);
+      setResult(prev => ({
+        ...prev,
+        data: prev.data.map(r => r._id === review._id ? { ...r, reply: data.data.reply } : r)
+      }));
+      setReplies(prev => ({ ...prev, [review._id]: undefined }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save reply');
+    }
+  };
+
+  const handleFlag = async (review) => {
+    const reason = window.prompt('Why should an administrator look at this review?');
+    if (reason === null) return;
+    try {
+      await reviewAPI.flag(review._id, reason);
+      setFlagged(prev => [...prev, review._id]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to flag review');
+    }
+  };
+
+  return (
+    <section className="profile-section doctor-reviews">
+      <h2>Reviews {result?.total > 0 && <span className="count">({result.total})</span>}</h2>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+      {!result && !error && <div className="loading">Loading...</div>}
+      {result?.total === 0 && <p className="empty-state">No reviews yet.</p>}
+
+      <ul className="review-list">
+        {result?.data.map(review => (
+          <li key={review._id} className="review">
+            <div className="review-header">
+              <span className="stars" aria-label={`${review.rating} out of 5 stars`}>{stars(review.rating)}</span>
+              <strong>{review.reviewer}</strong>
+              <span className="review-date">
+                {new Date(review.createdAt).toLocaleDateString()}{review.editedAt && ' (edited)'}
+              </span>
+            </div>
+            {review.comment && <p>{review.comment}</p>}
+
+            {review.reply?.text && (
+              <blockquote className="review-reply">
+                <strong>Doctor's reply</strong>
+                <p>{review.reply.text}</p>
+              </blockquote>
+            )}
+
+            {isReviewedDoctor && (replies[review._id] === undefined ? (
+              <button type="button" className="btn btn-sm btn-outline"
+                onClick={() => setReplies(prev => ({ ...prev, [review._id]: review.reply?.text || '' }))}>
+                {review.reply?.text ? 'Edit Reply' : 'Reply'}
+              </button>
+            ) : (
+              <form onSubmit={(e) => handleReply(e, review)} className="review-reply-form">
+                <textarea rows={2} maxLength={2000} required aria-label="Your reply" value={replies[review._id]}
+                  onChange={(e) => setReplies(prev => ({ ...prev, [review._id]: e.target.value }))} />
+                <div className="calendar-feed-actions">
+                  <button type="submit" className="btn btn-sm btn-primary">Post Reply</button>
+                  <button type="button" className="btn btn-sm btn-outline"
+                    onClick={() => setReplies(prev => ({ ...prev, [review._id]: undefined }))}>Cancel</button>
+                </div>
+              </form>
+            ))}
+
+            {canFlag && (flagged.includes(review._id) ? (
+              <span className="review-date">Reported, thank you</span>
+            ) : (
+              <button type="button" className="btn-link review-flag" onClick={() => handleFlag(review)}>Report</button>
+            ))}
+          </li>
+        ))}
+      </ul>
+
+      {result?.pages > 1 && (
+        <nav className="pagination" aria-label="Review pages">
+          <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>Previous</button>
+          <span>Page {page} of {result.pages}</span>
+          <button disabled={page >= result.pages} onClick={() => setPage(p => p + 1)}>Next</button>
+        </nav>
+      )}
+    </section>
+  );
+}
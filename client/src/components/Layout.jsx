@@ -1,12 +1,13 @@
 import { Outlet, Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import VerifyEmailBanner from './VerifyEmailBanner';
 
 export default function Layout() {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, isAdmin, user, logout } = useAuth();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
@@ -29,6 +30,19 @@ export default function Layout() {
                 <li role="none">
                   <Link to="/dashboard" role="menuitem">Dashboard</Link>
                 </li>
+                {isAdmin && (
+                  <>
+                    <li role="none">
+                      <Link to="/admin/doctors" role="menuitem">Verify Doctors</Link>
+                    </li>
+                    <li role="none">
+                      <Link to="/admin/reviews" role="menuitem">Reviews</Link>
+                    </li>
+                    <li role="none">
+                      <Link to="/admin/clinics" role="menuitem">Clinics</Link>
+                    </li>
+                  </>
+                )}
                 <li role="none">
                   <Link to="/profile" role="menuitem">Profile</Link>
                 </li>
@@ -63,6 +77,8 @@ export default function Layout() {
         </nav>
       </header>
 
+      <VerifyEmailBanner />
+
       <main className="main-content" role="main" id="main-content">
         <Outlet />
       </main>
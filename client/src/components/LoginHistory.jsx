@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { userAPI } from '../services/api';
+
+/**
+ * LoginHistory Component
+ *
+ * Lists the signed-in user's recent sign-in attempts so they can spot ones
+ * that weren't theirs. Sign-ins from a new IP address or browser are tagged.
+ *
+ * Usage:
+ * <LoginHistory />
+ */
+
+const REASON_LABELS = {
+  password: 'Signed in',
+  'two-factor': 'Signed in with two-factor',
+  'invalid-password': 'Wrong password',
+  'invalid-2fa-code': 'Wrong two-factor code',
+  throttled: 'Blocked: too many attempts',
+  locked: 'Account locked',
+  'account-locked': 'Blocked: account locked',
+  deactivated: 'Blocked: account deactivated'
+};
+
+const FLAG_LABELS = { 'new-ip': 'New location', 'new-device': 'New browser' };
+
+// Short browser/OS summary from a user agent string
+const describeAgent = (userAgent = '') => {
+  const browser = ['Edg', 'OPR', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+  if (!browser && !os) return userAgent || 'Unknown device';
+  return [browser === 'Edg' ? 'Edge' : browser === 'OPR' ? 'Opera' : browser, os].filter(Boolean).join(' on ');
+};
+
+export default function LoginHistory() {
+  const [logins, setLogins] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    userAPI.getMyLogins()
+      .then(({ data }) => setLogins(data.data))
+      .catch(() => setError('Failed to load recent sign-ins'));
+  }, []);
+
+  return (
+    <section className="settings-form login-history">
+      <h2>Recent Sign-ins</h2>
+      <p className="calendar-feed-hint">
+        If you don't recognise a sign-in, change your password and sign out all devices.
+      </p>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+      {!logins && !error && <div className="loading">Loading...</div>}
+      {logins?.length === 0 && <p className="empty-state">No sign-ins recorded yet.</p>}
+
+      {logins?.length > 0 && (
+        <ul>
+          {logins.map(login => (
+            <li key={login._id} className={login.success ? '' : 'login-failed'}>
+              <div>
+                <strong>{REASON_LABELS[login.reason] || login.reason}</strong>
+                {login.flags.map(flag => <span key={flag} className="login-flag">{FLAG_LABELS[flag]}</span>)}
+              </div>
+              <div className="login-meta">
+                {new Date(login.createdAt).toLocaleString()} · {describeAgent(login.userAgent)}{login.ip && ` · ${login.ip}`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
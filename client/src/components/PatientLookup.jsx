@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { patientAPI } from '../services/api';
+
+/**
+ * PatientLookup Component
+ *
+ * Front-desk patient finder: search existing patients by name, email or
+ * phone, or register a walk-in when the caller isn't on file yet.
+ *
+ * Props:
+ *   - onSelect: Callback receiving the chosen (or newly registered) patient
+ *
+ * Usage:
+ * <PatientLookup onSelect={setPatient} />
+ */
+
+const emptyWalkIn = { firstName: '', lastName: '', phone: '', email: '', dateOfBirth: '' };
+
+export default function PatientLookup({ onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [walkIn, setWalkIn] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await patientAPI.search(query);
+      setResults(data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWalkInChange = (e) => setWalkIn(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleWalkInSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const { email, dateOfBirth, ...required } = walkIn;
+      const { data } = await patientAPI.create({ ...required, ...(email && { email }), ...(dateOfBirth && { dateOfBirth }) });
+      setWalkIn(null);
+      onSelect(data.data);
+    } catch (err) {
+      setError(err.response?.data?.details?.join(', ') || err.response?.data?.error || 'Failed to register patient');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="settings-form patient-lookup">
+      <h2>Find Patient</h2>
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      <form onSubmit={handleSearch} className="patient-search">
+        <input type="search" value={query} onChange={(e) => setQuery(e.target.value)}
+          placeholder="Name, email or phone" aria-label="Search patients" minLength={2} required />
+        <button type="submit" className="btn btn-primary" disabled={loading}>Search</button>
+      </form>
+
+      {results?.length === 0 && <p className="empty-state">No patients found.</p>}
+      {results?.length > 0 && (
+        <ul className="patient-results">
+          {results.map(patient => (
+            <li key={patient._id}>
+              <div>
+                <strong>{patient.firstName} {patient.lastName}</strong>
+                <div className="login-meta">
+                  {[patient.phone, patient.email, patient.dateOfBirth && new Date(patient.dateOfBirth).toLocaleDateString()]
+                    .filter(Boolean).join(' · ')}
+                </div>
+              </div>
+              <button type="button" className="btn btn-outline btn-sm" onClick={() => onSelect(patient)}>Select</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {walkIn ? (
+        <form onSubmit={handleWalkInSubmit} className="walk-in-form">
+          <h3>New Walk-in Patient</h3>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="walkInFirstName">First name</label>
+              <input id="walkInFirstName" name="firstName" value={walkIn.firstName} onChange={handleWalkInChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="walkInLastName">Last name</label>
+              <input id="walkInLastName" name="lastName" value={walkIn.lastName} onChange={handleWalkInChange} required />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="walkInPhone">Phone</label>
+              <input id="walkInPhone" name="phone" type="tel" value={walkIn.phone} onChange={handleWalkInChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="walkInDob">Date of birth (optional)</label>
+              <input id="walkInDob" name="dateOfBirth" type="date" value={walkIn.dateOfBirth} onChange={handleWalkInChange} />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="walkInEmail">Email (optional, lets them claim the account later)</label>
+            <input id="walkInEmail" name="email" type="email" value={walkIn.email} onChange={handleWalkInChange} />
+          </div>
+          <div className="calendar-feed-actions">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={loading}>Register Patient</button>
+            <button type="button" className="btn btn-outline btn-sm" onClick={() => setWalkIn(null)}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" className="link-button" onClick={() => setWalkIn(emptyWalkIn)}>
+          Not on file? Register a walk-in patient
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,42 @@
+import { useState } from 'react';
+
+/**
+ * RecoveryCodes Component
+ *
+ * Shows freshly issued two-factor recovery codes with a copy button.
+ * The server keeps only hashes, so this is the one chance to save them.
+ *
+ * Props:
+ * - codes: Array of recovery code strings
+ *
+ * Usage:
+ * <RecoveryCodes codes={recoveryCodes} />
+ */
+
+export default function RecoveryCodes({ codes }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (err) {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="recovery-codes">
+      <p>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose access
+        to your authenticator app. They won't be shown again.
+      </p>
+      <ul>
+        {codes.map(code => <li key={code}><code>{code}</code></li>)}
+      </ul>
+      <button type="button" className="btn btn-outline btn-sm" onClick={handleCopy}>
+        {copied ? 'Copied' : 'Copy Codes'}
+      </button>
+    </div>
+  );
+}
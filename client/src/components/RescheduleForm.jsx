@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { appointmentAPI } from '../services/api';
+import SlotPicker from './SlotPicker';
+import ZonedTime from './ZonedTime';
+
+/**
+ * RescheduleForm Component
+ *
+ * Inline panel for moving an existing appointment to another open slot
+ * Reuses SlotPicker so the same slots as the booking page are offered
+ * Visits in a recurring series can move the rest of the series along with them
+ *
+ * Props:
+ *   - appointment: Appointment being moved (needs _id, dateTime and doctor)
+ *   - onDone: Callback receiving the updated appointment (an array when a whole series moved)
+ *   - onCancel: Callback when the panel is dismissed
+ *
+ * Usage:
+ * <RescheduleForm appointment={apt} onDone={handleRescheduled} onCancel={() => setOpen(null)} />
+ */
+
+export default function RescheduleForm({ appointment, onDone, onCancel }) {
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [reason, setReason] = useState('');
+  const [wholeSeries, setWholeSeries] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const doctorId = appointment.doctor?._id || appointment.doctor;
+  const timeZone = appointment.doctor?.timezone;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selectedSlot) {
+      setError('Please select a new time slot');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const body = { dateTime: selectedSlot.dateTime, reason };
+      if (wholeSeries) {
+        const { data } = await appointmentAPI.rescheduleSeries(appointment.series, body);
+        onDone(data.data.appointments);
+      } else {
+        const { data } = await appointmentAPI.reschedule(appointment._id, body);
+        onDone(data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reschedule appointment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="reschedule-panel">
+      <h3>Reschedule appointment</h3>
+      <p className="reschedule-current">
+        Currently <ZonedTime date={appointment.dateTime} timeZone={timeZone} withDate />
+      </p>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <SlotPicker doctorId={doctorId} timeZone={timeZone} selectedSlot={selectedSlot} onSelect={setSelectedSlot} />
+
+      <div className="form-group">
+        <label htmlFor={`reschedule-reason-${appointment._id}`}>Reason (optional)</label>
+        <input type="text" id={`reschedule-reason-${appointment._id}`} value={reason}
+          placeholder="e.g., Work conflict" onChange={(e) => setReason(e.target.value)} />
+      </div>
+
+      {appointment.series && (
+        <label className="checkbox-label">
+          <input type="checkbox" checked={wholeSeries} onChange={(e) => setWholeSeries(e.target.checked)} />
+          Move the remaining visits in this series too
+        </label>
+      )}
+
+      <div className="reschedule-actions">
+        <button type="submit" className="btn btn-primary btn-sm" disabled={submitting || !selectedSlot}>
+          {submitting ? 'Saving...' : 'Confirm New Time'}
+        </button>
+        <button type="button" className="btn btn-outline btn-sm" onClick={onCancel}>
+          Keep Current Time
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { reviewAPI } from '../services/api';
+
+/**
+ * ReviewForm Component
+ *
+ * Inline panel for rating a completed appointment, or editing or deleting
+ * the review already left for it
+ *
+ * Props:
+ *   - appointment: Completed appointment being reviewed (needs _id)
+ *   - review: The existing review, if any
+ *   - onDone: Callback receiving the saved review, or null once deleted
+ *   - onCancel: Callback when the panel is dismissed
+ *
+ * Usage:
+ * <ReviewForm appointment={apt} review={reviews[apt._id]} onDone={handleReviewed} onCancel={() => setOpen(null)} />
+ */
+
+export default function ReviewForm({ appointment, review, onDone, onCancel }) {
+  const [rating, setRating] = useState(review?.rating || 0);
+  const [comment, setComment] = useState(review?.comment || '');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) return setError('Please choose a rating');
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const { data } = review
+        ? await reviewAPI.update(review._id, { rating, comment })
+        : await reviewAPI.create({ appointmentId: appointment._id, rating, comment });
+      onDone(data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your review?')) return;
+    try {
+      await reviewAPI.remove(review._id);
+      onDone(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete review');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="reschedule-panel review-form">
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+      {review?.status === 'hidden' && (
+        <p className="form-hint">This review was hidden by a moderator and isn't shown on the doctor's profile.</p>
+      )}
+
+      <fieldset className="star-input">
+        <legend>Your rating</legend>
+        {[1, 2, 3, 4, 5].map(value => (
+          <label key={value} className={value <= rating ? 'active' : ''}>
+            <input type="radio" name={`rating-${appointment._id}`} value={value}
+              checked={rating === value} onChange={() => setRating(value)} />
+            <span aria-hidden="true">★</span>
+            <span className="sr-only">{value} star{value > 1 ? 's' : ''}</span>
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="form-group">
+        <label htmlFor={`comment-${appointment._id}`}>Review (optional)</label>
+        <textarea id={`comment-${appointment._id}`} rows={3} maxLength={2000} value={comment}
+          onChange={(e) => setComment(e.target.value)} placeholder="How was your visit?" />
+      </div>
+
+      <div className="calendar-feed-actions">
+        <button type="submit" className="btn btn-sm btn-primary" disabled={submitting}>
+          {submitting ? 'Saving...' : review ? 'Update Review' : 'Post Review'}
+        </button>
+        {review && <button type="button" className="btn btn-sm btn-outline" onClick={handleDelete}>Delete</button>}
+        <button type="button" className="btn btn-sm btn-outline" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
@@ -1,14 +1,22 @@
 import { useState, useEffect } from 'react';
-import PropTypes from 'prop-types';
 
 /**
  * SearchForm Component
- * 
+ *
  * Reusable search form for filtering doctors
- * Accepts specialization and city as filter inputs
- * 
+ * Free text, city and fee range apply on submit; the other filters apply
+ * as soon as they change. Facet counts from the API are shown next to
+ * each option. "Near me" asks the browser for the patient's location and
+ * searches by distance from it.
+ *
+ * Props:
+ *   - filters: Current filters as strings (see useDoctorList FILTER_KEYS)
+ *   - facets: Facet counts from GET /api/doctors, or null while loading
+ *   - onFilter: Callback receiving the changed filters
+ *   - onReset: Callback clearing every filter
+ *
  * Usage:
- * <SearchForm onFilter={(filters) => handleSearch(filters)} />
+ * <SearchForm filters={filters} facets={facets} onFilter={setFilters} onReset={clearFilters} />
  */
 
 const specializations = [
@@ -20,93 +28,252 @@ const specializations = [
   { id: 'orthopedics', name: 'Orthopedics' },
   { id: 'neurology', name: 'Neurology' },
   { id: 'psychiatry', name: 'Psychiatry' },
-  { id: 'dentistry', name: 'Dentistry' }
+  { id: 'gynecology', name: 'Gynecology' },
+  { id: 'ophthalmology', name: 'Ophthalmology' },
+  { id: 'ent', name: 'ENT' },
+  { id: 'dentistry', name: 'Dentistry' },
+  { id: 'other', name: 'Other' }
 ];
 
-export default function SearchForm({ 
-  onFilter, 
-  initialSpecialization = '', 
-  initialCity = '' 
-}) {
-  // Component state for form inputs
-  const [specialization, setSpecialization] = useState(initialSpecialization);
-  const [city, setCity] = useState(initialCity);
-
-  // Handle specialization dropdown change
-  const handleSpecializationChange = (e) => {
-    const value = e.target.value;
-    setSpecialization(value);
-    // Trigger parent callback immediately
-    onFilter({ specialization: value, city });
+const appointmentTypes = [
+  { id: 'in-person', name: 'In person' },
+  { id: 'video', name: 'Video' },
+  { id: 'phone', name: 'Phone' }
+];
+
+const experienceLevels = [5, 10, 20];
+
+const availabilityOptions = [
+  { days: 1, name: 'Within 24 hours' },
+  { days: 3, name: 'Within 3 days' },
+  { days: 7, name: 'Within a week' },
+  { days: 14, name: 'Within 2 weeks' },
+  { days: 30, name: 'Within 30 days' }
+];
+
+const radiusOptions = [5, 10, 25, 50, 100];
+
+const sortOptions = [
+  { id: 'distance', name: 'Nearest', needsNear: true },
+  { id: '-rating.average', name: 'Highest rated' },
+  { id: 'nextAvailable', name: 'Soonest available' },
+  { id: 'consultationFee', name: 'Lowest fee' },
+  { id: '-consultationFee', name: 'Highest fee' },
+  { id: '-experience', name: 'Most experienced' }
+];
+
+// Count for a value in a { value, count } facet list
+const countOf = (list, value) => list?.find(item => String(item.value) === String(value))?.count;
+const withCount = (label, count) => (count == null ? label : `${label} (${count})`);
+
+export default function SearchForm({ filters, facets, onFilter, onReset }) {
+  // Typed inputs are drafts until the form is submitted
+  const [draft, setDraft] = useState({ q: '', city: '', feeMin: '', feeMax: '' });
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState('');
+
+  useEffect(() => {
+    setDraft({ q: filters.q, city: filters.city, feeMin: filters.feeMin, feeMax: filters.feeMax });
+  }, [filters.q, filters.city, filters.feeMin, filters.feeMax]);
+
+  const handleDraftChange = (e) => setDraft(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  // Also runs when a typed field loses focus, so only send what actually changed
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const next = { ...draft, q: draft.q.trim(), city: draft.city.trim() };
+    const changes = Object.fromEntries(Object.entries(next).filter(([key, value]) => value !== filters[key]));
+    if (Object.keys(changes).length) onFilter(changes);
   };
 
-  // Handle city input change
-  const handleCityChange = (e) => {
-    const value = e.target.value;
-    setCity(value);
-    // Trigger parent callback immediately (optional: add debounce for performance)
-    onFilter({ specialization, city: value });
+  const handleSelect = (e) => onFilter({ [e.target.name]: e.target.value });
+
+  // Four decimals is about 10 m, plenty for a clinic search and less revealing in shared links
+  const handleNearMe = () => {
+    if (!navigator.geolocation) return setLocationError('Your browser cannot share your location');
+    setLocating(true);
+    setLocationError('');
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setLocating(false);
+        onFilter({ near: `${coords.latitude.toFixed(4)},${coords.longitude.toFixed(4)}` });
+      },
+      () => {
+        setLocating(false);
+        setLocationError('Could not get your location');
+      },
+      { timeout: 10000 }
+    );
   };
 
-  // Handle form reset (clear all filters)
-  const handleReset = () => {
-    setSpecialization('');
-    setCity('');
-    onFilter({ specialization: '', city: '' });
+  const clearNear = () => onFilter({ near: '', radius: '', ...(filters.sort === 'distance' && { sort: '' }) });
+
+  // Languages are kept as a comma-separated list
+  const selectedLanguages = filters.languages ? filters.languages.split(',') : [];
+  const languageOptions = [...new Set([
+    ...(facets?.languages || []).map(item => item.value),
+    ...selectedLanguages
+  ])];
+  const toggleLanguage = (language) => {
+    const next = selectedLanguages.includes(language)
+      ? selectedLanguages.filter(l => l !== language)
+      : [...selectedLanguages, language];
+    onFilter({ languages: next.join(',') });
   };
 
-  return (
-    <div className="search-form">
-      <div className="form-group">
-        <label htmlFor="specialization">
-          Specialization
-          <span className="required" aria-label="required">*</span>
-        </label>
-        <select
-          id="specialization"
-          value={specialization}
-          onChange={handleSpecializationChange}
-          className="form-control"
-          aria-label="Filter by doctor specialization"
-        >
-          {specializations.map(spec => (
-            <option key={spec.id} value={spec.id}>
-              {spec.name}
-            </option>
-          ))}
-        </select>
-      </div>
+  // Experience buckets are disjoint; "5+ years" adds up every bucket from 5 upwards
+  const experienceCount = (min) => (facets
+    ? facets.experience.filter(bucket => bucket.min >= min).reduce((sum, bucket) => sum + bucket.count, 0)
+    : undefined);
 
-      <div className="form-group">
-        <label htmlFor="city">
-          City
-          <span className="required" aria-label="required">*</span>
-        </label>
+  return (
+    <form className="doctor-search" role="search" onSubmit={handleSubmit}>
+      <div className="search-input-wrapper">
         <input
-          type="text"
-          id="city"
-          value={city}
-          onChange={handleCityChange}
-          placeholder="Enter city name"
-          className="form-control"
-          aria-label="Filter by city"
+          type="search"
+          name="q"
+          value={draft.q}
+          onChange={handleDraftChange}
+          placeholder="Search by name, clinic, qualification or keyword"
+          className="search-input"
+          aria-label="Search doctors"
+          maxLength={200}
         />
+        <button type="submit" className="btn btn-primary">Search</button>
       </div>
 
-      <button
-        type="button"
-        onClick={handleReset}
-        className="btn btn-outline"
-        aria-label="Clear all filters"
-      >
-        Clear Filters
-      </button>
-    </div>
+      <div className="filters">
+        <div className="filter-group">
+          <label htmlFor="specialization">Specialization</label>
+          <select id="specialization" name="specialization" value={filters.specialization} onChange={handleSelect}>
+            {specializations.map(spec => (
+              <option key={spec.id} value={spec.id}>
+                {spec.id ? withCount(spec.name, countOf(facets?.specialization, spec.id) ?? (facets && 0)) : spec.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="city">City</label>
+          <input type="text" id="city" name="city" value={draft.city} onChange={handleDraftChange}
+            onBlur={handleSubmit} placeholder="Enter city" list="city-options" maxLength={100} />
+          <datalist id="city-options">
+            {facets?.city.map(item => <option key={item.value} value={item.value}>{withCount(item.value, item.count)}</option>)}
+          </datalist>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="type">Visit type</label>
+          <select id="type" name="type" value={filters.type} onChange={handleSelect}>
+            <option value="">Any</option>
+            {appointmentTypes.map(type => (
+              <option key={type.id} value={type.id}>{withCount(type.name, countOf(facets?.type, type.id) ?? (facets && 0))}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="sort">Sort by</label>
+          <select id="sort" name="sort" value={filters.sort || (filters.near ? 'distance' : '-rating.average')} onChange={handleSelect}>
+            {sortOptions.filter(option => !option.needsNear || filters.near).map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="filters">
+        <div className="filter-group">
+          <label htmlFor="radius">Distance</label>
+          <div className="near-me">
+            {filters.near ? (
+              <>
+                <select id="radius" name="radius" value={filters.radius || '25'} onChange={handleSelect}>
+                  {radiusOptions.map(km => <option key={km} value={km}>Within {km} km of you</option>)}
+                </select>
+                <button type="button" className="btn btn-outline btn-sm" onClick={clearNear}>Anywhere</button>
+              </>
+            ) : (
+              <button type="button" id="radius" className="btn btn-outline btn-sm" onClick={handleNearMe} disabled={locating}>
+                {locating ? 'Locating...' : 'Near me'}
+              </button>
+            )}
+          </div>
+          {locationError && <p className="form-hint">{locationError}</p>}
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="minRating">Rating</label>
+          <select id="minRating" name="minRating" value={filters.minRating} onChange={handleSelect}>
+            <option value="">Any</option>
+            {[4, 3, 2, 1].map(min => (
+              <option key={min} value={min}>{withCount(`${min}★ & up`, countOf(facets?.minRating, min))}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="availableWithin">Next opening</label>
+          <select id="availableWithin" name="availableWithin" value={filters.availableWithin} onChange={handleSelect}>
+            <option value="">Any time</option>
+            {availabilityOptions.map(option => (
+              <option key={option.days} value={option.days}>
+                {withCount(option.name, countOf(facets?.availableWithin, option.days))}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <label htmlFor="experienceMin">Experience</label>
+          <select id="experienceMin" name="experienceMin" value={filters.experienceMin} onChange={handleSelect}>
+            <option value="">Any</option>
+            {experienceLevels.map(min => (
+              <option key={min} value={min}>{withCount(`${min}+ years`, experienceCount(min))}</option>
+            ))}
+          </select>
+        </div>
+
+        <fieldset className="filter-group fee-range">
+          <legend>Fee ($)</legend>
+          <input type="number" name="feeMin" min="0" value={draft.feeMin} onChange={handleDraftChange}
+            onBlur={handleSubmit} placeholder="Min" aria-label="Minimum fee" />
+          <span aria-hidden="true">–</span>
+          <input type="number" name="feeMax" min="0" value={draft.feeMax} onChange={handleDraftChange}
+            onBlur={handleSubmit} placeholder="Max" aria-label="Maximum fee" />
+          {facets?.fee.length > 0 && (
+            <p className="form-hint">
+              {facets.fee.map(bucket => `${bucket.max ? `$${bucket.min}–${bucket.max}` : `$${bucket.min}+`}: ${bucket.count}`).join(' · ')}
+            </p>
+          )}
+        </fieldset>
+      </div>
+
+      <div className="filters filter-toggles">
+        <label className="checkbox-label">
+          <input type="checkbox" checked={filters.acceptingNewPatients === 'true'}
+            onChange={(e) => onFilter({ acceptingNewPatients: e.target.checked ? 'true' : '' })} />
+          {withCount('Accepting new patients', countOf(facets?.acceptingNewPatients, true) ?? (facets && 0))}
+        </label>
+
+        {languageOptions.length > 0 && (
+          <fieldset className="checkbox-group">
+            <legend>Languages</legend>
+            {languageOptions.map(language => (
+              <label key={language} className="checkbox-label">
+                <input type="checkbox" checked={selectedLanguages.includes(language)}
+                  onChange={() => toggleLanguage(language)} />
+                {withCount(language, countOf(facets?.languages, language) ?? (facets && 0))}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        <button type="button" onClick={onReset} className="btn btn-outline btn-sm" aria-label="Clear all filters">
+          Clear Filters
+        </button>
+      </div>
+    </form>
   );
 }
-
-SearchForm.propTypes = {
-  onFilter: PropTypes.func.isRequired,
-  initialSpecialization: PropTypes.string,
-  initialCity: PropTypes.string
-};
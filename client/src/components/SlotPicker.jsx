@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { format, addDays } from 'date-fns';
+import { doctorAPI } from '../services/api';
+import { dateInZone, viewerTimeZone } from '../utils/timezone';
+import ZonedTime from './ZonedTime';
+
+/**
+ * SlotPicker Component
+ *
+ * Date strip plus time grid for choosing one of a doctor's open slots
+ * Shared by the booking page and the dashboard reschedule flow
+ * Dates are calendar days in the clinic's timezone; each slot shows the
+ * clinic time plus the viewer's time when the two differ
+ * Doctors working at several clinics get their slots grouped by clinic
+ *
+ * Props:
+ *   - doctorId: Doctor whose slots are listed
+ *   - selectedSlot: Currently selected slot ({ dateTime, formatted, clinic }) or null
+ *   - onSelect: Callback receiving the chosen slot (null when the date changes);
+ *     keep it stable (a state setter or useCallback), since a new one refetches the slots
+ *   - timeZone: Clinic's IANA timezone (default: the viewer's zone)
+ *   - days: Number of days shown in the date strip (default: 7)
+ *   - refreshKey: Change to refetch the current date (e.g. after losing a slot)
+ *   - emptyAction: Optional element shown when a date has no open slots
+ *   - mainLocation: Heading for slots without a clinic, when grouped (default: "Main practice")
+ *
+ * Usage:
+ * <SlotPicker doctorId={id} timeZone={doctor.timezone} selectedSlot={slot} onSelect={setSlot} />
+ */
+
+// "2030-01-31" -> local Date for labels only; never sent to the API
+const labelDate = (dateStr) => new Date(`${dateStr}T00:00:00`);
+
+// Slots grouped by clinic, in the order each clinic first appears
+const groupByClinic = (slots, mainLocation) => slots.reduce((groups, slot) => {
+  const key = slot.clinic?._id || '';
+  const group = groups.find(g => g.key === key);
+  if (group) group.slots.push(slot);
+  else groups.push({ key, name: slot.clinic?.name || mainLocation, slots: [slot] });
+  return groups;
+}, []);
+
+export default function SlotPicker({
+  doctorId, selectedSlot, onSelect, timeZone = viewerTimeZone, days = 7, refreshKey = 0, emptyAction = null,
+  mainLocation = 'Main practice'
+}) {
+  const today = dateInZone(new Date(), timeZone);
+  const [selectedDate, setSelectedDate] = useState(today);
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch available slots when date changes
+  useEffect(() => {
+    const fetchSlots = async () => {
+      if (!doctorId) return;
+      setLoading(true);
+      onSelect(null);
+      try {
+        const { data } = await doctorAPI.getSlots(doctorId, selectedDate);
+        setSlots(data.data);
+      } catch (err) {
+        setSlots([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSlots();
+  }, [doctorId, selectedDate, refreshKey, onSelect]);
+
+  const groups = groupByClinic(slots, mainLocation);
+  const grouped = groups.length > 1 || Boolean(groups[0]?.key);
+
+  const timeGrid = (list) => (
+    <div className="time-grid">
+      {list.map(slot => (
+        <button key={slot.dateTime} type="button"
+          className={`time-btn ${selectedSlot?.dateTime === slot.dateTime ? 'active' : ''}`}
+          onClick={() => onSelect(slot)}>
+          <ZonedTime date={slot.dateTime} timeZone={timeZone} />
+        </button>
+      ))}
+    </div>
+  );
+
+  const dates = Array.from({ length: days }, (_, i) => format(addDays(labelDate(today), i), 'yyyy-MM-dd'));
+
+  return (
+    <>
+      <section className="date-selection">
+        <h2>Select Date</h2>
+        <div className="date-picker">
+          {dates.map(date => (
+            <button key={date} type="button"
+              className={`date-btn ${selectedDate === date ? 'active' : ''}`}
+              onClick={() => setSelectedDate(date)}>
+              <span className="day-name">{format(labelDate(date), 'EEE')}</span>
+              <span className="day-num">{format(labelDate(date), 'd')}</span>
+              <span className="month">{format(labelDate(date), 'MMM')}</span>
+            </button>
+          ))}
+        </div>
+      </section>
+
+      <section className="time-selection">
+        <h2>Select Time</h2>
+        {loading ? (
+          <p>Loading available times...</p>
+        ) : slots.length === 0 ? (
+          <>
+            <p className="no-slots">No available slots for this date.</p>
+            {emptyAction}
+          </>
+        ) : grouped ? (
+          groups.map(group => (
+            <div key={group.key} className="slot-clinic-group">
+              <h3 className="slot-clinic">{group.name}</h3>
+              {timeGrid(group.slots)}
+            </div>
+          ))
+        ) : timeGrid(slots)}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../services/api';
+
+/**
+ * TwoFactorPolicy Component
+ *
+ * Lets an admin choose which roles must use two-factor authentication.
+ * Changes apply on each user's next sign-in or session refresh; users who
+ * haven't set it up yet are walked through setup when they sign in.
+ *
+ * Usage:
+ * <TwoFactorPolicy />
+ */
+
+const ROLE_LABELS = {
+  patient: 'Patients',
+  doctor: 'Doctors',
+  nurse: 'Nurses',
+  receptionist: 'Receptionists',
+  admin: 'Admins'
+};
+
+export default function TwoFactorPolicy() {
+  const [roles, setRoles] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    twoFactorAPI.getPolicy()
+      .then(({ data }) => setRoles(data.data.twoFactorRequiredRoles))
+      .catch(() => setMessage({ type: 'error', text: 'Failed to load the two-factor policy' }));
+  }, []);
+
+  const toggleRole = (role) => setRoles(current => (
+    current.includes(role) ? current.filter(r => r !== role) : [...current, role]
+  ));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const { data } = await twoFactorAPI.updatePolicy(roles);
+      setRoles(data.data.twoFactorRequiredRoles);
+      setMessage({ type: 'success', text: data.message });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to update the two-factor policy' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="settings-form two-factor-policy">
+      <h2>Required Two-Factor</h2>
+      <p className="calendar-feed-hint">
+        Accounts in these roles must use two-factor authentication. Changes apply the next time each user signs in.
+      </p>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="status">{message.text}</div>}
+      {!roles && !message.text && <div className="loading">Loading...</div>}
+
+      {roles && (
+        <>
+          <fieldset className="checkbox-group">
+            <legend>Roles</legend>
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+              <label key={role} className="checkbox-label">
+                <input type="checkbox" checked={roles.includes(role)} onChange={() => toggleRole(role)} />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Saving...' : 'Save Policy'}
+          </button>
+        </>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../services/api';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * TwoFactorSettings Component
+ *
+ * Turns two-factor authentication on or off for the signed-in user and
+ * replaces recovery codes. Turning it off is hidden when the account's role
+ * is covered by the mandatory two-factor policy.
+ *
+ * Usage:
+ * <TwoFactorSettings />
+ */
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [form, setForm] = useState({ password: '', code: '' });
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = () => twoFactorAPI.getStatus()
+    .then(({ data }) => setStatus(data.data))
+    .catch(() => setMessage({ type: 'error', text: 'Failed to load two-factor settings' }));
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Run an API call with shared loading and error handling
+  const run = async (action, errorText) => {
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+    try {
+      await action();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || errorText });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetup = () => run(async () => {
+    const { data } = await twoFactorAPI.setup();
+    setEnrollment(data.data);
+    setRecoveryCodes(null);
+  }, 'Failed to start setup');
+
+  const handleEnable = (code) => run(async () => {
+    const { data } = await twoFactorAPI.enable(code);
+    setEnrollment(null);
+    setRecoveryCodes(data.data.recoveryCodes);
+    setMessage({ type: 'success', text: data.message });
+    await loadStatus();
+  }, 'Failed to turn on two-factor authentication');
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await twoFactorAPI.regenerateRecoveryCodes(form.code);
+      setRecoveryCodes(data.data.recoveryCodes);
+      setForm({ password: '', code: '' });
+      setMessage({ type: 'success', text: 'New recovery codes created. The old ones no longer work.' });
+      await loadStatus();
+    }, 'Failed to create new recovery codes');
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Turn off two-factor authentication? Your account will be protected by your password only.')) return;
+    run(async () => {
+      const { data } = await twoFactorAPI.disable(form);
+      setRecoveryCodes(null);
+      setForm({ password: '', code: '' });
+      setMessage({ type: 'success', text: data.message });
+      await loadStatus();
+    }, 'Failed to turn off two-factor authentication');
+  };
+
+  const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  return (
+    <section className="settings-form two-factor-settings">
+      <h2>Two-Factor Authentication</h2>
+      <p className="calendar-feed-hint">
+        Sign in with a code from an authenticator app on your phone as well as your password.
+      </p>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="status">{message.text}</div>}
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+      {!status ? (
+        <div className="loading">Loading...</div>
+      ) : !status.enabled ? (
+        enrollment ? (
+          <TwoFactorSetup enrollment={enrollment} onConfirm={handleEnable} submitting={loading} />
+        ) : (
+          <>
+            {status.required && (
+              <p className="two-factor-hint">Your account type requires two-factor authentication; you'll be asked to set it up at your next sign-in.</p>
+            )}
+            <button type="button" className="btn btn-primary" onClick={handleSetup} disabled={loading}>
+              Set Up Two-Factor Authentication
+            </button>
+          </>
+        )
+      ) : (
+        <>
+          <p className="two-factor-status">
+            <span className="status-badge status-completed">On</span>
+            {' '}{status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+          </p>
+
+          <form onSubmit={status.required ? handleRegenerate : handleDisable}>
+            <div className="form-group">
+              <label htmlFor="twoFactorCode">Current code from your app</label>
+              <input type="text" id="twoFactorCode" name="code" value={form.code} onChange={handleChange}
+                inputMode="numeric" autoComplete="one-time-code" required />
+            </div>
+            {!status.required && (
+              <div className="form-group">
+                <label htmlFor="twoFactorPassword">Password (to turn off)</label>
+                <input type="password" id="twoFactorPassword" name="password" value={form.password} onChange={handleChange}
+                  autoComplete="current-password" />
+              </div>
+            )}
+            <div className="calendar-feed-actions">
+              <button type="button" className="btn btn-outline btn-sm" onClick={handleRegenerate} disabled={loading || !form.code}>
+                New Recovery Codes
+              </button>
+              {status.required ? (
+                <span className="two-factor-hint">Required for your account type</span>
+              ) : (
+                <button type="submit" className="btn btn-danger btn-sm" disabled={loading || !form.password}>
+                  Turn Off
+                </button>
+              )}
+            </div>
+          </form>
+        </>
+      )}
+    </section>
+  );
+}
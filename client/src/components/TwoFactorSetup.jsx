@@ -0,0 +1,42 @@
+import { useState } from 'react';
+
+/**
+ * TwoFactorSetup Component
+ *
+ * QR code, manual-entry secret and a code field for enrolling an authenticator app
+ *
+ * Props:
+ * - enrollment: { qrCode, secret } from the setup endpoint
+ * - onConfirm: async (code) => void, called with the code from the app
+ * - submitting: Whether the confirmation is in flight
+ *
+ * Usage:
+ * <TwoFactorSetup enrollment={enrollment} onConfirm={handleConfirm} submitting={loading} />
+ */
+
+export default function TwoFactorSetup({ enrollment, onConfirm, submitting }) {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(code);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="two-factor-setup">
+      <p>Scan this QR code with an authenticator app such as Google Authenticator, Authy or 1Password.</p>
+      <img src={enrollment.qrCode} alt="QR code for your authenticator app" width="200" height="200" />
+      <p className="two-factor-secret">
+        Can't scan it? Enter this key instead: <code>{enrollment.secret}</code>
+      </p>
+      <div className="form-group">
+        <label htmlFor="setupCode">6-digit code from the app</label>
+        <input type="text" id="setupCode" value={code} onChange={(e) => setCode(e.target.value)}
+          inputMode="numeric" autoComplete="one-time-code" pattern="[0-9 ]{6,7}" maxLength={7} required />
+      </div>
+      <button type="submit" className="btn btn-primary" disabled={submitting}>
+        {submitting ? 'Verifying...' : 'Verify and Turn On'}
+      </button>
+    </form>
+  );
+}
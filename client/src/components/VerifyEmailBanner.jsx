@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+/**
+ * VerifyEmailBanner Component
+ *
+ * Reminds signed-in users with an unconfirmed email address to confirm it,
+ * with a button to email a new link. Renders nothing once confirmed.
+ *
+ * Usage:
+ * <VerifyEmailBanner />
+ */
+
+export default function VerifyEmailBanner() {
+  const { user } = useAuth();
+  const [status, setStatus] = useState({ type: '', text: '' });
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const { data } = await authAPI.resendVerification();
+      setStatus({ type: 'success', text: data.message });
+    } catch (err) {
+      setStatus({ type: 'error', text: err.response?.data?.error || 'Failed to send a new link' });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-banner" role="status">
+      <span>
+        {status.text || <>Please confirm your email address <strong>{user.email}</strong> to book appointments.</>}
+      </span>
+      {status.type !== 'success' && (
+        <button type="button" className="btn btn-outline btn-sm" onClick={handleResend} disabled={sending}>
+          {sending ? 'Sending...' : 'Resend Link'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import { waitlistAPI } from '../services/api';
+
+/**
+ * WaitlistForm Component
+ *
+ * Lets a patient join a fully booked doctor's waitlist, optionally limited
+ * to a date range and a time of day. Freed slots are then offered from the
+ * patient dashboard.
+ *
+ * Props:
+ *   - doctorId: Doctor whose waitlist to join
+ *   - defaultDate: Pre-filled "YYYY-MM-DD" start of the date range (optional)
+ *
+ * Usage:
+ * <WaitlistForm doctorId={doctorId} defaultDate="2030-01-31" />
+ */
+
+export default function WaitlistForm({ doctorId, defaultDate = '' }) {
+  const [form, setForm] = useState({ dateFrom: defaultDate, dateTo: '', timeOfDay: 'any' });
+  const [status, setStatus] = useState({ type: '', text: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await waitlistAPI.join({ doctorId, ...form });
+      setStatus({ type: 'success', text: 'You are on the waitlist. Offers will appear on your dashboard.' });
+    } catch (err) {
+      setStatus({ type: 'error', text: err.response?.data?.error || 'Failed to join the waitlist' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (status.type === 'success') return <div className="alert alert-success" role="status">{status.text}</div>;
+
+  return (
+    <form className="waitlist-form" onSubmit={handleSubmit}>
+      <h3>Join the waitlist</h3>
+      <p>We will offer you a slot if one opens up.</p>
+      {status.text && <div className="alert alert-error" role="alert">{status.text}</div>}
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="waitlistFrom">From (optional)</label>
+          <input type="date" id="waitlistFrom" value={form.dateFrom}
+            onChange={(e) => setForm(p => ({ ...p, dateFrom: e.target.value }))} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="waitlistTo">To (optional)</label>
+          <input type="date" id="waitlistTo" value={form.dateTo} min={form.dateFrom}
+            onChange={(e) => setForm(p => ({ ...p, dateTo: e.target.value }))} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="waitlistTime">Time of day</label>
+          <select id="waitlistTime" value={form.timeOfDay}
+            onChange={(e) => setForm(p => ({ ...p, timeOfDay: e.target.value }))}>
+            <option value="any">Any time</option>
+            <option value="morning">Morning (before 12:00)</option>
+            <option value="afternoon">Afternoon (12:00 - 17:00)</option>
+            <option value="evening">Evening (after 17:00)</option>
+          </select>
+        </div>
+      </div>
+      <button type="submit" className="btn btn-outline btn-sm" disabled={submitting}>
+        {submitting ? 'Joining...' : 'Join Waitlist'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { waitlistAPI, appointmentAPI } from '../services/api';
+import ZonedTime from './ZonedTime';
+
+/**
+ * WaitlistPanel Component
+ *
+ * Patient dashboard section listing waitlist entries. An entry with an open
+ * offer can be booked or declined before the offer expires.
+ *
+ * Props:
+ *   - onBooked: Callback receiving the appointment created from an offer
+ *
+ * Usage:
+ * <WaitlistPanel onBooked={(apt) => setAppointments(prev => [apt, ...prev])} />
+ */
+
+const timeOfDayLabels = {
+  any: 'Any time',
+  morning: 'Mornings',
+  afternoon: 'Afternoons',
+  evening: 'Evenings'
+};
+
+export default function WaitlistPanel({ onBooked }) {
+  const [entries, setEntries] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchEntries = async () => {
+    try {
+      const { data } = await waitlistAPI.getMine();
+      setEntries(data.data);
+    } catch (err) {
+      console.error('Failed to fetch waitlist');
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  const run = async (id, action) => {
+    setBusyId(id);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong, please try again');
+    } finally {
+      setBusyId(null);
+      fetchEntries();
+    }
+  };
+
+  const handleBook = (entry) => run(entry._id, async () => {
+    const { data } = await appointmentAPI.create({
+      doctorId: entry.doctor._id,
+      dateTime: entry.offer.dateTime,
+      reason: entry.reason || 'Waitlist appointment'
+    });
+    if (onBooked) onBooked(data.data);
+  });
+
+  const handleDecline = (entry) => run(entry._id, () => waitlistAPI.decline(entry._id));
+
+  const handleLeave = (entry) => {
+    if (!window.confirm('Leave this waitlist?')) return;
+    run(entry._id, () => waitlistAPI.leave(entry._id));
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <section className="appointments-section waitlist-panel">
+      <h2>Waitlist</h2>
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+      <ul className="waitlist-entries">
+        {entries.map(entry => (
+          <li key={entry._id} className={`waitlist-entry ${entry.status === 'offered' ? 'has-offer' : ''}`}>
+            <div>
+              <h3>Dr. {entry.doctor?.user?.firstName} {entry.doctor?.user?.lastName}</h3>
+              <p className="waitlist-prefs">
+                {timeOfDayLabels[entry.timeOfDay]}
+                {entry.dateFrom && ` · from ${entry.dateFrom}`}
+                {entry.dateTo && ` · until ${entry.dateTo}`}
+              </p>
+              {entry.status === 'offered' && (
+                <p className="waitlist-offer">
+                  A slot opened up: <ZonedTime date={entry.offer.dateTime} timeZone={entry.doctor?.timezone} withDate />
+                  <br />
+                  <small>Book before <ZonedTime date={entry.offer.expiresAt} timeZone={entry.doctor?.timezone} /></small>
+                </p>
+              )}
+            </div>
+            <div className="apt-actions">
+              {entry.status === 'offered' && (
+                <>
+                  <button className="btn btn-sm btn-success" disabled={busyId === entry._id}
+                    onClick={() => handleBook(entry)}>Book This Slot</button>
+                  <button className="btn btn-sm btn-outline" disabled={busyId === entry._id}
+                    onClick={() => handleDecline(entry)}>Decline</button>
+                </>
+              )}
+              <button className="btn btn-sm btn-outline" disabled={busyId === entry._id}
+                onClick={() => handleLeave(entry)}>Leave Waitlist</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
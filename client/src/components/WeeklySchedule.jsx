@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import { doctorAPI } from '../services/api';
+import ZonedTime from './ZonedTime';
+import { supportedTimeZones, viewerTimeZone } from '../utils/timezone';
+
+/**
+ * WeeklySchedule Component
+ *
+ * Editor for a doctor's recurring weekly hours. Each day can hold several
+ * windows (e.g. 09:00-12:00 and 14:00-17:00 around a lunch break).
+ * Doctors working at several clinics pick which clinic each window is at.
+ * After saving, lists upcoming appointments that no longer fit.
+ *
+ * Props:
+ *   - availability: Current weekly availability from the doctor profile
+ *   - slotDuration: Current appointment length in minutes
+ *   - timezone: IANA zone the hours are in (defaults to the browser's zone)
+ *   - clinics: Clinics the doctor works at ({ _id, name }); empty hides the clinic picker
+ *   - doctorId: Doctor to edit when it isn't the signed-in doctor (receptionist, nurse or admin)
+ *   - onSaved: Callback after a successful save (e.g. reload the profile)
+ *
+ * Usage:
+ * <WeeklySchedule availability={doctorProfile.availability} slotDuration={doctorProfile.slotDuration}
+ *   timezone={doctorProfile.timezone} onSaved={loadUser} />
+ */
+
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const slotDurations = [15, 30, 45, 60];
+
+// Client-side copy of the server rule: windows must be non-empty and not overlap within a day
+const findScheduleError = (windows) => {
+  for (const day of [0, 1, 2, 3, 4, 5, 6]) {
+    const sorted = windows
+      .filter(w => w.dayOfWeek === day)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    for (let i = 0; i < sorted.length; i++) {
+      if (!sorted[i].startTime || !sorted[i].endTime) return `${dayNames[day]}: every window needs a start and end time`;
+      if (sorted[i].startTime >= sorted[i].endTime) return `${dayNames[day]}: start time must be before end time`;
+      if (i > 0 && sorted[i - 1].endTime > sorted[i].startTime) return `${dayNames[day]}: windows must not overlap`;
+    }
+  }
+  return '';
+};
+
+export default function WeeklySchedule({ availability = [], slotDuration = 30, timezone = viewerTimeZone, clinics = [], doctorId, onSaved }) {
+  const [windows, setWindows] = useState(
+    availability.filter(a => a.isAvailable)
+      .map(({ dayOfWeek, startTime, endTime, clinic }) => ({ dayOfWeek, startTime, endTime, clinic: clinic?._id || clinic || '' }))
+  );
+  const [duration, setDuration] = useState(slotDuration);
+  const [zone, setZone] = useState(timezone);
+  const [affected, setAffected] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const addWindow = (dayOfWeek) => {
+    const last = windows.filter(w => w.dayOfWeek === dayOfWeek).sort((a, b) => b.endTime.localeCompare(a.endTime))[0];
+    const range = last ? { startTime: last.endTime, endTime: '' } : { startTime: '09:00', endTime: '17:00' };
+    setWindows(prev => [...prev, { dayOfWeek, ...range, clinic: last?.clinic || '' }]);
+  };
+
+  const updateWindow = (index, field, value) =>
+    setWindows(prev => prev.map((w, i) => i === index ? { ...w, [field]: value } : w));
+
+  const removeWindow = (index) => setWindows(prev => prev.filter((_, i) => i !== index));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = findScheduleError(windows);
+    if (error) return setMessage({ type: 'error', text: error });
+
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      // An empty clinic means the doctor's own clinic address
+      const availability = windows.map(({ clinic, ...w }) => (clinic ? { ...w, clinic } : w));
+      const { data } = await doctorAPI.updateAvailability({ availability, slotDuration: Number(duration), timezone: zone }, doctorId);
+      setAffected(data.affectedAppointments || []);
+      setMessage({ type: 'success', text: 'Weekly hours saved' });
+      if (onSaved) await onSaved();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save weekly hours' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="settings-form weekly-schedule" onSubmit={handleSubmit}>
+      <h2>Weekly Hours</h2>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="alert">{message.text}</div>}
+
+      {affected.length > 0 && (
+        <div className="alert alert-error affected-appointments" role="alert">
+          <div>
+            <strong>{affected.length} upcoming appointment(s) fall outside your new schedule:</strong>
+            <ul>
+              {affected.map(a => (
+                <li key={a._id}>
+                  <ZonedTime date={a.dateTime} timeZone={zone} withDate /> — {a.patient?.firstName} {a.patient?.lastName}
+                  {a.patient?.phone && ` (${a.patient.phone})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="timezone">Clinic timezone</label>
+          <select id="timezone" value={zone} onChange={(e) => setZone(e.target.value)}>
+            {[...new Set([zone, ...supportedTimeZones()])].map(tz => <option key={tz} value={tz}>{tz}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="slotDuration">Appointment length</label>
+          <select id="slotDuration" value={duration} onChange={(e) => setDuration(e.target.value)}>
+            {slotDurations.map(d => <option key={d} value={d}>{d} minutes</option>)}
+          </select>
+        </div>
+      </div>
+
+      <ul className="schedule-days">
+        {dayNames.map((name, day) => (
+          <li key={day} className="schedule-day">
+            <span className="day">{name}</span>
+            <div className="schedule-windows">
+              {windows.every(w => w.dayOfWeek !== day) && <span className="closed">Closed</span>}
+              {windows.map((w, index) => w.dayOfWeek === day && (
+                <div key={index} className="schedule-window">
+                  <input type="time" value={w.startTime} aria-label={`${name} start time`} required
+                    onChange={(e) => updateWindow(index, 'startTime', e.target.value)} />
+                  <span>to</span>
+                  <input type="time" value={w.endTime} aria-label={`${name} end time`} required
+                    onChange={(e) => updateWindow(index, 'endTime', e.target.value)} />
+                  {clinics.length > 0 && (
+                    <select value={w.clinic} aria-label={`${name} clinic`}
+                      onChange={(e) => updateWindow(index, 'clinic', e.target.value)}>
+                      <option value="">Main practice</option>
+                      {clinics.map(c => <option key={c._id} value={c._id}>{c.name}</option>)}
+                    </select>
+                  )}
+                  <button type="button" className="btn btn-sm btn-outline" aria-label={`Remove ${name} window`}
+                    onClick={() => removeWindow(index)}>×</button>
+                </div>
+              ))}
+            </div>
+            <button type="button" className="btn btn-sm btn-outline" onClick={() => addWindow(day)}>
+              Add hours
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <button type="submit" className="btn btn-primary" disabled={saving}>
+        {saving ? 'Saving...' : 'Save Weekly Hours'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,35 @@
+import { formatInZone, zoneName, differsFromViewer, viewerTimeZone } from '../utils/timezone';
+
+/**
+ * ZonedTime Component
+ *
+ * Renders an appointment time in the clinic's timezone and, when the viewer
+ * is somewhere with a different clock, the same instant in the viewer's zone.
+ *
+ * Props:
+ *   - date: Instant to show (Date or ISO string from the API)
+ *   - timeZone: Clinic's IANA zone (defaults to the viewer's zone)
+ *   - withDate: Also show the calendar date (default: false)
+ *
+ * Usage:
+ * <ZonedTime date={apt.dateTime} timeZone={apt.doctor?.timezone} withDate />
+ */
+
+const timeOptions = { hour: 'numeric', minute: '2-digit' };
+const dateTimeOptions = { weekday: 'short', month: 'short', day: 'numeric', ...timeOptions };
+
+export default function ZonedTime({ date, timeZone = viewerTimeZone, withDate = false }) {
+  const options = withDate ? dateTimeOptions : timeOptions;
+  const showLocal = differsFromViewer(date, timeZone);
+
+  return (
+    <span className="zoned-time">
+      <span>{formatInZone(date, timeZone, options)}{showLocal && ` ${zoneName(date, timeZone)}`}</span>
+      {showLocal && (
+        <span className="zoned-time-local">
+          {formatInZone(date, viewerTimeZone, options)} your time
+        </span>
+      )}
+    </span>
+  );
+}
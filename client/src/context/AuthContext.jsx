@@ -3,6 +3,17 @@ import api from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Access token plus the refresh token that renews it
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) throw new Error('useAuth must be used within AuthProvider');
@@ -26,7 +37,7 @@ export const AuthProvider = ({ children }) => {
       const { data } = await api.get('/api/auth/me');
       setUser(data.user);
     } catch (err) {
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
     } finally {
       setLoading(false);
@@ -37,11 +48,13 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, [loadUser]);
 
+  // Resolves with the user, or with { twoFactorRequired, challengeToken } when a code is needed next
   const login = async (email, password) => {
     try {
       setError(null);
       const { data } = await api.post('/api/auth/login', { email, password });
-      localStorage.setItem('token', data.token);
+      if (data.twoFactorRequired) return data;
+      storeTokens(data);
       setUser(data.user);
       return data.user;
     } catch (err) {
@@ -51,6 +64,25 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: factor is { code } or { recoveryCode }
+  // After enrolling during login the user stays signed out here until they have saved
+  // their recovery codes; call loadUser() to finish
+  const completeTwoFactor = async (challengeToken, factor) => {
+    try {
+      setError(null);
+      const { data } = await api.post('/api/auth/login/2fa', { challengeToken, ...factor });
+      storeTokens(data);
+      if (!data.recoveryCodes) setUser(data.user);
+      return data;
+    } catch (err) {
+      const message = err.response?.data?.error || 'Verification failed';
+      setError(message);
+      const error = new Error(message);
+      error.code = err.response?.data?.code;
+      throw error;
+    }
+  };
+
   const register = async (userData) => {
     try {
       setError(null);
@@ -58,8 +90,11 @@ export const AuthProvider = ({ children }) => {
 
       const { data } = await api.post('/api/auth/register', userData);
 
+      // Roles that must use two-factor sign in, and set it up, before getting tokens
+      if (data.twoFactorRequired) return data;
+
       console.log('✅ [AUTH_CONTEXT] Registration successful for:', data.user.email);
-      localStorage.setItem('token', data.token);
+      storeTokens(data);
       setUser(data.user);
       return data.user;
     } catch (err) {
@@ -97,8 +132,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  // Sign this device out on the server too; local sign-out happens even if that fails
+  const logout = async () => {
+    try {
+      await api.post('/api/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+    } catch (err) {
+      console.error('❌ [AUTH_CONTEXT] Logout request failed:', err.message);
+    }
+    clearTokens();
+    setUser(null);
+  };
+
+  const logoutAll = async () => {
+    try {
+      await api.post('/api/auth/logout-all');
+    } catch (err) {
+      throw new Error(err.response?.data?.error || 'Failed to sign out other devices');
+    }
+    clearTokens();
     setUser(null);
   };
 
@@ -122,9 +173,13 @@ export const AuthProvider = ({ children }) => {
     isDoctor: user?.role === 'doctor',
     isPatient: user?.role === 'patient',
     isAdmin: user?.role === 'admin',
+    // Receptionists and nurses, who run schedules for their assigned doctors
+    isStaff: ['receptionist', 'nurse'].includes(user?.role),
     login,
+    completeTwoFactor,
     register,
     logout,
+    logoutAll,
     updateProfile,
     loadUser
   };
@@ -1,41 +1,45 @@
-import { useEffect, useState, useCallback } from 'react';
+import { useEffect, useState, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { doctorAPI } from '../services/api';
 
 /**
  * Custom Hook: useDoctorList
- * 
- * Abstracts doctor fetching and filtering logic
+ *
+ * Abstracts doctor searching and filtering logic
+ * Keeps every filter in the URL query string, so searches can be shared,
+ * bookmarked and restored with the back button
  * Manages loading, error, and pagination states
- * 
+ *
  * Parameters:
- *   - specialization: Doctor specialization to filter by
- *   - city: City to filter by
- *   - page: Current page number
  *   - limit: Results per page
- * 
+ *
  * Returns:
  *   - doctors: Array of doctor objects
+ *   - facets: Counts per filter value from the API ({ specialization, languages, ... })
+ *   - filters: Current filters as strings, keyed by FILTER_KEYS
+ *   - setFilters: Function merging changed filters into the URL (back to page 1)
+ *   - clearFilters: Function removing every filter from the URL
+ *   - setPage: Function moving to another page of results
  *   - loading: Boolean indicating fetch in progress
  *   - error: Error message if fetch failed
  *   - pagination: Object with { page, pages, total, count }
  *   - refetch: Function to manually refetch doctors
- * 
+ *
  * Usage:
- * const { doctors, loading, error, pagination, refetch } = useDoctorList({
- *   specialization: 'cardiology',
- *   city: 'nairobi',
- *   page: 1,
- *   limit: 10
- * });
+ * const { doctors, facets, filters, setFilters, pagination, setPage } = useDoctorList({ limit: 9 });
+ * setFilters({ specialization: 'cardiology', languages: 'English,Spanish' });
  */
 
-export const useDoctorList = ({
-  specialization = '',
-  city = '',
-  page = 1,
-  limit = 10
-} = {}) => {
+// Query string keys understood by GET /api/doctors
+export const FILTER_KEYS = [
+  'q', 'specialization', 'city', 'languages', 'acceptingNewPatients',
+  'feeMin', 'feeMax', 'experienceMin', 'minRating', 'availableWithin', 'type', 'near', 'radius', 'sort'
+];
+
+export const useDoctorList = ({ limit = 10 } = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [doctors, setDoctors] = useState([]);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({
@@ -45,6 +49,14 @@ export const useDoctorList = ({
     count: 0
   });
 
+  // The query string drives everything; a stable key avoids refetching on unrelated renders
+  const query = searchParams.toString();
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+  const filters = useMemo(() => {
+    const params = new URLSearchParams(query);
+    return Object.fromEntries(FILTER_KEYS.map(key => [key, params.get(key) || '']));
+  }, [query]);
+
   // Fetch doctors with current filters
   const fetchDoctors = useCallback(async () => {
     setLoading(true);
@@ -53,14 +65,16 @@ export const useDoctorList = ({
     try {
       // Build params object only with non-empty values
       const params = { page, limit };
-      if (specialization) params.specialization = specialization;
-      if (city) params.city = city;
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
 
       // Call API
       const { data } = await doctorAPI.getAll(params);
 
       // Update state with response data
       setDoctors(data.data || []);
+      setFacets(data.facets || null);
       setPagination({
         page: data.page || page,
         pages: data.pages || 1,
@@ -68,23 +82,52 @@ export const useDoctorList = ({
         count: data.count || 0
       });
     } catch (err) {
-      // Set error message from API response or generic error
-      const errorMessage = err.response?.data?.error || err.message || 'Failed to load doctors';
+      // Invalid filters come back with one detail per problem
+      const details = err.response?.data?.details;
+      const errorMessage = details?.join('. ') || err.response?.data?.error || err.message || 'Failed to load doctors';
       setError(errorMessage);
       console.error('❌ [useDoctorList] Error fetching doctors:', err);
     } finally {
       setLoading(false);
     }
-  }, [specialization, city, page, limit]);
+  }, [filters, page, limit]);
 
   // Fetch doctors when filters or page changes
   useEffect(() => {
     fetchDoctors();
   }, [fetchDoctors]);
 
+  // Merge changed filters into the URL; empty values are dropped
+  const setFilters = useCallback((changes) => {
+    setSearchParams(prev => {
+      const params = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === undefined || value === null) params.delete(key);
+        else params.set(key, String(value));
+      });
+      params.delete('page');
+      return params;
+    });
+  }, [setSearchParams]);
+
+  const clearFilters = useCallback(() => setSearchParams({}), [setSearchParams]);
+
+  const setPage = useCallback((newPage) => {
+    setSearchParams(prev => {
+      const params = new URLSearchParams(prev);
+      params.set('page', String(newPage));
+      return params;
+    });
+  }, [setSearchParams]);
+
   // Return state and refetch function
   return {
     doctors,
+    facets,
+    filters,
+    setFilters,
+    clearFilters,
+    setPage,
     loading,
     error,
     pagination,
@@ -1,19 +1,34 @@
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { format, addDays, startOfDay } from 'date-fns';
-import { doctorAPI, appointmentAPI } from '../services/api';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { doctorAPI, appointmentAPI, dependentAPI } from '../services/api';
+import SlotPicker from '../components/SlotPicker';
+import ZonedTime from '../components/ZonedTime';
+import WaitlistForm from '../components/WaitlistForm';
+import { formatInZone } from '../utils/timezone';
+import { describeVisitPlace } from '../utils/location';
+
+const visitTypes = [
+  { id: 'in-person', name: 'In-Person Visit' },
+  { id: 'video', name: 'Video Consultation' },
+  { id: 'phone', name: 'Phone Consultation' }
+];
 
 export default function BookAppointment() {
   const { doctorId } = useParams();
   const navigate = useNavigate();
   
   const [doctor, setDoctor] = useState(null);
-  const [selectedDate, setSelectedDate] = useState(startOfDay(new Date()));
-  const [slots, setSlots] = useState([]);
   const [selectedSlot, setSelectedSlot] = useState(null);
+  const [hold, setHold] = useState(null);
+  const [slotsVersion, setSlotsVersion] = useState(0);
+  const booked = useRef(false);
   const [formData, setFormData] = useState({ reason: '', symptoms: '', type: 'in-person', notes: '' });
+  // Who the visit is for: '' for the patient themselves, otherwise a dependent's id
+  const [dependents, setDependents] = useState([]);
+  const [dependentId, setDependentId] = useState('');
+  const [repeat, setRepeat] = useState({ enabled: false, intervalWeeks: 1, endBy: 'count', count: 4, until: '' });
+  const [seriesReport, setSeriesReport] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [slotsLoading, setSlotsLoading] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState('');
 
@@ -23,6 +38,9 @@ export default function BookAppointment() {
       try {
         const { data } = await doctorAPI.getById(doctorId);
         setDoctor(data.data);
+        // Start on a visit type this doctor actually offers
+        const offered = data.data.appointmentTypes;
+        if (offered?.length && !offered.includes('in-person')) setFormData(p => ({ ...p, type: offered[0] }));
       } catch (err) {
         setError('Doctor not found');
       } finally {
@@ -32,34 +50,42 @@ export default function BookAppointment() {
     fetchDoctor();
   }, [doctorId]);
 
-  // Fetch available slots when date changes
   useEffect(() => {
-    const fetchSlots = async () => {
-      if (!doctor) return;
-      setSlotsLoading(true);
-      setSelectedSlot(null);
-      try {
-        const dateStr = format(selectedDate, 'yyyy-MM-dd');
-        const { data } = await doctorAPI.getSlots(doctorId, dateStr);
-        setSlots(data.data);
-      } catch (err) {
-        setSlots([]);
-      } finally {
-        setSlotsLoading(false);
-      }
-    };
-    fetchSlots();
-  }, [doctorId, selectedDate, doctor]);
+    dependentAPI.getAll()
+      .then(({ data }) => setDependents(data.data))
+      .catch(() => setDependents([]));
+  }, []);
 
-  const handleDateChange = (days) => {
-    const newDate = addDays(selectedDate, days);
-    if (newDate >= startOfDay(new Date())) {
-      setSelectedDate(newDate);
+  // Give the slot back if the patient leaves without booking
+  useEffect(() => () => {
+    if (!booked.current) doctorAPI.releaseHold(doctorId).catch(() => {});
+  }, [doctorId]);
+
+  // Hold the chosen slot for a few minutes so nobody else can take it mid-checkout
+  // Stable, since SlotPicker clears the selection through it whenever it loads slots
+  const handleSelectSlot = useCallback(async (slot) => {
+    setSelectedSlot(slot);
+    setHold(null);
+    setSeriesReport(null);
+    if (!slot) return;
+    try {
+      const { data } = await doctorAPI.holdSlot(doctorId, slot.dateTime);
+      setHold(data.data);
+      setError('');
+    } catch (err) {
+      setSelectedSlot(null);
+      setError(err.response?.data?.error || 'This time slot is no longer available');
+      setSlotsVersion(v => v + 1);
     }
+  }, [doctorId]);
+
+  const updateRepeat = (changes) => {
+    setRepeat(r => ({ ...r, ...changes }));
+    setSeriesReport(null);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Book a single visit, or the whole series when repeat is on
+  const book = async (skipConflicts = false) => {
     if (!selectedSlot) {
       setError('Please select a time slot');
       return;
@@ -67,28 +93,59 @@ export default function BookAppointment() {
     setSubmitting(true);
     setError('');
 
+    const details = {
+      doctorId,
+      ...(dependentId && { dependentId }),
+      dateTime: selectedSlot.dateTime,
+      type: formData.type,
+      reason: formData.reason,
+      symptoms: formData.symptoms.split(',').map(s => s.trim()).filter(Boolean),
+      notes: formData.notes
+    };
+
     try {
-      await appointmentAPI.create({
-        doctorId,
-        dateTime: selectedSlot.dateTime,
-        type: formData.type,
-        reason: formData.reason,
-        symptoms: formData.symptoms.split(',').map(s => s.trim()).filter(Boolean),
-        notes: formData.notes
-      });
-      navigate('/dashboard', { state: { message: 'Appointment booked successfully!' } });
+      let message = 'Appointment booked successfully!';
+      if (repeat.enabled) {
+        const { data } = await appointmentAPI.createSeries({
+          ...details,
+          intervalWeeks: repeat.intervalWeeks,
+          ...(repeat.endBy === 'count' ? { count: repeat.count } : { until: repeat.until }),
+          skipConflicts
+        });
+        const { appointments, skipped } = data.data;
+        message = `${appointments.length} recurring appointments booked`
+          + (skipped.length ? `, ${skipped.length} unavailable dates skipped.` : '!');
+      } else {
+        const { data } = await appointmentAPI.create(details);
+        const appointment = data.data;
+        if (appointment.type === 'in-person') {
+          message = `Appointment booked at ${describeVisitPlace(appointment.type, appointment.clinic, appointment.doctor)}!`;
+        }
+      }
+      booked.current = true;
+      navigate('/dashboard', { state: { message } });
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to book appointment');
+      if (err.response?.data?.code === 'SERIES_CONFLICT') {
+        setSeriesReport(err.response.data.details.occurrences);
+      } else if (err.response?.status === 409) {
+        setSelectedSlot(null);
+        setHold(null);
+        setSlotsVersion(v => v + 1);
+      }
     } finally {
       setSubmitting(false);
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    book();
+  };
+
   if (loading) return <div className="loading">Loading...</div>;
   if (error && !doctor) return <div className="alert alert-error">{error}</div>;
 
-  const dates = Array.from({ length: 7 }, (_, i) => addDays(startOfDay(new Date()), i));
-
   return (
     <div className="book-appointment-page">
       <header className="page-header">
@@ -101,50 +158,32 @@ export default function BookAppointment() {
       {error && <div className="alert alert-error">{error}</div>}
 
       <div className="booking-container">
-        <section className="date-selection">
-          <h2>Select Date</h2>
-          <div className="date-picker">
-            {dates.map(date => (
-              <button key={date.toISOString()} type="button"
-                className={`date-btn ${selectedDate.toDateString() === date.toDateString() ? 'active' : ''}`}
-                onClick={() => setSelectedDate(date)}>
-                <span className="day-name">{format(date, 'EEE')}</span>
-                <span className="day-num">{format(date, 'd')}</span>
-                <span className="month">{format(date, 'MMM')}</span>
-              </button>
-            ))}
-          </div>
-        </section>
-
-        <section className="time-selection">
-          <h2>Select Time</h2>
-          {slotsLoading ? (
-            <p>Loading available times...</p>
-          ) : slots.length === 0 ? (
-            <p className="no-slots">No available slots for this date.</p>
-          ) : (
-            <div className="time-grid">
-              {slots.map(slot => (
-                <button key={slot.dateTime} type="button"
-                  className={`time-btn ${selectedSlot?.dateTime === slot.dateTime ? 'active' : ''}`}
-                  onClick={() => setSelectedSlot(slot)}>
-                  {slot.formatted}
-                </button>
-              ))}
-            </div>
-          )}
-        </section>
+        <SlotPicker doctorId={doctor ? doctorId : null} timeZone={doctor?.timezone}
+          selectedSlot={selectedSlot} onSelect={handleSelectSlot} refreshKey={slotsVersion}
+          mainLocation={doctor?.clinicAddress?.name || undefined}
+          emptyAction={<WaitlistForm doctorId={doctorId} />} />
 
         <form onSubmit={handleSubmit} className="booking-form">
           <h2>Appointment Details</h2>
+
+          <div className="form-group">
+            <label htmlFor="dependent">Who is this appointment for?</label>
+            <select id="dependent" value={dependentId} onChange={(e) => setDependentId(e.target.value)}>
+              <option value="">Myself</option>
+              {dependents.map(d => (
+                <option key={d._id} value={d._id}>{d.firstName} {d.lastName} ({d.relationship})</option>
+              ))}
+            </select>
+            <Link to="/profile" state={{ tab: 'family' }} className="form-hint">Add or edit family members</Link>
+          </div>
           
           <div className="form-group">
             <label htmlFor="type">Appointment Type</label>
             <select id="type" value={formData.type}
               onChange={(e) => setFormData(p => ({ ...p, type: e.target.value }))}>
-              <option value="in-person">In-Person Visit</option>
-              <option value="video">Video Consultation</option>
-              <option value="phone">Phone Consultation</option>
+              {visitTypes.filter(t => !doctor.appointmentTypes || doctor.appointmentTypes.includes(t.id)).map(t => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
             </select>
           </div>
 
@@ -166,18 +205,90 @@ export default function BookAppointment() {
               value={formData.notes} onChange={(e) => setFormData(p => ({ ...p, notes: e.target.value }))} />
           </div>
 
+          <div className="form-group repeat-options">
+            <label className="checkbox-label">
+              <input type="checkbox" checked={repeat.enabled}
+                onChange={(e) => updateRepeat({ enabled: e.target.checked })} />
+              Repeat this appointment
+            </label>
+            {repeat.enabled && (
+              <div className="repeat-fields">
+                <select aria-label="Repeat every" value={repeat.intervalWeeks}
+                  onChange={(e) => updateRepeat({ intervalWeeks: Number(e.target.value) })}>
+                  <option value={1}>Every week</option>
+                  <option value={2}>Every 2 weeks</option>
+                  <option value={3}>Every 3 weeks</option>
+                  <option value={4}>Every 4 weeks</option>
+                </select>
+                <select aria-label="Ends" value={repeat.endBy}
+                  onChange={(e) => updateRepeat({ endBy: e.target.value })}>
+                  <option value="count">for</option>
+                  <option value="until">until</option>
+                </select>
+                {repeat.endBy === 'count' ? (
+                  <label>
+                    <input type="number" min="2" max="52" value={repeat.count}
+                      onChange={(e) => updateRepeat({ count: Number(e.target.value) })} /> visits
+                  </label>
+                ) : (
+                  <input type="date" aria-label="Last date" required value={repeat.until}
+                    onChange={(e) => updateRepeat({ until: e.target.value })} />
+                )}
+              </div>
+            )}
+          </div>
+
+          {seriesReport && (
+            <div className="series-report">
+              <p>These dates are not available:</p>
+              <ul>
+                {seriesReport.filter(o => !o.available).map(o => (
+                  <li key={o.index}>
+                    {o.dateTime ? formatInZone(o.dateTime, doctor?.timezone, { dateStyle: 'medium', timeStyle: 'short' }) : `Visit ${o.index + 1}`}
+                    {' '}- {o.error}
+                  </li>
+                ))}
+              </ul>
+              {seriesReport.some(o => o.available) && (
+                <button type="button" className="btn btn-outline btn-sm" disabled={submitting}
+                  onClick={() => book(true)}>
+                  Book Available Dates Only
+                </button>
+              )}
+            </div>
+          )}
+
           {doctor && (
             <div className="booking-summary">
               <h3>Summary</h3>
               <p><strong>Doctor:</strong> Dr. {doctor.user?.firstName} {doctor.user?.lastName}</p>
-              <p><strong>Date:</strong> {format(selectedDate, 'EEEE, MMMM d, yyyy')}</p>
-              <p><strong>Time:</strong> {selectedSlot?.formatted || 'Not selected'}</p>
-              <p><strong>Fee:</strong> ${doctor.consultationFee}</p>
+              <p><strong>Date:</strong> {selectedSlot
+                ? formatInZone(selectedSlot.dateTime, doctor.timezone, { dateStyle: 'full' })
+                : 'Not selected'}</p>
+              <p><strong>Time:</strong> {selectedSlot
+                ? <ZonedTime date={selectedSlot.dateTime} timeZone={doctor.timezone} />
+                : 'Not selected'}</p>
+              <p><strong>Location:</strong> {selectedSlot
+                ? describeVisitPlace(formData.type, selectedSlot.clinic, doctor)
+                : 'Not selected'}</p>
+              {selectedSlot?.clinic?.phone && formData.type === 'in-person' && (
+                <p><strong>Clinic phone:</strong> {selectedSlot.clinic.phone}</p>
+              )}
+              {repeat.enabled && (
+                <p><strong>Repeats:</strong> every {repeat.intervalWeeks > 1 ? `${repeat.intervalWeeks} weeks` : 'week'}
+                  {repeat.endBy === 'count' ? `, ${repeat.count} visits` : repeat.until && ` until ${repeat.until}`}</p>
+              )}
+              <p><strong>Fee:</strong> ${doctor.consultationFee}{repeat.enabled && ' per visit'}</p>
+              {hold && (
+                <p className="hold-notice">
+                  Held for you until <ZonedTime date={hold.expiresAt} timeZone={doctor.timezone} />
+                </p>
+              )}
             </div>
           )}
 
           <button type="submit" className="btn btn-primary btn-block" disabled={submitting || !selectedSlot}>
-            {submitting ? 'Booking...' : 'Confirm Booking'}
+            {submitting ? 'Booking...' : repeat.enabled ? 'Book Series' : 'Confirm Booking'}
           </button>
         </form>
       </div>
@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+import { clinicAPI } from '../services/api';
+import { formatAddress } from '../utils/location';
+import { supportedTimeZones, viewerTimeZone } from '../utils/timezone';
+
+const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// One row per weekday; a day without both times is closed
+const emptyHours = () => dayNames.map(() => ({ opensAt: '', closesAt: '' }));
+
+const emptyForm = () => ({
+  name: '', street: '', city: '', state: '', zipCode: '', timezone: viewerTimeZone, phone: '', hours: emptyHours()
+});
+
+const toForm = (clinic) => {
+  const hours = emptyHours();
+  clinic.openingHours?.forEach(h => { hours[h.dayOfWeek] = { opensAt: h.opensAt, closesAt: h.closesAt }; });
+  return {
+    name: clinic.name,
+    street: clinic.address?.street || '',
+    city: clinic.address?.city || '',
+    state: clinic.address?.state || '',
+    zipCode: clinic.address?.zipCode || '',
+    timezone: clinic.timezone,
+    phone: clinic.phone || '',
+    hours
+  };
+};
+
+const toPayload = (form) => ({
+  name: form.name,
+  address: { street: form.street, city: form.city, state: form.state, zipCode: form.zipCode },
+  timezone: form.timezone,
+  phone: form.phone,
+  openingHours: form.hours
+    .map((h, dayOfWeek) => ({ dayOfWeek, ...h }))
+    .filter(h => h.opensAt && h.closesAt)
+});
+
+// Admin list of clinic sites: add, edit opening hours, close
+export default function ClinicAdmin() {
+  const [clinics, setClinics] = useState(null);
+  const [editingId, setEditingId] = useState(null); // 'new' while adding
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  const loadClinics = () => clinicAPI.getAll()
+    .then(({ data }) => setClinics(data.data))
+    .catch(() => setMessage({ type: 'error', text: 'Failed to load clinics' }));
+
+  useEffect(() => { loadClinics(); }, []);
+
+  const startEditing = (clinic) => {
+    setEditingId(clinic ? clinic._id : 'new');
+    setForm(clinic ? toForm(clinic) : emptyForm());
+    setMessage({ type: '', text: '' });
+  };
+
+  const updateHours = (day, field, value) =>
+    setForm(p => ({ ...p, hours: p.hours.map((h, i) => i === day ? { ...h, [field]: value } : h) }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const { data } = editingId === 'new'
+        ? await clinicAPI.create(toPayload(form))
+        : await clinicAPI.update(editingId, toPayload(form));
+      setMessage(data.geocoded === false
+        ? { type: 'warning', text: 'Clinic saved, but its address could not be found on the map' }
+        : { type: 'success', text: 'Clinic saved' });
+      setEditingId(null);
+      await loadClinics();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save clinic' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async (clinic) => {
+    if (!window.confirm(`Close ${clinic.name}? Patients will no longer be able to book there.`)) return;
+    try {
+      await clinicAPI.remove(clinic._id);
+      setClinics(prev => prev.filter(c => c._id !== clinic._id));
+      setMessage({ type: 'success', text: `${clinic.name} closed` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to close clinic' });
+    }
+  };
+
+  return (
+    <div className="dashboard-page clinic-admin">
+      <header className="dashboard-header">
+        <div>
+          <h1>Clinics</h1>
+          <p>Sites doctors link to and hold their hours at</p>
+        </div>
+        {!editingId && (
+          <button className="btn btn-primary" onClick={() => startEditing(null)}>Add Clinic</button>
+        )}
+      </header>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="status">{message.text}</div>}
+
+      {editingId && (
+        <form className="settings-form" onSubmit={handleSubmit}>
+          <h2>{editingId === 'new' ? 'New clinic' : `Edit ${form.name}`}</h2>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="clinicName">Name *</label>
+              <input id="clinicName" required maxLength={100} value={form.name}
+                onChange={(e) => setForm(p => ({ ...p, name: e.target.value }))} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="clinicPhone">Phone</label>
+              <input id="clinicPhone" type="tel" value={form.phone}
+                onChange={(e) => setForm(p => ({ ...p, phone: e.target.value }))} />
+            </div>
+          </div>
+          <div className="form-row">
+            {[['street', 'Street'], ['city', 'City *'], ['state', 'County / State'], ['zipCode', 'Postal code']].map(([field, label]) => (
+              <div key={field} className="form-group">
+                <label htmlFor={`clinic-${field}`}>{label}</label>
+                <input id={`clinic-${field}`} required={field === 'city'} value={form[field]}
+                  onChange={(e) => setForm(p => ({ ...p, [field]: e.target.value }))} />
+              </div>
+            ))}
+          </div>
+          <div className="form-group">
+            <label htmlFor="clinicTimezone">Timezone</label>
+            <select id="clinicTimezone" value={form.timezone}
+              onChange={(e) => setForm(p => ({ ...p, timezone: e.target.value }))}>
+              {[...new Set([form.timezone, ...supportedTimeZones()])].map(tz => <option key={tz} value={tz}>{tz}</option>)}
+            </select>
+          </div>
+
+          <fieldset className="form-group">
+            <legend>Opening hours</legend>
+            <p className="form-hint">Leave a day empty if the clinic is closed. With no hours at all, doctors can be scheduled at any time.</p>
+            <ul className="schedule-days">
+              {dayNames.map((name, day) => (
+                <li key={day} className="schedule-day">
+                  <span className="day">{name}</span>
+                  <div className="schedule-window">
+                    <input type="time" aria-label={`${name} opening time`} value={form.hours[day].opensAt}
+                      onChange={(e) => updateHours(day, 'opensAt', e.target.value)} />
+                    <span>to</span>
+                    <input type="time" aria-label={`${name} closing time`} value={form.hours[day].closesAt}
+                      onChange={(e) => updateHours(day, 'closesAt', e.target.value)} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </fieldset>
+
+          <div className="calendar-feed-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Clinic'}
+            </button>
+            <button type="button" className="btn btn-outline" onClick={() => setEditingId(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {!clinics && !message.text && <div className="loading">Loading...</div>}
+      {clinics?.length === 0 && <p className="empty-state">No clinics yet.</p>}
+
+      <ul className="location-list">
+        {clinics?.map(clinic => (
+          <li key={clinic._id} className="settings-form">
+            <address>
+              <strong>{clinic.name}</strong><br />
+              {formatAddress(clinic.address)}
+              {clinic.phone && <><br />{clinic.phone}</>}
+            </address>
+            <p className="location-days">
+              {clinic.timezone}
+              {clinic.address?.location ? '' : ' · not on the map'}
+              {clinic.openingHours?.length > 0 && ` · open ${clinic.openingHours.map(h => dayNames[h.dayOfWeek].slice(0, 3)).join(', ')}`}
+            </p>
+            <div className="calendar-feed-actions">
+              <button className="btn btn-sm btn-outline" onClick={() => startEditing(clinic)}>Edit</button>
+              <button className="btn btn-sm btn-outline" onClick={() => handleClose(clinic)}>Close</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -1,38 +1,71 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { format, startOfDay, endOfDay, addDays } from 'date-fns';
 import { useAuth } from '../context/AuthContext';
 import { appointmentAPI } from '../services/api';
+import RescheduleForm from '../components/RescheduleForm';
+import AddToCalendar from '../components/AddToCalendar';
+import ZonedTime from '../components/ZonedTime';
+import { dateInZone, viewerTimeZone } from '../utils/timezone';
 
 const statusColors = {
   pending: 'status-pending',
   confirmed: 'status-confirmed',
   completed: 'status-completed',
-  cancelled: 'status-cancelled'
+  cancelled: 'status-cancelled',
+  'no-show': 'status-noshow'
 };
 
+// Buttons for each status transition; the server decides which apply via allowedTransitions
+const statusActions = [
+  { status: 'confirmed', label: 'Confirm', className: 'btn-success' },
+  { status: 'completed', label: 'Mark Complete', className: 'btn-primary' },
+  { status: 'no-show', label: 'No-show', className: 'btn-outline' },
+  { status: 'cancelled', label: 'Cancel', pendingLabel: 'Decline', className: 'btn-outline' }
+];
+
+// "2030-01-31" -> local Date for labels and date arithmetic only
+// What a doctor sees while their profile is not yet approved
+const verificationNotices = {
+  pending: 'Your profile is being reviewed. Patients can find you once an administrator approves it.',
+  'info-requested': 'We need more information to verify your profile. Update your profile to send it back for review.',
+  rejected: 'Your profile was not approved, so patients cannot find you.'
+};
+
+// Who booked a family member's visit, from the family member's relationship to them
+const guardianLabel = { child: 'parent', parent: 'child', spouse: 'spouse', sibling: 'sibling' };
+
+const labelDate = (dateStr) => new Date(`${dateStr}T00:00:00`);
+
 export default function DoctorDashboard() {
   const { user } = useAuth();
-  const [selectedDate, setSelectedDate] = useState(new Date());
+  // Days on the schedule are calendar days in the clinic's zone (staff: their first doctor's)
+  const timeZone = user?.doctorProfile?.timezone || user?.assignedDoctors?.[0]?.timezone || viewerTimeZone;
+  const today = dateInZone(new Date(), timeZone);
+  const verification = user?.doctorProfile?.verification;
+  const [selectedDate, setSelectedDate] = useState(today);
   const [appointments, setAppointments] = useState([]);
   const [stats, setStats] = useState({ today: 0, pending: 0, total: 0 });
   const [loading, setLoading] = useState(true);
+  const [reschedulingId, setReschedulingId] = useState(null);
 
   useEffect(() => {
     const fetchAppointments = async () => {
       setLoading(true);
       try {
+        // Fetch a margin around the day, then keep what falls on it in clinic time
         const { data } = await appointmentAPI.getAll({
-          from: startOfDay(selectedDate).toISOString(),
-          to: endOfDay(selectedDate).toISOString()
+          from: startOfDay(addDays(labelDate(selectedDate), -1)).toISOString(),
+          to: endOfDay(addDays(labelDate(selectedDate), 1)).toISOString(),
+          limit: 100
         });
-        setAppointments(data.data);
+        setAppointments(data.data.filter(a => dateInZone(a.dateTime, timeZone) === selectedDate));
 
         // Fetch stats
         const allData = await appointmentAPI.getAll({ limit: 1000 });
         const all = allData.data.data;
-        const today = startOfDay(new Date());
         setStats({
-          today: all.filter(a => new Date(a.dateTime) >= today && new Date(a.dateTime) < addDays(today, 1)).length,
+          today: all.filter(a => dateInZone(a.dateTime, timeZone) === today).length,
           pending: all.filter(a => a.status === 'pending').length,
           total: all.length
         });
@@ -43,28 +76,51 @@ export default function DoctorDashboard() {
       }
     };
     fetchAppointments();
-  }, [selectedDate]);
+  }, [selectedDate, timeZone, today]);
 
   const handleStatusUpdate = async (id, status) => {
     try {
-      await appointmentAPI.update(id, { status });
-      setAppointments(prev => prev.map(a => a._id === id ? { ...a, status } : a));
+      const { data } = await appointmentAPI.update(id, { status });
+      setAppointments(prev => prev.map(a => a._id === id ? data.data : a));
     } catch (err) {
-      alert('Failed to update status');
+      alert(err.response?.data?.error || 'Failed to update status');
     }
   };
 
-  const dates = Array.from({ length: 7 }, (_, i) => addDays(startOfDay(new Date()), i - 1));
+  // A moved series arrives as an array of appointments; keep only those still on the selected day
+  const handleRescheduled = (updated) => {
+    const moved = [].concat(updated);
+    setReschedulingId(null);
+    setAppointments(prev => prev
+      .map(a => moved.find(m => m._id === a._id) || a)
+      .filter(a => dateInZone(a.dateTime, timeZone) === selectedDate));
+  };
+
+  const dates = Array.from({ length: 7 }, (_, i) => format(addDays(labelDate(today), i - 1), 'yyyy-MM-dd'));
 
   return (
     <div className="dashboard-page doctor-dashboard">
       <header className="dashboard-header">
         <div>
           <h1>Welcome, {user?.role === 'doctor' ? 'Dr. ' : ''}{user?.firstName}!</h1>
-          <p>Manage your schedule and appointments</p>
+          <p>
+            {user?.assignedDoctors
+              ? `Schedule for ${user.assignedDoctors.map(d => `Dr. ${d.user?.lastName}`).join(', ') || 'no assigned doctors yet'}`
+              : 'Manage your schedule and appointments'}
+          </p>
         </div>
       </header>
 
+      {verification && verification.status !== 'approved' && (
+        <div className={`verification-notice verification-${verification.status}`} role="status">
+          <p>{verificationNotices[verification.status]}</p>
+          {verification.reason && <p>Reviewer's note: {verification.reason}</p>}
+          {verification.status === 'info-requested' && (
+            <Link to="/profile" state={{ tab: 'doctor' }} className="btn btn-sm btn-outline">Update Profile</Link>
+          )}
+        </div>
+      )}
+
       <div className="dashboard-stats">
         <div className="stat-card">
           <span className="stat-value">{stats.today}</span>
@@ -84,16 +140,16 @@ export default function DoctorDashboard() {
         <h2>Schedule</h2>
         <div className="date-nav">
           {dates.map(date => (
-            <button key={date.toISOString()}
-              className={`date-btn ${selectedDate.toDateString() === date.toDateString() ? 'active' : ''}`}
+            <button key={date}
+              className={`date-btn ${selectedDate === date ? 'active' : ''}`}
               onClick={() => setSelectedDate(date)}>
-              <span className="day-name">{format(date, 'EEE')}</span>
-              <span className="day-num">{format(date, 'd')}</span>
+              <span className="day-name">{format(labelDate(date), 'EEE')}</span>
+              <span className="day-num">{format(labelDate(date), 'd')}</span>
             </button>
           ))}
         </div>
 
-        <h3>{format(selectedDate, 'EEEE, MMMM d, yyyy')}</h3>
+        <h3>{format(labelDate(selectedDate), 'EEEE, MMMM d, yyyy')}</h3>
 
         {loading ? (
           <div className="loading">Loading...</div>
@@ -108,19 +164,35 @@ export default function DoctorDashboard() {
               .map(apt => (
                 <article key={apt._id} className="timeline-item">
                   <div className="timeline-time">
-                    {format(new Date(apt.dateTime), 'h:mm a')}
+                    <ZonedTime date={apt.dateTime} timeZone={timeZone} />
                   </div>
                   <div className="timeline-content">
                     <div className="patient-info">
-                      <h4>{apt.patient?.firstName} {apt.patient?.lastName}</h4>
-                      <p className="contact">{apt.patient?.email} • {apt.patient?.phone}</p>
+                      {apt.dependent ? (
+                        <>
+                          <h4>{apt.dependent.firstName} {apt.dependent.lastName}</h4>
+                          <p className="apt-guardian">
+                            Born {new Date(apt.dependent.dateOfBirth).toLocaleDateString()} · booked by their {guardianLabel[apt.dependent.relationship] || 'guardian'}
+                          </p>
+                          <p className="contact">
+                            Contact: {apt.patient?.firstName} {apt.patient?.lastName} • {apt.patient?.email} • {apt.patient?.phone}
+                          </p>
+                        </>
+                      ) : (
+                        <>
+                          <h4>{apt.patient?.firstName} {apt.patient?.lastName}</h4>
+                          <p className="contact">{apt.patient?.email} • {apt.patient?.phone}</p>
+                        </>
+                      )}
                     </div>
                     <div className="apt-details">
                       <p><strong>Reason:</strong> {apt.reason}</p>
+                      {apt.clinic && <p><strong>Clinic:</strong> {apt.clinic.name}</p>}
                       {apt.symptoms?.length > 0 && (
                         <p><strong>Symptoms:</strong> {apt.symptoms.join(', ')}</p>
                       )}
                       <span className={`apt-type type-${apt.type}`}>{apt.type}</span>
+                      {apt.series && <span className="apt-recurring">Recurring</span>}
                     </div>
                     <div className="apt-status">
                       <span className={`status-badge ${statusColors[apt.status]}`}>
@@ -128,20 +200,25 @@ export default function DoctorDashboard() {
                       </span>
                     </div>
                     <div className="apt-actions">
-                      {apt.status === 'pending' && (
-                        <>
-                          <button onClick={() => handleStatusUpdate(apt._id, 'confirmed')}
-                            className="btn btn-sm btn-success">Confirm</button>
-                          <button onClick={() => handleStatusUpdate(apt._id, 'cancelled')}
-                            className="btn btn-sm btn-outline">Decline</button>
-                        </>
-                      )}
-                      {apt.status === 'confirmed' && (
-                        <button onClick={() => handleStatusUpdate(apt._id, 'completed')}
-                          className="btn btn-sm btn-primary">Mark Complete</button>
+                      {statusActions
+                        .filter(action => apt.allowedTransitions?.includes(action.status))
+                        .map(action => (
+                          <button key={action.status} onClick={() => handleStatusUpdate(apt._id, action.status)}
+                            className={`btn btn-sm ${action.className}`}>
+                            {apt.status === 'pending' && action.pendingLabel ? action.pendingLabel : action.label}
+                          </button>
+                        ))}
+                      {['pending', 'confirmed'].includes(apt.status) && (
+                        <button onClick={() => setReschedulingId(apt._id)}
+                          className="btn btn-sm btn-outline">Reschedule</button>
                       )}
+                      {['pending', 'confirmed'].includes(apt.status) && <AddToCalendar appointmentId={apt._id} />}
                     </div>
                   </div>
+                  {reschedulingId === apt._id && (
+                    <RescheduleForm appointment={apt} onDone={handleRescheduled}
+                      onCancel={() => setReschedulingId(null)} />
+                  )}
                 </article>
               ))}
           </div>
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { doctorAPI } from '../services/api';
+import DoctorReviews from '../components/DoctorReviews';
+import { formatAddress } from '../utils/location';
 
 const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
@@ -29,6 +31,11 @@ export default function DoctorDetail() {
   if (!doctor) return null;
 
   const { user } = doctor;
+  const clinics = doctor.clinics || [];
+  const clinicName = (id) => clinics.find(c => c._id === id)?.name;
+  // Weekdays the doctor has hours at a clinic; null for windows at the main practice
+  const daysAt = (clinicId) => dayNames.filter((_, day) => doctor.availability?.some(a =>
+    a.isAvailable && a.dayOfWeek === day && (a.clinic || null) === clinicId));
 
   return (
     <div className="doctor-detail-page">
@@ -109,29 +116,52 @@ export default function DoctorDetail() {
             <h2>Availability</h2>
             {doctor.availability?.length > 0 ? (
               <ul className="availability-list">
-                {doctor.availability
-                  .filter(a => a.isAvailable)
-                  .sort((a, b) => a.dayOfWeek - b.dayOfWeek)
-                  .map((a, i) => (
-                    <li key={i}>
-                      <span className="day">{dayNames[a.dayOfWeek]}</span>
-                      <span className="time">{a.startTime} - {a.endTime}</span>
+                {dayNames.map((name, day) => {
+                  const windows = doctor.availability
+                    .filter(a => a.isAvailable && a.dayOfWeek === day)
+                    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+                  return windows.length > 0 && (
+                    <li key={day}>
+                      <span className="day">{name}</span>
+                      <span className="time">
+                        {windows.map(a => `${a.startTime} - ${a.endTime}${a.clinic && clinicName(a.clinic) ? ` (${clinicName(a.clinic)})` : ''}`).join(', ')}
+                      </span>
                     </li>
-                  ))}
+                  );
+                })}
               </ul>
             ) : (
               <p>No availability set.</p>
             )}
           </section>
 
-          {doctor.clinicAddress?.street && (
+          <DoctorReviews doctorId={doctor._id} />
+
+          {(clinics.length > 0 || doctor.clinicAddress?.street) && (
             <section className="profile-section">
-              <h2>Location</h2>
-              <address>
-                {doctor.clinicAddress.name && <strong>{doctor.clinicAddress.name}<br /></strong>}
-                {doctor.clinicAddress.street}<br />
-                {doctor.clinicAddress.city}, {doctor.clinicAddress.state} {doctor.clinicAddress.zipCode}
-              </address>
+              <h2>{clinics.length > 0 ? 'Locations' : 'Location'}</h2>
+              <ul className="location-list">
+                {clinics.map(clinic => (
+                  <li key={clinic._id}>
+                    <address>
+                      <strong>{clinic.name}</strong><br />
+                      {formatAddress(clinic.address)}
+                      {clinic.phone && <><br />{clinic.phone}</>}
+                    </address>
+                    {daysAt(clinic._id).length > 0 && <p className="location-days">{daysAt(clinic._id).join(', ')}</p>}
+                  </li>
+                ))}
+                {doctor.clinicAddress?.street && (
+                  <li>
+                    <address>
+                      {doctor.clinicAddress.name && <strong>{doctor.clinicAddress.name}<br /></strong>}
+                      {doctor.clinicAddress.street}<br />
+                      {doctor.clinicAddress.city}, {doctor.clinicAddress.state} {doctor.clinicAddress.zipCode}
+                    </address>
+                    {clinics.length > 0 && daysAt(null).length > 0 && <p className="location-days">{daysAt(null).join(', ')}</p>}
+                  </li>
+                )}
+              </ul>
             </section>
           )}
         </div>
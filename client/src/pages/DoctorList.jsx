@@ -1,66 +1,18 @@
-import { useState, useEffect } from 'react';
-import { useSearchParams, Link, useNavigate } from 'react-router-dom';
-import { doctorAPI } from '../services/api';
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-
-const specializations = [
-  { id: '', name: 'All Specializations' },
-  { id: 'general-practice', name: 'General Practice' },
-  { id: 'cardiology', name: 'Cardiology' },
-  { id: 'dermatology', name: 'Dermatology' },
-  { id: 'pediatrics', name: 'Pediatrics' },
-  { id: 'orthopedics', name: 'Orthopedics' },
-  { id: 'neurology', name: 'Neurology' },
-  { id: 'psychiatry', name: 'Psychiatry' },
-  { id: 'dentistry', name: 'Dentistry' }
-];
+import useDoctorList from '../hooks/useDoctorList';
+import SearchForm from '../components/SearchForm';
+import ZonedTime from '../components/ZonedTime';
 
 export default function DoctorList() {
-  const [searchParams, setSearchParams] = useSearchParams();
-  const [doctors, setDoctors] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const {
+    doctors, facets, filters, setFilters, clearFilters, setPage, loading, error: loadError, pagination
+  } = useDoctorList({ limit: 9 });
   const [error, setError] = useState('');
-  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
   const { setSelectedDoctor, isAuthenticated, isPatient } = useAuth();
   const navigate = useNavigate();
-
-  const specialization = searchParams.get('specialization') || '';
-  const city = searchParams.get('city') || '';
-  const page = parseInt(searchParams.get('page')) || 1;
-
-  useEffect(() => {
-    const fetchDoctors = async () => {
-      setLoading(true);
-      try {
-        const params = { page, limit: 9 };
-        if (specialization) params.specialization = specialization;
-        if (city) params.city = city;
-        
-        const { data } = await doctorAPI.getAll(params);
-        setDoctors(data.data);
-        setPagination({ page, pages: data.pages, total: data.total });
-      } catch (err) {
-        setError('Failed to load doctors');
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchDoctors();
-  }, [specialization, city, page]);
-
-  const handleFilterChange = (key, value) => {
-    const params = new URLSearchParams(searchParams);
-    if (value) params.set(key, value);
-    else params.delete(key);
-    params.set('page', '1');
-    setSearchParams(params);
-  };
-
-  const handlePageChange = (newPage) => {
-    const params = new URLSearchParams(searchParams);
-    params.set('page', newPage.toString());
-    setSearchParams(params);
-  };
+  const { page } = pagination;
 
   // Handle doctor selection for booking flow
   const handleChooseDoctor = (doctor) => {
@@ -86,31 +38,16 @@ export default function DoctorList() {
         <p>Browse our network of qualified healthcare professionals</p>
       </header>
 
-      <div className="filters" role="search">
-        <div className="filter-group">
-          <label htmlFor="specialization">Specialization</label>
-          <select id="specialization" value={specialization}
-            onChange={(e) => handleFilterChange('specialization', e.target.value)}>
-            {specializations.map(s => (
-              <option key={s.id} value={s.id}>{s.name}</option>
-            ))}
-          </select>
-        </div>
-        <div className="filter-group">
-          <label htmlFor="city">City</label>
-          <input type="text" id="city" value={city} placeholder="Enter city"
-            onChange={(e) => handleFilterChange('city', e.target.value)} />
-        </div>
-      </div>
+      <SearchForm filters={filters} facets={facets} onFilter={setFilters} onReset={clearFilters} />
 
       {loading ? (
         <div className="loading">Loading doctors...</div>
-      ) : error ? (
-        <div className="alert alert-error">{error}</div>
+      ) : loadError || error ? (
+        <div className="alert alert-error">{loadError || error}</div>
       ) : doctors.length === 0 ? (
         <div className="empty-state">
           <p>No doctors found matching your criteria.</p>
-          <button className="btn btn-outline" onClick={() => setSearchParams({})}>
+          <button className="btn btn-outline" onClick={clearFilters}>
             Clear Filters
           </button>
         </div>
@@ -141,6 +78,16 @@ export default function DoctorList() {
                     <span className="count">({doctor.rating?.count || 0})</span>
                   </div>
                   <p className="fee">${doctor.consultationFee} per visit</p>
+                  {doctor.distanceKm !== undefined && (
+                    <p className="distance">
+                      {doctor.distanceKm} km away{doctor.clinicAddress?.name && ` · ${doctor.clinicAddress.name}`}
+                    </p>
+                  )}
+                  <p className="next-available">
+                    {doctor.nextAvailable?.at ? (
+                      <>Next available: <ZonedTime date={doctor.nextAvailable.at} timeZone={doctor.timezone} withDate /></>
+                    ) : 'No openings in the coming weeks'}
+                  </p>
                 </div>
                 <div className="doctor-actions">
                   <Link to={`/doctors/${doctor._id}`} className="btn btn-outline btn-sm">
@@ -160,11 +107,11 @@ export default function DoctorList() {
 
           {pagination.pages > 1 && (
             <nav className="pagination" aria-label="Pagination">
-              <button disabled={page === 1} onClick={() => handlePageChange(page - 1)}>
+              <button disabled={page === 1} onClick={() => setPage(page - 1)}>
                 Previous
               </button>
               <span>Page {page} of {pagination.pages}</span>
-              <button disabled={page === pagination.pages} onClick={() => handlePageChange(page + 1)}>
+              <button disabled={page === pagination.pages} onClick={() => setPage(page + 1)}>
                 Next
               </button>
             </nav>
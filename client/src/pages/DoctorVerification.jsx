@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react';
+import { doctorAPI } from '../services/api';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'Awaiting review' },
+  { value: 'info-requested', label: 'Information requested' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'approved', label: 'Approved' }
+];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  'info-requested': 'Information requested',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+// Admin review queue: check a new doctor's credentials, then approve, reject or ask for more
+export default function DoctorVerification() {
+  const [status, setStatus] = useState('');
+  const [doctors, setDoctors] = useState(null);
+  const [reasons, setReasons] = useState({});
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    setDoctors(null);
+    doctorAPI.getVerificationQueue(status ? { status } : {})
+      .then(({ data }) => setDoctors(data.data))
+      .catch(() => setMessage({ type: 'error', text: 'Failed to load the review queue' }));
+  }, [status]);
+
+  const decide = async (doctor, decision) => {
+    setBusyId(doctor._id);
+    setMessage({ type: '', text: '' });
+    try {
+      const { data } = await doctorAPI.verify(doctor._id, decision, reasons[doctor._id] || '');
+      // The doctor leaves this view once their status no longer matches the filter
+      const shown = status ? [status] : ['pending', 'info-requested'];
+      setDoctors(prev => shown.includes(data.data.verification.status)
+        ? prev.map(d => d._id === doctor._id ? data.data : d)
+        : prev.filter(d => d._id !== doctor._id));
+      setReasons(prev => ({ ...prev, [doctor._id]: '' }));
+      setMessage({
+        type: 'success',
+        text: `Dr. ${doctor.user?.lastName}: ${STATUS_LABELS[data.data.verification.status].toLowerCase()}`
+      });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save decision' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="dashboard-page doctor-verification">
+      <header className="dashboard-header">
+        <div>
+          <h1>Doctor Verification</h1>
+          <p>New doctors are listed for patients only after approval</p>
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Review status">
+          {STATUS_FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+        </select>
+      </header>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="status">{message.text}</div>}
+      {!doctors && !message.text && <div className="loading">Loading...</div>}
+      {doctors?.length === 0 && <p className="empty-state">No doctors in this list.</p>}
+
+      <div className="verification-list">
+        {doctors?.map(doctor => (
+          <article key={doctor._id} className="settings-form verification-card">
+            <div className="verification-header">
+              <div>
+                <h2>Dr. {doctor.user?.firstName} {doctor.user?.lastName}</h2>
+                <p className="login-meta">
+                  {doctor.specialization?.replace('-', ' ')} · {doctor.user?.email}
+                  {doctor.user?.phone && ` · ${doctor.user.phone}`}
+                </p>
+              </div>
+              <span className={`verification-status verification-${doctor.verification.status}`}>
+                {STATUS_LABELS[doctor.verification.status]}
+              </span>
+            </div>
+
+            <dl className="verification-details">
+              <dt>License number</dt>
+              <dd>{doctor.licenseNumber}</dd>
+              <dt>Experience</dt>
+              <dd>{doctor.experience} years</dd>
+              <dt>Qualifications</dt>
+              <dd>
+                {doctor.qualifications?.length
+                  ? doctor.qualifications.map(q => [q.degree, q.institution, q.year].filter(Boolean).join(', ')).join('; ')
+                  : 'None listed'}
+              </dd>
+              <dt>Registered</dt>
+              <dd>{new Date(doctor.createdAt).toLocaleDateString()}</dd>
+            </dl>
+
+            {doctor.verification.history?.length > 0 && (
+              <ul className="verification-history">
+                {doctor.verification.history.map((event, i) => (
+                  <li key={i}>
+                    {new Date(event.changedAt).toLocaleString()} · {STATUS_LABELS[event.to]}
+                    {event.changedBy && ` by ${event.changedBy.firstName} ${event.changedBy.lastName}`}
+                    {event.reason && `: ${event.reason}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="form-group">
+              <label htmlFor={`reason-${doctor._id}`}>Reason (sent to the doctor; required to reject or request information)</label>
+              <textarea id={`reason-${doctor._id}`} rows={2} maxLength={1000} value={reasons[doctor._id] || ''}
+                onChange={(e) => setReasons(prev => ({ ...prev, [doctor._id]: e.target.value }))} />
+            </div>
+            <div className="calendar-feed-actions">
+              {doctor.verification.status !== 'approved' && (
+                <button className="btn btn-primary btn-sm" disabled={busyId === doctor._id}
+                  onClick={() => decide(doctor, 'approve')}>Approve</button>
+              )}
+              {doctor.verification.status !== 'info-requested' && (
+                <button className="btn btn-outline btn-sm" disabled={busyId === doctor._id}
+                  onClick={() => decide(doctor, 'request-info')}>Request Information</button>
+              )}
+              {doctor.verification.status !== 'rejected' && (
+                <button className="btn btn-outline btn-sm" disabled={busyId === doctor._id}
+                  onClick={() => decide(doctor, 'reject')}>Reject</button>
+              )}
+            </div>
+          </article>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { appointmentAPI } from '../services/api';
+import PatientLookup from '../components/PatientLookup';
+import SlotPicker from '../components/SlotPicker';
+import RescheduleForm from '../components/RescheduleForm';
+import ZonedTime from '../components/ZonedTime';
+import { formatInZone } from '../utils/timezone';
+
+const statusColors = {
+  pending: 'status-pending',
+  confirmed: 'status-confirmed',
+  completed: 'status-completed',
+  cancelled: 'status-cancelled',
+  'no-show': 'status-noshow'
+};
+
+const isUpcoming = (apt) => ['pending', 'confirmed'].includes(apt.status) && new Date(apt.dateTime) >= new Date();
+
+// Receptionist's desk: find or register a patient, then book, move or cancel their visits
+export default function FrontDeskDashboard() {
+  const { user } = useAuth();
+  const doctors = user?.assignedDoctors || [];
+  const [patient, setPatient] = useState(null);
+  const [appointments, setAppointments] = useState([]);
+  const [doctorId, setDoctorId] = useState(doctors[0]?._id || '');
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [booking, setBooking] = useState({ type: 'in-person', reason: '' });
+  const [reschedulingId, setReschedulingId] = useState(null);
+  const [slotsKey, setSlotsKey] = useState(0);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const doctor = doctors.find(d => d._id === doctorId);
+
+  // Upcoming visits of the selected patient with this desk's doctors
+  useEffect(() => {
+    if (!patient) return;
+    appointmentAPI.getAll({ patient: patient._id, from: new Date().toISOString(), limit: 50 })
+      .then(({ data }) => setAppointments(data.data.filter(isUpcoming)))
+      .catch(() => setMessage({ type: 'error', text: 'Failed to load appointments' }));
+  }, [patient]);
+
+  const handleSelectPatient = (selected) => {
+    setPatient(selected);
+    setAppointments([]);
+    setReschedulingId(null);
+    setMessage({ type: '', text: '' });
+  };
+
+  const handleBook = async (e) => {
+    e.preventDefault();
+    if (!selectedSlot) return setMessage({ type: 'error', text: 'Please select a time slot' });
+
+    setSubmitting(true);
+    setMessage({ type: '', text: '' });
+    try {
+      const { data } = await appointmentAPI.create({
+        doctorId,
+        patientId: patient._id,
+        dateTime: selectedSlot.dateTime,
+        type: booking.type,
+        reason: booking.reason
+      });
+      setAppointments(prev => [...prev, data.data].sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime)));
+      setBooking({ type: 'in-person', reason: '' });
+      setMessage({ type: 'success', text: `Booked ${patient.firstName} ${patient.lastName}` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to book appointment' });
+    } finally {
+      setSubmitting(false);
+      setSlotsKey(key => key + 1);
+    }
+  };
+
+  const handleCancel = async (id) => {
+    if (!window.confirm('Cancel this appointment for the patient?')) return;
+    try {
+      await appointmentAPI.cancel(id, 'Cancelled by front desk');
+      setAppointments(prev => prev.filter(a => a._id !== id));
+      setSlotsKey(key => key + 1);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to cancel appointment' });
+    }
+  };
+
+  // A moved series arrives as an array of appointments
+  const handleRescheduled = (updated) => {
+    const moved = [].concat(updated);
+    setReschedulingId(null);
+    setAppointments(prev => prev.map(a => moved.find(m => m._id === a._id) || a));
+    setSlotsKey(key => key + 1);
+  };
+
+  return (
+    <div className="dashboard-page front-desk-dashboard">
+      <header className="dashboard-header">
+        <div>
+          <h1>Front Desk</h1>
+          <p>Book, reschedule and cancel on behalf of patients</p>
+        </div>
+        <Link to="/schedule" className="btn btn-outline">Doctors' Schedule</Link>
+      </header>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="status">{message.text}</div>}
+
+      {doctors.length === 0 ? (
+        <p className="empty-state">You aren't assigned to any doctors yet. Ask an administrator to assign you.</p>
+      ) : (
+        <div className="front-desk-grid">
+          <PatientLookup onSelect={handleSelectPatient} />
+
+          {patient && (
+            <section className="settings-form front-desk-patient">
+              <h2>{patient.firstName} {patient.lastName}</h2>
+              <p className="login-meta">{[patient.phone, patient.email].filter(Boolean).join(' · ')}</p>
+
+              <h3>Upcoming Appointments</h3>
+              {appointments.length === 0 ? (
+                <p className="empty-state">No upcoming appointments with your doctors.</p>
+              ) : (
+                <div className="appointments-list">
+                  {appointments.map(apt => (
+                    <article key={apt._id} className="appointment-card">
+                      <div className="apt-datetime">
+                        <span className="apt-date">
+                          {formatInZone(apt.dateTime, apt.doctor?.timezone, { month: 'short', day: 'numeric', year: 'numeric' })}
+                        </span>
+                        <span className="apt-time"><ZonedTime date={apt.dateTime} timeZone={apt.doctor?.timezone} /></span>
+                      </div>
+                      <div className="apt-info">
+                        <h3>
+                          Dr. {apt.doctor?.user?.firstName} {apt.doctor?.user?.lastName}
+                          {apt.dependent && <span className="apt-for">For {apt.dependent.firstName}</span>}
+                        </h3>
+                        <p className="apt-reason">{apt.reason}</p>
+                        {apt.clinic && <p className="apt-location">{apt.clinic.name}</p>}
+                      </div>
+                      <div className="apt-status">
+                        <span className={`status-badge ${statusColors[apt.status]}`}>{apt.status}</span>
+                      </div>
+                      <div className="apt-actions">
+                        <button onClick={() => setReschedulingId(apt._id)} className="btn btn-sm btn-outline">Reschedule</button>
+                        {apt.allowedTransitions?.includes('cancelled') && (
+                          <button onClick={() => handleCancel(apt._id)} className="btn btn-sm btn-outline">Cancel</button>
+                        )}
+                      </div>
+                      {reschedulingId === apt._id && (
+                        <RescheduleForm appointment={apt} onDone={handleRescheduled}
+                          onCancel={() => setReschedulingId(null)} />
+                      )}
+                    </article>
+                  ))}
+                </div>
+              )}
+
+              <form onSubmit={handleBook} className="front-desk-booking">
+                <h3>New Appointment</h3>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="frontDeskDoctor">Doctor</label>
+                    <select id="frontDeskDoctor" value={doctorId} onChange={(e) => setDoctorId(e.target.value)}>
+                      {doctors.map(d => (
+                        <option key={d._id} value={d._id}>Dr. {d.user?.firstName} {d.user?.lastName} - {d.specialization}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="frontDeskType">Visit type</label>
+                    <select id="frontDeskType" value={booking.type}
+                      onChange={(e) => setBooking(prev => ({ ...prev, type: e.target.value }))}>
+                      <option value="in-person">In-person</option>
+                      <option value="video">Video</option>
+                      <option value="phone">Phone</option>
+                    </select>
+                  </div>
+                </div>
+
+                <SlotPicker doctorId={doctorId} timeZone={doctor?.timezone} selectedSlot={selectedSlot}
+                  onSelect={setSelectedSlot} refreshKey={slotsKey} />
+
+                <div className="form-group">
+                  <label htmlFor="frontDeskReason">Reason for visit</label>
+                  <input id="frontDeskReason" value={booking.reason} maxLength={500} required
+                    onChange={(e) => setBooking(prev => ({ ...prev, reason: e.target.value }))} />
+                </div>
+                <button type="submit" className="btn btn-primary" disabled={submitting || !selectedSlot}>
+                  {submitting ? 'Booking...' : 'Book Appointment'}
+                </button>
+              </form>
+            </section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
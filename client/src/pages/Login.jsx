@@ -1,16 +1,26 @@
 import { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+import RecoveryCodes from '../components/RecoveryCodes';
 
 export default function Login() {
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Set after the password step when a second factor is needed
+  const [challenge, setChallenge] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const { login, completeTwoFactor, loadUser } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
   const from = location.state?.from?.pathname || '/dashboard';
+  const notice = location.state?.message;
 
   const handleChange = (e) => {
     setFormData(prev => ({ ...prev, [e.target.name]: e.target.value }));
@@ -23,67 +33,163 @@ export default function Login() {
     setError('');
 
     try {
-      await login(formData.email, formData.password);
+      const result = await login(formData.email, formData.password);
+      if (result.twoFactorRequired) {
+        setChallenge(result);
+        // Policy requires two-factor and this account has none yet: set it up now
+        if (result.enrollmentRequired) {
+          const { data } = await authAPI.loginTwoFactorSetup(result.challengeToken);
+          setEnrollment(data.data);
+        }
+        return;
+      }
       navigate(from, { replace: true });
     } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitSecondFactor = async (factor) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await completeTwoFactor(challenge.challengeToken, factor);
+      if (data.recoveryCodes) {
+        setRecoveryCodes(data.recoveryCodes);
+        return;
+      }
+      navigate(from, { replace: true });
+    } catch (err) {
+      // The challenge expired; start over from the password
+      if (err.code === 'INVALID_2FA_CHALLENGE') {
+        setChallenge(null);
+        setEnrollment(null);
+      }
       setError(err.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    submitSecondFactor(useRecoveryCode ? { recoveryCode: code } : { code });
+  };
+
+  const handleRecoveryCodesSaved = async () => {
+    await loadUser();
+    navigate(from, { replace: true });
+  };
+
+  const renderSecondFactor = () => {
+    if (recoveryCodes) {
+      return (
+        <>
+          <RecoveryCodes codes={recoveryCodes} />
+          <button type="button" className="btn btn-primary btn-block" onClick={handleRecoveryCodesSaved}>
+            I've Saved My Codes
+          </button>
+        </>
+      );
+    }
+
+    if (challenge.enrollmentRequired) {
+      if (!enrollment) return <div className="loading">Preparing setup...</div>;
+      return (
+        <>
+          <p className="two-factor-hint">Your account type requires two-factor authentication. Set it up to continue.</p>
+          <TwoFactorSetup enrollment={enrollment} onConfirm={(setupCode) => submitSecondFactor({ code: setupCode })} submitting={loading} />
+        </>
+      );
+    }
+
+    return (
+      <form onSubmit={handleCodeSubmit} className="auth-form">
+        <div className="form-group">
+          <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+          <input
+            type="text"
+            id="code"
+            value={code}
+            onChange={(e) => { setCode(e.target.value); setError(''); }}
+            required
+            autoFocus
+            {...(useRecoveryCode
+              ? { placeholder: 'xxxxx-xxxxx', autoComplete: 'off' }
+              : { placeholder: '123456', inputMode: 'numeric', autoComplete: 'one-time-code' })}
+          />
+          <button type="button" className="link-button forgot-link"
+            onClick={() => { setUseRecoveryCode(prev => !prev); setCode(''); }}>
+            {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code instead'}
+          </button>
+        </div>
+
+        <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+          {loading ? 'Verifying...' : 'Verify'}
+        </button>
+      </form>
+    );
+  };
+
   return (
     <div className="auth-page">
       <div className="auth-container">
         <div className="auth-header">
-          <h1>Welcome Back</h1>
-          <p>Sign in to your MediReach account</p>
+          <h1>{challenge ? 'Two-Factor Authentication' : 'Welcome Back'}</h1>
+          <p>{challenge ? 'One more step to sign in' : 'Sign in to your MediReach account'}</p>
         </div>
 
+        {notice && !error && <div className="alert alert-success" role="status">{notice}</div>}
+
         {error && (
           <div className="alert alert-error" role="alert">
             {error}
           </div>
         )}
 
-        <form onSubmit={handleSubmit} className="auth-form">
-          <div className="form-group">
-            <label htmlFor="email">Email Address</label>
-            <input
-              type="email"
-              id="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              required
-              autoComplete="email"
-              placeholder="you@example.com"
-            />
-          </div>
+        {challenge ? renderSecondFactor() : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                autoComplete="email"
+                placeholder="you@example.com"
+              />
+            </div>
 
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              required
-              autoComplete="current-password"
-              placeholder="••••••••"
-              minLength={8}
-            />
-          </div>
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                autoComplete="current-password"
+                placeholder="••••••••"
+                minLength={8}
+              />
+              <Link to="/forgot-password" className="forgot-link">Forgot password?</Link>
+            </div>
 
-          <button 
-            type="submit" 
-            className="btn btn-primary btn-block"
-            disabled={loading}
-          >
-            {loading ? 'Signing in...' : 'Sign In'}
-          </button>
-        </form>
+            <button 
+              type="submit" 
+              className="btn btn-primary btn-block"
+              disabled={loading}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        )}
 
         <div className="auth-footer">
           <p>
@@ -1,41 +1,46 @@
 import { useState, useEffect } from 'react';
-import { format, startOfDay, endOfDay, addDays } from 'date-fns';
+import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { appointmentAPI } from '../services/api';
+import { appointmentAPI, reviewAPI } from '../services/api';
+import RescheduleForm from '../components/RescheduleForm';
+import ZonedTime from '../components/ZonedTime';
+import WaitlistPanel from '../components/WaitlistPanel';
+import AddToCalendar from '../components/AddToCalendar';
+import ReviewForm from '../components/ReviewForm';
+import { formatInZone } from '../utils/timezone';
+import { describeVisitPlace } from '../utils/location';
 
 const statusColors = {
   pending: 'status-pending',
   confirmed: 'status-confirmed',
   completed: 'status-completed',
-  cancelled: 'status-cancelled'
+  cancelled: 'status-cancelled',
+  'no-show': 'status-noshow'
 };
 
-export default function DoctorDashboard() {
+const tabs = [
+  { id: 'upcoming', label: 'Upcoming' },
+  { id: 'past', label: 'Past' },
+  { id: 'cancelled', label: 'Cancelled' }
+];
+
+export default function PatientDashboard() {
   const { user } = useAuth();
-  const [selectedDate, setSelectedDate] = useState(new Date());
+  const location = useLocation();
   const [appointments, setAppointments] = useState([]);
-  const [stats, setStats] = useState({ today: 0, pending: 0, total: 0 });
+  const [activeTab, setActiveTab] = useState('upcoming');
   const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(location.state?.message || '');
+  const [reschedulingId, setReschedulingId] = useState(null);
+  const [reviews, setReviews] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
 
   useEffect(() => {
     const fetchAppointments = async () => {
       setLoading(true);
       try {
-        const { data } = await appointmentAPI.getAll({
-          from: startOfDay(selectedDate).toISOString(),
-          to: endOfDay(selectedDate).toISOString()
-        });
+        const { data } = await appointmentAPI.getAll({ limit: 100 });
         setAppointments(data.data);
-
-        // Fetch stats
-        const allData = await appointmentAPI.getAll({ limit: 1000 });
-        const all = allData.data.data;
-        const today = startOfDay(new Date());
-        setStats({
-          today: all.filter(a => new Date(a.dateTime) >= today && new Date(a.dateTime) < addDays(today, 1)).length,
-          pending: all.filter(a => a.status === 'pending').length,
-          total: all.length
-        });
       } catch (err) {
         console.error('Failed to fetch appointments');
       } finally {
@@ -43,110 +48,188 @@ export default function DoctorDashboard() {
       }
     };
     fetchAppointments();
-  }, [selectedDate]);
+    // Reviews keyed by appointment, so each completed visit shows Review or Edit Review
+    reviewAPI.getMine()
+      .then(({ data }) => setReviews(Object.fromEntries(data.data.map(r => [r.appointment, r]))))
+      .catch(() => {});
+  }, []);
+
+  const handleReviewed = (appointmentId, review) => {
+    setReviewingId(null);
+    setReviews(prev => {
+      const next = { ...prev };
+      if (review) next[appointmentId] = review;
+      else delete next[appointmentId];
+      return next;
+    });
+  };
+
+  const handleCancel = async (id) => {
+    if (!window.confirm('Cancel this appointment?')) return;
+    try {
+      await appointmentAPI.cancel(id, 'Cancelled by patient');
+      setAppointments(prev => prev.map(a => a._id === id ? { ...a, status: 'cancelled', allowedTransitions: [] } : a));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to cancel appointment');
+    }
+  };
 
-  const handleStatusUpdate = async (id, status) => {
+  const handleCancelSeries = async (seriesId) => {
+    if (!window.confirm('Cancel all remaining visits in this series?')) return;
     try {
-      await appointmentAPI.update(id, { status });
-      setAppointments(prev => prev.map(a => a._id === id ? { ...a, status } : a));
+      const { data } = await appointmentAPI.cancelSeries(seriesId, 'Series cancelled by patient');
+      const { cancelled, failed } = data.data;
+      setAppointments(prev => prev.map(a => cancelled.includes(a._id) ? { ...a, status: 'cancelled', allowedTransitions: [] } : a));
+      setMessage(failed.length
+        ? `${cancelled.length} recurring appointments cancelled. ${failed.length} could not be cancelled, please contact the clinic.`
+        : `${cancelled.length} recurring appointments cancelled.`);
     } catch (err) {
-      alert('Failed to update status');
+      alert(err.response?.data?.error || 'Failed to cancel series');
     }
   };
 
-  const dates = Array.from({ length: 7 }, (_, i) => addDays(startOfDay(new Date()), i - 1));
+  // A moved series arrives as an array of appointments
+  const handleRescheduled = (updated) => {
+    const moved = [].concat(updated);
+    setReschedulingId(null);
+    setAppointments(prev => prev.map(a => moved.find(m => m._id === a._id) || a));
+    setMessage(moved.length > 1 ? `${moved.length} appointments rescheduled successfully!` : 'Appointment rescheduled successfully!');
+  };
+
+  const handleBookedFromWaitlist = (appointment) => {
+    setAppointments(prev => [appointment, ...prev]);
+    setMessage('Appointment booked from the waitlist!');
+  };
+
+  const now = new Date();
+  const isActive = (a) => ['pending', 'confirmed'].includes(a.status);
+  const filtered = appointments
+    .filter(a => {
+      if (activeTab === 'cancelled') return a.status === 'cancelled';
+      if (activeTab === 'upcoming') return isActive(a) && new Date(a.dateTime) >= now;
+      return a.status !== 'cancelled' && !(isActive(a) && new Date(a.dateTime) >= now);
+    })
+    .sort((a, b) => activeTab === 'upcoming'
+      ? new Date(a.dateTime) - new Date(b.dateTime)
+      : new Date(b.dateTime) - new Date(a.dateTime));
+
+  const upcomingCount = appointments.filter(a => isActive(a) && new Date(a.dateTime) >= now).length;
 
   return (
-    <div className="dashboard-page doctor-dashboard">
+    <div className="dashboard-page patient-dashboard">
       <header className="dashboard-header">
         <div>
-          <h1>Welcome, {user?.role === 'doctor' ? 'Dr. ' : ''}{user?.firstName}!</h1>
-          <p>Manage your schedule and appointments</p>
+          <h1>Welcome, {user?.firstName}!</h1>
+          <p>View and manage your appointments</p>
         </div>
+        <Link to="/doctors" className="btn btn-primary">Book Appointment</Link>
       </header>
 
+      {message && (
+        <div className="alert alert-success" role="status">
+          {message}
+          <button className="alert-close" onClick={() => setMessage('')} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
       <div className="dashboard-stats">
         <div className="stat-card">
-          <span className="stat-value">{stats.today}</span>
-          <span className="stat-label">Today's Appointments</span>
+          <span className="stat-value">{upcomingCount}</span>
+          <span className="stat-label">Upcoming</span>
         </div>
         <div className="stat-card">
-          <span className="stat-value">{stats.pending}</span>
-          <span className="stat-label">Pending Confirmation</span>
+          <span className="stat-value">{appointments.filter(a => a.status === 'completed').length}</span>
+          <span className="stat-label">Completed</span>
         </div>
         <div className="stat-card">
-          <span className="stat-value">{stats.total}</span>
+          <span className="stat-value">{appointments.length}</span>
           <span className="stat-label">Total Appointments</span>
         </div>
       </div>
 
-      <section className="schedule-section">
-        <h2>Schedule</h2>
-        <div className="date-nav">
-          {dates.map(date => (
-            <button key={date.toISOString()}
-              className={`date-btn ${selectedDate.toDateString() === date.toDateString() ? 'active' : ''}`}
-              onClick={() => setSelectedDate(date)}>
-              <span className="day-name">{format(date, 'EEE')}</span>
-              <span className="day-num">{format(date, 'd')}</span>
-            </button>
-          ))}
-        </div>
+      <WaitlistPanel onBooked={handleBookedFromWaitlist} />
 
-        <h3>{format(selectedDate, 'EEEE, MMMM d, yyyy')}</h3>
+      <section className="appointments-section">
+        <div className="section-header">
+          <h2>My Appointments</h2>
+          <div className="filter-tabs" role="tablist">
+            {tabs.map(tab => (
+              <button key={tab.id} role="tab" aria-selected={activeTab === tab.id}
+                className={`tab ${activeTab === tab.id ? 'active' : ''}`}
+                onClick={() => setActiveTab(tab.id)}>
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </div>
 
         {loading ? (
           <div className="loading">Loading...</div>
-        ) : appointments.length === 0 ? (
+        ) : filtered.length === 0 ? (
           <div className="empty-state">
-            <p>No appointments scheduled for this day.</p>
+            <p>No {activeTab} appointments.</p>
           </div>
         ) : (
-          <div className="appointments-timeline">
-            {appointments
-              .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
-              .map(apt => (
-                <article key={apt._id} className="timeline-item">
-                  <div className="timeline-time">
-                    {format(new Date(apt.dateTime), 'h:mm a')}
-                  </div>
-                  <div className="timeline-content">
-                    <div className="patient-info">
-                      <h4>{apt.patient?.firstName} {apt.patient?.lastName}</h4>
-                      <p className="contact">{apt.patient?.email} • {apt.patient?.phone}</p>
-                    </div>
-                    <div className="apt-details">
-                      <p><strong>Reason:</strong> {apt.reason}</p>
-                      {apt.symptoms?.length > 0 && (
-                        <p><strong>Symptoms:</strong> {apt.symptoms.join(', ')}</p>
-                      )}
-                      <span className={`apt-type type-${apt.type}`}>{apt.type}</span>
-                    </div>
-                    <div className="apt-status">
-                      <span className={`status-badge ${statusColors[apt.status]}`}>
-                        {apt.status}
-                      </span>
-                    </div>
-                    <div className="apt-actions">
-                      {apt.status === 'pending' && (
-                        <>
-                          <button onClick={() => handleStatusUpdate(apt._id, 'confirmed')}
-                            className="btn btn-sm btn-success">Confirm</button>
-                          <button onClick={() => handleStatusUpdate(apt._id, 'cancelled')}
-                            className="btn btn-sm btn-outline">Decline</button>
-                        </>
-                      )}
-                      {apt.status === 'confirmed' && (
-                        <button onClick={() => handleStatusUpdate(apt._id, 'completed')}
-                          className="btn btn-sm btn-primary">Mark Complete</button>
-                      )}
-                    </div>
-                  </div>
-                </article>
-              ))}
+          <div className="appointments-list">
+            {filtered.map(apt => (
+              <article key={apt._id} className="appointment-card">
+                <div className="apt-datetime">
+                  <span className="apt-date">
+                    {formatInZone(apt.dateTime, apt.doctor?.timezone, { month: 'short', day: 'numeric', year: 'numeric' })}
+                  </span>
+                  <span className="apt-time"><ZonedTime date={apt.dateTime} timeZone={apt.doctor?.timezone} /></span>
+                </div>
+                <div className="apt-info">
+                  <h3>
+                    Dr. {apt.doctor?.user?.firstName} {apt.doctor?.user?.lastName}
+                    {apt.dependent && <span className="apt-for">For {apt.dependent.firstName}</span>}
+                  </h3>
+                  <p className="apt-spec">{apt.doctor?.specialization?.replace('-', ' ')}</p>
+                  <p className="apt-reason">{apt.reason}</p>
+                  {apt.type === 'in-person' && (
+                    <p className="apt-location">{describeVisitPlace(apt.type, apt.clinic, apt.doctor)}</p>
+                  )}
+                  <span className={`apt-type type-${apt.type}`}>{apt.type}</span>
+                  {apt.series && <span className="apt-recurring">Recurring</span>}
+                </div>
+                <div className="apt-status">
+                  <span className={`status-badge ${statusColors[apt.status]}`}>
+                    {apt.status}
+                  </span>
+                </div>
+                <div className="apt-actions">
+                  {isActive(apt) && new Date(apt.dateTime) >= now && <AddToCalendar appointmentId={apt._id} />}
+                  {isActive(apt) && new Date(apt.dateTime) >= now && (
+                    <button onClick={() => setReschedulingId(apt._id)}
+                      className="btn btn-sm btn-outline">Reschedule</button>
+                  )}
+                  {apt.allowedTransitions?.includes('cancelled') && (
+                    <button onClick={() => handleCancel(apt._id)}
+                      className="btn btn-sm btn-outline">Cancel</button>
+                  )}
+                  {apt.series && isActive(apt) && new Date(apt.dateTime) >= now && (
+                    <button onClick={() => handleCancelSeries(apt.series)}
+                      className="btn btn-sm btn-outline">Cancel Series</button>
+                  )}
+                  {apt.status === 'completed' && (
+                    <button onClick={() => setReviewingId(apt._id)} className="btn btn-sm btn-outline">
+                      {reviews[apt._id] ? `Your Review: ${'★'.repeat(reviews[apt._id].rating)}` : 'Leave a Review'}
+                    </button>
+                  )}
+                </div>
+                {reschedulingId === apt._id && (
+                  <RescheduleForm appointment={apt} onDone={handleRescheduled}
+                    onCancel={() => setReschedulingId(null)} />
+                )}
+                {reviewingId === apt._id && (
+                  <ReviewForm appointment={apt} review={reviews[apt._id]}
+                    onDone={(review) => handleReviewed(apt._id, review)} onCancel={() => setReviewingId(null)} />
+                )}
+              </article>
+            ))}
           </div>
         )}
       </section>
     </div>
   );
-}
\ No newline at end of file
+}
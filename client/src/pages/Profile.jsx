@@ -1,12 +1,34 @@
-import { useState } from 'react';
-import { useAuth } from '../context/AuthContext';
-import { userAPI, doctorAPI } from '../services/api';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth, storeTokens } from '../context/AuthContext';
+import { userAPI, doctorAPI, clinicAPI } from '../services/api';
+import AvailabilityOverrides from '../components/AvailabilityOverrides';
+import WeeklySchedule from '../components/WeeklySchedule';
+import CalendarFeed from '../components/CalendarFeed';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import TwoFactorPolicy from '../components/TwoFactorPolicy';
+import LoginHistory from '../components/LoginHistory';
+import DependentsManager from '../components/DependentsManager';
 
 export default function Profile() {
-  const { user, isDoctor, loadUser } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const { user, isDoctor, isPatient, isStaff, isAdmin, loadUser, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'profile');
+  // Receptionists and nurses pick which assigned doctor's schedule to edit
+  const [scheduleDoctorId, setScheduleDoctorId] = useState(user?.assignedDoctors?.[0]?._id || '');
+  const scheduleDoctor = user?.assignedDoctors?.find(d => d._id === scheduleDoctorId);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: '', text: '' });
+  // Clinics a doctor can link to from their profile
+  const [allClinics, setAllClinics] = useState([]);
+
+  useEffect(() => {
+    if (!isDoctor) return;
+    clinicAPI.getAll()
+      .then(({ data }) => setAllClinics(data.data))
+      .catch(() => setAllClinics([]));
+  }, [isDoctor]);
 
   const [profileData, setProfileData] = useState({
     firstName: user?.firstName || '',
@@ -26,7 +48,20 @@ export default function Profile() {
     bio: user?.doctorProfile?.bio || '',
     consultationFee: user?.doctorProfile?.consultationFee || '',
     experience: user?.doctorProfile?.experience || '',
-    acceptingNewPatients: user?.doctorProfile?.acceptingNewPatients ?? true
+    acceptingNewPatients: user?.doctorProfile?.acceptingNewPatients ?? true,
+    appointmentTypes: user?.doctorProfile?.appointmentTypes || ['in-person', 'video', 'phone'],
+    clinics: (user?.doctorProfile?.clinics || []).map(c => c._id),
+    clinicAddress: {
+      name: user?.doctorProfile?.clinicAddress?.name || '',
+      street: user?.doctorProfile?.clinicAddress?.street || '',
+      city: user?.doctorProfile?.clinicAddress?.city || '',
+      state: user?.doctorProfile?.clinicAddress?.state || '',
+      zipCode: user?.doctorProfile?.clinicAddress?.zipCode || ''
+    },
+    // One "Degree, Institution, Year" per line
+    qualifications: (user?.doctorProfile?.qualifications || [])
+      .map(q => [q.degree, q.institution, q.year].filter(Boolean).join(', '))
+      .join('\n')
   });
 
   const handleProfileSubmit = async (e) => {
@@ -53,10 +88,12 @@ export default function Profile() {
     setLoading(true);
     setMessage({ type: '', text: '' });
     try {
-      await userAPI.updatePassword({
+      const { data } = await userAPI.updatePassword({
         currentPassword: passwordData.currentPassword,
         newPassword: passwordData.newPassword
       });
+      // Changing the password signs out every session, so keep the new one for this device
+      storeTokens(data);
       setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
       setMessage({ type: 'success', text: 'Password updated successfully' });
     } catch (err) {
@@ -66,18 +103,36 @@ export default function Profile() {
     }
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    setLoading(true);
+    try {
+      await logoutAll();
+      navigate('/login', { state: { message: 'You have been signed out on all devices.' } });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      setLoading(false);
+    }
+  };
+
   const handleDoctorSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setMessage({ type: '', text: '' });
     try {
-      await doctorAPI.updateProfile({
+      const { data } = await doctorAPI.updateProfile({
         ...doctorData,
         consultationFee: Number(doctorData.consultationFee),
-        experience: Number(doctorData.experience)
+        experience: Number(doctorData.experience),
+        qualifications: doctorData.qualifications.split('\n').filter(line => line.trim()).map(line => {
+          const [degree, institution, year] = line.split(',').map(part => part.trim());
+          return { degree, institution, ...(Number(year) && { year: Number(year) }) };
+        })
       });
       await loadUser();
-      setMessage({ type: 'success', text: 'Doctor profile updated successfully' });
+      setMessage(data.geocoded === false
+        ? { type: 'warning', text: 'Profile saved, but the clinic address could not be found on the map, so it won\'t appear in distance searches' }
+        : { type: 'success', text: 'Doctor profile updated successfully' });
     } catch (err) {
       setMessage({ type: 'error', text: err.message });
     } finally {
@@ -99,11 +154,32 @@ export default function Profile() {
           <button role="tab" aria-selected={activeTab === 'password'}
             className={activeTab === 'password' ? 'active' : ''}
             onClick={() => setActiveTab('password')}>Password</button>
+          <button role="tab" aria-selected={activeTab === 'security'}
+            className={activeTab === 'security' ? 'active' : ''}
+            onClick={() => setActiveTab('security')}>Security</button>
+          <button role="tab" aria-selected={activeTab === 'calendar'}
+            className={activeTab === 'calendar' ? 'active' : ''}
+            onClick={() => setActiveTab('calendar')}>Calendar</button>
+          {isPatient && (
+            <button role="tab" aria-selected={activeTab === 'family'}
+              className={activeTab === 'family' ? 'active' : ''}
+              onClick={() => setActiveTab('family')}>Family</button>
+          )}
           {isDoctor && (
             <button role="tab" aria-selected={activeTab === 'doctor'}
               className={activeTab === 'doctor' ? 'active' : ''}
               onClick={() => setActiveTab('doctor')}>Doctor Settings</button>
           )}
+          {isDoctor && (
+            <button role="tab" aria-selected={activeTab === 'availability'}
+              className={activeTab === 'availability' ? 'active' : ''}
+              onClick={() => setActiveTab('availability')}>Availability</button>
+          )}
+          {isStaff && (
+            <button role="tab" aria-selected={activeTab === 'schedules'}
+              className={activeTab === 'schedules' ? 'active' : ''}
+              onClick={() => setActiveTab('schedules')}>Schedules</button>
+          )}
         </nav>
 
         <div className="profile-content">
@@ -178,9 +254,29 @@ export default function Profile() {
               <button type="submit" className="btn btn-primary" disabled={loading}>
                 {loading ? 'Updating...' : 'Update Password'}
               </button>
+
+              <div className="sessions-section">
+                <h2>Signed-in Devices</h2>
+                <p>Lost a device or signed in somewhere you shouldn't have? Sign out everywhere at once.</p>
+                <button type="button" className="btn btn-outline" onClick={handleLogoutAll} disabled={loading}>
+                  Sign Out All Devices
+                </button>
+              </div>
             </form>
           )}
 
+          {activeTab === 'security' && (
+            <>
+              <TwoFactorSettings />
+              {isAdmin && <TwoFactorPolicy />}
+              <LoginHistory />
+            </>
+          )}
+
+          {activeTab === 'calendar' && <CalendarFeed />}
+
+          {activeTab === 'family' && isPatient && <DependentsManager />}
+
           {activeTab === 'doctor' && isDoctor && (
             <form onSubmit={handleDoctorSubmit} className="settings-form">
               <h2>Doctor Profile</h2>
@@ -204,6 +300,43 @@ export default function Profile() {
                     min="0" required />
                 </div>
               </div>
+              {allClinics.length > 0 && (
+                <fieldset className="form-group checkbox-group">
+                  <legend>Clinics you work at</legend>
+                  {allClinics.map(clinic => (
+                    <label key={clinic._id} className="checkbox-label">
+                      <input type="checkbox" checked={doctorData.clinics.includes(clinic._id)}
+                        onChange={(e) => setDoctorData(p => ({
+                          ...p,
+                          clinics: e.target.checked
+                            ? [...p.clinics, clinic._id]
+                            : p.clinics.filter(id => id !== clinic._id)
+                        }))} />
+                      <span>{clinic.name} ({clinic.address?.city})</span>
+                    </label>
+                  ))}
+                  <p className="form-hint">Pick which clinic each block of hours is at under Availability.</p>
+                </fieldset>
+              )}
+              <fieldset className="form-group clinic-address">
+                <legend>Main Practice Address</legend>
+                {[
+                  ['name', 'Clinic name'], ['street', 'Street'], ['city', 'City'], ['state', 'County / State'], ['zipCode', 'Postal code']
+                ].map(([field, label]) => (
+                  <div key={field} className="form-group">
+                    <label htmlFor={`clinic-${field}`}>{label}</label>
+                    <input id={`clinic-${field}`} value={doctorData.clinicAddress[field]}
+                      onChange={(e) => setDoctorData(p => ({ ...p, clinicAddress: { ...p.clinicAddress, [field]: e.target.value } }))} />
+                  </div>
+                ))}
+                <p className="form-hint">Used to place you on the map for patients searching near them.</p>
+              </fieldset>
+              <div className="form-group">
+                <label htmlFor="qualifications">Qualifications</label>
+                <textarea id="qualifications" rows="3" value={doctorData.qualifications}
+                  onChange={(e) => setDoctorData(p => ({ ...p, qualifications: e.target.value }))}
+                  placeholder="One per line: Degree, Institution, Year" />
+              </div>
               <div className="form-group">
                 <label className="checkbox-label">
                   <input type="checkbox" checked={doctorData.acceptingNewPatients}
@@ -211,11 +344,65 @@ export default function Profile() {
                   <span>Accepting new patients</span>
                 </label>
               </div>
+              <fieldset className="form-group checkbox-group">
+                <legend>Visit types offered</legend>
+                {[['in-person', 'In person'], ['video', 'Video'], ['phone', 'Phone']].map(([type, label]) => (
+                  <label key={type} className="checkbox-label">
+                    <input type="checkbox" checked={doctorData.appointmentTypes.includes(type)}
+                      onChange={(e) => setDoctorData(p => ({
+                        ...p,
+                        appointmentTypes: e.target.checked
+                          ? [...p.appointmentTypes, type]
+                          : p.appointmentTypes.filter(t => t !== type)
+                      }))} />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </fieldset>
               <button type="submit" className="btn btn-primary" disabled={loading}>
                 {loading ? 'Saving...' : 'Save Changes'}
               </button>
             </form>
           )}
+
+          {activeTab === 'availability' && isDoctor && (
+            <>
+              <WeeklySchedule availability={user?.doctorProfile?.availability}
+                slotDuration={user?.doctorProfile?.slotDuration} timezone={user?.doctorProfile?.timezone}
+                clinics={user?.doctorProfile?.clinics} onSaved={loadUser} />
+              <AvailabilityOverrides overrides={user?.doctorProfile?.availabilityOverrides}
+                clinics={user?.doctorProfile?.clinics} onSaved={loadUser} />
+            </>
+          )}
+
+          {activeTab === 'schedules' && isStaff && (
+            !user?.assignedDoctors?.length ? (
+              <p className="empty-state">You aren't assigned to any doctors yet. Ask an administrator to assign you.</p>
+            ) : (
+              <>
+                <div className="form-group schedule-doctor-picker">
+                  <label htmlFor="scheduleDoctor">Doctor</label>
+                  <select id="scheduleDoctor" value={scheduleDoctorId} onChange={(e) => setScheduleDoctorId(e.target.value)}>
+                    {user.assignedDoctors.map(doctor => (
+                      <option key={doctor._id} value={doctor._id}>
+                        Dr. {doctor.user?.firstName} {doctor.user?.lastName} - {doctor.specialization}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {/* Keyed so the editors reset when another doctor is picked */}
+                {scheduleDoctor && (
+                  <div key={scheduleDoctor._id}>
+                    <WeeklySchedule availability={scheduleDoctor.availability} slotDuration={scheduleDoctor.slotDuration}
+                      timezone={scheduleDoctor.timezone} clinics={scheduleDoctor.clinics}
+                      doctorId={scheduleDoctor._id} onSaved={loadUser} />
+                    <AvailabilityOverrides overrides={scheduleDoctor.availabilityOverrides} clinics={scheduleDoctor.clinics}
+                      doctorId={scheduleDoctor._id} onSaved={loadUser} />
+                  </div>
+                )}
+              </>
+            )
+          )}
         </div>
       </div>
     </div>
@@ -158,8 +158,15 @@ export default function Register() {
       });
 
       // ✅ Call backend
-      await register(payload);
+      const result = await register(payload);
       console.log('✅ [FRONTEND] Registration successful!');
+      if (result.twoFactorRequired) {
+        navigate('/login', {
+          replace: true,
+          state: { message: 'Your account has been created. Sign in to set up two-factor authentication.' }
+        });
+        return;
+      }
       navigate('/dashboard');
     } catch (err) {
       // ✅ Log and display backend errors
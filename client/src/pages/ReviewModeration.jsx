@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { reviewAPI } from '../services/api';
+
+// Admin moderation: settle flagged reviews, or restore hidden ones
+export default function ReviewModeration() {
+  const [status, setStatus] = useState('flagged');
+  const [reviews, setReviews] = useState(null);
+  const [reasons, setReasons] = useState({});
+  const [message, setMessage] = useState({ type: '', text: '' });
+
+  useEffect(() => {
+    setReviews(null);
+    reviewAPI.getModerationQueue({ status })
+      .then(({ data }) => setReviews(data.data))
+      .catch(() => setMessage({ type: 'error', text: 'Failed to load reviews' }));
+  }, [status]);
+
+  const moderate = async (review, to) => {
+    setMessage({ type: '', text: '' });
+    try {
+      await reviewAPI.moderate(review._id, to, reasons[review._id] || '');
+      setReviews(prev => prev.filter(r => r._id !== review._id));
+      setMessage({ type: 'success', text: to === 'hidden' ? 'Review hidden' : 'Review published' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Failed to moderate review' });
+    }
+  };
+
+  return (
+    <div className="dashboard-page review-moderation">
+      <header className="dashboard-header">
+        <div>
+          <h1>Review Moderation</h1>
+          <p>Hidden reviews are left out of listings and doctors' ratings</p>
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Reviews to show">
+          <option value="flagged">Flagged</option>
+          <option value="hidden">Hidden</option>
+        </select>
+      </header>
+
+      {message.text && <div className={`alert alert-${message.type}`} role="status">{message.text}</div>}
+      {!reviews && !message.text && <div className="loading">Loading...</div>}
+      {reviews?.length === 0 && <p className="empty-state">No {status} reviews.</p>}
+
+      <div className="verification-list">
+        {reviews?.map(review => (
+          <article key={review._id} className="settings-form">
+            <div className="review-header">
+              <span className="stars">{'★'.repeat(review.rating)}{'☆'.repeat(5 - review.rating)}</span>
+              <strong>{review.patient?.firstName} {review.patient?.lastName}</strong>
+              <span className="review-date">
+                on <Link to={`/doctors/${review.doctor?._id}`}>Dr. {review.doctor?.user?.firstName} {review.doctor?.user?.lastName}</Link>
+                {' · '}{new Date(review.createdAt).toLocaleDateString()}
+              </span>
+            </div>
+            {review.comment && <p>{review.comment}</p>}
+
+            {review.flags?.length > 0 && (
+              <ul className="verification-history">
+                {review.flags.map((flag, i) => (
+                  <li key={i}>
+                    Flagged by {flag.by ? `${flag.by.firstName} ${flag.by.lastName} (${flag.by.role})` : 'a deleted user'}
+                    {flag.reason && `: ${flag.reason}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {review.moderation?.reason && <p className="login-meta">Hidden because: {review.moderation.reason}</p>}
+
+            <div className="form-group">
+              <label htmlFor={`moderation-${review._id}`}>Note (kept with the decision)</label>
+              <input id={`moderation-${review._id}`} maxLength={500} value={reasons[review._id] || ''}
+                onChange={(e) => setReasons(prev => ({ ...prev, [review._id]: e.target.value }))} />
+            </div>
+            <div className="calendar-feed-actions">
+              {status === 'flagged' && (
+                <button className="btn btn-sm btn-primary" onClick={() => moderate(review, 'hidden')}>Hide</button>
+              )}
+              <button className="btn btn-sm btn-outline" onClick={() => moderate(review, 'published')}>
+                {status === 'flagged' ? 'Keep Published' : 'Publish Again'}
+              </button>
+            </div>
+          </article>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, loadUser } = useAuth();
+  const [result, setResult] = useState({ type: token ? '' : 'error', text: token ? '' : 'This confirmation link is incomplete.' });
+
+  useEffect(() => {
+    if (!token) return;
+    authAPI.verifyEmail(token)
+      .then(({ data }) => {
+        setResult({ type: 'success', text: data.message });
+        // Refresh the signed-in user, if any, so the banner goes away
+        loadUser();
+      })
+      .catch((err) => setResult({
+        type: 'error',
+        text: err.response?.data?.error || 'Failed to confirm your email address'
+      }));
+  }, [token, loadUser]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Confirm Email</h1>
+        </div>
+
+        {result.text ? (
+          <div className={`alert alert-${result.type}`} role="status">{result.text}</div>
+        ) : (
+          <div className="loading">Confirming...</div>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            {isAuthenticated ? <Link to="/dashboard">Go to your dashboard</Link> : <Link to="/login">Sign in</Link>}
+          </p>
+          {result.type === 'error' && isAuthenticated && (
+            <p>You can request a new link from the banner at the top of the page.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
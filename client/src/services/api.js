@@ -1,12 +1,60 @@
 import api from './axios';
 
+// Auth API (login and register live in AuthContext)
+export const authAPI = {
+  forgotPassword: (email) => api.post('/api/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/api/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/api/auth/verify-email', { token }),
+  resendVerification: () => api.post('/api/auth/resend-verification'),
+  loginTwoFactorSetup: (challengeToken) => api.post('/api/auth/login/2fa/setup', { challengeToken })
+};
+
+// Two-factor authentication settings for the signed-in user
+export const twoFactorAPI = {
+  getStatus: () => api.get('/api/auth/2fa'),
+  setup: () => api.post('/api/auth/2fa/setup'),
+  enable: (code) => api.post('/api/auth/2fa/enable', { code }),
+  disable: (data) => api.post('/api/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/api/auth/2fa/recovery-codes', { code }),
+  getPolicy: () => api.get('/api/auth/2fa/policy'),
+  updatePolicy: (twoFactorRequiredRoles) => api.put('/api/auth/2fa/policy', { twoFactorRequiredRoles })
+};
+
 // Doctor API
 export const doctorAPI = {
   getAll: (params) => api.get('/api/doctors', { params }),
   getById: (id) => api.get(`/api/doctors/${id}`),
   getSlots: (id, date) => api.get(`/api/doctors/${id}/slots`, { params: { date } }),
+  holdSlot: (id, dateTime) => api.post(`/api/doctors/${id}/slots/hold`, { dateTime }),
+  releaseHold: (id) => api.delete(`/api/doctors/${id}/slots/hold`),
   updateProfile: (data) => api.put('/api/doctors/profile', data),
-  updateAvailability: (data) => api.put('/api/doctors/availability', data)
+  // Without doctorId, the signed-in doctor's own schedule; with it, a doctor the user manages
+  updateAvailability: (data, doctorId) => api.put(doctorId ? `/api/doctors/${doctorId}/availability` : '/api/doctors/availability', data),
+  // Admin review of new doctor profiles
+  getVerificationQueue: (params) => api.get('/api/doctors/verification', { params }),
+  verify: (id, decision, reason) => api.put(`/api/doctors/${id}/verification`, { decision, reason })
+};
+
+// Clinic API (changes are admin only)
+export const clinicAPI = {
+  getAll: (params) => api.get('/api/clinics', { params }),
+  getById: (id) => api.get(`/api/clinics/${id}`),
+  create: (data) => api.post('/api/clinics', data),
+  update: (id, data) => api.put(`/api/clinics/${id}`, data),
+  remove: (id) => api.delete(`/api/clinics/${id}`)
+};
+
+// Review API
+export const reviewAPI = {
+  getForDoctor: (doctorId, params) => api.get(`/api/doctors/${doctorId}/reviews`, { params }),
+  getMine: () => api.get('/api/reviews/mine'),
+  create: (data) => api.post('/api/reviews', data),
+  update: (id, data) => api.put(`/api/reviews/${id}`, data),
+  remove: (id) => api.delete(`/api/reviews/${id}`),
+  reply: (id, text) => api.put(`/api/reviews/${id}/reply`, { text }),
+  flag: (id, reason) => api.post(`/api/reviews/${id}/flag`, { reason }),
+  getModerationQueue: (params) => api.get('/api/reviews/moderation', { params }),
+  moderate: (id, status, reason) => api.put(`/api/reviews/${id}/moderation`, { status, reason })
 };
 
 // Appointment API
@@ -15,13 +63,48 @@ export const appointmentAPI = {
   getAll: (params) => api.get('/api/appointments', { params }),
   getById: (id) => api.get(`/api/appointments/${id}`),
   update: (id, data) => api.put(`/api/appointments/${id}`, data),
-  cancel: (id, reason) => api.delete(`/api/appointments/${id}`, { data: { reason } })
+  reschedule: (id, data) => api.post(`/api/appointments/${id}/reschedule`, data),
+  cancel: (id, reason) => api.delete(`/api/appointments/${id}`, { data: { reason } }),
+  downloadIcs: (id) => api.get(`/api/appointments/${id}/ics`, { responseType: 'blob' }),
+  createSeries: (data) => api.post('/api/appointments/series', data),
+  getSeries: (id) => api.get(`/api/appointments/series/${id}`),
+  rescheduleSeries: (id, data) => api.post(`/api/appointments/series/${id}/reschedule`, data),
+  cancelSeries: (id, reason) => api.delete(`/api/appointments/series/${id}`, { data: { reason } })
+};
+
+// Family members the signed-in patient books for
+export const dependentAPI = {
+  getAll: () => api.get('/api/users/me/dependents'),
+  create: (data) => api.post('/api/users/me/dependents', data),
+  update: (id, data) => api.put(`/api/users/me/dependents/${id}`, data),
+  remove: (id) => api.delete(`/api/users/me/dependents/${id}`)
+};
+
+// Patient records at the front desk (receptionists and admins)
+export const patientAPI = {
+  search: (q) => api.get('/api/patients', { params: { q } }),
+  create: (data) => api.post('/api/patients', data)
+};
+
+// Calendar API
+export const calendarAPI = {
+  getFeed: () => api.get('/api/calendar/feed'),
+  rotateFeed: () => api.post('/api/calendar/feed/rotate')
+};
+
+// Waitlist API
+export const waitlistAPI = {
+  join: (data) => api.post('/api/waitlist', data),
+  getMine: () => api.get('/api/waitlist'),
+  decline: (id) => api.post(`/api/waitlist/${id}/decline`),
+  leave: (id) => api.delete(`/api/waitlist/${id}`)
 };
 
 // User API
 export const userAPI = {
   updateProfile: (data) => api.put('/api/users/profile', data),
-  updatePassword: (data) => api.put('/api/users/password', data)
+  updatePassword: (data) => api.put('/api/users/password', data),
+  getMyLogins: () => api.get('/api/users/me/logins')
 };
 
 export default api;
\ No newline at end of file
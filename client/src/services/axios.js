@@ -37,6 +37,43 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints answer 401 for bad credentials or tokens; refreshing can't help there
+const SKIP_REFRESH = [
+  '/api/auth/login', '/api/auth/login/2fa', '/api/auth/login/2fa/setup',
+  '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'
+];
+
+// One refresh at a time; concurrent 401s wait for the same result
+let refreshing = null;
+
+const refreshTokens = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Plain axios, so a failed refresh doesn't re-enter these interceptors
+    refreshing = axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+      })
+      .catch((err) => {
+        // Another tab rotated the token first; use what it stored
+        if (localStorage.getItem('refreshToken') !== refreshToken) return localStorage.getItem('token');
+        throw err;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+};
+
+const signOut = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
 // Response interceptor - handle errors and logging
 api.interceptors.response.use(
   (response) => {
@@ -46,12 +83,23 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
-    // Handle 401 unauthorized - redirect to login
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
+  async (error) => {
+    const config = error.config;
+
+    // Handle 401 unauthorized - refresh the access token once and retry
+    if (error.response?.status === 401 && config && !config._retried && !SKIP_REFRESH.includes(config.url)) {
+      if (!localStorage.getItem('refreshToken')) {
+        signOut();
+        return Promise.reject(error);
+      }
+      try {
+        const token = await refreshTokens();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        signOut();
+        return Promise.reject(error);
       }
     }
     
@@ -0,0 +1,25 @@
+/**
+ * Location helpers
+ *
+ * A visit happens at one of the doctor's clinics, or at the doctor's own
+ * clinicAddress when no clinic is given (older schedules and bookings).
+ */
+
+// "12 Waiyaki Way, Nairobi, 00100"
+export const formatAddress = (address = {}) =>
+  [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+
+// { name, address, phone } for a slot or appointment's clinic, falling back to the doctor's clinicAddress
+export const visitPlace = (clinic, doctor) => {
+  if (clinic?.name) return { name: clinic.name, address: formatAddress(clinic.address), phone: clinic.phone };
+  const address = doctor?.clinicAddress;
+  return { name: address?.name || 'Main practice', address: formatAddress(address) };
+};
+
+// One line for summaries: "Westlands Clinic, 12 Waiyaki Way, Nairobi", or the remote visit type
+export const describeVisitPlace = (type, clinic, doctor) => {
+  if (type === 'video') return 'Video consultation';
+  if (type === 'phone') return 'Phone consultation';
+  const place = visitPlace(clinic, doctor);
+  return [place.name, place.address].filter(Boolean).join(', ');
+};
@@ -0,0 +1,32 @@
+/**
+ * Timezone helpers
+ *
+ * The API sends every time as a UTC instant; these helpers render an instant
+ * in a given IANA zone (the clinic's or the viewer's) using Intl only.
+ */
+
+export const viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Format an instant in a zone, e.g. formatInZone(date, 'Africa/Nairobi', { hour: 'numeric', minute: '2-digit' })
+export const formatInZone = (date, timeZone, options) =>
+  new Intl.DateTimeFormat('en-US', { timeZone, ...options }).format(new Date(date));
+
+// Short zone label for an instant, e.g. "EAT" or "GMT+3"
+export const zoneName = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(date))
+    .find(p => p.type === 'timeZoneName')?.value || timeZone;
+
+// Whether two zones show a different wall-clock time for an instant
+export const differsFromViewer = (date, timeZone) =>
+  Boolean(timeZone) && timeZone !== viewerTimeZone &&
+  formatInZone(date, timeZone, { dateStyle: 'short', timeStyle: 'short' }) !==
+    formatInZone(date, viewerTimeZone, { dateStyle: 'short', timeStyle: 'short' });
+
+// "YYYY-MM-DD" for an instant as seen in a zone
+export const dateInZone = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(date));
+
+// All IANA zones the browser knows, for pickers
+export const supportedTimeZones = () =>
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [viewerTimeZone];
@@ -6,6 +6,12 @@
  * - GET /api/appointments (list appointments)
  * - GET /api/appointments/:id (get single appointment)
  * - PUT /api/appointments/:id (update appointment)
+ * - POST /api/appointments/:id/reschedule (reschedule appointment)
+ * - Overlap and concurrent double-booking protection
+ * - POST /api/doctors/:id/slots/hold (checkout holds)
+ * - /api/appointments/series (recurring series: book, cancel, reschedule)
+ * - Receptionist and nurse access (utils/permissions.js)
+ * - Booking for a family member (dependent)
  * - DELETE /api/appointments/:id (cancel appointment)
  */
 
@@ -23,6 +29,12 @@ const {
 
 // Import necessary modules
 const appointmentRoutes = require('../routes/appointments');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const SlotHold = require('../models/SlotHold');
+const SlotLock = require('../models/SlotLock');
+const Dependent = require('../models/Dependent');
 const authMiddleware = require('../middleware/auth');
 
 // Create a minimal Express app for testing
@@ -41,6 +53,7 @@ app.use((req, res, next) => {
 
 // Use the actual appointment routes
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/doctors', require('../routes/doctors'));
 
 describe('🏥 Appointment Routes', () => {
   let patientToken, doctorToken;
@@ -399,6 +412,803 @@ describe('🏥 Appointment Routes', () => {
     });
   });
 
+  // ============================================
+  // 🚦 STATUS TRANSITIONS
+  // ============================================
+
+  describe('PUT /api/appointments/:id - Status Transitions', () => {
+    /**
+     * Test: Doctor confirms a pending appointment
+     * 
+     * Scenario: Doctor accepts a booking
+     * Expected: 200, status confirmed and transition recorded with actor
+     */
+    it('should record actor and reason when doctor confirms', async () => {
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(4)
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(doctorToken))
+        .send({ status: 'confirmed', reason: 'Slot reviewed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('confirmed');
+      const lastChange = response.body.data.statusHistory.slice(-1)[0];
+      expect(lastChange).toMatchObject({ from: 'pending', to: 'confirmed', role: 'doctor', reason: 'Slot reviewed' });
+      expect(lastChange.changedBy).toEqual(doctorUser._id.toString());
+      expect(response.body.data.allowedTransitions).toEqual(expect.arrayContaining(['cancelled']));
+    });
+
+    /**
+     * Test: Cancelled appointments cannot be reopened
+     * 
+     * Scenario: Doctor tries to mark a cancelled visit completed
+     * Expected: 409 with structured transition error
+     */
+    it('should return 409 when reopening a cancelled appointment', async () => {
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(4),
+        status: 'cancelled'
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(doctorToken))
+        .send({ status: 'completed' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(response.body.details).toEqual({ from: 'cancelled', to: 'completed', allowed: [] });
+    });
+
+    /**
+     * Test: No-show only after the appointment time
+     * 
+     * Scenario: Doctor marks a future confirmed visit as no-show
+     * Expected: 409 status
+     */
+    it('should not allow no-show before the appointment starts', async () => {
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(4),
+        status: 'confirmed'
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(doctorToken))
+        .send({ status: 'no-show' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('before it starts');
+    });
+
+    /**
+     * Test: Patients cannot confirm their own bookings
+     * 
+     * Scenario: Patient sends status=confirmed
+     * Expected: 409 and status unchanged
+     */
+    it('should not allow patient to confirm an appointment', async () => {
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(4)
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(patientToken))
+        .send({ status: 'confirmed' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.details.allowed).toEqual(['cancelled']);
+    });
+  });
+
+  // ============================================
+  // 🔁 POST /api/appointments/:id/reschedule - RESCHEDULE TESTS
+  // ============================================
+
+  describe('POST /api/appointments/:id/reschedule - Reschedule Appointment', () => {
+    /**
+     * Test: Patient moves appointment to a new slot
+     * 
+     * Scenario: Patient reschedules a pending appointment
+     * Expected: 200 with new times and the previous time kept in history
+     */
+    it('should move appointment and record previous time in history', async () => {
+      const originalDate = getFutureDate(2);
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: originalDate,
+        notes: { patient: 'Keep these notes' }
+      });
+      const newDate = getFutureDate(26);
+
+      const response = await request(app)
+        .post(`/api/appointments/${appointment._id}/reschedule`)
+        .set(getAuthHeaders(patientToken))
+        .send({ dateTime: newDate, reason: 'Work conflict' });
+
+      expect(response.status).toBe(200);
+      expect(new Date(response.body.data.dateTime).getTime()).toBe(newDate.getTime());
+      expect(new Date(response.body.data.endTime).getTime()).toBe(newDate.getTime() + 30 * 60 * 1000);
+      expect(response.body.data.notes.patient).toBe('Keep these notes');
+      expect(response.body.data.rescheduleHistory).toHaveLength(1);
+      expect(new Date(response.body.data.rescheduleHistory[0].dateTime).getTime()).toBe(originalDate.getTime());
+    });
+
+    /**
+     * Test: Reject moving onto a booked slot
+     * 
+     * Scenario: Another appointment already occupies the target slot
+     * Expected: 400 and the original appointment is unchanged
+     */
+    it('should not reschedule into an unavailable slot', async () => {
+      const takenDate = getFutureDate(5);
+      await createTestAppointment(patientUser, doctorProfile._id, { dateTime: takenDate });
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(3)
+      });
+
+      const response = await request(app)
+        .post(`/api/appointments/${appointment._id}/reschedule`)
+        .set(getAuthHeaders(patientToken))
+        .send({ dateTime: takenDate });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain('not available');
+    });
+
+    /**
+     * Test: Cancelled appointments cannot be rescheduled
+     * 
+     * Scenario: Patient tries to reschedule a cancelled appointment
+     * Expected: 400 status
+     */
+    it('should not reschedule a cancelled appointment', async () => {
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(2),
+        status: 'cancelled'
+      });
+
+      const response = await request(app)
+        .post(`/api/appointments/${appointment._id}/reschedule`)
+        .set(getAuthHeaders(patientToken))
+        .send({ dateTime: getFutureDate(30) });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // 🔒 DOUBLE-BOOKING PROTECTION
+  // ============================================
+
+  describe('Double-booking protection', () => {
+    const book = (token, doctorId, dateTime) => request(app)
+      .post('/api/appointments')
+      .set(getAuthHeaders(token))
+      .send({ doctorId, dateTime, reason: 'Checkup' });
+
+    /**
+     * Test: Parallel bookings of the same slot by different patients
+     * 
+     * Scenario: Five patients submit the same slot at the same moment
+     * Expected: Exactly one 201, the rest 409, one appointment stored
+     */
+    it('should accept only one of several parallel bookings for the same slot', async () => {
+      const slot = getFutureDate(6);
+      const patients = await Promise.all(
+        [1, 2, 3, 4, 5].map(i => createTestPatient({ email: `parallel_${i}_${Date.now()}@test.com` }))
+      );
+
+      const responses = await Promise.all(patients.map(p => book(p.token, doctorProfile._id, slot)));
+      const statuses = responses.map(r => r.status).sort();
+
+      expect(statuses).toEqual([201, 409, 409, 409, 409]);
+      expect(responses.filter(r => r.status === 409).every(r => r.body.code === 'SLOT_CONFLICT')).toBe(true);
+      expect(await Appointment.countDocuments({ doctor: doctorProfile._id, status: { $ne: 'cancelled' } })).toBe(1);
+    });
+
+    /**
+     * Test: Parallel overlapping (not identical) bookings
+     * 
+     * Scenario: 45-minute slots; bookings at :00 and :30 race each other
+     * Expected: Only one succeeds because the intervals overlap
+     */
+    it('should reject overlapping intervals booked in parallel', async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, { slotDuration: 45 });
+      const first = getFutureDate(8);
+      const second = new Date(first.getTime() + 30 * 60 * 1000);
+      const other = await createTestPatient({ email: `overlap_${Date.now()}@test.com` });
+
+      const responses = await Promise.all([
+        book(patientToken, doctorProfile._id, first),
+        book(other.token, doctorProfile._id, second)
+      ]);
+
+      expect(responses.map(r => r.status).sort()).toEqual([201, 409]);
+    });
+
+    /**
+     * Test: Overlap with an existing longer appointment
+     * 
+     * Scenario: Existing 09:00-09:45 visit, new booking at 09:30
+     * Expected: 409 even though the start times differ
+     */
+    it('should reject a booking that starts inside an existing appointment', async () => {
+      const start = getFutureDate(10);
+      await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: start,
+        endTime: new Date(start.getTime() + 45 * 60 * 1000)
+      });
+      const other = await createTestPatient({ email: `inside_${Date.now()}@test.com` });
+
+      const response = await book(other.token, doctorProfile._id, new Date(start.getTime() + 30 * 60 * 1000));
+
+      expect(response.status).toBe(409);
+    });
+
+    /**
+     * Test: Patient cannot hold overlapping visits with different doctors
+     * 
+     * Scenario: Patient books doctor A, then doctor B at the same time
+     * Expected: Second booking rejected with a patient-specific message
+     */
+    it('should stop a patient from booking two doctors at the same time', async () => {
+      const slot = getFutureDate(12);
+      const otherDoctor = await createTestDoctor(
+        { email: `second_doctor_${Date.now()}@test.com` },
+        { specialization: 'dermatology', licenseNumber: `LIC-${Date.now()}` }
+      );
+
+      const firstResponse = await book(patientToken, doctorProfile._id, slot);
+      const secondResponse = await book(patientToken, otherDoctor.doctor._id, slot);
+
+      expect(firstResponse.status).toBe(201);
+      expect(secondResponse.status).toBe(409);
+      expect(secondResponse.body.error).toContain('another appointment');
+    });
+
+    /**
+     * Test: Cancelling frees the slot
+     * 
+     * Scenario: Book, cancel, then book the same slot again
+     * Expected: Second booking succeeds
+     */
+    it('should free the slot when the appointment is cancelled', async () => {
+      const slot = getFutureDate(14);
+      const first = await book(patientToken, doctorProfile._id, slot);
+
+      await request(app)
+        .delete(`/api/appointments/${first.body.data._id}`)
+        .set(getAuthHeaders(patientToken));
+      const second = await book(patientToken, doctorProfile._id, slot);
+
+      expect(second.status).toBe(201);
+    });
+
+    /**
+     * Test: Orphaned locks
+     *
+     * Scenario: One slot is still locked by an appointment that was cancelled without releasing
+     *           its locks, another by a booking that was never written
+     * Expected: Both slots can be booked again; a fresh lock without its appointment still blocks
+     */
+    it('should not let orphaned locks block a slot', async () => {
+      const cancelledSlot = getFutureDate(16);
+      const missingSlot = getFutureDate(18);
+      const inFlightSlot = getFutureDate(20);
+      const other = await createTestPatient({ email: `orphan_${Date.now()}@test.com` });
+
+      const first = await book(patientToken, doctorProfile._id, cancelledSlot);
+      await Appointment.updateOne({ _id: first.body.data._id }, { status: 'cancelled' });
+
+      const lockWithoutAppointment = async (start, createdAt) => {
+        const appointment = new mongoose.Types.ObjectId();
+        const block = new Date(start.getTime() - start.getTime() % (SlotLock.BLOCK_MINUTES * 60 * 1000));
+        await SlotLock.collection.insertMany(SlotLock.resourcesFor(doctorProfile._id, patientUser._id).map(resource => ({
+          resource, block, appointment, createdAt, updatedAt: createdAt
+        })));
+      };
+      await lockWithoutAppointment(missingSlot, new Date(Date.now() - 10 * 60 * 1000));
+      await lockWithoutAppointment(inFlightSlot, new Date());
+
+      expect((await book(other.token, doctorProfile._id, cancelledSlot)).status).toBe(201);
+      expect((await book(other.token, doctorProfile._id, missingSlot)).status).toBe(201);
+      expect((await book(other.token, doctorProfile._id, inFlightSlot)).status).toBe(409);
+    });
+  });
+
+  // ============================================
+  // ⏳ CHECKOUT HOLDS
+  // ============================================
+
+  describe('POST /api/doctors/:id/slots/hold - Checkout holds', () => {
+    // A week out at 10:00 UTC, inside the 09:00-17:00 UTC schedule set below
+    const dateStr = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const slot = `${dateStr}T10:00:00.000Z`;
+    let other;
+
+    const hold = (token) => request(app)
+      .post(`/api/doctors/${doctorProfile._id}/slots/hold`)
+      .set(getAuthHeaders(token))
+      .send({ dateTime: slot });
+    const slotsFor = (token) => request(app)
+      .get(`/api/doctors/${doctorProfile._id}/slots?date=${dateStr}`)
+      .set(getAuthHeaders(token));
+    const book = (token) => request(app)
+      .post('/api/appointments')
+      .set(getAuthHeaders(token))
+      .send({ doctorId: doctorProfile._id, dateTime: slot, reason: 'Checkup' });
+
+    beforeEach(async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        timezone: 'UTC',
+        slotDuration: 30,
+        availability: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime: '09:00', endTime: '17:00' })),
+        availabilityOverrides: []
+      });
+      await SlotHold.deleteMany({});
+      other = await createTestPatient({ email: `holder_${Date.now()}@test.com` });
+    });
+
+    /**
+     * Test: Held slot hidden from other patients
+     * 
+     * Scenario: Patient holds 10:00, then both patients list slots
+     * Expected: Holder still sees 10:00, the other patient does not
+     */
+    it('should hide a held slot from other patients only', async () => {
+      const response = await hold(patientToken);
+      expect(response.status).toBe(201);
+      expect(new Date(response.body.data.expiresAt) > new Date()).toBe(true);
+
+      const own = await slotsFor(patientToken);
+      const others = await slotsFor(other.token);
+
+      expect(own.body.data.map(s => s.dateTime)).toContain(slot);
+      expect(others.body.data.map(s => s.dateTime)).not.toContain(slot);
+    });
+
+    /**
+     * Test: Competing hold and booking
+     * 
+     * Scenario: Second patient tries to hold and then book a held slot
+     * Expected: Both rejected with 409 SLOT_HELD
+     */
+    it('should stop other patients from holding or booking a held slot', async () => {
+      await hold(patientToken);
+
+      const holdResponse = await hold(other.token);
+      const bookResponse = await book(other.token);
+
+      expect(holdResponse.status).toBe(409);
+      expect(holdResponse.body.code).toBe('SLOT_HELD');
+      expect(bookResponse.status).toBe(409);
+      expect(bookResponse.body.code).toBe('SLOT_HELD');
+    });
+
+    /**
+     * Test: Booking consumes the hold
+     * 
+     * Scenario: Holder submits the booking for the held slot
+     * Expected: 201 and no hold left behind
+     */
+    it('should consume the hold when the holder books', async () => {
+      await hold(patientToken);
+
+      const response = await book(patientToken);
+
+      expect(response.status).toBe(201);
+      expect(await SlotHold.countDocuments({ doctor: doctorProfile._id })).toBe(0);
+    });
+
+    /**
+     * Test: Expired hold
+     * 
+     * Scenario: Hold expiry passes before the TTL monitor removes it
+     * Expected: Another patient can hold the slot
+     */
+    it('should ignore holds that have expired', async () => {
+      await hold(patientToken);
+      await SlotHold.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await hold(other.token);
+
+      expect(response.status).toBe(201);
+    });
+
+    /**
+     * Test: Arbitrary times rejected
+     * 
+     * Scenario: Hold requested for 10:10, which is not on the slot grid
+     * Expected: 400
+     */
+    it('should only hold times the doctor actually offers', async () => {
+      const response = await request(app)
+        .post(`/api/doctors/${doctorProfile._id}/slots/hold`)
+        .set(getAuthHeaders(patientToken))
+        .send({ dateTime: `${dateStr}T10:10:00.000Z` });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // 🔁 RECURRING SERIES
+  // ============================================
+
+  describe('/api/appointments/series - Recurring series', () => {
+    // Mondays-to-Sundays 09:00-17:00 UTC; first visit a week out at 10:00 UTC
+    const firstDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const first = new Date(`${firstDate}T10:00:00.000Z`);
+    const weeksLater = (n) => new Date(first.getTime() + n * 7 * 24 * 60 * 60 * 1000);
+
+    const bookSeries = (body = {}) => request(app)
+      .post('/api/appointments/series')
+      .set(getAuthHeaders(patientToken))
+      .send({ doctorId: doctorProfile._id, dateTime: first, intervalWeeks: 1, count: 4, reason: 'Physiotherapy', ...body });
+
+    beforeEach(async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        timezone: 'UTC',
+        slotDuration: 30,
+        acceptingNewPatients: true,
+        availability: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime: '09:00', endTime: '17:00' })),
+        availabilityOverrides: []
+      });
+    });
+
+    /**
+     * Test: Weekly series
+     * 
+     * Scenario: Patient books 4 weekly visits
+     * Expected: 201, four linked appointments one week apart
+     */
+    it('should book every occurrence of a weekly series', async () => {
+      const response = await bookSeries();
+
+      expect(response.status).toBe(201);
+      const { series, appointments } = response.body.data;
+      expect(appointments.map(a => a.dateTime)).toEqual([0, 1, 2, 3].map(n => weeksLater(n).toISOString()));
+      expect(appointments.every(a => a.series === series._id)).toBe(true);
+      expect(appointments.map(a => a.seriesIndex)).toEqual([0, 1, 2, 3]);
+    });
+
+    /**
+     * Test: Conflict report
+     * 
+     * Scenario: The third week is already booked by someone else
+     * Expected: 409 SERIES_CONFLICT naming that occurrence; nothing booked
+     */
+    it('should report which occurrences conflict and book nothing', async () => {
+      const other = await createTestPatient({ email: `series_other_${Date.now()}@test.com` });
+      await createTestAppointment(other.user, doctorProfile._id, {
+        dateTime: weeksLater(2),
+        endTime: new Date(weeksLater(2).getTime() + 30 * 60 * 1000)
+      });
+
+      const response = await bookSeries();
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('SERIES_CONFLICT');
+      const unavailable = response.body.details.occurrences.filter(o => !o.available);
+      expect(unavailable.map(o => o.index)).toEqual([2]);
+      expect(unavailable[0].code).toBe('SLOT_CONFLICT');
+      expect(await Appointment.countDocuments({ patient: patientUser._id, series: { $exists: true } })).toBe(0);
+    });
+
+    /**
+     * Test: Book around conflicts
+     * 
+     * Scenario: Same conflict, with skipConflicts
+     * Expected: Three visits booked, the conflicting week reported as skipped
+     */
+    it('should book the free occurrences when asked to skip conflicts', async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        availabilityOverrides: [{ startDate: weeksLater(1).toISOString().split('T')[0], type: 'block', reason: 'Leave' }]
+      });
+
+      const response = await bookSeries({ skipConflicts: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.appointments).toHaveLength(3);
+      expect(response.body.data.skipped.map(o => [o.index, o.code])).toEqual([[1, 'OUTSIDE_AVAILABILITY']]);
+    });
+
+    /**
+     * Test: Cancel one occurrence vs the whole series
+     * 
+     * Scenario: Cancel the second visit alone, then the whole series
+     * Expected: First only that visit is cancelled, then all remaining ones
+     */
+    it('should cancel a single occurrence or the whole series', async () => {
+      const { series, appointments } = (await bookSeries()).body.data;
+
+      await request(app)
+        .delete(`/api/appointments/${appointments[1]._id}`)
+        .set(getAuthHeaders(patientToken));
+      const statuses = async () => (await Appointment.find({ series: series._id }).sort('dateTime')).map(a => a.status);
+      expect(await statuses()).toEqual(['pending', 'cancelled', 'pending', 'pending']);
+
+      const response = await request(app)
+        .delete(`/api/appointments/series/${series._id}`)
+        .set(getAuthHeaders(patientToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cancelled).toHaveLength(3);
+      expect(response.body.data.series.status).toBe('cancelled');
+      expect(await statuses()).toEqual(['cancelled', 'cancelled', 'cancelled', 'cancelled']);
+    });
+
+    /**
+     * Test: Partly cancelled series
+     *
+     * Scenario: One visit is changed by another request while the series is being cancelled
+     * Expected: The other visits are cancelled, that one is returned as failed, and the series stays active
+     */
+    it('should keep the series active and report visits it could not cancel', async () => {
+      const { series, appointments } = (await bookSeries()).body.data;
+      jest.spyOn(Appointment, 'transitionStatus').mockResolvedValueOnce(null);
+
+      try {
+        const response = await request(app)
+          .delete(`/api/appointments/series/${series._id}`)
+          .set(getAuthHeaders(patientToken));
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.partial).toBe(true);
+        expect(response.body.data.cancelled).toHaveLength(3);
+        expect(response.body.data.failed.map(f => f._id)).toEqual([appointments[0]._id]);
+        expect(response.body.data.series.status).toBe('active');
+        expect((await AppointmentSeries.findById(series._id)).status).toBe('active');
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    /**
+     * Test: Reschedule the whole series
+     * 
+     * Scenario: Move the series a day later, at 14:00
+     * Expected: Every visit moves, spacing between visits is kept
+     */
+    it('should move every remaining occurrence when the series is rescheduled', async () => {
+      const { series } = (await bookSeries()).body.data;
+      const newFirst = new Date(first.getTime() + 24 * 60 * 60 * 1000 + 4 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post(`/api/appointments/series/${series._id}/reschedule`)
+        .set(getAuthHeaders(patientToken))
+        .send({ dateTime: newFirst });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.appointments.map(a => a.dateTime)).toEqual(
+        [0, 1, 2, 3].map(n => new Date(newFirst.getTime() + n * 7 * 24 * 60 * 60 * 1000).toISOString())
+      );
+    });
+
+    /**
+     * Test: Series reschedule rolled back
+     *
+     * Scenario: The series moves later, so the last visit moves first; the next visit's new time
+     *           is taken by another request while the series moves
+     * Expected: 409 SERIES_CONFLICT naming that visit, and every visit back at its original time and locked there
+     */
+    it('should move the visits back when one of them cannot be rescheduled', async () => {
+      const { series, appointments } = (await bookSeries()).body.data;
+      const newFirst = new Date(first.getTime() + 24 * 60 * 60 * 1000 + 4 * 60 * 60 * 1000);
+      const acquire = SlotLock.acquire.bind(SlotLock);
+      jest.spyOn(SlotLock, 'acquire').mockImplementationOnce(acquire).mockResolvedValueOnce(null);
+
+      try {
+        const response = await request(app)
+          .post(`/api/appointments/series/${series._id}/reschedule`)
+          .set(getAuthHeaders(patientToken))
+          .send({ dateTime: newFirst });
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('SERIES_CONFLICT');
+        expect(response.body.details.occurrences.filter(o => !o.available)).toEqual([
+          expect.objectContaining({ index: appointments[2].seriesIndex, code: 'SLOT_CONFLICT' })
+        ]);
+        for (const original of appointments) {
+          const current = await Appointment.findById(original._id);
+          expect(current.dateTime.toISOString()).toBe(original.dateTime);
+          expect(await SlotLock.exists({ appointment: original._id, block: { $gte: current.dateTime, $lt: current.endTime } })).toBeTruthy();
+        }
+        expect(await SlotLock.countDocuments({ block: { $gte: new Date(appointments[3].endTime) } })).toBe(0);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  // ============================================
+  // 🩺 RECEPTIONIST AND NURSE ACCESS
+  // ============================================
+
+  describe('Staff roles - receptionist and nurse', () => {
+    const createStaff = (role, assignedDoctors) => createTestPatient({
+      email: `${role}_${Date.now()}@test.com`,
+      role,
+      assignedDoctors
+    });
+
+    /**
+     * Test: Receptionist confirms a visit for their doctor
+     * 
+     * Scenario: Receptionist assigned to the doctor confirms a pending booking that has private notes
+     * Expected: 200, confirmed with role receptionist; doctor notes and prescription not returned
+     */
+    it('should let assigned staff confirm without seeing private notes', async () => {
+      const { token } = await createStaff('receptionist', [doctorProfile._id]);
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(4),
+        notes: { patient: 'Bring scans', doctor: 'Suspected arrhythmia' },
+        prescription: 'Beta blockers'
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(token))
+        .send({ status: 'confirmed', notes: 'Overwrite attempt' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('confirmed');
+      expect(response.body.data.statusHistory.slice(-1)[0].role).toBe('receptionist');
+      expect(response.body.data.notes).toEqual({ patient: 'Bring scans' });
+      expect(response.body.data.prescription).toBeUndefined();
+
+      const stored = await Appointment.findById(appointment._id);
+      expect(stored.notes.doctor).toBe('Suspected arrhythmia');
+    });
+
+    /**
+     * Test: Staff can't complete a visit
+     * 
+     * Scenario: Nurse marks a past confirmed visit completed
+     * Expected: 409, only the doctor or an admin completes visits
+     */
+    it('should not let staff complete a visit', async () => {
+      const { token } = await createStaff('nurse', [doctorProfile._id]);
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(-2),
+        status: 'confirmed'
+      });
+
+      const response = await request(app)
+        .put(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(token))
+        .send({ status: 'completed' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    /**
+     * Test: Staff are limited to their doctors
+     * 
+     * Scenario: Receptionist assigned to another doctor lists and opens this doctor's appointment
+     * Expected: Empty list and 403 on the appointment
+     */
+    it('should hide other doctors\' appointments from staff', async () => {
+      const other = await createTestDoctor({ email: `other_${Date.now()}@test.com` });
+      const { token } = await createStaff('receptionist', [other.doctor._id]);
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(4)
+      });
+
+      const list = await request(app)
+        .get('/api/appointments')
+        .set(getAuthHeaders(token));
+      expect(list.status).toBe(200);
+      expect(list.body.data).toHaveLength(0);
+
+      const single = await request(app)
+        .get(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(token));
+      expect(single.status).toBe(403);
+    });
+
+    /**
+     * Test: Front desk books on a patient's behalf
+     * 
+     * Scenario: Receptionist books a phone booking for a patient with their doctor
+     * Expected: 201, the appointment belongs to the patient and is attributed to the receptionist
+     */
+    it('should let a receptionist book for a patient', async () => {
+      const { user, token } = await createStaff('receptionist', [doctorProfile._id]);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set(getAuthHeaders(token))
+        .send({ doctorId: doctorProfile._id, patientId: patientUser._id, dateTime: getFutureDate(5), reason: 'Phone booking' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.patient._id).toBe(patientUser._id.toString());
+      expect(response.body.data.bookedBy).toBe(user._id.toString());
+      expect(response.body.data.statusHistory[0]).toMatchObject({ changedBy: user._id.toString(), role: 'receptionist' });
+    });
+
+    /**
+     * Test: Front desk is limited to their doctors
+     * 
+     * Scenario: Receptionist assigned elsewhere books with this doctor; a nurse tries too
+     * Expected: 403 for both
+     */
+    it('should not let staff book for doctors they do not work for', async () => {
+      const other = await createTestDoctor({ email: `other_${Date.now()}@test.com` });
+      const receptionist = await createStaff('receptionist', [other.doctor._id]);
+      const nurse = await createStaff('nurse', [doctorProfile._id]);
+      const booking = { doctorId: doctorProfile._id, patientId: patientUser._id, dateTime: getFutureDate(5), reason: 'Phone booking' };
+
+      for (const { token } of [receptionist, nurse]) {
+        const response = await request(app)
+          .post('/api/appointments')
+          .set(getAuthHeaders(token))
+          .send(booking);
+        expect(response.status).toBe(403);
+      }
+    });
+  });
+
+  // ============================================
+  // 👨‍👧 FAMILY MEMBERS
+  // ============================================
+
+  describe('Booking for a family member', () => {
+    const addChild = (guardian) => Dependent.create({
+      guardian: guardian._id,
+      firstName: 'Emma',
+      lastName: 'Patient',
+      dateOfBirth: new Date('2018-04-02'),
+      relationship: 'child'
+    });
+
+    /**
+     * Test: Parent books for their child
+     * 
+     * Scenario: Patient books a visit for a dependent at the same time as their own
+     * Expected: 201; the visit is for the child, the parent stays the patient, and the times don't clash
+     */
+    it('should book a dependent separately from the guardian', async () => {
+      const child = await addChild(patientUser);
+      const dateTime = getFutureDate(6);
+      const other = await createTestDoctor({ email: `family_dr_${Date.now()}@test.com` });
+      await createTestAppointment(patientUser, other.doctor._id, { dateTime });
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set(getAuthHeaders(patientToken))
+        .send({ doctorId: doctorProfile._id, dependentId: child._id, dateTime, reason: 'Vaccination' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.patient._id).toBe(patientUser._id.toString());
+      expect(response.body.data.dependent).toMatchObject({ firstName: 'Emma', relationship: 'child' });
+      expect(response.body.data.attendeeName).toBe('Emma Patient');
+    });
+
+    /**
+     * Test: Someone else's dependent
+     * 
+     * Scenario: A patient books with another account's dependentId
+     * Expected: 404
+     */
+    it('should not book for another account\'s dependent', async () => {
+      const stranger = await createTestPatient({ email: `stranger_${Date.now()}@test.com` });
+      const child = await addChild(stranger.user);
+
+      const response = await request(app)
+        .post('/api/appointments')
+        .set(getAuthHeaders(patientToken))
+        .send({ doctorId: doctorProfile._id, dependentId: child._id, dateTime: getFutureDate(6), reason: 'Vaccination' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   // ============================================
   // 🗑️ DELETE /api/appointments/:id - DELETE TESTS
   // ============================================
@@ -424,6 +1234,28 @@ describe('🏥 Appointment Routes', () => {
       expect(response.body.success).toBe(true);
     });
 
+    /**
+     * Test: Doctor cancels appointment via DELETE
+     *
+     * Scenario: The appointment's doctor deletes it, as they could through a status update
+     * Expected: 200 status, appointment cancelled by the doctor
+     */
+    it('should cancel appointment when deleted by its doctor', async () => {
+      const appointment = await createTestAppointment(patientUser, doctorProfile._id, {
+        dateTime: getFutureDate(2)
+      });
+
+      const response = await request(app)
+        .delete(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(doctorToken))
+        .send({ reason: 'Doctor unavailable' });
+
+      expect(response.status).toBe(200);
+      const cancelled = await Appointment.findById(appointment._id);
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.cancelledBy).toBe('doctor');
+    });
+
     /**
      * Test: Return 404 for non-existent appointment
      * 
@@ -0,0 +1,592 @@
+/**
+ * Auth Routes Test Suite
+ *
+ * Tests for:
+ * - POST /api/auth/forgot-password (email a reset link without revealing accounts)
+ * - POST /api/auth/reset-password (single-use, expiring tokens)
+ * - Revoking previously issued JWTs after a reset
+ * - POST /api/auth/verify-email and /resend-verification
+ * - Blocking bookings for unverified email addresses
+ * - POST /api/auth/refresh, /logout and /logout-all (rotating refresh tokens)
+ * - Two-factor setup and the two-step login (/api/auth/2fa, /api/auth/login/2fa)
+ * - The admin-managed two-factor policy (/api/auth/2fa/policy)
+ * - Per-account lockout, progressive delays and sign-in history
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const { getAuthHeaders, createTestPatient } = require('./utils/testHelpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { getChannels } = require('../services/channels');
+const { generateCode, stepAt } = require('../utils/totp');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../routes/auth'));
+app.use('/api/appointments', require('../routes/appointments'));
+app.use('/api/users', require('../routes/users'));
+
+describe('🔐 Auth Routes', () => {
+  const email = 'reset.me@test.com';
+  const outbox = getChannels().email.sent;
+  let sessionToken, refreshToken, verificationEmail;
+
+  // The reset email goes out after the response, so wait up to a second for it
+  const forgot = async (address) => {
+    const sent = outbox.length;
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: address });
+    for (let i = 0; i < 20 && outbox.length === sent; i++) await new Promise(resolve => setTimeout(resolve, 50));
+    return response;
+  };
+  const reset = (token, password = 'NewPass@456') => request(app).post('/api/auth/reset-password').send({ token, password });
+
+  // Raw token from the most recent reset email
+  const emailedToken = () => outbox[outbox.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app).post('/api/auth/register').send({
+      firstName: 'Reset',
+      lastName: 'Tester',
+      email,
+      password: 'OldPass@123',
+      role: 'patient'
+    });
+    sessionToken = response.body.token;
+    refreshToken = response.body.refreshToken;
+    verificationEmail = outbox[outbox.length - 1];
+    outbox.length = 0;
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  // ============================================
+  // 📧 POST /api/auth/forgot-password
+  // ============================================
+
+  describe('POST /api/auth/forgot-password', () => {
+    /**
+     * Test: Reset email
+     *
+     * Scenario: Registered user asks for a reset
+     * Expected: Email with a link; only a hash of the token is stored
+     */
+    it('should email a reset link and store only a hash of the token', async () => {
+      const response = await forgot(email);
+
+      expect(response.status).toBe(200);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(email);
+
+      const user = await User.findOne({ email }).select('+passwordResetToken +passwordResetExpires');
+      expect(user.passwordResetToken).toBe(User.hashToken(emailedToken()));
+      expect(user.passwordResetToken).not.toBe(emailedToken());
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    /**
+     * Test: Unknown email
+     *
+     * Scenario: Reset requested for an address with no account
+     * Expected: Same response as for a real account, and no email sent
+     */
+    it('should not reveal whether an account exists', async () => {
+      const known = await forgot(email);
+      outbox.length = 0;
+      const unknown = await forgot('nobody@test.com');
+
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+      expect(outbox).toHaveLength(0);
+    });
+  });
+
+  // ============================================
+  // 🔑 POST /api/auth/reset-password
+  // ============================================
+
+  describe('POST /api/auth/reset-password', () => {
+    /**
+     * Test: Successful reset
+     *
+     * Scenario: User with an unconfirmed address resets with the emailed token
+     * Expected: New password works, old one does not, old JWT is rejected, and the address is confirmed
+     */
+    it('should set the new password and revoke existing sessions', async () => {
+      await forgot(email);
+
+      const response = await reset(emailedToken());
+
+      expect(response.status).toBe(200);
+      expect((await User.findOne({ email })).isEmailVerified).toBe(true);
+      const oldLogin = await request(app).post('/api/auth/login').send({ email, password: 'OldPass@123' });
+      const newLogin = await request(app).post('/api/auth/login').send({ email, password: 'NewPass@456' });
+      expect(oldLogin.status).toBe(401);
+      expect(newLogin.status).toBe(200);
+
+      const oldSession = await request(app).get('/api/auth/me').set(getAuthHeaders(sessionToken));
+      const newSession = await request(app).get('/api/auth/me').set(getAuthHeaders(newLogin.body.token));
+      expect(oldSession.status).toBe(401);
+      expect(newSession.status).toBe(200);
+    });
+
+    /**
+     * Test: Single use
+     *
+     * Scenario: The same token is used twice
+     * Expected: Second attempt rejected with INVALID_RESET_TOKEN
+     */
+    it('should not accept a token twice', async () => {
+      await forgot(email);
+      const token = emailedToken();
+
+      await reset(token);
+      const response = await reset(token, 'Another@789');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    /**
+     * Test: Expired token
+     *
+     * Scenario: Token used after its expiry
+     * Expected: 400 and the password is unchanged
+     */
+    it('should reject an expired token', async () => {
+      await forgot(email);
+      await User.updateOne({ email }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const response = await reset(emailedToken());
+
+      expect(response.status).toBe(400);
+      const login = await request(app).post('/api/auth/login').send({ email, password: 'OldPass@123' });
+      expect(login.status).toBe(200);
+    });
+  });
+
+  // ============================================
+  // ✉️ EMAIL VERIFICATION
+  // ============================================
+
+  describe('Email verification', () => {
+    const verificationToken = () => verificationEmail.text.match(/token=([\w.-]+)/)[1];
+    const me = (token = sessionToken) => request(app).get('/api/auth/me').set(getAuthHeaders(token));
+
+    /**
+     * Test: Confirming the address
+     *
+     * Scenario: New user opens the link from the registration email
+     * Expected: getMe reports unverified before and verified after
+     */
+    it('should verify the email with the link sent on registration', async () => {
+      expect(verificationEmail.to).toBe(email);
+      expect((await me()).body.user.emailVerified).toBe(false);
+
+      const response = await request(app).post('/api/auth/verify-email').send({ token: verificationToken() });
+
+      expect(response.status).toBe(200);
+      expect((await me()).body.user.emailVerified).toBe(true);
+    });
+
+    /**
+     * Test: Bad links
+     *
+     * Scenario: Tampered token, and the verification token used as a login token
+     * Expected: 400 INVALID_VERIFICATION_TOKEN and 401 respectively
+     */
+    it('should reject tampered links and never accept them as a session', async () => {
+      const response = await request(app).post('/api/auth/verify-email').send({ token: `${verificationToken()}x` });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+      expect((await me(verificationToken())).status).toBe(401);
+    });
+
+    /**
+     * Test: Resend
+     *
+     * Scenario: User asks for a new link twice in a row
+     * Expected: First sends an email, second is throttled with 429
+     */
+    it('should resend the link with a cooldown', async () => {
+      await User.updateOne({ email }, { emailVerificationSentAt: new Date(Date.now() - 5 * 60 * 1000) });
+      const resend = () => request(app).post('/api/auth/resend-verification').set(getAuthHeaders(sessionToken));
+
+      const first = await resend();
+      const second = await resend();
+
+      expect(first.status).toBe(200);
+      expect(outbox).toHaveLength(1);
+      expect(second.status).toBe(429);
+    });
+
+    /**
+     * Test: Booking policy
+     *
+     * Scenario: Unverified patient tries to book
+     * Expected: 403 EMAIL_NOT_VERIFIED before any booking checks run
+     */
+    it('should block bookings until the email is confirmed', async () => {
+      const response = await request(app)
+        .post('/api/appointments')
+        .set(getAuthHeaders(sessionToken))
+        .send({ doctorId: '000000000000000000000000', dateTime: new Date(Date.now() + 24 * 60 * 60 * 1000), reason: 'Checkup' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+  });
+
+  // ============================================
+  // 🔄 SESSIONS
+  // ============================================
+
+  describe('Sessions', () => {
+    const refresh = (token) => request(app).post('/api/auth/refresh').send({ refreshToken: token });
+    const me = (token) => request(app).get('/api/auth/me').set(getAuthHeaders(token));
+
+    /**
+     * Test: Rotation
+     *
+     * Scenario: Client exchanges its refresh token
+     * Expected: New access and refresh tokens, both different from the old ones
+     */
+    it('should rotate the refresh token on every use', async () => {
+      const response = await refresh(refreshToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+      expect((await me(response.body.token)).status).toBe(200);
+    });
+
+    /**
+     * Test: Reuse detection
+     *
+     * Scenario: An already-rotated refresh token is replayed after the grace window
+     * Expected: 401 TOKEN_REUSED and the whole session, including the new tokens, is revoked
+     */
+    it('should revoke the session when an old refresh token is reused', async () => {
+      const rotated = (await refresh(refreshToken)).body;
+      await Session.updateMany({}, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+
+      const replay = await refresh(refreshToken);
+
+      expect(replay.status).toBe(401);
+      expect(replay.body.code).toBe('TOKEN_REUSED');
+      expect((await refresh(rotated.refreshToken)).status).toBe(401);
+      expect((await me(rotated.token)).status).toBe(401);
+    });
+
+    /**
+     * Test: Logout
+     *
+     * Scenario: Device signs out
+     * Expected: Its access token and refresh token stop working straight away
+     */
+    it('should sign the device out immediately', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set(getAuthHeaders(sessionToken))
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+      expect((await me(sessionToken)).status).toBe(401);
+      expect((await refresh(refreshToken)).status).toBe(401);
+    });
+
+    /**
+     * Test: Sign out all devices
+     *
+     * Scenario: User signs in on a second device, then signs out everywhere from the first
+     * Expected: Sessions on both devices are revoked
+     */
+    it('should sign out every device', async () => {
+      const other = await request(app).post('/api/auth/login').send({ email, password: 'OldPass@123' });
+
+      const response = await request(app).post('/api/auth/logout-all').set(getAuthHeaders(sessionToken));
+
+      expect(response.status).toBe(200);
+      expect((await me(other.body.token)).status).toBe(401);
+      expect((await refresh(other.body.refreshToken)).status).toBe(401);
+      expect((await refresh(refreshToken)).status).toBe(401);
+    });
+  });
+
+  // ============================================
+  // 📱 TWO-FACTOR AUTHENTICATION
+  // ============================================
+
+  describe('Two-factor authentication', () => {
+    const password = 'OldPass@123';
+    const login = () => request(app).post('/api/auth/login').send({ email, password });
+    const secondStep = (body) => request(app).post('/api/auth/login/2fa').send(body);
+
+    // Turn 2FA on through the profile endpoints; returns the secret and recovery codes
+    const enroll = async () => {
+      const setup = await request(app).post('/api/auth/2fa/setup').set(getAuthHeaders(sessionToken));
+      const { secret } = setup.body.data;
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set(getAuthHeaders(sessionToken))
+        .send({ code: generateCode(secret) });
+      return { setup, enable, secret, recoveryCodes: enable.body.data.recoveryCodes };
+    };
+
+    /**
+     * Test: Enrollment
+     *
+     * Scenario: User starts setup and confirms with a code from the app
+     * Expected: QR code and otpauth URI returned, then recovery codes; only hashes are stored
+     */
+    it('should enroll with a QR code and return recovery codes once', async () => {
+      const { setup, enable, recoveryCodes } = await enroll();
+
+      expect(setup.status).toBe(200);
+      expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(setup.body.data.otpauthUrl).toContain('otpauth://totp/');
+      expect(enable.status).toBe(200);
+      expect(recoveryCodes).toHaveLength(10);
+
+      const user = await User.findOne({ email }).select('+twoFactor.recoveryCodes');
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    /**
+     * Test: Two-step login
+     *
+     * Scenario: User with 2FA on signs in with password, then with a code
+     * Expected: First step returns only a challenge; second step returns tokens
+     */
+    it('should require a code before issuing tokens', async () => {
+      const { secret } = await enroll();
+      // The enrollment code's time step is used up; sign in with the next one
+      const nextCode = generateCode(secret, stepAt() + 1);
+
+      const first = await login();
+      expect(first.status).toBe(200);
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body.token).toBeUndefined();
+      expect((await request(app).get('/api/auth/me').set(getAuthHeaders(first.body.challengeToken))).status).toBe(401);
+
+      const second = await secondStep({ challengeToken: first.body.challengeToken, code: nextCode });
+      expect(second.status).toBe(200);
+      expect(second.body.token).toBeDefined();
+      expect(second.body.refreshToken).toBeDefined();
+    });
+
+    /**
+     * Test: Bad and replayed codes
+     *
+     * Scenario: Wrong code, then the same valid code used twice
+     * Expected: 401 INVALID_2FA_CODE for the wrong code and for the replay
+     */
+    it('should reject wrong codes and replays', async () => {
+      const { secret } = await enroll();
+      const nextCode = generateCode(secret, stepAt() + 1);
+      const { challengeToken } = (await login()).body;
+
+      const wrong = await secondStep({ challengeToken, code: nextCode === '000000' ? '111111' : '000000' });
+      const valid = await secondStep({ challengeToken, code: nextCode });
+      const replay = await secondStep({ challengeToken, code: nextCode });
+
+      expect(wrong.status).toBe(401);
+      expect(wrong.body.code).toBe('INVALID_2FA_CODE');
+      expect(valid.status).toBe(200);
+      expect(replay.status).toBe(401);
+    });
+
+    /**
+     * Test: Recovery codes
+     *
+     * Scenario: User without their phone signs in with a recovery code, twice
+     * Expected: Accepted the first time only
+     */
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+      const { challengeToken } = (await login()).body;
+
+      const first = await secondStep({ challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() });
+      const second = await secondStep({ challengeToken, recoveryCode: recoveryCodes[0] });
+
+      expect(first.status).toBe(200);
+      expect(first.body.recoveryCodesRemaining).toBe(9);
+      expect(second.status).toBe(401);
+    });
+
+    /**
+     * Test: Racing logins with one code
+     *
+     * Scenario: Two sign-ins send the same recovery code, and two others the same authenticator code, at once
+     * Expected: One of each pair gets tokens, the other 401
+     */
+    it('should accept a code once when logins race', async () => {
+      const { secret, recoveryCodes } = await enroll();
+      const nextCode = generateCode(secret, stepAt() + 1);
+      const race = async (factor) => {
+        const [a, b] = await Promise.all([login(), login()]);
+        const responses = await Promise.all([
+          secondStep({ challengeToken: a.body.challengeToken, ...factor }),
+          secondStep({ challengeToken: b.body.challengeToken, ...factor })
+        ]);
+        return responses.map(r => r.status).sort();
+      };
+
+      expect(await race({ recoveryCode: recoveryCodes[0] })).toEqual([200, 401]);
+      expect(await race({ code: nextCode })).toEqual([200, 401]);
+      const user = await User.findOne({ email }).select('+twoFactor.recoveryCodes');
+      expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+    });
+
+    /**
+     * Test: Roles that must use two-factor
+     *
+     * Scenario: Policy requires two-factor for doctors; a doctor registers, and an
+     *           existing session belongs to a user the policy now covers
+     * Expected: Registration returns an enrollment challenge instead of tokens; the session can't be refreshed
+     */
+    it('should hold back tokens until required two-factor is set up', async () => {
+      jest.spyOn(User.prototype, 'requiresTwoFactor').mockResolvedValue(true);
+      try {
+        const doctor = await request(app).post('/api/auth/register').send({
+          firstName: 'Policy',
+          lastName: 'Doctor',
+          email: 'policy.doctor@test.com',
+          password,
+          role: 'doctor',
+          doctorInfo: { specialization: 'cardiology', licenseNumber: 'LIC-2FA-001', consultationFee: 100 }
+        });
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+        expect(doctor.status).toBe(201);
+        expect(doctor.body).toMatchObject({ twoFactorRequired: true, enrollmentRequired: true });
+        expect(doctor.body.challengeToken).toBeDefined();
+        expect(doctor.body.token).toBeUndefined();
+        expect((await request(app).post('/api/auth/login/2fa/setup').send({ challengeToken: doctor.body.challengeToken })).status).toBe(200);
+        expect(refreshed.status).toBe(401);
+        expect(refreshed.body.code).toBe('TWO_FACTOR_REQUIRED');
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    /**
+     * Test: Admin-managed policy
+     *
+     * Scenario: A patient tries to change the policy; an admin then requires two-factor for patients
+     * Expected: Patient gets 403, unknown roles are rejected, and the patient's next login and refresh
+     *           see the new policy without a restart
+     */
+    it('should apply the two-factor policy an admin saves', async () => {
+      const admin = await createTestPatient({ role: 'admin', email: 'admin.policy@test.com' });
+      const update = (token, twoFactorRequiredRoles) => request(app)
+        .put('/api/auth/2fa/policy')
+        .set(getAuthHeaders(token))
+        .send({ twoFactorRequiredRoles });
+
+      expect((await update(sessionToken, ['patient'])).status).toBe(403);
+      expect((await update(admin.token, ['superuser'])).status).toBe(400);
+      expect((await login()).body.token).toBeDefined();
+
+      const saved = await update(admin.token, ['patient']);
+      expect(saved.status).toBe(200);
+      expect(saved.body.data.twoFactorRequiredRoles).toEqual(['patient']);
+
+      const policy = await request(app).get('/api/auth/2fa/policy').set(getAuthHeaders(admin.token));
+      const loggedIn = await login();
+      const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+      expect(policy.body.data.twoFactorRequiredRoles).toEqual(['patient']);
+      expect(loggedIn.body).toMatchObject({ twoFactorRequired: true, enrollmentRequired: true });
+      expect(loggedIn.body.token).toBeUndefined();
+      expect(refreshed.body.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+  });
+
+  // ============================================
+  // 🚫 ACCOUNT LOCKOUT & SIGN-IN HISTORY
+  // ============================================
+
+  describe('Account lockout', () => {
+    const login = (password, userAgent = 'jest') => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email, password });
+
+    /**
+     * Test: Progressive delay
+     *
+     * Scenario: Three wrong passwords, then an immediate retry with the right one
+     * Expected: 429 LOGIN_THROTTLED with Retry-After, password not even checked
+     */
+    it('should make repeated failures wait before trying again', async () => {
+      for (let i = 0; i < 3; i++) expect((await login('Wrong@pass1')).status).toBe(401);
+
+      const response = await login('OldPass@123');
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_THROTTLED');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    /**
+     * Test: Lockout
+     *
+     * Scenario: The last allowed attempt fails
+     * Expected: 423 ACCOUNT_LOCKED, even the right password is refused, and admins see the lock
+     */
+    it('should lock the account after too many failures', async () => {
+      await User.updateOne({ email }, { failedLoginAttempts: 9, lastFailedLoginAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+      const failed = await login('Wrong@pass1');
+      const correct = await login('OldPass@123');
+
+      expect(failed.status).toBe(423);
+      expect(failed.body.code).toBe('ACCOUNT_LOCKED');
+      expect(correct.status).toBe(423);
+
+      const admin = await createTestPatient({ role: 'admin', email: 'admin.lock@test.com' });
+      const list = await request(app).get('/api/users?locked=true').set(getAuthHeaders(admin.token));
+      expect(list.body.data.map(user => user.email)).toEqual([email]);
+      expect(list.body.data[0].isLocked).toBe(true);
+      expect(list.body.data[0].lockoutCount).toBe(1);
+
+      const unlock = await request(app).put(`/api/users/${list.body.data[0]._id}/unlock`).set(getAuthHeaders(admin.token));
+      expect(unlock.status).toBe(200);
+      expect((await login('OldPass@123')).status).toBe(200);
+    });
+
+    /**
+     * Test: Sign-in history
+     *
+     * Scenario: A failed attempt, then sign-ins from the usual and from a new browser
+     * Expected: All attempts listed newest first; only the new browser is flagged
+     */
+    it('should record recent sign-ins and flag new devices', async () => {
+      await login('Wrong@pass1');
+      await login('OldPass@123');
+      const fromNewDevice = await login('OldPass@123', 'Another Browser');
+
+      const response = await request(app).get('/api/users/me/logins').set(getAuthHeaders(fromNewDevice.body.token));
+
+      expect(response.status).toBe(200);
+      const [latest, usual, failed] = response.body.data;
+      expect(latest.flags).toEqual(['new-device']);
+      expect(usual.success).toBe(true);
+      expect(usual.flags).toEqual([]);
+      expect(failed).toMatchObject({ success: false, reason: 'invalid-password' });
+    });
+  });
+});
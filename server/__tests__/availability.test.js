@@ -0,0 +1,263 @@
+/**
+ * Availability Helpers Test Suite
+ *
+ * Tests for utils/availability:
+ * - Wall-clock times interpreted in the doctor's IANA timezone
+ * - Slot generation across DST transitions (spring forward / fall back)
+ * - Day boundaries and availability checks in the doctor's zone
+ * - Next open slot across days, skipping bookings
+ * - Slots tagged with the clinic their window is held at
+ *
+ * Pure functions, so no database or HTTP setup is needed.
+ */
+
+const {
+  zonedTimeToUtc,
+  toDateString,
+  getDayRange,
+  generateSlots,
+  generateSlotDetails,
+  fitsAvailability,
+  clinicAt,
+  findNextSlot
+} = require('../utils/availability');
+
+const NEW_YORK = 'America/New_York';
+const NAIROBI = 'Africa/Nairobi';
+
+// Doctor stub working every day of the week in the given zone
+const makeDoctor = (timezone, startTime, endTime, slotDuration = 60) => ({
+  timezone,
+  slotDuration,
+  availability: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime, endTime, isAvailable: true })),
+  availabilityOverrides: []
+});
+
+const iso = (dates) => dates.map(d => d.toISOString());
+
+describe('🕒 Availability Helpers', () => {
+  // ============================================
+  // 🌍 TIMEZONE CONVERSION
+  // ============================================
+
+  describe('Timezone conversion', () => {
+    /**
+     * Test: Fixed-offset zone
+     *
+     * Scenario: 09:00 in Nairobi (UTC+3, no DST)
+     * Expected: 06:00 UTC, whatever zone the server runs in
+     */
+    it('should interpret wall-clock time in the given zone', () => {
+      expect(zonedTimeToUtc('2030-06-03', 9 * 60, NAIROBI).toISOString()).toBe('2030-06-03T06:00:00.000Z');
+    });
+
+    /**
+     * Test: Local date of an instant
+     *
+     * Scenario: 22:00 UTC is already the next day in Nairobi
+     * Expected: Date string in the doctor's zone, not UTC
+     */
+    it('should report the calendar date in the given zone', () => {
+      expect(toDateString(new Date('2030-06-03T22:00:00Z'), NAIROBI)).toBe('2030-06-04');
+    });
+
+    /**
+     * Test: Non-existent local time
+     *
+     * Scenario: 02:30 on the US spring-forward day
+     * Expected: null (clocks jump from 02:00 to 03:00)
+     */
+    it('should return null for a time skipped by DST', () => {
+      expect(zonedTimeToUtc('2030-03-10', 150, NEW_YORK)).toBeNull();
+    });
+
+    /**
+     * Test: Ambiguous local time
+     *
+     * Scenario: 01:30 on the US fall-back day happens twice
+     * Expected: The first occurrence (still on daylight time)
+     */
+    it('should resolve a repeated time to its first occurrence', () => {
+      expect(zonedTimeToUtc('2030-11-03', 90, NEW_YORK).toISOString()).toBe('2030-11-03T05:30:00.000Z');
+    });
+  });
+
+  // ============================================
+  // 🔁 DST TRANSITIONS
+  // ============================================
+
+  describe('DST transitions', () => {
+    /**
+     * Test: Slots on the spring-forward day
+     *
+     * Scenario: Window 00:00-04:00 in New York on 2030-03-10
+     * Expected: 00:00, 01:00 and 03:00 local; the 02:00 slot does not exist
+     */
+    it('should skip slots that fall in the spring-forward gap', () => {
+      const slots = generateSlots(makeDoctor(NEW_YORK, '00:00', '04:00'), '2030-03-10');
+
+      expect(iso(slots)).toEqual([
+        '2030-03-10T05:00:00.000Z',
+        '2030-03-10T06:00:00.000Z',
+        '2030-03-10T07:00:00.000Z'
+      ]);
+    });
+
+    /**
+     * Test: Slots on the fall-back day
+     *
+     * Scenario: Window 00:00-04:00 in New York on 2030-11-03
+     * Expected: One slot per wall-clock hour, offsets switch from -4h to -5h
+     */
+    it('should keep one slot per wall-clock time when clocks go back', () => {
+      const slots = generateSlots(makeDoctor(NEW_YORK, '00:00', '04:00'), '2030-11-03');
+
+      expect(iso(slots)).toEqual([
+        '2030-11-03T04:00:00.000Z',
+        '2030-11-03T05:00:00.000Z',
+        '2030-11-03T07:00:00.000Z',
+        '2030-11-03T08:00:00.000Z'
+      ]);
+    });
+
+    /**
+     * Test: Same local hours either side of a transition
+     *
+     * Scenario: 09:00 start the day before and after spring forward
+     * Expected: Still 09:00 local, so the UTC instant moves by an hour
+     */
+    it('should keep working hours at the same local time across DST', () => {
+      const doctor = makeDoctor(NEW_YORK, '09:00', '10:00');
+
+      expect(iso(generateSlots(doctor, '2030-03-09'))).toEqual(['2030-03-09T14:00:00.000Z']);
+      expect(iso(generateSlots(doctor, '2030-03-11'))).toEqual(['2030-03-11T13:00:00.000Z']);
+    });
+
+    /**
+     * Test: Day length on DST days
+     *
+     * Scenario: Day range for both US transition days
+     * Expected: 23 hours in spring, 25 hours in autumn
+     */
+    it('should produce 23 and 25 hour days on transition dates', () => {
+      const hours = ({ start, end }) => (end - start) / (60 * 60 * 1000);
+
+      expect(hours(getDayRange('2030-03-10', NEW_YORK))).toBe(23);
+      expect(hours(getDayRange('2030-11-03', NEW_YORK))).toBe(25);
+    });
+
+    /**
+     * Test: Availability check after clocks go back
+     *
+     * Scenario: Booking at 02:00 EST on the fall-back day, window 00:00-04:00
+     * Expected: Fits; a booking at 04:30 local does not
+     */
+    it('should check bookings against local windows on DST days', () => {
+      const doctor = makeDoctor(NEW_YORK, '00:00', '04:00');
+
+      expect(fitsAvailability(doctor, new Date('2030-11-03T07:00:00Z'), new Date('2030-11-03T08:00:00Z'))).toBe(true);
+      expect(fitsAvailability(doctor, new Date('2030-11-03T09:30:00Z'), new Date('2030-11-03T10:30:00Z'))).toBe(false);
+    });
+  });
+
+  // ============================================
+  // ⏭️ NEXT OPEN SLOT
+  // ============================================
+
+  describe('Next open slot', () => {
+    /**
+     * Test: Skips past and booked slots
+     *
+     * Scenario: 09:00-11:00 Nairobi, searching from 09:30 with the 10:00 slot booked
+     * Expected: The next day's 09:00 slot
+     */
+    it('should skip slots that have started or are booked', () => {
+      const doctor = makeDoctor(NAIROBI, '09:00', '11:00');
+      const bookings = [{ dateTime: new Date('2030-06-03T07:00:00Z'), endTime: new Date('2030-06-03T08:00:00Z') }];
+
+      const next = findNextSlot(doctor, bookings, { from: new Date('2030-06-03T06:30:00Z'), days: 7 });
+
+      expect(next.toISOString()).toBe('2030-06-04T06:00:00.000Z');
+    });
+
+    /**
+     * Test: Nothing within the range
+     *
+     * Scenario: Every day blocked by a long override, searching 3 days ahead
+     * Expected: null
+     */
+    it('should return null when no slot is open in range', () => {
+      const doctor = {
+        ...makeDoctor(NAIROBI, '09:00', '11:00'),
+        availabilityOverrides: [{ type: 'block', startDate: '2030-06-01', endDate: '2030-06-30' }]
+      };
+
+      expect(findNextSlot(doctor, [], { from: new Date('2030-06-03T00:00:00Z'), days: 3 })).toBeNull();
+    });
+  });
+
+  // ============================================
+  // 🏥 CLINICS
+  // ============================================
+
+  describe('Clinics', () => {
+    const WESTLANDS = 'clinic-westlands';
+    const KAREN = 'clinic-karen';
+
+    // Mornings in Westlands and afternoons in Karen every Monday (2030-06-03 is a Monday)
+    const makeTwoSiteDoctor = () => ({
+      timezone: NAIROBI,
+      slotDuration: 60,
+      availability: [
+        { dayOfWeek: 1, startTime: '09:00', endTime: '11:00', isAvailable: true, clinic: WESTLANDS },
+        { dayOfWeek: 1, startTime: '11:00', endTime: '13:00', isAvailable: true, clinic: KAREN }
+      ],
+      availabilityOverrides: []
+    });
+
+    /**
+     * Test: Slots carry their clinic
+     *
+     * Scenario: Back-to-back windows at two clinics on the same day
+     * Expected: Windows not merged across clinics; each slot and booking time maps to its clinic
+     */
+    it('should tag each slot with the clinic of its window', () => {
+      const doctor = makeTwoSiteDoctor();
+
+      expect(generateSlotDetails(doctor, '2030-06-03').map(s => [s.start.toISOString(), s.clinic])).toEqual([
+        ['2030-06-03T06:00:00.000Z', WESTLANDS],
+        ['2030-06-03T07:00:00.000Z', WESTLANDS],
+        ['2030-06-03T08:00:00.000Z', KAREN],
+        ['2030-06-03T09:00:00.000Z', KAREN]
+      ]);
+      expect(clinicAt(doctor, new Date('2030-06-03T08:00:00Z'), new Date('2030-06-03T09:00:00Z'))).toBe(KAREN);
+      // A visit spanning both sites fits neither window
+      expect(fitsAvailability(doctor, new Date('2030-06-03T07:30:00Z'), new Date('2030-06-03T08:30:00Z'))).toBe(false);
+      expect(clinicAt(doctor, new Date('2030-06-03T12:00:00Z'), new Date('2030-06-03T13:00:00Z'))).toBeNull();
+    });
+
+    /**
+     * Test: Overrides keep clinics
+     *
+     * Scenario: Partial block inside the Westlands window, extra hours overlapping the Karen window
+     * Expected: Split windows stay at Westlands; the overlapping extra hours only add time after Karen ends
+     */
+    it('should keep clinics through blocks and overlapping extra hours', () => {
+      const doctor = {
+        ...makeTwoSiteDoctor(),
+        availabilityOverrides: [
+          { type: 'block', startDate: '2030-06-03', startTime: '10:00', endTime: '11:00' },
+          { type: 'extra', startDate: '2030-06-03', startTime: '12:00', endTime: '14:00', clinic: WESTLANDS }
+        ]
+      };
+
+      expect(generateSlotDetails(doctor, '2030-06-03').map(s => [s.start.toISOString(), s.clinic])).toEqual([
+        ['2030-06-03T06:00:00.000Z', WESTLANDS],
+        ['2030-06-03T08:00:00.000Z', KAREN],
+        ['2030-06-03T09:00:00.000Z', KAREN],
+        ['2030-06-03T10:00:00.000Z', WESTLANDS]
+      ]);
+      expect(generateSlots(doctor, '2030-06-03')).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Calendar Test Suite
+ *
+ * Tests for:
+ * - GET /api/appointments/:id/ics (single appointment download)
+ * - GET /api/calendar/feed and POST /api/calendar/feed/rotate
+ * - GET /api/calendar/:token.ics (subscription feed, UID/SEQUENCE/STATUS handling)
+ * - iCalendar text escaping and line folding
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const {
+  createTestPatient,
+  createTestDoctor,
+  createTestAppointment,
+  getAuthHeaders
+} = require('./utils/testHelpers');
+const { escapeText, foldLine } = require('../utils/ical');
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', require('../routes/appointments'));
+app.use('/api/calendar', require('../routes/calendar'));
+
+// Path of a feed URL, for requesting it from the test app
+const feedPath = (url) => new URL(url).pathname;
+
+describe('📅 Calendar export', () => {
+  let patient, doctor, appointment;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  beforeEach(async () => {
+    patient = await createTestPatient({ email: `cal_patient_${Date.now()}@test.com`, firstName: 'Ann', lastName: 'Lee' });
+    doctor = await createTestDoctor({ email: `cal_dr_${Date.now()}@test.com` });
+    appointment = await createTestAppointment(patient.user, doctor.doctor._id, {
+      statusHistory: [{ from: null, to: 'pending', changedBy: patient.user._id, role: 'patient' }]
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  // ============================================
+  // 📥 SINGLE APPOINTMENT
+  // ============================================
+
+  describe('GET /api/appointments/:id/ics', () => {
+    /**
+     * Test: Download
+     *
+     * Scenario: Patient downloads their appointment
+     * Expected: text/calendar with one event keyed by the appointment id
+     */
+    it('should return the appointment as an iCalendar file', async () => {
+      const response = await request(app)
+        .get(`/api/appointments/${appointment._id}/ics`)
+        .set(getAuthHeaders(patient.token));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/calendar/);
+      expect(response.text).toContain(`UID:${appointment._id}@medireach.app`);
+      expect(response.text).toContain('STATUS:TENTATIVE');
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+
+    /**
+     * Test: Other users
+     *
+     * Scenario: A different patient requests the file
+     * Expected: 403
+     */
+    it('should not let other users download the appointment', async () => {
+      const other = await createTestPatient({ email: `cal_other_${Date.now()}@test.com` });
+
+      const response = await request(app)
+        .get(`/api/appointments/${appointment._id}/ics`)
+        .set(getAuthHeaders(other.token));
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================
+  // 🔗 SUBSCRIPTION FEED
+  // ============================================
+
+  describe('/api/calendar - Subscription feed', () => {
+    const getFeedUrl = async (user) => (await request(app)
+      .get('/api/calendar/feed')
+      .set(getAuthHeaders(user.token))).body.data.url;
+
+    /**
+     * Test: Feed per user
+     *
+     * Scenario: Patient and doctor each fetch their feed
+     * Expected: Both list the appointment, titled from their side
+     */
+    it('should list appointments for the token owner', async () => {
+      const patientFeed = await request(app).get(feedPath(await getFeedUrl(patient)));
+      const doctorFeed = await request(app).get(feedPath(await getFeedUrl(doctor)));
+
+      expect(patientFeed.status).toBe(200);
+      expect(patientFeed.text).toContain(`UID:${appointment._id}@medireach.app`);
+      expect(patientFeed.text).toContain('SUMMARY:Appointment with Dr.');
+      expect(doctorFeed.text).toContain('SUMMARY:Ann Lee - ');
+    });
+
+    /**
+     * Test: Stable URL
+     *
+     * Scenario: Feed URL requested twice
+     * Expected: Same token both times
+     */
+    it('should keep the same feed URL until it is rotated', async () => {
+      expect(await getFeedUrl(patient)).toBe(await getFeedUrl(patient));
+    });
+
+    /**
+     * Test: Cancellation
+     *
+     * Scenario: Patient cancels after subscribing
+     * Expected: Event stays in the feed as CANCELLED with a higher SEQUENCE
+     */
+    it('should mark cancelled appointments and bump their sequence', async () => {
+      const path = feedPath(await getFeedUrl(patient));
+      const before = await request(app).get(path);
+
+      await request(app)
+        .delete(`/api/appointments/${appointment._id}`)
+        .set(getAuthHeaders(patient.token));
+      const after = await request(app).get(path);
+
+      expect(before.text).toContain('SEQUENCE:0');
+      expect(after.text).toContain('STATUS:CANCELLED');
+      expect(after.text).toContain('SEQUENCE:1');
+    });
+
+    /**
+     * Test: Rotating the token
+     *
+     * Scenario: Patient rotates their feed URL
+     * Expected: Old URL returns 404, new URL works
+     */
+    it('should stop serving the old URL after rotation', async () => {
+      const oldUrl = await getFeedUrl(patient);
+
+      const response = await request(app)
+        .post('/api/calendar/feed/rotate')
+        .set(getAuthHeaders(patient.token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.url).not.toBe(oldUrl);
+      expect((await request(app).get(feedPath(oldUrl))).status).toBe(404);
+      expect((await request(app).get(feedPath(response.body.data.url))).status).toBe(200);
+    });
+  });
+
+  // ============================================
+  // ✂️ FORMATTING
+  // ============================================
+
+  describe('iCalendar formatting', () => {
+    /**
+     * Test: Escaping and folding
+     *
+     * Scenario: Text with separators and a line longer than 75 octets
+     * Expected: Special characters escaped, long lines folded with CRLF + space
+     */
+    it('should escape text and fold long lines', () => {
+      expect(escapeText('Back pain, lower; since Monday\nno fever')).toBe('Back pain\\, lower\\; since Monday\\nno fever');
+
+      const folded = foldLine(`SUMMARY:${'x'.repeat(100)}`).split('\r\n');
+      expect(folded).toHaveLength(2);
+      expect(Buffer.byteLength(folded[0])).toBe(75);
+      expect(folded[1].startsWith(' ')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Clinics Test Suite
+ *
+ * Tests for:
+ * - /api/clinics (admins add, update and close clinics; anyone lists them)
+ * - Opening hours edits checked against the hours doctors hold there
+ * - Doctors linking to several clinics, with each availability window at one
+ * - Slots and appointments recording where the visit happens
+ * - Schedules rejected at unlinked, closed or other-timezone clinics
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const { createTestPatient, createTestDoctor, getAuthHeaders } = require('./utils/testHelpers');
+const Clinic = require('../models/Clinic');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/clinics', require('../routes/clinics'));
+app.use('/api/doctors', require('../routes/doctors'));
+app.use('/api/appointments', require('../routes/appointments'));
+
+describe('🏥 Clinics', () => {
+  const NAIROBI = 'Africa/Nairobi';
+  // A week out, as a calendar day in Nairobi
+  const dateStr = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+  let adminToken, doctorData, westlands, karen;
+
+  const addClinic = (fields) => Clinic.create({ timezone: NAIROBI, ...fields });
+
+  const schedule = (availability) => request(app)
+    .put('/api/doctors/availability')
+    .set(getAuthHeaders(doctorData.token))
+    .send({ availability, availabilityOverrides: [], slotDuration: 60 });
+
+  const linkClinics = (clinics) => request(app)
+    .put('/api/doctors/profile')
+    .set(getAuthHeaders(doctorData.token))
+    .send({ clinics });
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  beforeEach(async () => {
+    adminToken = (await createTestPatient({ email: `clinic_admin_${Date.now()}@test.com`, role: 'admin' })).token;
+    doctorData = await createTestDoctor(
+      { email: `clinic_dr_${Date.now()}@test.com` },
+      { timezone: NAIROBI, isVerified: true }
+    );
+    westlands = await addClinic({ name: 'Westlands Clinic', address: { street: '12 Waiyaki Way', city: 'Nairobi' }, phone: '+254700000001' });
+    karen = await addClinic({
+      name: 'Karen Medical Centre',
+      address: { city: 'Nairobi' },
+      openingHours: [{ dayOfWeek, opensAt: '12:00', closesAt: '18:00' }]
+    });
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  // ============================================
+  // 🛠️ /api/clinics - ADMINISTRATION
+  // ============================================
+
+  describe('/api/clinics', () => {
+    /**
+     * Test: Admin adds a clinic
+     *
+     * Scenario: Admin posts a Mombasa clinic; a doctor tries the same
+     * Expected: 201 with coordinates from the geocoder; 403 for the doctor
+     */
+    it('should let admins add clinics, geocoding the address', async () => {
+      const body = { name: 'Nyali Clinic', address: { street: '5 Links Road', city: 'Mombasa' }, timezone: NAIROBI };
+
+      const created = await request(app).post('/api/clinics').set(getAuthHeaders(adminToken)).send(body);
+      const denied = await request(app).post('/api/clinics').set(getAuthHeaders(doctorData.token)).send(body);
+
+      expect(created.status).toBe(201);
+      expect(created.body.geocoded).toBe(true);
+      expect(created.body.data.address.location.coordinates).toEqual([39.6682, -4.0435]);
+      expect(denied.status).toBe(403);
+    });
+
+    /**
+     * Test: Changing opening hours under a doctor's schedule
+     *
+     * Scenario: A doctor works 13:00-14:00 at Karen; admin first moves opening to 14:00, then to 13:00
+     * Expected: 400 INVALID_CLINIC naming the doctor, then 200 with the doctor's next slot marked stale
+     */
+    it('should only change opening hours that still fit the doctors working there', async () => {
+      await linkClinics([karen._id]);
+      await schedule([{ dayOfWeek, startTime: '13:00', endTime: '14:00', clinic: karen._id }]);
+      const setHours = (opensAt) => request(app)
+        .put(`/api/clinics/${karen._id}`)
+        .set(getAuthHeaders(adminToken))
+        .send({ openingHours: [{ dayOfWeek, opensAt, closesAt: '18:00' }] });
+
+      const clash = await setHours('14:00');
+      const before = new Date();
+      const fits = await setHours('13:00');
+
+      expect(clash.status).toBe(400);
+      expect(clash.body.code).toBe('INVALID_CLINIC');
+      expect(clash.body.details).toEqual([expect.stringMatching(/^Dr\. .*Karen Medical Centre is not open/)]);
+      expect(fits.status).toBe(200);
+      expect(fits.body.data.openingHours[0].opensAt).toBe('13:00');
+      const doctor = await Doctor.findById(doctorData.doctor._id);
+      expect(doctor.nextAvailable.changedAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    });
+
+    /**
+     * Test: Closing a clinic
+     *
+     * Scenario: Admin closes a clinic a doctor links to, then one nobody uses
+     * Expected: 400 CLINIC_IN_USE for the first; the second drops out of the listing
+     */
+    it('should only close clinics no doctor works at', async () => {
+      await linkClinics([westlands._id]);
+
+      const inUse = await request(app).delete(`/api/clinics/${westlands._id}`).set(getAuthHeaders(adminToken));
+      const closed = await request(app).delete(`/api/clinics/${karen._id}`).set(getAuthHeaders(adminToken));
+      const list = await request(app).get('/api/clinics?city=nairobi');
+
+      expect(inUse.status).toBe(400);
+      expect(inUse.body.code).toBe('CLINIC_IN_USE');
+      expect(closed.status).toBe(200);
+      expect(list.body.data.map(c => c.name)).toEqual(['Westlands Clinic']);
+    });
+  });
+
+  // ============================================
+  // 📍 SCHEDULES ACROSS CLINICS
+  // ============================================
+
+  describe('Per-location schedules', () => {
+    /**
+     * Test: Two sites on one day
+     *
+     * Scenario: Doctor works mornings at Westlands and afternoons at Karen, and a patient books an afternoon slot
+     * Expected: The profile lists both clinics, each slot names its clinic, and the appointment records Karen
+     */
+    it('should show and record where each visit happens', async () => {
+      expect((await linkClinics([westlands._id, karen._id])).status).toBe(200);
+      const update = await schedule([
+        { dayOfWeek, startTime: '09:00', endTime: '11:00', clinic: westlands._id },
+        { dayOfWeek, startTime: '13:00', endTime: '14:00', clinic: karen._id }
+      ]);
+      expect(update.status).toBe(200);
+
+      const profile = await request(app).get(`/api/doctors/${doctorData.doctor._id}`);
+      expect(profile.body.data.clinics.map(c => c.name)).toEqual(['Westlands Clinic', 'Karen Medical Centre']);
+
+      const slots = await request(app).get(`/api/doctors/${doctorData.doctor._id}/slots?date=${dateStr}`);
+      expect(slots.body.data.map(s => [s.formatted, s.clinic.name])).toEqual([
+        ['09:00 AM', 'Westlands Clinic'],
+        ['10:00 AM', 'Westlands Clinic'],
+        ['01:00 PM', 'Karen Medical Centre']
+      ]);
+      expect(slots.body.data[0].clinic.phone).toBe('+254700000001');
+
+      const patient = await createTestPatient({ email: `clinic_patient_${Date.now()}@test.com` });
+      const booking = await request(app)
+        .post('/api/appointments')
+        .set(getAuthHeaders(patient.token))
+        .send({ doctorId: doctorData.doctor._id, dateTime: slots.body.data[2].dateTime, reason: 'Follow-up' });
+
+      expect(booking.status).toBe(201);
+      expect(booking.body.data.clinic.name).toBe('Karen Medical Centre');
+      expect((await Appointment.findById(booking.body.data._id)).clinic._id.toString()).toBe(karen._id.toString());
+    });
+
+    /**
+     * Test: Schedules that don't fit the clinics
+     *
+     * Scenario: A window at an unlinked clinic, one outside Karen's opening hours,
+     *           linking a clinic in another timezone, and clinics that aren't a list of ids
+     * Expected: 400 INVALID_CLINIC each time, and the schedule is left unchanged
+     */
+    it('should reject malformed clinic lists and windows at unlinked, closed or other-timezone clinics', async () => {
+      await linkClinics([karen._id]);
+      const london = await addClinic({ name: 'Harley Street', address: { city: 'London' }, timezone: 'Europe/London' });
+
+      const unlinked = await schedule([{ dayOfWeek, startTime: '09:00', endTime: '11:00', clinic: westlands._id }]);
+      const closed = await schedule([{ dayOfWeek, startTime: '09:00', endTime: '11:00', clinic: karen._id }]);
+      const elsewhere = await linkClinics([karen._id, london._id]);
+      const malformed = await linkClinics(['not-an-id']);
+      const notAList = await linkClinics(karen._id);
+
+      [unlinked, closed, elsewhere, malformed, notAList].forEach(response => {
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_CLINIC');
+      });
+      expect(closed.body.error).toMatch(/Karen Medical Centre is not open/);
+
+      const slots = await request(app).get(`/api/doctors/${doctorData.doctor._id}/slots?date=${dateStr}`);
+      expect(slots.body.data).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Doctor Search Test Suite
+ *
+ * Tests for utils/doctorSearch:
+ * - Validation of search parameters
+ * - Escaping of free text and city before they reach a regex
+ * - Facets counted with every filter except their own
+ * - "Available within" filter and soonest-available sort
+ * - Distance search around a point
+ *
+ * Pure functions, so no database or HTTP setup is needed.
+ */
+
+const { parseSearch, buildSearchPipeline, formatSearchResult } = require('../utils/doctorSearch');
+
+// The $facet stage of a pipeline built from the given query
+const facetsFor = (query) => {
+  const pipeline = buildSearchPipeline(parseSearch(query));
+  return pipeline[pipeline.length - 1].$facet;
+};
+
+describe('🔎 Doctor Search', () => {
+  // ============================================
+  // ✅ parseSearch()
+  // ============================================
+
+  describe('parseSearch', () => {
+    /**
+     * Test: Valid parameters
+     *
+     * Scenario: Comma-separated languages, numeric ranges and a type
+     * Expected: Parsed into typed filters with default sort and paging
+     */
+    it('should parse filters into typed values', () => {
+      const search = parseSearch({
+        languages: 'English, French', feeMin: '50', feeMax: '150', acceptingNewPatients: 'false', type: 'video'
+      });
+
+      expect(search.filters).toMatchObject({
+        languages: ['English', 'French'], feeMin: 50, feeMax: 150, acceptingNewPatients: false, type: 'video'
+      });
+      expect(search).toMatchObject({ sort: '-rating.average', page: 1, limit: 10 });
+    });
+
+    /**
+     * Test: Invalid parameters
+     *
+     * Scenario: Non-numeric fee, unknown type, out-of-range rating and unlisted sort
+     * Expected: One error per problem, no filters returned
+     */
+    it('should reject invalid parameters', () => {
+      const result = parseSearch({ feeMin: 'cheap', type: 'zoom', minRating: '6', sort: 'user.password' });
+
+      expect(result.filters).toBeUndefined();
+      expect(result.errors).toHaveLength(4);
+    });
+
+    /**
+     * Test: Distance search parameters
+     *
+     * Scenario: Valid near with radius, near out of range, radius without near
+     * Expected: Point and radius parsed with distance as default sort; errors otherwise
+     */
+    it('should parse near and radius', () => {
+      expect(parseSearch({ near: '-1.2864, 36.8172', radius: '10' })).toMatchObject({
+        near: { lat: -1.2864, lng: 36.8172, radiusKm: 10 }, sort: 'distance'
+      });
+      expect(parseSearch({ near: '95,36' }).errors).toEqual(['near must be "latitude,longitude"']);
+      expect(parseSearch({ radius: '10', sort: 'distance' }).errors).toHaveLength(2);
+    });
+  });
+
+  // ============================================
+  // 🧱 buildSearchPipeline()
+  // ============================================
+
+  describe('buildSearchPipeline', () => {
+    /**
+     * Test: Regex input is escaped
+     *
+     * Scenario: Free text and city containing regex metacharacters
+     * Expected: Patterns match the characters literally
+     */
+    it('should escape free text and city', () => {
+      const pipeline = buildSearchPipeline(parseSearch({ q: '(a+)+', city: 'St. Louis' }));
+      const textPattern = pipeline[2].$match.$and[0].$or[0]['account.firstName'];
+      const cityPattern = pipeline[3].$facet.total[0].$match.$and[0]['locations.city'];
+
+      expect(textPattern.test('(a+)+')).toBe(true);
+      expect(textPattern.test('aaaa')).toBe(false);
+      expect(cityPattern.test('st. louis')).toBe(true);
+      expect(cityPattern.test('Stx Louis')).toBe(false);
+    });
+
+    /**
+     * Test: Facets leave out their own filter
+     *
+     * Scenario: Search filtered by specialization and language
+     * Expected: The specialization facet is matched on language only, and vice versa
+     */
+    it('should count each facet without its own filter', () => {
+      const facets = facetsFor({ specialization: 'Cardiology', languages: 'Spanish' });
+      const clausesOf = (stage) => stage.$match.$and.map(clause => Object.keys(clause)[0]);
+
+      expect(clausesOf(facets.results[0])).toEqual(['specialization', 'languages']);
+      expect(clausesOf(facets.specialization[0])).toEqual(['languages']);
+      expect(clausesOf(facets.languages[0])).toEqual(['specialization']);
+    });
+
+    /**
+     * Test: Soonest-available search
+     *
+     * Scenario: Available within 7 days, sorted by next open slot
+     * Expected: Cut-off 7 days after now; slots already started left out; doctors with no
+     *           open slot, or one already started, sorted last
+     */
+    it('should filter and sort on the cached next open slot', () => {
+      const now = new Date('2030-06-03T08:00:00Z');
+      const facets = buildSearchPipeline(parseSearch({ availableWithin: '7', sort: 'nextAvailable' }, now))[1].$facet;
+
+      expect(facets.results[0].$match.$and[0]['nextAvailable.at']).toEqual({ $gt: now, $lte: new Date('2030-06-10T08:00:00Z') });
+      expect(facets.results[1].$addFields.nextAvailableSort.$cond[0]).toEqual({ $gt: ['$nextAvailable.at', now] });
+      expect(facets.results[1].$addFields.nextAvailableSort.$cond[2].getTime()).toBeGreaterThan(now.getTime());
+      expect(facets.available[0].$match).toEqual({});
+    });
+
+    /**
+     * Test: Distance search starts with $geoNear
+     *
+     * Scenario: Search near a point within 5 km
+     * Expected: First stage is $geoNear on the clinic location, limited to listed doctors
+     */
+    it('should start near searches with $geoNear', () => {
+      const [first] = buildSearchPipeline(parseSearch({ near: '-1.28,36.81', radius: '5' }));
+
+      expect(first.$geoNear).toMatchObject({
+        near: { type: 'Point', coordinates: [36.81, -1.28] },
+        key: 'locations.location',
+        maxDistance: 5000,
+        query: { isVerified: true }
+      });
+    });
+  });
+
+  // ============================================
+  // 📦 formatSearchResult()
+  // ============================================
+
+  describe('formatSearchResult', () => {
+    /**
+     * Test: Response shape
+     *
+     * Scenario: Raw $facet output with fee buckets and rating counts
+     * Expected: Ids, total, value/count lists and min/max ranges
+     */
+    it('should shape the facet output', () => {
+      const result = formatSearchResult({
+        results: [{ _id: 'd1' }],
+        total: [{ count: 1 }],
+        specialization: [{ _id: 'Cardiology', count: 1 }],
+        city: [], languages: [], acceptingNewPatients: [], type: [], experience: [], available: [],
+        fee: [{ _id: 50, count: 1 }, { _id: 200, count: 2 }],
+        rating: [{ _id: null, atLeast4: 1, atLeast3: 2, atLeast2: 2, atLeast1: 3 }]
+      });
+
+      expect(result.ids).toEqual(['d1']);
+      expect(result.total).toBe(1);
+      expect(result.facets.specialization).toEqual([{ value: 'Cardiology', count: 1 }]);
+      expect(result.facets.fee).toEqual([{ min: 50, max: 100, count: 1 }, { min: 200, count: 2 }]);
+      expect(result.facets.minRating[0]).toEqual({ value: 4, count: 1 });
+    });
+  });
+});
@@ -3,9 +3,17 @@
  * 
  * Tests for:
  * - GET /api/doctors (list all doctors)
+ * - GET /api/doctors free-text search, filters and facet counts
+ * - Cached next available slot, with sorting, filtering and invalidation
+ * - Distance search around a point (near, radius), over doctors' own and linked clinics
  * - GET /api/doctors/:id (get doctor profile)
  * - PUT /api/doctors/:id (update doctor profile)
  * - GET /api/doctors/:id/availability (get doctor availability)
+ * - GET /api/doctors/:id/slots with dated availability overrides
+ * - PUT /api/doctors/availability (manage overrides, affected bookings)
+ * - PUT /api/doctors/:id/availability (receptionist and nurse schedule edits)
+ * - Availability interpreted in the doctor timezone
+ * - Admin verification queue and decisions
  */
 
 const request = require('supertest');
@@ -15,8 +23,14 @@ const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require
 const {
   createTestDoctor,
   createTestPatient,
+  createTestAppointment,
   getAuthHeaders
 } = require('./utils/testHelpers');
+const Doctor = require('../models/Doctor');
+const Appointment = require('../models/Appointment');
+const Clinic = require('../models/Clinic');
+const { getChannels } = require('../services/channels');
+const nextAvailable = require('../services/nextAvailable');
 
 // Create minimal Express app for testing
 const app = express();
@@ -178,6 +192,241 @@ describe('👨‍⚕️ Doctors Routes', () => {
     });
   });
 
+  // ============================================
+  // 🔎 GET /api/doctors - SEARCH AND FACETS
+  // ============================================
+
+  describe('Doctor search', () => {
+    beforeEach(async () => {
+      await createTestDoctor(
+        { email: 'dr.ortiz@test.com', firstName: 'Maria', lastName: 'Ortiz' },
+        {
+          isVerified: true, specialization: 'Cardiology', consultationFee: 180, languages: ['English', 'Spanish'],
+          clinicAddress: { name: 'Heartwell Clinic', city: 'Austin' }, appointmentTypes: ['in-person']
+        }
+      );
+      await createTestDoctor(
+        { email: 'dr.chen@test.com', firstName: 'Wei', lastName: 'Chen' },
+        {
+          isVerified: true, specialization: 'Dermatology', consultationFee: 60, languages: ['English'],
+          clinicAddress: { name: 'Skin First', city: 'Austin' }, appointmentTypes: ['in-person', 'video']
+        }
+      );
+    });
+
+    /**
+     * Test: Free text across name and clinic
+     *
+     * Scenario: Search by clinic name, and by doctor surname
+     * Expected: Only the matching doctor is returned each time
+     */
+    it('should match free text against doctor and clinic names', async () => {
+      const byClinic = await request(app).get('/api/doctors?q=heartwell');
+      const byName = await request(app).get('/api/doctors?q=chen');
+
+      expect(byClinic.status).toBe(200);
+      expect(byClinic.body.data.map(d => d.clinicAddress.name)).toEqual(['Heartwell Clinic']);
+      expect(byName.body.total).toBe(1);
+      expect(byName.body.data[0].specialization).toBe('Dermatology');
+    });
+
+    /**
+     * Test: Facets ignore their own filter
+     *
+     * Scenario: Filter to Spanish speakers offering video visits
+     * Expected: No results, but the language facet still counts video doctors by language
+     */
+    it('should return facet counts alongside filtered results', async () => {
+      const response = await request(app).get('/api/doctors?languages=Spanish&type=video');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(0);
+      expect(response.body.facets.languages).toEqual([{ value: 'English', count: 1 }]);
+      expect(response.body.facets.type).toEqual(expect.arrayContaining([{ value: 'in-person', count: 1 }]));
+    });
+
+    /**
+     * Test: Invalid search input
+     *
+     * Scenario: Unknown appointment type and an unlisted sort field
+     * Expected: 400 with a detail for each problem
+     */
+    it('should reject invalid search parameters', async () => {
+      const response = await request(app).get('/api/doctors?type=zoom&sort=licenseNumber');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toHaveLength(2);
+    });
+  });
+
+  // ============================================
+  // ⏭️ NEXT AVAILABLE SLOT
+  // ============================================
+
+  describe('Next available slot', () => {
+    const everyDay = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime: '00:00', endTime: '23:30' }));
+    let openDoctor;
+
+    beforeEach(async () => {
+      ({ doctor: openDoctor } = await createTestDoctor(
+        { email: 'dr.open@test.com' },
+        { isVerified: true, availability: everyDay, slotDuration: 30, timezone: 'UTC' }
+      ));
+      await createTestDoctor({ email: 'dr.closed@test.com' }, { isVerified: true, availability: [] });
+    });
+
+    /**
+     * Test: Sort and filter by soonest slot
+     *
+     * Scenario: One doctor works every day, the other has no hours
+     * Expected: The working doctor sorts first and is the only one open within a day
+     */
+    it('should sort and filter doctors by their next open slot', async () => {
+      const sorted = await request(app).get('/api/doctors?sort=nextAvailable');
+      const within = await request(app).get('/api/doctors?availableWithin=1');
+
+      expect(sorted.status).toBe(200);
+      expect(sorted.body.data[0]._id).toBe(openDoctor._id.toString());
+      expect(new Date(sorted.body.data[0].nextAvailable.at).getTime()).toBeGreaterThan(Date.now());
+      expect(sorted.body.data[1].nextAvailable.at).toBeNull();
+      expect(within.body.total).toBe(1);
+      expect(within.body.facets.availableWithin[0]).toEqual({ value: 1, count: 1 });
+    });
+
+    /**
+     * Test: Bookings invalidate the cached slot
+     *
+     * Scenario: The cached next slot gets booked and the doctor is invalidated
+     * Expected: The next search reports a later slot
+     */
+    it('should recompute the next slot after a booking', async () => {
+      const first = await request(app).get('/api/doctors?sort=nextAvailable');
+      const slot = new Date(first.body.data[0].nextAvailable.at);
+
+      await createTestAppointment(patientUser, openDoctor._id, {
+        dateTime: slot, endTime: new Date(slot.getTime() + 30 * 60 * 1000)
+      });
+      await nextAvailable.invalidate(openDoctor._id);
+
+      const second = await request(app).get('/api/doctors?sort=nextAvailable');
+      expect(new Date(second.body.data[0].nextAvailable.at).getTime()).toBeGreaterThan(slot.getTime());
+    });
+
+    /**
+     * Test: Aged and passed values
+     *
+     * Scenario: One cached slot has already started; another doctor's is past MAX_AGE but still ahead.
+     *           Nothing changed since either was computed
+     * Expected: A search recomputes the passed slot and keeps the aged one; refreshStale() then updates the aged one
+     */
+    it('should recompute passed slots on search and leave aged ones to the background refresh', async () => {
+      const { doctor: agedDoctor } = await createTestDoctor(
+        { email: 'dr.aged@test.com' },
+        { isVerified: true, availability: everyDay, slotDuration: 30, timezone: 'UTC' }
+      );
+      await request(app).get('/api/doctors?sort=nextAvailable');
+      const past = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      const ahead = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+      await Doctor.updateOne({ _id: openDoctor._id }, {
+        'nextAvailable.at': past, 'nextAvailable.computedAt': past, 'nextAvailable.changedAt': past
+      });
+      await Doctor.updateOne({ _id: agedDoctor._id }, {
+        'nextAvailable.at': ahead, 'nextAvailable.computedAt': past, 'nextAvailable.changedAt': past
+      });
+
+      const search = await request(app).get('/api/doctors?sort=nextAvailable&availableWithin=1');
+      const open = search.body.data.find(d => d._id === openDoctor._id.toString());
+      expect(new Date(open.nextAvailable.at).getTime()).toBeGreaterThan(Date.now());
+      expect((await Doctor.findById(agedDoctor._id)).nextAvailable.at).toEqual(ahead);
+
+      expect(await nextAvailable.refreshStale()).toBe(1);
+      expect((await Doctor.findById(agedDoctor._id)).nextAvailable.at.getTime()).toBeLessThan(ahead.getTime());
+    });
+
+    /**
+     * Test: Concurrent searches
+     *
+     * Scenario: Five searches arrive at once while both doctors are stale
+     * Expected: One refresh runs and one follow-up covers the searches that arrived during it,
+     *           instead of five overlapping refreshes
+     */
+    it('should share one refresh between concurrent searches', async () => {
+      const refresh = jest.spyOn(Appointment, 'find');
+      try {
+        const responses = await Promise.all([1, 2, 3, 4, 5].map(() => request(app).get('/api/doctors?sort=nextAvailable')));
+
+        expect(responses.every(r => r.status === 200)).toBe(true);
+        expect(refresh.mock.calls.length).toBeLessThanOrEqual(2);
+        expect((await Doctor.findById(openDoctor._id)).nextAvailable.computedAt).toBeDefined();
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+  });
+
+  // ============================================
+  // 📍 DISTANCE SEARCH
+  // ============================================
+
+  describe('Distance search', () => {
+    const at = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+    beforeEach(async () => {
+      await Doctor.init();
+      await createTestDoctor(
+        { email: 'dr.westlands@test.com' },
+        { isVerified: true, clinicAddress: { city: 'Nairobi', location: at(-1.2676, 36.8108) } }
+      );
+      await createTestDoctor(
+        { email: 'dr.karen@test.com' },
+        { isVerified: true, clinicAddress: { city: 'Nairobi', location: at(-1.3197, 36.7076) } }
+      );
+      await createTestDoctor(
+        { email: 'dr.mombasa@test.com' },
+        { isVerified: true, clinicAddress: { city: 'Mombasa', location: at(-4.0435, 39.6682) } }
+      );
+    });
+
+    /**
+     * Test: Doctors within a radius, nearest first
+     *
+     * Scenario: Search 15 km around Nairobi's city centre
+     * Expected: Both Nairobi clinics with their distance, nearest first; Mombasa left out
+     */
+    it('should return doctors within the radius with their distance', async () => {
+      const response = await request(app).get('/api/doctors?near=-1.2864,36.8172&radius=15');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(2);
+      expect(response.body.data.map(d => d.user.email)).toEqual(['dr.westlands@test.com', 'dr.karen@test.com']);
+      expect(response.body.data[0].distanceKm).toBeCloseTo(2.2, 0);
+      expect(response.body.data[1].distanceKm).toBeGreaterThan(response.body.data[0].distanceKm);
+    });
+
+    /**
+     * Test: Doctors found through their linked clinics
+     *
+     * Scenario: A doctor with no clinicAddress works at a Mombasa clinic; search by distance, clinic name and city
+     * Expected: Found each time, with the distance to that clinic
+     */
+    it('should search the clinics a doctor links to', async () => {
+      const nyali = await Clinic.create({
+        name: 'Nyali Clinic', timezone: 'Africa/Nairobi', address: { city: 'Mombasa', location: at(-4.0250, 39.7100) }
+      });
+      await createTestDoctor({ email: 'dr.nyali@test.com' }, { isVerified: true, clinics: [nyali._id] });
+
+      const near = await request(app).get('/api/doctors?near=-4.0250,39.7100&radius=2');
+      const byName = await request(app).get('/api/doctors?q=nyali');
+      const byCity = await request(app).get('/api/doctors?city=mombasa');
+
+      expect(near.body.data.map(d => d.user.email)).toEqual(['dr.nyali@test.com']);
+      expect(near.body.data[0].distanceKm).toBe(0);
+      expect(byName.body.data.map(d => d.user.email)).toEqual(['dr.nyali@test.com']);
+      expect(byCity.body.total).toBe(2);
+      expect(byCity.body.facets.city).toEqual(expect.arrayContaining([{ value: 'Mombasa', count: 2 }]));
+    });
+  });
+
   // ============================================
   // 👁️ GET /api/doctors/:id - DETAIL VIEW
   // ============================================
@@ -341,4 +590,339 @@ describe('👨‍⚕️ Doctors Routes', () => {
       expect(Array.isArray(response.body.data || response.body)).toBe(true);
     });
   });
+
+  // ============================================
+  // 🏖️ AVAILABILITY OVERRIDES
+  // ============================================
+
+  describe('Availability overrides', () => {
+    // A date a week out so every template slot is still in the future
+    const targetDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const dateStr = targetDate.toISOString().split('T')[0];
+    const weekly = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime: '09:00', endTime: '12:00' }));
+
+    const getSlots = () => request(app).get(`/api/doctors/${doctorProfile._id}/slots?date=${dateStr}`);
+    const slotTimes = (response) => response.body.data.map(s => {
+      const d = new Date(s.dateTime);
+      return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    });
+
+    beforeEach(async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, { availability: weekly, availabilityOverrides: [], slotDuration: 30 });
+    });
+
+    /**
+     * Test: Full-day block (vacation / public holiday)
+     * 
+     * Scenario: Doctor blocks a date range covering the target date
+     * Expected: No slots returned for that date
+     */
+    it('should return no slots on a fully blocked day', async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        availabilityOverrides: [{ startDate: dateStr, endDate: dateStr, type: 'block', reason: 'Vacation' }]
+      });
+
+      const response = await getSlots();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([]);
+    });
+
+    /**
+     * Test: Partial block (half-day off)
+     * 
+     * Scenario: Doctor blocks 10:00-11:00 on the target date
+     * Expected: Slots inside the block are removed, others kept
+     */
+    it('should remove slots inside a partial block', async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        availabilityOverrides: [{ startDate: dateStr, type: 'block', startTime: '10:00', endTime: '11:00' }]
+      });
+
+      const response = await getSlots();
+
+      expect(slotTimes(response)).toEqual(['09:00', '09:30', '11:00', '11:30']);
+    });
+
+    /**
+     * Test: Extra one-off hours
+     * 
+     * Scenario: No weekly template, extra Saturday-style clinic 14:00-15:00
+     * Expected: Only the extra slots are offered
+     */
+    it('should add slots for extra one-off hours', async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        availability: [],
+        availabilityOverrides: [{ startDate: dateStr, type: 'extra', startTime: '14:00', endTime: '15:00' }]
+      });
+
+      const response = await getSlots();
+
+      expect(slotTimes(response)).toEqual(['14:00', '14:30']);
+    });
+
+    /**
+     * Test: Blocking time that already has bookings
+     * 
+     * Scenario: Doctor blocks a day containing a pending appointment
+     * Expected: Response lists the affected appointment
+     */
+    it('should report appointments affected by a new block', async () => {
+      const patient = await createTestPatient({ email: `override_${Date.now()}@test.com` });
+      const start = new Date(`${dateStr}T09:30:00`);
+      const appointment = await createTestAppointment(patient.user, doctorProfile._id, {
+        dateTime: start,
+        endTime: new Date(start.getTime() + 30 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .put('/api/doctors/availability')
+        .set(getAuthHeaders(doctorToken))
+        .send({ availabilityOverrides: [{ startDate: dateStr, type: 'block', reason: 'Conference' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.availabilityOverrides).toHaveLength(1);
+      expect(response.body.affectedAppointments.map(a => a._id)).toEqual([appointment._id.toString()]);
+    });
+
+    /**
+     * Test: Invalid override rejected
+     * 
+     * Scenario: Extra hours without times
+     * Expected: 400 validation error
+     */
+    it('should reject extra hours without a time range', async () => {
+      const response = await request(app)
+        .put('/api/doctors/availability')
+        .set(getAuthHeaders(doctorToken))
+        .send({ availabilityOverrides: [{ startDate: dateStr, type: 'extra' }] });
+
+      expect(response.status).toBe(400);
+    });
+
+    /**
+     * Test: Assigned nurse manages the doctor's schedule
+     * 
+     * Scenario: Nurse blocks a day for their doctor, then tries the same on another doctor
+     * Expected: 200 for their doctor, 403 for the other
+     */
+    it('should let assigned staff edit availability for their doctor only', async () => {
+      const other = await createTestDoctor({ email: `other_${Date.now()}@test.com` });
+      const { token } = await createTestPatient({
+        email: `nurse_${Date.now()}@test.com`,
+        role: 'nurse',
+        assignedDoctors: [doctorProfile._id]
+      });
+      const block = { availabilityOverrides: [{ startDate: dateStr, type: 'block', reason: 'Training' }] };
+
+      const own = await request(app)
+        .put(`/api/doctors/${doctorProfile._id}/availability`)
+        .set(getAuthHeaders(token))
+        .send(block);
+      expect(own.status).toBe(200);
+      expect(own.body.data.availabilityOverrides).toHaveLength(1);
+
+      const foreign = await request(app)
+        .put(`/api/doctors/${other.doctor._id}/availability`)
+        .set(getAuthHeaders(token))
+        .send(block);
+      expect(foreign.status).toBe(403);
+    });
+  });
+
+  describe('Multiple windows per day', () => {
+    const targetDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const dateStr = targetDate.toISOString().split('T')[0];
+    const dayOfWeek = new Date(`${dateStr}T00:00:00`).getDay();
+
+    const updateWindows = (availability) => request(app)
+      .put('/api/doctors/availability')
+      .set(getAuthHeaders(doctorToken))
+      .send({ availability, availabilityOverrides: [], slotDuration: 60 });
+
+    /**
+     * Test: Split shift with a lunch break
+     * 
+     * Scenario: Doctor works 09:00-12:00 and 14:00-16:00 on the same day
+     * Expected: Slots from both windows, none during the break
+     */
+    it('should generate slots for every window on a day', async () => {
+      const update = await updateWindows([
+        { dayOfWeek, startTime: '14:00', endTime: '16:00' },
+        { dayOfWeek, startTime: '09:00', endTime: '12:00' }
+      ]);
+      expect(update.status).toBe(200);
+
+      const response = await request(app).get(`/api/doctors/${doctorProfile._id}/slots?date=${dateStr}`);
+
+      const times = response.body.data.map(s => new Date(s.dateTime).getHours());
+      expect(times).toEqual([9, 10, 11, 14, 15]);
+    });
+
+    /**
+     * Test: Overlapping windows rejected
+     * 
+     * Scenario: Two windows on the same day overlap by an hour
+     * Expected: 400 validation error
+     */
+    it('should reject overlapping windows on the same day', async () => {
+      const response = await updateWindows([
+        { dayOfWeek, startTime: '09:00', endTime: '12:00' },
+        { dayOfWeek, startTime: '11:00', endTime: '13:00' }
+      ]);
+
+      expect(response.status).toBe(400);
+    });
+
+    /**
+     * Test: Inverted window rejected
+     * 
+     * Scenario: Window ends before it starts
+     * Expected: 400 validation error
+     */
+    it('should reject a window that ends before it starts', async () => {
+      const response = await updateWindows([{ dayOfWeek, startTime: '17:00', endTime: '09:00' }]);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Doctor timezone', () => {
+    const dateStr = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+    /**
+     * Test: Slots generated in the clinic's zone
+     * 
+     * Scenario: Nairobi doctor (UTC+3) works 09:00-10:00
+     * Expected: Slot sent as 06:00 UTC, formatted as 09:00 clinic time
+     */
+    it('should interpret availability in the doctor timezone', async () => {
+      await Doctor.findByIdAndUpdate(doctorProfile._id, {
+        timezone: 'Africa/Nairobi',
+        availability: [{ dayOfWeek, startTime: '09:00', endTime: '10:00' }],
+        availabilityOverrides: [],
+        slotDuration: 60
+      });
+
+      const response = await request(app).get(`/api/doctors/${doctorProfile._id}/slots?date=${dateStr}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.timezone).toBe('Africa/Nairobi');
+      expect(response.body.data).toEqual([{ dateTime: `${dateStr}T06:00:00.000Z`, formatted: '09:00 AM', clinic: null }]);
+    });
+
+    /**
+     * Test: Unknown timezone rejected
+     * 
+     * Scenario: Doctor saves a zone that is not in the IANA database
+     * Expected: 400 validation error
+     */
+    it('should reject an invalid timezone', async () => {
+      const response = await request(app)
+        .put('/api/doctors/availability')
+        .set(getAuthHeaders(doctorToken))
+        .send({ timezone: 'Mars/Olympus_Mons' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // ✔️ DOCTOR VERIFICATION
+  // ============================================
+
+  describe('Doctor verification', () => {
+    const outbox = getChannels().email.sent;
+
+    const makeAdmin = async () => (await createTestPatient({ email: `admin_${Date.now()}@test.com`, role: 'admin' })).token;
+
+    /**
+     * Test: Approving a doctor from the queue
+     * 
+     * Scenario: Admin lists pending doctors, then approves a newly registered one
+     * Expected: Doctor appears in the queue with their license, is listed after approval,
+     *           the decision is in the audit trail and the doctor is emailed
+     */
+    it('should list pending doctors and approve one', async () => {
+      const adminToken = await makeAdmin();
+      const { doctor } = await createTestDoctor(
+        { email: `new_${Date.now()}@test.com`, lastName: 'Okafor' },
+        { licenseNumber: 'LIC-NEW-1' }
+      );
+
+      const queue = await request(app)
+        .get('/api/doctors/verification')
+        .set(getAuthHeaders(adminToken));
+      expect(queue.status).toBe(200);
+      const queued = queue.body.data.find(d => d._id === doctor._id.toString());
+      expect(queued.licenseNumber).toBe('LIC-NEW-1');
+      expect(queued.verification.status).toBe('pending');
+
+      const approved = await request(app)
+        .put(`/api/doctors/${doctor._id}/verification`)
+        .set(getAuthHeaders(adminToken))
+        .send({ decision: 'approve' });
+      expect(approved.status).toBe(200);
+      expect(approved.body.data.isVerified).toBe(true);
+      expect(approved.body.data.verification.history).toEqual([
+        expect.objectContaining({ from: 'pending', to: 'approved', role: 'admin' })
+      ]);
+      expect(outbox[outbox.length - 1].subject).toMatch(/approved/);
+
+      const listed = await request(app).get('/api/doctors');
+      expect(listed.body.data.map(d => d._id)).toContain(doctor._id.toString());
+    });
+
+    /**
+     * Test: Requesting more information
+     * 
+     * Scenario: Admin asks for more information (first without a reason), then the doctor updates their profile
+     * Expected: 400 without a reason; the update sends the profile back to pending, still unlisted
+     */
+    it('should return a profile to review after the doctor answers an information request', async () => {
+      const adminToken = await makeAdmin();
+      const { doctor, token } = await createTestDoctor({ email: `info_${Date.now()}@test.com` });
+
+      const noReason = await request(app)
+        .put(`/api/doctors/${doctor._id}/verification`)
+        .set(getAuthHeaders(adminToken))
+        .send({ decision: 'request-info' });
+      expect(noReason.status).toBe(400);
+
+      const requested = await request(app)
+        .put(`/api/doctors/${doctor._id}/verification`)
+        .set(getAuthHeaders(adminToken))
+        .send({ decision: 'request-info', reason: 'Please add your medical degree' });
+      expect(requested.body.data.verification.status).toBe('info-requested');
+      expect(outbox[outbox.length - 1].text).toContain('Please add your medical degree');
+
+      const updated = await request(app)
+        .put('/api/doctors/profile')
+        .set(getAuthHeaders(token))
+        .send({ qualifications: [{ degree: 'MBBS', institution: 'University of Lagos', year: 2010 }] });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.verification.status).toBe('pending');
+      expect(updated.body.data.isVerified).toBe(false);
+    });
+
+    /**
+     * Test: Only admins review doctors
+     * 
+     * Scenario: A doctor tries to open the queue and approve themselves
+     * Expected: 403 for both
+     */
+    it('should restrict the queue and decisions to admins', async () => {
+      const { doctor, token } = await createTestDoctor({ email: `self_${Date.now()}@test.com` });
+
+      const queue = await request(app).get('/api/doctors/verification').set(getAuthHeaders(token));
+      expect(queue.status).toBe(403);
+
+      const selfApproval = await request(app)
+        .put(`/api/doctors/${doctor._id}/verification`)
+        .set(getAuthHeaders(token))
+        .send({ decision: 'approve' });
+      expect(selfApproval.status).toBe(403);
+    });
+  });
 });
@@ -0,0 +1,40 @@
+/**
+ * Geocoder Test Suite
+ *
+ * Tests for services/geocoder with the offline stub (the default):
+ * - Addresses resolved to GeoJSON points by full address or by city
+ * - Unknown or empty addresses left without coordinates
+ *
+ * No network, database or HTTP setup is needed.
+ */
+
+const { getGeocoder, formatAddress, locate } = require('../services/geocoder');
+
+describe('🗺️ Geocoder', () => {
+  /**
+   * Test: Known address
+   *
+   * Scenario: Address added to the stub, and another only matching a known city
+   * Expected: GeoJSON points with longitude first
+   */
+  it('should locate known addresses and fall back to the city', async () => {
+    getGeocoder().add('12 Ngong Road, Nairobi', { lat: -1.3, lng: 36.78 });
+
+    expect(await locate({ street: '12 Ngong Road', city: 'Nairobi' }))
+      .toEqual({ type: 'Point', coordinates: [36.78, -1.3] });
+    expect(await locate({ street: '5 Nyerere Avenue', city: 'Mombasa' }))
+      .toEqual({ type: 'Point', coordinates: [39.6682, -4.0435] });
+  });
+
+  /**
+   * Test: Unknown address
+   *
+   * Scenario: A city the stub doesn't know, and an empty address
+   * Expected: null, so the address is saved without coordinates
+   */
+  it('should return null for addresses it cannot locate', async () => {
+    expect(await locate({ street: '1 Main St', city: 'Atlantis' })).toBeNull();
+    expect(await locate({})).toBeNull();
+    expect(formatAddress({ name: 'Clinic', city: 'Nairobi', zipCode: '00100' })).toBe('Nairobi, 00100');
+  });
+});
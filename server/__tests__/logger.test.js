@@ -0,0 +1,102 @@
+/**
+ * Request Logger Test Suite
+ *
+ * Tests for middleware/logger:
+ * - Passwords, tokens and two-factor codes redacted from logged request bodies
+ * - The same fields redacted from logged responses, however deeply nested
+ * - Error codes in logged responses left readable
+ * - Calendar feed tokens masked in logged paths and in feed URLs in responses
+ *
+ * No database is needed.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const requestLogger = require('../middleware/logger');
+
+const app = express();
+app.use(express.json());
+app.use(requestLogger);
+app.post('/api/auth/login/2fa', (req, res) => res.json({
+  success: true,
+  token: 'access-token',
+  refreshToken: 'refresh-token',
+  data: { user: { email: req.body.email }, recoveryCodes: ['aaaa-bbbb'] }
+}));
+app.post('/api/appointments', (req, res) => res.status(409).json({
+  success: false,
+  error: 'Time slot is not available',
+  code: 'SLOT_CONFLICT'
+}));
+app.get('/api/calendar/:token.ics', (req, res) => res.status(404).json({ success: false, error: 'Calendar not found' }));
+app.post('/api/calendar/feed/rotate', (req, res) => res.json({
+  success: true,
+  data: {
+    url: 'http://localhost:5000/api/calendar/newfeedtoken456.ics',
+    webcalUrl: 'webcal://localhost:5000/api/calendar/newfeedtoken456.ics'
+  }
+}));
+
+describe('📝 Request Logger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Test: Sensitive fields
+   *
+   * Scenario: A two-factor login posts a password and codes and gets tokens back
+   * Expected: None of the secrets reach the log; ordinary fields still do
+   */
+  it('should redact credentials from logged requests and responses', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await request(app).post('/api/auth/login/2fa').send({
+      email: 'patient@test.com',
+      password: 'Secret@123',
+      code: '123456',
+      recoveryCode: 'cccc-dddd',
+      refreshToken: 'old-refresh-token'
+    });
+
+    const logged = log.mock.calls.flat().join(' ');
+    expect(logged).toContain('patient@test.com');
+    expect(logged).toContain('***REDACTED***');
+    ['Secret@123', '123456', 'cccc-dddd', 'old-refresh-token', 'access-token', 'refresh-token', 'aaaa-bbbb']
+      .forEach(secret => expect(logged).not.toContain(secret));
+  });
+
+  /**
+   * Test: Error codes
+   *
+   * Scenario: A request whose body has a `code` gets an error response with its own `code`
+   * Expected: The request's code is redacted; the response's error code is logged as is
+   */
+  it('should keep error codes in logged responses readable', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await request(app).post('/api/appointments').send({ reason: 'Checkup', code: '654321' });
+
+    const logged = log.mock.calls.flat().join(' ');
+    expect(logged).toContain('"code":"SLOT_CONFLICT"');
+    expect(logged).not.toContain('654321');
+  });
+
+  /**
+   * Test: Calendar feed tokens
+   *
+   * Scenario: A feed is fetched by its token, and a rotated feed URL is returned
+   * Expected: Neither token reaches the log; the rest of the path and URL still do
+   */
+  it('should mask calendar feed tokens in logged paths and responses', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await request(app).get('/api/calendar/oldfeedtoken123.ics');
+    await request(app).post('/api/calendar/feed/rotate');
+
+    const logged = log.mock.calls.flat().join(' ');
+    expect(logged).toContain('/api/calendar/***REDACTED***.ics');
+    expect(logged).toContain('webcal://localhost:5000/api/calendar/***REDACTED***.ics');
+    ['oldfeedtoken123', 'newfeedtoken456'].forEach(secret => expect(logged).not.toContain(secret));
+  });
+});
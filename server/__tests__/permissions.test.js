@@ -0,0 +1,101 @@
+/**
+ * Permission Policy Test Suite
+ *
+ * Tests for utils/permissions:
+ * - Plain-role grants and grants that depend on the user's relation to a resource
+ * - Receptionist and nurse access limited to their assigned doctors
+ * - Redaction of private notes and prescriptions
+ *
+ * Pure functions, so no database or HTTP setup is needed.
+ */
+
+const { can, redactAppointment } = require('../utils/permissions');
+
+const PATIENT_ID = 'patient-1';
+const DOCTOR_ID = 'doctor-1';
+const DOCTOR_USER_ID = 'doctor-user-1';
+
+const resource = { patientId: PATIENT_ID, doctorId: DOCTOR_ID, doctorUserId: DOCTOR_USER_ID };
+
+// Serialized appointment as the controllers produce it
+const makeAppointment = () => ({
+  patient: { _id: PATIENT_ID },
+  doctor: { _id: DOCTOR_ID, user: DOCTOR_USER_ID },
+  notes: { patient: 'Bring scans', doctor: 'Suspected arrhythmia' },
+  prescription: 'Beta blockers'
+});
+
+describe('🔐 Permission Policy', () => {
+  // ============================================
+  // ✅ can()
+  // ============================================
+
+  describe('can', () => {
+    /**
+     * Test: Relation-based grants
+     *
+     * Scenario: The appointment's patient, its doctor and an unrelated patient read it
+     * Expected: Only the patient and doctor are allowed
+     */
+    it('should grant own-resource actions only to the owners', () => {
+      expect(can({ _id: PATIENT_ID, role: 'patient' }, 'appointment:read', resource)).toBe(true);
+      expect(can({ _id: DOCTOR_USER_ID, role: 'doctor' }, 'appointment:read', resource)).toBe(true);
+      expect(can({ _id: 'someone-else', role: 'patient' }, 'appointment:read', resource)).toBe(false);
+      expect(can({ _id: 'admin-1', role: 'admin' }, 'appointment:read', resource)).toBe(true);
+    });
+
+    /**
+     * Test: Staff act only for assigned doctors
+     *
+     * Scenario: Receptionist assigned to the doctor, and one assigned elsewhere
+     * Expected: Schedule actions for the assigned doctor only; never private notes
+     */
+    it('should limit staff to their assigned doctors', () => {
+      const assigned = { _id: 'staff-1', role: 'receptionist', assignedDoctors: [DOCTOR_ID] };
+      const elsewhere = { _id: 'staff-2', role: 'nurse', assignedDoctors: ['doctor-2'] };
+      const nurse = { _id: 'staff-3', role: 'nurse', assignedDoctors: [DOCTOR_ID] };
+
+      expect(can(assigned, 'appointment:reschedule', resource)).toBe(true);
+      expect(can(nurse, 'appointment:cancel', resource)).toBe(true);
+      expect(can(assigned, 'schedule:manage', resource)).toBe(true);
+      expect(can(assigned, 'private-notes:read', resource)).toBe(false);
+      expect(can(elsewhere, 'appointment:reschedule', resource)).toBe(false);
+      expect(can(elsewhere, 'appointment:cancel', resource)).toBe(false);
+    });
+
+    /**
+     * Test: Unknown action
+     *
+     * Scenario: A typo in an action name
+     * Expected: Throws instead of silently denying
+     */
+    it('should throw for an unknown action', () => {
+      expect(() => can({ role: 'admin' }, 'appointment:frobnicate')).toThrow("Unknown permission 'appointment:frobnicate'");
+    });
+  });
+
+  // ============================================
+  // 🙈 redactAppointment()
+  // ============================================
+
+  describe('redactAppointment', () => {
+    /**
+     * Test: Staff see the appointment without private fields
+     *
+     * Scenario: Nurse and the doctor each get the same appointment
+     * Expected: Nurse loses doctor notes and prescription; the doctor keeps both
+     */
+    it('should strip private fields for staff only', () => {
+      const nurse = { _id: 'staff-1', role: 'nurse', assignedDoctors: [DOCTOR_ID] };
+      const doctor = { _id: DOCTOR_USER_ID, role: 'doctor' };
+
+      const forNurse = redactAppointment(makeAppointment(), nurse);
+      expect(forNurse.notes).toEqual({ patient: 'Bring scans' });
+      expect(forNurse.prescription).toBeUndefined();
+
+      const forDoctor = redactAppointment(makeAppointment(), doctor);
+      expect(forDoctor.notes.doctor).toBe('Suspected arrhythmia');
+      expect(forDoctor.prescription).toBe('Beta blockers');
+    });
+  });
+});
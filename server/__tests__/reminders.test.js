@@ -0,0 +1,210 @@
+/**
+ * Reminders Test Suite
+ *
+ * Tests for:
+ * - Sending reminders for confirmed appointments at each configured offset
+ * - Email and SMS channels following the appointment's reminder flags
+ * - ReminderLog preventing duplicate sends
+ * - Retrying failed sends
+ * - Reminders for a family member going to the guardian
+ * - Reminders saying which clinic the visit is at
+ */
+
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const { createTestPatient, createTestDoctor, createTestAppointment } = require('./utils/testHelpers');
+const Appointment = require('../models/Appointment');
+const Dependent = require('../models/Dependent');
+const Clinic = require('../models/Clinic');
+const ReminderLog = require('../models/ReminderLog');
+const { sendDueReminders } = require('../jobs/reminders');
+const { createOutboxChannel } = require('../services/channels');
+
+describe('⏰ Appointment reminders', () => {
+  const HOUR = 60 * 60 * 1000;
+  const offsets = [24 * 60, 2 * 60];
+
+  let patient, doctorProfile, channels;
+
+  // Confirmed appointment starting the given number of hours from now
+  const bookIn = (hours, overrides = {}) => createTestAppointment(patient.user, doctorProfile._id, {
+    dateTime: new Date(Date.now() + hours * HOUR),
+    endTime: new Date(Date.now() + hours * HOUR + 30 * 60 * 1000),
+    status: 'confirmed',
+    ...overrides
+  });
+
+  const sweep = () => sendDueReminders({ channels, offsets });
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  beforeEach(async () => {
+    patient = await createTestPatient({ email: `reminder_${Date.now()}@test.com`, phone: '+254700000000' });
+    doctorProfile = (await createTestDoctor({ email: `reminder_dr_${Date.now()}@test.com` })).doctor;
+    channels = { email: createOutboxChannel('email'), sms: createOutboxChannel('sms') };
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  /**
+   * Test: Day-before reminder
+   *
+   * Scenario: A confirmed and a pending appointment 20 hours away
+   * Expected: Only the confirmed one gets an email, logged as sent
+   */
+  it('should email confirmed appointments inside the 24h window', async () => {
+    const confirmed = await bookIn(20);
+    await bookIn(21, { status: 'pending' });
+
+    const sent = await sweep();
+
+    expect(sent).toBe(1);
+    expect(channels.email.sent).toHaveLength(1);
+    expect(channels.email.sent[0].to).toBe(patient.user.email);
+    expect(channels.email.sent[0].subject).toMatch(/24 hours/);
+    const log = await ReminderLog.findOne({ appointment: confirmed._id });
+    expect(log.status).toBe('sent');
+    expect(log.offsetMinutes).toBe(24 * 60);
+  });
+
+  /**
+   * Test: No duplicates
+   *
+   * Scenario: The sweep runs twice
+   * Expected: The reminder goes out once
+   */
+  it('should never send the same reminder twice', async () => {
+    await bookIn(20);
+
+    await sweep();
+    const second = await sweep();
+
+    expect(second).toBe(0);
+    expect(channels.email.sent).toHaveLength(1);
+  });
+
+  /**
+   * Test: Late confirmation
+   *
+   * Scenario: Appointment confirmed one hour before it starts
+   * Expected: Only the 2h reminder is sent, not the 24h one as well
+   */
+  it('should send only the closest reminder when several are due', async () => {
+    await bookIn(1);
+
+    await sweep();
+
+    expect(channels.email.sent).toHaveLength(1);
+    expect(channels.email.sent[0].subject).toMatch(/2 hours/);
+  });
+
+  /**
+   * Test: Channel flags
+   *
+   * Scenario: Patient turned email off and SMS on
+   * Expected: Reminder goes to the patient's phone only
+   */
+  it('should follow the appointment reminder flags', async () => {
+    await bookIn(20, { reminders: { email: false, sms: true } });
+
+    await sweep();
+
+    expect(channels.email.sent).toHaveLength(0);
+    expect(channels.sms.sent).toHaveLength(1);
+    expect(channels.sms.sent[0].to).toBe('+254700000000');
+  });
+
+  /**
+   * Test: Rescheduled appointment
+   *
+   * Scenario: Reminder sent, then the appointment moves to a later day
+   * Expected: A fresh reminder is sent once the new time is due
+   */
+  it('should remind again after the appointment is rescheduled', async () => {
+    const appointment = await bookIn(20);
+    await sweep();
+
+    await Appointment.updateOne({ _id: appointment._id }, {
+      dateTime: new Date(Date.now() + 22 * HOUR),
+      endTime: new Date(Date.now() + 22 * HOUR + 30 * 60 * 1000)
+    });
+    await sweep();
+
+    expect(channels.email.sent).toHaveLength(2);
+  });
+
+  /**
+   * Test: Retry after failure
+   *
+   * Scenario: The first send fails, the next sweep succeeds
+   * Expected: Failure is logged, then the reminder is delivered on retry
+   */
+  it('should retry a failed send on the next sweep', async () => {
+    const appointment = await bookIn(20);
+    const outbox = channels.email;
+    channels.email = { name: 'email', send: async () => { throw new Error('SMTP unavailable'); } };
+
+    await sweep();
+    const failed = await ReminderLog.findOne({ appointment: appointment._id });
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toBe('SMTP unavailable');
+
+    channels.email = outbox;
+    await sweep();
+
+    const log = await ReminderLog.findOne({ appointment: appointment._id });
+    expect(log.status).toBe('sent');
+    expect(log.attempts).toBe(2);
+    expect(outbox.sent).toHaveLength(1);
+  });
+
+  /**
+   * Test: Dependent's appointment
+   *
+   * Scenario: A confirmed visit booked for the patient's child
+   * Expected: The guardian gets the email, and it names the child
+   */
+  it('should remind the guardian about a dependent\'s appointment', async () => {
+    const child = await Dependent.create({
+      guardian: patient.user._id,
+      firstName: 'Emma',
+      lastName: 'Doe',
+      dateOfBirth: new Date('2018-04-02'),
+      relationship: 'child'
+    });
+    await bookIn(20, { dependent: child._id });
+
+    await sweep();
+
+    expect(channels.email.sent).toHaveLength(1);
+    expect(channels.email.sent[0].to).toBe(patient.user.email);
+    expect(channels.email.sent[0].subject).toMatch(/Emma's appointment/);
+    expect(channels.email.sent[0].text).toContain("reminder of Emma's");
+  });
+
+  /**
+   * Test: Clinic in the reminder
+   *
+   * Scenario: A confirmed in-person visit at one of the doctor's clinics, with SMS on
+   * Expected: Email and SMS name the clinic and its address; the email adds its phone
+   */
+  it('should say which clinic the visit is at', async () => {
+    const clinic = await Clinic.create({
+      name: 'Westlands Clinic', address: { street: '12 Waiyaki Way', city: 'Nairobi' }, phone: '+254700000001'
+    });
+    await bookIn(20, { clinic: clinic._id, type: 'in-person', reminders: { email: true, sms: true } });
+
+    await sweep();
+
+    expect(channels.email.sent[0].text).toContain('Location: Westlands Clinic, 12 Waiyaki Way, Nairobi');
+    expect(channels.email.sent[0].text).toContain('Clinic phone: +254700000001');
+    expect(channels.sms.sent[0].text).toMatch(/at Westlands Clinic, 12 Waiyaki Way, Nairobi\.$/);
+  });
+});
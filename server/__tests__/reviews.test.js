@@ -0,0 +1,191 @@
+/**
+ * Reviews Test Suite
+ *
+ * Tests for:
+ * - POST /api/reviews (only the patient of a completed appointment, once)
+ * - Doctor rating recomputed when reviews are added, edited and removed
+ * - PUT /api/reviews/:id/reply (the reviewed doctor only)
+ * - Flagging and admin moderation hiding a review from listings and the rating
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const {
+  createTestPatient,
+  createTestDoctor,
+  createTestAppointment,
+  getAuthHeaders
+} = require('./utils/testHelpers');
+const Doctor = require('../models/Doctor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reviews', require('../routes/reviews'));
+app.use('/api/doctors', require('../routes/doctors'));
+
+describe('⭐ Reviews', () => {
+  let doctorData, patient;
+
+  const completedVisit = (patientUser, overrides = {}) =>
+    createTestAppointment(patientUser, doctorData.doctor._id, { status: 'completed', ...overrides });
+
+  const review = (token, appointmentId, body = {}) => request(app)
+    .post('/api/reviews')
+    .set(getAuthHeaders(token))
+    .send({ appointmentId, rating: 5, comment: 'Very thorough', ...body });
+
+  const ratingOf = async () => (await Doctor.findById(doctorData.doctor._id).lean()).rating;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  beforeEach(async () => {
+    doctorData = await createTestDoctor({ email: `reviews_dr_${Date.now()}@test.com` });
+    patient = await createTestPatient({ email: `reviewer_${Date.now()}@test.com` });
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  // ============================================
+  // ✍️ POST /api/reviews - WRITE A REVIEW
+  // ============================================
+
+  describe('POST /api/reviews', () => {
+    /**
+     * Test: Only completed appointments, once each
+     *
+     * Scenario: Patient reviews a pending visit, then a completed one twice
+     * Expected: 400 for the pending visit, 201 for the first review, 409 for the second
+     */
+    it('should accept one review per completed appointment', async () => {
+      const pending = await createTestAppointment(patient.user, doctorData.doctor._id);
+      const notYet = await review(patient.token, pending._id);
+      expect(notYet.status).toBe(400);
+      expect(notYet.body.code).toBe('APPOINTMENT_NOT_COMPLETED');
+
+      const visit = await completedVisit(patient.user);
+      const first = await review(patient.token, visit._id);
+      expect(first.status).toBe(201);
+
+      const again = await review(patient.token, visit._id, { rating: 1 });
+      expect(again.status).toBe(409);
+      expect(again.body.code).toBe('REVIEW_EXISTS');
+    });
+
+    /**
+     * Test: Only the visit's own patient
+     *
+     * Scenario: Another patient tries to review someone else's completed visit
+     * Expected: 403
+     */
+    it('should reject a review of another patient\'s appointment', async () => {
+      const visit = await completedVisit(patient.user);
+      const stranger = await createTestPatient({ email: `stranger_${Date.now()}@test.com` });
+
+      const response = await review(stranger.token, visit._id);
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // ============================================
+  // 📊 RATING AGGREGATION
+  // ============================================
+
+  describe('Doctor rating', () => {
+    /**
+     * Test: Aggregates follow every change
+     *
+     * Scenario: Two patients review (5 and 2 stars), one edits to 4, the other deletes theirs
+     * Expected: 3.5 over 2, then 4.5 over 2, then 4 over 1; the public list matches
+     */
+    it('should recompute the rating when reviews are added, edited and removed', async () => {
+      const other = await createTestPatient({ email: `other_${Date.now()}@test.com` });
+      const mine = await review(patient.token, (await completedVisit(patient.user))._id, { rating: 5 });
+      const theirs = await review(other.token, (await completedVisit(other.user))._id, { rating: 2 });
+      expect(await ratingOf()).toEqual({ average: 3.5, count: 2 });
+
+      await request(app)
+        .put(`/api/reviews/${theirs.body.data._id}`)
+        .set(getAuthHeaders(other.token))
+        .send({ rating: 4 });
+      expect(await ratingOf()).toEqual({ average: 4.5, count: 2 });
+
+      await request(app)
+        .delete(`/api/reviews/${mine.body.data._id}`)
+        .set(getAuthHeaders(patient.token));
+      expect(await ratingOf()).toEqual({ average: 4, count: 1 });
+
+      const listed = await request(app).get(`/api/doctors/${doctorData.doctor._id}/reviews`);
+      expect(listed.body.total).toBe(1);
+      expect(listed.body.data[0].rating).toBe(4);
+      expect(listed.body.data[0].patient).toBeUndefined();
+    });
+  });
+
+  // ============================================
+  // 💬 REPLIES AND MODERATION
+  // ============================================
+
+  describe('Replies and moderation', () => {
+    /**
+     * Test: Doctor replies to their own reviews
+     *
+     * Scenario: The reviewed doctor replies, then a different doctor tries to
+     * Expected: 200 with the reply saved, 403 for the other doctor
+     */
+    it('should let only the reviewed doctor reply', async () => {
+      const created = await review(patient.token, (await completedVisit(patient.user))._id);
+      const otherDoctor = await createTestDoctor({ email: `other_dr_${Date.now()}@test.com` });
+
+      const replied = await request(app)
+        .put(`/api/reviews/${created.body.data._id}/reply`)
+        .set(getAuthHeaders(doctorData.token))
+        .send({ text: 'Thank you for coming in' });
+      expect(replied.status).toBe(200);
+      expect(replied.body.data.reply.text).toBe('Thank you for coming in');
+
+      const foreign = await request(app)
+        .put(`/api/reviews/${created.body.data._id}/reply`)
+        .set(getAuthHeaders(otherDoctor.token))
+        .send({ text: 'Not my patient' });
+      expect(foreign.status).toBe(403);
+    });
+
+    /**
+     * Test: Flag, then hide
+     *
+     * Scenario: Doctor flags a review, admin finds it in the queue and hides it
+     * Expected: Review leaves the public list and no longer counts towards the rating
+     */
+    it('should hide a flagged review from listings and the rating', async () => {
+      const created = await review(patient.token, (await completedVisit(patient.user))._id, { rating: 1 });
+      const admin = await createTestPatient({ email: `admin_${Date.now()}@test.com`, role: 'admin' });
+
+      await request(app)
+        .post(`/api/reviews/${created.body.data._id}/flag`)
+        .set(getAuthHeaders(doctorData.token))
+        .send({ reason: 'Mentions another patient by name' });
+
+      const queue = await request(app).get('/api/reviews/moderation').set(getAuthHeaders(admin.token));
+      expect(queue.body.data.map(r => r._id)).toEqual([created.body.data._id]);
+
+      const hidden = await request(app)
+        .put(`/api/reviews/${created.body.data._id}/moderation`)
+        .set(getAuthHeaders(admin.token))
+        .send({ status: 'hidden', reason: 'Privacy' });
+      expect(hidden.status).toBe(200);
+
+      const listed = await request(app).get(`/api/doctors/${doctorData.doctor._id}/reviews`);
+      expect(listed.body.total).toBe(0);
+      expect(await ratingOf()).toEqual({ average: 0, count: 0 });
+    });
+  });
+});
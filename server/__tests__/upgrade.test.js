@@ -0,0 +1,76 @@
+/**
+ * Database Upgrade Test Suite
+ *
+ * Tests for:
+ * - upgradeDatabase() bringing indexes built by older versions up to date
+ * - Slot locks for upcoming appointments booked before they existed
+ */
+
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const { createTestPatient, createTestDoctor, createTestAppointment } = require('./utils/testHelpers');
+const SlotLock = require('../models/SlotLock');
+const User = require('../models/User');
+const upgradeDatabase = require('../config/upgrade');
+
+describe('🗄️ Database upgrade', () => {
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  /**
+   * Test: Email index from before walk-in records
+   *
+   * Scenario: Users collection still has the old unique, non-sparse email index;
+   *           the upgrade runs and the front desk adds two walk-ins without an email
+   * Expected: The index is rebuilt as unique and sparse, and both walk-ins are saved
+   */
+  it('should rebuild the email index so walk-ins without an email can be saved', async () => {
+    await User.init();
+    await User.collection.dropIndex('email_1');
+    await User.collection.createIndex({ email: 1 }, { unique: true, name: 'email_1' });
+    const { user: receptionist } = await createTestPatient({ email: `upgrade_desk_${Date.now()}@test.com`, role: 'receptionist' });
+
+    await upgradeDatabase();
+    await upgradeDatabase();
+
+    const walkIn = (n) => User.create({
+      username: `walkin_upgrade_${n}`, firstName: 'Walk', lastName: `In ${n}`, phone: '555 0100', createdBy: receptionist._id
+    });
+    await walkIn(1);
+    await walkIn(2);
+
+    const index = (await User.collection.indexes()).find(i => i.name === 'email_1');
+    expect(index).toMatchObject({ unique: true, sparse: true });
+    expect(await User.countDocuments({ createdBy: receptionist._id })).toBe(2);
+  });
+
+  /**
+   * Test: Appointments booked before slot locks
+   *
+   * Scenario: An upcoming and a cancelled appointment without locks; the upgrade runs twice
+   * Expected: Only the upcoming one gets locks, and the second run adds none
+   */
+  it('should lock the slots of upcoming appointments once', async () => {
+    const { user: patient } = await createTestPatient({ email: `upgrade_patient_${Date.now()}@test.com` });
+    const { doctor } = await createTestDoctor({ email: `upgrade_doctor_${Date.now()}@test.com` });
+    const upcoming = await createTestAppointment(patient, doctor._id, { status: 'confirmed' });
+    const cancelled = await createTestAppointment(patient, doctor._id, { status: 'cancelled' });
+
+    await upgradeDatabase();
+    const locked = await SlotLock.countDocuments({ appointment: upcoming._id });
+    await upgradeDatabase();
+
+    expect(locked).toBeGreaterThan(0);
+    expect(await SlotLock.exists({ resource: `doctor:${doctor._id}`, appointment: upcoming._id })).toBeTruthy();
+    expect(await SlotLock.countDocuments({ appointment: upcoming._id })).toBe(locked);
+    expect(await SlotLock.countDocuments({ appointment: cancelled._id })).toBe(0);
+  });
+});
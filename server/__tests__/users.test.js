@@ -6,6 +6,7 @@
  * - GET /api/users/profile (get user profile)
  * - PUT /api/users/profile (update user profile)
  * - GET /api/users/medical-history (get medical history)
+ * - GET/POST /api/patients (front-desk search and walk-in records)
  */
 
 const request = require('supertest');
@@ -33,6 +34,7 @@ app.use((req, res, next) => {
 // Import and use user routes
 const userRoutes = require('../routes/users');
 app.use('/api/users', userRoutes);
+app.use('/api/patients', require('../routes/patients'));
 
 describe('👥 Users/Patients Routes', () => {
   let patientToken, patientUser;
@@ -395,4 +397,91 @@ describe('👥 Users/Patients Routes', () => {
       expect(response.body.data).toHaveProperty('completionRate');
     });
   });
+
+  // ============================================
+  // 🛎️ /api/patients - FRONT DESK
+  // ============================================
+
+  describe('/api/patients - Front desk', () => {
+    const createReceptionist = () => createTestPatient({
+      email: `receptionist_${Date.now()}@test.com`,
+      role: 'receptionist'
+    });
+
+    /**
+     * Test: Receptionist finds a patient
+     * 
+     * Scenario: Search by first and last name; a patient tries the same search
+     * Expected: Receptionist gets the match, patient gets 403
+     */
+    it('should let the front desk search patients by name', async () => {
+      await createTestPatient({ firstName: 'Ada', lastName: 'Lovelace', email: `ada_${Date.now()}@test.com` });
+      const { token } = await createReceptionist();
+
+      const response = await request(app)
+        .get('/api/patients')
+        .query({ q: 'ada love' })
+        .set(getAuthHeaders(token));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(p => p.lastName)).toEqual(['Lovelace']);
+      expect(response.body.data[0]).not.toHaveProperty('password');
+
+      const asPatient = await request(app)
+        .get('/api/patients')
+        .query({ q: 'ada' })
+        .set(getAuthHeaders(patientToken));
+      expect(asPatient.status).toBe(403);
+    });
+
+    /**
+     * Test: Walk-in record without email
+     * 
+     * Scenario: Receptionist registers a walk-in with name and phone only
+     * Expected: 201, a patient attributed to the receptionist, with no password to sign in with
+     */
+    it('should create a walk-in patient record', async () => {
+      const { user, token } = await createReceptionist();
+
+      const response = await request(app)
+        .post('/api/patients')
+        .set(getAuthHeaders(token))
+        .send({ firstName: 'Walk', lastName: 'In', phone: '555 0100' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.createdBy).toBe(user._id.toString());
+
+      const User = require('../models/User');
+      const stored = await User.findById(response.body.data._id).select('+password');
+      expect(stored.role).toBe('patient');
+      expect(stored.password).toBeUndefined();
+      expect(await stored.comparePassword('anything')).toBe(false);
+    });
+
+    /**
+     * Test: Walk-in record with an email
+     *
+     * Scenario: Receptionist adds a walk-in with an email, then with a malformed one and a non-string one
+     * Expected: 201 with the address stored unverified; 400 for the bad addresses
+     */
+    it('should store a walk-in email as unverified and reject invalid ones', async () => {
+      const { token } = await createReceptionist();
+      const create = (email) => request(app)
+        .post('/api/patients')
+        .set(getAuthHeaders(token))
+        .send({ firstName: 'Walk', lastName: 'In', phone: '555 0101', email });
+
+      const created = await create(' Walk.In@Test.com ');
+      const malformed = await create('walk-in');
+      const notAString = await create({ $gt: '' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.email).toBe('walk.in@test.com');
+      const User = require('../models/User');
+      expect((await User.findById(created.body.data._id)).isEmailVerified).toBe(false);
+      expect(malformed.status).toBe(400);
+      expect(notAString.status).toBe(400);
+      expect(notAString.body.details).toEqual(['Invalid email format']);
+    });
+  });
 });
@@ -0,0 +1,219 @@
+/**
+ * Waitlist Test Suite
+ *
+ * Tests for:
+ * - POST /api/waitlist (join a doctor's waitlist)
+ * - Offering a cancelled appointment's slot to waitlisted patients in order
+ * - POST /api/waitlist/:id/decline and offer expiry passing the slot on
+ * - Claiming an offer by booking the slot
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { setupTestDatabase, teardownTestDatabase, cleanupBetweenTests } = require('./utils/testSetup');
+const {
+  createTestPatient,
+  createTestDoctor,
+  createTestAppointment,
+  getAuthHeaders
+} = require('./utils/testHelpers');
+const Waitlist = require('../models/Waitlist');
+const SlotHold = require('../models/SlotHold');
+const { expireOffers } = require('../services/waitlist');
+
+const app = express();
+app.use(express.json());
+app.use('/api/waitlist', require('../routes/waitlist'));
+app.use('/api/appointments', require('../routes/appointments'));
+
+describe('📋 Waitlist', () => {
+  // A week out at 10:00 UTC; the doctor works 09:00-17:00 UTC every day
+  const dateStr = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const slotStart = new Date(`${dateStr}T10:00:00.000Z`);
+  const slotEnd = new Date(`${dateStr}T10:30:00.000Z`);
+
+  let doctorProfile, owner, first, second;
+
+  const join = (patient, body = {}) => request(app)
+    .post('/api/waitlist')
+    .set(getAuthHeaders(patient.token))
+    .send({ doctorId: doctorProfile._id, ...body });
+
+  // The current owner of the 10:00 slot cancels it
+  const cancelSlot = async () => {
+    const appointment = await createTestAppointment(owner.user, doctorProfile._id, { dateTime: slotStart, endTime: slotEnd });
+    return request(app)
+      .delete(`/api/appointments/${appointment._id}`)
+      .set(getAuthHeaders(owner.token))
+      .send({ reason: 'Feeling better' });
+  };
+
+  const entryOf = (patient) => Waitlist.findOne({ patient: patient.user._id });
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await teardownTestDatabase();
+  });
+
+  beforeEach(async () => {
+    const doctorData = await createTestDoctor({ email: `waitlist_dr_${Date.now()}@test.com` }, {
+      timezone: 'UTC',
+      slotDuration: 30,
+      availability: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime: '09:00', endTime: '17:00' }))
+    });
+    doctorProfile = doctorData.doctor;
+    owner = await createTestPatient({ email: `owner_${Date.now()}@test.com` });
+    first = await createTestPatient({ email: `first_${Date.now()}@test.com` });
+    second = await createTestPatient({ email: `second_${Date.now()}@test.com` });
+  });
+
+  afterEach(async () => {
+    await cleanupBetweenTests();
+  });
+
+  // ============================================
+  // ➕ POST /api/waitlist - JOIN
+  // ============================================
+
+  describe('POST /api/waitlist - Join', () => {
+    /**
+     * Test: Join with preferences
+     *
+     * Scenario: Patient joins for a date range, mornings only
+     * Expected: 201 with a waiting entry
+     */
+    it('should add the patient to the waitlist', async () => {
+      const response = await join(first, { dateFrom: dateStr, dateTo: dateStr, timeOfDay: 'morning' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('waiting');
+      expect(response.body.data.timeOfDay).toBe('morning');
+    });
+
+    /**
+     * Test: Duplicate entry
+     *
+     * Scenario: Patient joins the same doctor's waitlist twice
+     * Expected: Second request rejected with 400
+     */
+    it('should not allow joining the same waitlist twice', async () => {
+      await join(first);
+      const response = await join(first);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // ============================================
+  // 🎟️ OFFERS
+  // ============================================
+
+  describe('Offering freed slots', () => {
+    /**
+     * Test: Offer goes to the first matching patient
+     *
+     * Scenario: First patient only wants afternoons, second takes anything; 10:00 is cancelled
+     * Expected: Second patient receives the offer and a hold on the slot
+     */
+    it('should offer a cancelled slot to the first patient whose preferences match', async () => {
+      await join(first, { timeOfDay: 'afternoon' });
+      await join(second);
+
+      const response = await cancelSlot();
+
+      expect(response.status).toBe(200);
+      expect((await entryOf(first)).status).toBe('waiting');
+      const offered = await entryOf(second);
+      expect(offered.status).toBe('offered');
+      expect(offered.offer.dateTime.toISOString()).toBe(slotStart.toISOString());
+      expect(await SlotHold.countDocuments({ waitlist: offered._id })).toBe(1);
+    });
+
+    /**
+     * Test: Offer during another checkout
+     *
+     * Scenario: Second patient is holding a slot with another doctor when the 10:00 slot is offered to them
+     * Expected: Both the offer hold and the checkout hold exist
+     */
+    it('should keep the patient\'s checkout hold elsewhere when an offer arrives', async () => {
+      const other = await createTestDoctor({ email: `waitlist_other_dr_${Date.now()}@test.com` }, { timezone: 'UTC' });
+      const checkout = await SlotHold.place(other.doctor._id, second.user._id, slotStart, slotEnd);
+      await join(second);
+
+      await cancelSlot();
+
+      const offered = await entryOf(second);
+      expect(offered.status).toBe('offered');
+      expect(await SlotHold.countDocuments({ waitlist: offered._id })).toBe(1);
+      expect(await SlotHold.exists({ _id: checkout._id })).toBeTruthy();
+    });
+
+    /**
+     * Test: Decline passes the slot on
+     *
+     * Scenario: First patient declines the offer
+     * Expected: First keeps waiting, second patient is offered the slot
+     */
+    it('should offer the slot to the next patient after a decline', async () => {
+      await join(first);
+      await join(second);
+      await cancelSlot();
+      const entry = await entryOf(first);
+
+      const response = await request(app)
+        .post(`/api/waitlist/${entry._id}/decline`)
+        .set(getAuthHeaders(first.token));
+
+      expect(response.status).toBe(200);
+      expect((await entryOf(first)).status).toBe('waiting');
+      expect((await entryOf(second)).status).toBe('offered');
+    });
+
+    /**
+     * Test: Offer expiry
+     *
+     * Scenario: First patient's claim window passes and the sweep runs
+     * Expected: Slot moves to the second patient and is not re-offered to the first
+     */
+    it('should pass expired offers to the next patient', async () => {
+      await join(first);
+      await join(second);
+      await cancelSlot();
+      await Waitlist.updateOne({ patient: first.user._id }, { 'offer.expiresAt': new Date(Date.now() - 1000) });
+
+      await expireOffers();
+
+      const firstEntry = await entryOf(first);
+      expect(firstEntry.status).toBe('waiting');
+      expect(firstEntry.passedSlots.map(d => d.toISOString())).toContain(slotStart.toISOString());
+      expect((await entryOf(second)).status).toBe('offered');
+    });
+
+    /**
+     * Test: Claiming an offer
+     *
+     * Scenario: Offered patient books the slot; another patient tries first
+     * Expected: Other patient gets 409, offered patient 201 and the entry is booked
+     */
+    it('should let only the offered patient book the slot', async () => {
+      await join(first);
+      await cancelSlot();
+      const book = (patient) => request(app)
+        .post('/api/appointments')
+        .set(getAuthHeaders(patient.token))
+        .send({ doctorId: doctorProfile._id, dateTime: slotStart, reason: 'Waitlist offer' });
+
+      const blocked = await book(second);
+      const claimed = await book(first);
+
+      expect(blocked.status).toBe(409);
+      expect(claimed.status).toBe(201);
+      const entry = await entryOf(first);
+      expect(entry.status).toBe('booked');
+      expect(entry.appointment.toString()).toBe(claimed.body.data._id);
+    });
+  });
+});
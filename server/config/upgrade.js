@@ -0,0 +1,69 @@
+/**
+ * Database Upgrade
+ *
+ * Brings data saved by older versions of the server up to date. Runs after
+ * every connect, so each step must be safe to repeat.
+ */
+
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const SlotLock = require('../models/SlotLock');
+const User = require('../models/User');
+
+// Index or collection already gone
+const ALREADY_DROPPED = [26, 27]; // NamespaceNotFound, IndexNotFound
+
+const dropIndex = async (model, name) => {
+  try {
+    await model.collection.dropIndex(name);
+    console.log(`Dropped index ${name} on ${model.collection.collectionName}`);
+  } catch (err) {
+    if (!ALREADY_DROPPED.includes(err.code)) throw err;
+  }
+};
+
+// Indexes on a collection; none if it doesn't exist yet
+const listIndexes = async (model) => {
+  try {
+    return await model.collection.indexes();
+  } catch (err) {
+    if (err.code === 26) return [];
+    throw err;
+  }
+};
+
+// Lock the slots of upcoming visits booked before slot locks existed; visits that
+// already hold locks are skipped, and ones that overlap an earlier visit are reported
+const lockUpcomingAppointments = async () => {
+  const upcoming = Appointment.find({ status: { $in: ['pending', 'confirmed'] }, endTime: { $gt: new Date() } })
+    .select('doctor patient dependent dateTime endTime')
+    .cursor();
+
+  for await (const appointment of upcoming) {
+    if (await SlotLock.exists({ appointment: appointment._id })) continue;
+    const resources = SlotLock.resourcesFor(appointment.doctor, appointment.patient, appointment.dependent);
+    if (!(await SlotLock.acquire(appointment._id, resources, appointment.dateTime, appointment.endTime))) {
+      console.warn(`Appointment ${appointment._id} overlaps another visit; its slot is not locked`);
+    }
+  }
+};
+
+const upgradeDatabase = async () => {
+  // Unique { doctor, dateTime } from before slot locks; it only caught identical
+  // start times, and Mongoose never drops indexes removed from a schema
+  await dropIndex(Appointment, 'doctor_1_dateTime_1');
+  await lockUpcomingAppointments();
+
+  // Unique email from before walk-in records, which have none; Mongoose won't
+  // change an existing index's options, so rebuild it as sparse
+  const emailIndex = (await listIndexes(User)).find(index => index.name === 'email_1');
+  if (emailIndex && !emailIndex.sparse) {
+    await dropIndex(User, 'email_1');
+    await User.createIndexes();
+  }
+
+  // Search reads Doctor.locations; fill it in for profiles saved before it existed
+  await Doctor.syncLocations({ locations: { $exists: false } });
+};
+
+module.exports = upgradeDatabase;
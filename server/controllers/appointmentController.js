@@ -1,36 +1,74 @@
 const Appointment = require('../models/Appointment');
 const Doctor = require('../models/Doctor');
-
-// Create appointment
+const User = require('../models/User');
+const Dependent = require('../models/Dependent');
+const { CHANGED_ERROR, typeNotOfferedError, checkSlot, bookSlot, moveAppointment, slotConflictError } = require('../services/booking');
+const { offerFreedSlot, closeEntriesOnBooking } = require('../services/waitlist');
+const nextAvailable = require('../services/nextAvailable');
+const { checkTransition, transitionError, withAllowedTransitions } = require('../utils/appointmentStatus');
+const { clinicAt } = require('../utils/availability');
+const { can, appointmentResource, doctorResource, redactAppointment } = require('../utils/permissions');
+
+const forbidden = (res) => res.status(403).json({ success: false, error: 'Not authorized' });
+
+// Serialize for the caller: allowed status moves, minus fields they may not see
+const present = (appointment, user) => redactAppointment(withAllowedTransitions(appointment, user.role), user);
+
+// Create appointment; front-desk staff pass patientId to book on a patient's behalf,
+// and dependentId books for one of the patient's family members
 exports.create = async (req, res, next) => {
   try {
-    const { doctorId, dateTime, type, reason, symptoms, notes } = req.body;
+    const { doctorId, patientId, dependentId, dateTime, type, reason, symptoms, notes } = req.body;
 
     const doctor = await Doctor.findById(doctorId);
     if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
     if (!doctor.acceptingNewPatients) return res.status(400).json({ success: false, error: 'Doctor not accepting new patients' });
+    const typeError = typeNotOfferedError(doctor, type);
+    if (typeError) return res.status(400).json(typeError);
+
+    let patient = req.user;
+    if (req.user.role !== 'patient') {
+      if (!patientId) return res.status(400).json({ success: false, error: 'patientId is required when booking for a patient' });
+      if (!can(req.user, 'appointment:book-for-patient', doctorResource(doctor))) return forbidden(res);
+      patient = await User.findOne({ _id: patientId, role: 'patient', isActive: true });
+      if (!patient) return res.status(404).json({ success: false, error: 'Patient not found' });
+    }
+
+    const dependent = dependentId ? await Dependent.findActiveFor(patient._id, dependentId) : null;
+    if (dependentId && !dependent) return res.status(404).json({ success: false, error: 'Family member not found' });
 
     const appointmentDateTime = new Date(dateTime);
-    const isAvailable = await Appointment.isSlotAvailable(doctorId, appointmentDateTime);
-    if (!isAvailable) return res.status(400).json({ success: false, error: 'Time slot is not available' });
+    if (isNaN(appointmentDateTime.getTime())) return res.status(400).json({ success: false, error: 'Invalid date and time' });
 
     const endTime = new Date(appointmentDateTime);
     endTime.setMinutes(endTime.getMinutes() + doctor.slotDuration);
 
-    const appointment = await Appointment.create({
-      patient: req.user._id,
-      doctor: doctorId,
-      dateTime: appointmentDateTime,
-      endTime,
-      type: type || 'in-person',
-      reason,
-      symptoms: symptoms || [],
-      notes: { patient: notes || '' },
-      fee: { amount: doctor.consultationFee }
+    const problem = await checkSlot({
+      doctor, patientId: patient._id, dependentId: dependent?._id, start: appointmentDateTime, end: endTime
+    });
+    if (problem) return res.status(409).json(problem);
+
+    const appointment = await bookSlot({
+      doctorId: doctor._id,
+      patientId: patient._id,
+      dependentId: dependent?._id,
+      start: appointmentDateTime,
+      end: endTime,
+      actor: { id: req.user._id, role: req.user.role },
+      fields: {
+        type: type || 'in-person',
+        reason,
+        symptoms: symptoms || [],
+        notes: { patient: notes || '' },
+        fee: { amount: doctor.consultationFee },
+        clinic: clinicAt(doctor, appointmentDateTime, endTime)
+      }
     });
+    if (!appointment) return res.status(409).json(slotConflictError([], doctorId));
+    await closeEntriesOnBooking(patient._id, doctorId, appointment);
 
     const populated = await Appointment.findById(appointment._id);
-    res.status(201).json({ success: true, data: populated });
+    res.status(201).json({ success: true, data: present(populated, req.user) });
   } catch (err) {
     next(err);
   }
@@ -39,16 +77,21 @@ exports.create = async (req, res, next) => {
 // Get appointments
 exports.getAll = async (req, res, next) => {
   try {
-    const { status, from, to, page = 1, limit = 10 } = req.query;
+    const { status, from, to, patient, page = 1, limit = 10 } = req.query;
     let query = {};
 
+    // Everyone but admins sees only their own appointments, or those of the doctors they work for
     if (req.user.role === 'patient') query.patient = req.user._id;
     else if (req.user.role === 'doctor') {
       const doctor = await Doctor.findOne({ user: req.user._id });
       if (!doctor) return res.status(404).json({ success: false, error: 'Doctor profile not found' });
       query.doctor = doctor._id;
+    } else if (req.user.role !== 'admin') {
+      query.doctor = { $in: req.user.assignedDoctors || [] };
     }
 
+    // Doctors, staff and admins can narrow to one patient, e.g. at the front desk
+    if (patient && req.user.role !== 'patient') query.patient = patient;
     if (status) query.status = status;
     if (from || to) {
       query.dateTime = {};
@@ -63,7 +106,13 @@ exports.getAll = async (req, res, next) => {
 
     const total = await Appointment.countDocuments(query);
 
-    res.json({ success: true, count: appointments.length, total, pages: Math.ceil(total / limit), data: appointments });
+    res.json({
+      success: true,
+      count: appointments.length,
+      total,
+      pages: Math.ceil(total / limit),
+      data: appointments.map(a => present(a, req.user))
+    });
   } catch (err) {
     next(err);
   }
@@ -74,14 +123,9 @@ exports.getById = async (req, res, next) => {
   try {
     const appointment = await Appointment.findById(req.params.id);
     if (!appointment) return res.status(404).json({ success: false, error: 'Appointment not found' });
+    if (!can(req.user, 'appointment:read', appointmentResource(appointment))) return forbidden(res);
 
-    const isPatient = appointment.patient._id.toString() === req.user._id.toString();
-    const doctor = await Doctor.findOne({ user: req.user._id });
-    const isDoctor = doctor && appointment.doctor._id.toString() === doctor._id.toString();
-
-    if (!isPatient && !isDoctor && req.user.role !== 'admin') return res.status(403).json({ success: false, error: 'Not authorized' });
-
-    res.json({ success: true, data: appointment });
+    res.json({ success: true, data: present(appointment, req.user) });
   } catch (err) {
     next(err);
   }
@@ -93,28 +137,85 @@ exports.update = async (req, res, next) => {
     let appointment = await Appointment.findById(req.params.id);
     if (!appointment) return res.status(404).json({ success: false, error: 'Appointment not found' });
 
-    const isPatient = appointment.patient._id.toString() === req.user._id.toString();
-    const doctor = await Doctor.findOne({ user: req.user._id });
-    const isDoctor = doctor && appointment.doctor._id.toString() === doctor._id.toString();
-
-    if (!isPatient && !isDoctor && req.user.role !== 'admin') return res.status(403).json({ success: false, error: 'Not authorized' });
+    const resource = appointmentResource(appointment);
+    if (!can(req.user, 'appointment:status', resource)) return forbidden(res);
 
-    const { status, notes, prescription } = req.body;
+    // Notes go to whichever note field the caller may write; anything else is ignored as before
+    const { status, notes, prescription, reason } = req.body;
+    const actorRole = req.user.role;
     const updates = {};
-    if (isPatient && notes) updates['notes.patient'] = notes;
-    if (isDoctor) {
-      if (status) updates.status = status;
-      if (notes) updates['notes.doctor'] = notes;
-      if (prescription) updates.prescription = prescription;
+    if (notes && can(req.user, 'patient-notes:write', resource)) updates['notes.patient'] = notes;
+    if (notes && can(req.user, 'private-notes:write', resource)) updates['notes.doctor'] = notes;
+    if (prescription && can(req.user, 'prescription:write', resource)) updates.prescription = prescription;
+
+    if (status && status !== appointment.status) {
+      const check = checkTransition(appointment, status, actorRole);
+      if (!check.allowed) return res.status(409).json(transitionError(appointment, status, actorRole, check.reason));
+
+      appointment = await Appointment.transitionStatus(
+        appointment, status, { actor: req.user._id, role: actorRole, reason }, updates
+      );
+      if (!appointment) return res.status(409).json({ success: false, error: CHANGED_ERROR });
+      if (status === 'cancelled') {
+        await nextAvailable.invalidate(appointment.doctor);
+        await offerFreedSlot(appointment);
+      }
+    } else {
+      appointment = await Appointment.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    }
+
+    res.json({ success: true, data: present(appointment, req.user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Reschedule appointment to a new slot, keeping notes, fee and history
+exports.reschedule = async (req, res, next) => {
+  try {
+    const { dateTime, reason } = req.body;
+    if (!dateTime) return res.status(400).json({ success: false, error: 'New date and time is required' });
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) return res.status(404).json({ success: false, error: 'Appointment not found' });
+
+    if (!can(req.user, 'appointment:reschedule', appointmentResource(appointment))) return forbidden(res);
+
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({ success: false, error: `Cannot reschedule a ${appointment.status} appointment` });
     }
-    if (status === 'cancelled') {
-      updates.status = 'cancelled';
-      updates.cancelledBy = req.user.role;
-      updates.cancellationReason = req.body.reason || '';
+
+    const newDateTime = new Date(dateTime);
+    if (isNaN(newDateTime.getTime())) return res.status(400).json({ success: false, error: 'Invalid date and time' });
+    if (newDateTime <= new Date()) return res.status(400).json({ success: false, error: 'Cannot reschedule to a time in the past' });
+    if (newDateTime.getTime() === appointment.dateTime.getTime()) {
+      return res.status(400).json({ success: false, error: 'Appointment is already scheduled at this time' });
     }
 
-    appointment = await Appointment.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
-    res.json({ success: true, data: appointment });
+    const doctor = await Doctor.findById(appointment.doctor._id);
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const endTime = new Date(newDateTime);
+    endTime.setMinutes(endTime.getMinutes() + doctor.slotDuration);
+
+    const problem = await checkSlot({
+      doctor,
+      patientId: appointment.patient._id,
+      dependentId: appointment.dependent?._id,
+      start: newDateTime,
+      end: endTime,
+      excludeId: appointment._id
+    });
+    if (problem) return res.status(409).json(problem);
+
+    const { appointment: updated, error } = await moveAppointment(appointment, newDateTime, endTime, {
+      actorId: req.user._id,
+      reason: reason || '',
+      clinic: clinicAt(doctor, newDateTime, endTime)
+    });
+    if (error) return res.status(409).json(error);
+
+    res.json({ success: true, data: present(updated, req.user) });
   } catch (err) {
     next(err);
   }
@@ -126,13 +227,20 @@ exports.remove = async (req, res, next) => {
     const appointment = await Appointment.findById(req.params.id);
     if (!appointment) return res.status(404).json({ success: false, error: 'Appointment not found' });
 
-    const isPatient = appointment.patient._id.toString() === req.user._id.toString();
-    if (!isPatient && req.user.role !== 'admin') return res.status(403).json({ success: false, error: 'Not authorized' });
+    if (!can(req.user, 'appointment:cancel', appointmentResource(appointment))) return forbidden(res);
 
-    appointment.status = 'cancelled';
-    appointment.cancelledBy = req.user.role;
-    appointment.cancellationReason = req.body.reason || 'Cancelled by user';
-    await appointment.save();
+    const actorRole = req.user.role;
+    const check = checkTransition(appointment, 'cancelled', actorRole);
+    if (!check.allowed) return res.status(409).json(transitionError(appointment, 'cancelled', actorRole, check.reason));
+
+    const cancelled = await Appointment.transitionStatus(appointment, 'cancelled', {
+      actor: req.user._id,
+      role: actorRole,
+      reason: req.body.reason || 'Cancelled by user'
+    });
+    if (!cancelled) return res.status(409).json({ success: false, error: CHANGED_ERROR });
+    await nextAvailable.invalidate(cancelled.doctor);
+    await offerFreedSlot(cancelled);
 
     res.json({ success: true, data: {} });
   } catch (err) {
@@ -1,5 +1,32 @@
 const User = require('../models/User');
 const Doctor = require('../models/Doctor');
+const Session = require('../models/Session');
+const { sendPasswordReset, sendEmailVerification } = require('../services/mail');
+const { startSession, rotateSession, endSession } = require('../services/sessions');
+const { TWO_FACTOR_FIELDS, beginEnrollment, confirmEnrollment, verifySecondFactor } = require('../services/twoFactor');
+const {
+  checkLoginAllowed,
+  registerFailure,
+  registerSuccess,
+  recordLoginEvent,
+  lockedResponse,
+  clearLockout
+} = require('../services/loginSecurity');
+const { STAFF_ROLES } = require('../utils/permissions');
+
+// Minimum gap between verification emails for one account
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Email a fresh verification link; failures are logged, not surfaced
+const sendVerificationLink = async (user) => {
+  try {
+    await sendEmailVerification(user, user.generateEmailVerificationToken(), User.EMAIL_VERIFICATION_HOURS);
+    user.emailVerificationSentAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  } catch (err) {
+    console.error('❌ [VERIFY EMAIL] Failed to send verification email:', err.message);
+  }
+};
 
 /**
  * REGISTER - Create a new user account (patient or doctor)
@@ -108,7 +135,8 @@ exports.register = async (req, res, next) => {
       firstName: firstName.trim(),
       lastName: lastName.trim(),
       phone: phone?.trim() || undefined,
-      role: role === 'doctor' ? 'doctor' : 'patient'
+      role: role === 'doctor' ? 'doctor' : 'patient',
+      emailVerified: false
     });
     console.log('✅ [REGISTER] User created:', user._id);
 
@@ -127,22 +155,39 @@ exports.register = async (req, res, next) => {
       console.log('✅ [REGISTER] Doctor profile created:', doctor._id);
     }
 
-    // ✅ STEP 6: Generate JWT token
-    const token = user.generateToken();
+    // ✅ STEP 6: Email a verification link
+    await sendVerificationLink(user);
+    const message = `Welcome ${user.firstName}! Your account has been created successfully. Please check your email to confirm your address.`;
+
+    // Roles that must use two-factor enroll before getting tokens, as they would at login
+    if (await user.requiresTwoFactor()) {
+      console.log('✅ [REGISTER] Registration successful, two-factor setup pending for:', email);
+      return res.status(201).json({
+        success: true,
+        twoFactorRequired: true,
+        enrollmentRequired: true,
+        challengeToken: user.generateTwoFactorChallenge(),
+        message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // ✅ STEP 7: Return success response
+    // ✅ STEP 7: Sign the new device in and return success response
+    const { token, refreshToken } = await startSession(user, req);
     const responseData = {
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
         role: user.role,
-        fullName: `${user.firstName} ${user.lastName}`
+        fullName: `${user.firstName} ${user.lastName}`,
+        emailVerified: false
       },
-      message: `Welcome ${user.firstName}! Your account has been created successfully.`,
+      message,
       timestamp: new Date().toISOString()
     };
 
@@ -189,45 +234,156 @@ exports.register = async (req, res, next) => {
   }
 };
 
-// Login
+// Send a lockout or throttling response with a Retry-After header
+const rejectLogin = (res, { status, body }) => res.set('Retry-After', String(body.retryAfter)).status(status).json(body);
+
+// Count a failed attempt and respond, reporting the lockout if this attempt caused one
+const failLogin = async (res, user, req, reason, body) => {
+  if (await registerFailure(user, req, reason)) return rejectLogin(res, lockedResponse());
+  return res.status(401).json(body);
+};
+
+// Finish a login: record it and start a session for this device
+const signIn = async (user, req, method) => {
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+  await registerSuccess(user, req, method);
+
+  const { token, refreshToken } = await startSession(user, req);
+  return {
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      emailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactor.enabled
+    }
+  };
+};
+
+// User behind a login challenge, or null if the challenge is no longer valid
+const challengedUser = async (challengeToken) => {
+  const decoded = User.decodeTwoFactorChallenge(challengeToken);
+  const user = decoded && await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive || user.isTokenRevoked(decoded)) return null;
+  return user;
+};
+
+const invalidChallenge = (res) => res.status(401).json({
+  success: false,
+  error: 'Sign-in has expired, please enter your password again',
+  code: 'INVALID_2FA_CHALLENGE'
+});
+
+// Login - with two-factor on (or required by policy), returns a challenge instead of tokens
 exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
     if (!email || !password) return res.status(400).json({ success: false, error: 'Please provide email and password' });
 
     const user = await User.findOne({ email }).select('+password');
-    if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    if (!user) return res.status(401).json({ success: false, error: 'Invalid credentials' });
+
+    // Locked or throttled accounts are turned away before the password is checked
+    const blocked = await checkLoginAllowed(user, req);
+    if (blocked) return rejectLogin(res, blocked);
+
+    if (!(await user.comparePassword(password))) {
+      return failLogin(res, user, req, 'invalid-password', { success: false, error: 'Invalid credentials' });
     }
 
-    if (!user.isActive) return res.status(401).json({ success: false, error: 'Account is deactivated' });
+    if (!user.isActive) {
+      await recordLoginEvent(user, req, false, 'deactivated');
+      return res.status(401).json({ success: false, error: 'Account is deactivated' });
+    }
 
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
+    if (user.twoFactor.enabled || await user.requiresTwoFactor()) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        // Policy requires two-factor but the user hasn't set it up yet
+        enrollmentRequired: !user.twoFactor.enabled,
+        challengeToken: user.generateTwoFactorChallenge()
+      });
+    }
 
-    const token = user.generateToken();
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
+    res.json(await signIn(user, req, 'password'));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Login step two - exchange the challenge plus an authenticator or recovery code for tokens
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await challengedUser(challengeToken);
+    if (!user) return invalidChallenge(res);
+
+    // Codes count towards the same lockout as passwords
+    const blocked = await checkLoginAllowed(user, req);
+    if (blocked) return rejectLogin(res, blocked);
+
+    // Enrolling during login: the first code confirms the new secret
+    if (!user.twoFactor.enabled) {
+      const recoveryCodes = await confirmEnrollment(user, code);
+      if (!recoveryCodes) {
+        return failLogin(res, user, req, 'invalid-2fa-code', { success: false, error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
       }
+      return res.json({ ...(await signIn(user, req, 'two-factor')), recoveryCodes });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      return failLogin(res, user, req, 'invalid-2fa-code', {
+        success: false,
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    res.json({
+      ...(await signIn(user, req, 'two-factor')),
+      ...(method === 'recovery-code' && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
     });
   } catch (err) {
     next(err);
   }
 };
 
+// Login enrollment - set up two-factor during login when the policy requires it
+exports.loginTwoFactorSetup = async (req, res, next) => {
+  try {
+    const user = await challengedUser(req.body.challengeToken);
+    if (!user) return invalidChallenge(res);
+    if (user.twoFactor.enabled) return res.status(400).json({ success: false, error: 'Two-factor authentication is already set up' });
+
+    res.json({ success: true, data: await beginEnrollment(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Get current user
 exports.getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     let doctorProfile = null;
-    if (user.role === 'doctor') doctorProfile = await Doctor.findOne({ user: user._id });
+    if (user.role === 'doctor') {
+      doctorProfile = await Doctor.findOne({ user: user._id }).select('+verification.reason').populate('clinics', 'name');
+    }
+    // Receptionists and nurses get the doctors whose schedules they run
+    let assignedDoctors = null;
+    if (STAFF_ROLES.includes(user.role)) {
+      assignedDoctors = await Doctor.find({ _id: { $in: user.assignedDoctors } })
+        .populate('user', 'firstName lastName')
+        .populate('clinics', 'name');
+    }
 
     res.json({
       success: true,
@@ -238,11 +394,157 @@ exports.getMe = async (req, res, next) => {
         lastName: user.lastName,
         phone: user.phone,
         role: user.role,
+        emailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        twoFactorRequired: await user.requiresTwoFactor(),
         profileImage: user.profileImage,
-        ...(doctorProfile && { doctorProfile })
+        ...(doctorProfile && { doctorProfile }),
+        ...(assignedDoctors && { assignedDoctors })
       }
     });
   } catch (err) {
     next(err);
   }
 };
+
+// Refresh - exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res, next) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken);
+    if (result.error) return res.status(401).json(result.error);
+
+    res.json({ success: true, token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Logout - sign this device out; succeeds even if the session is already gone
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken && typeof refreshToken === 'string') await endSession(refreshToken);
+    if (req.sessionId) {
+      await Session.updateOne({ _id: req.sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'logout' });
+    }
+
+    res.json({ success: true, message: 'Signed out' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Logout all - sign out every device, including access tokens issued before sessions existed
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await Session.revokeAll(req.user._id, 'logout-all');
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+    res.json({ success: true, message: 'Signed out on all devices' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Store a fresh reset token and email the link; failures are logged, not surfaced
+const sendResetLink = async (user) => {
+  try {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await sendPasswordReset(user, token, User.PASSWORD_RESET_MINUTES);
+  } catch (err) {
+    console.error('❌ [FORGOT PASSWORD] Failed to send reset email:', err.message);
+  }
+};
+
+// Forgot password - email a reset link; the response is the same whether or not the account exists
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') return res.status(400).json({ success: false, error: 'Please provide your email' });
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    // Not awaited, so the response takes as long whether or not the account exists
+    if (user && user.isActive) sendResetLink(user);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Reset password - set a new password with an emailed token; the token works once
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ success: false, error: 'Please provide the reset token and a new password' });
+    if (typeof password !== 'string' || password.length < 8) return res.status(400).json({ success: false, error: 'Password must be at least 8 characters' });
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'Reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' });
+    }
+
+    // Changing the password also revokes every JWT issued before now
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // The link was delivered to this address, which confirms it (walk-ins claim their record this way)
+    if (!user.isEmailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await Session.revokeAll(user._id, 'password-change');
+    // Proving control of the email address also lifts a lockout
+    await clearLockout(user._id);
+
+    res.json({ success: true, message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Verify email - confirm the address with the signed link from the verification email
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const decoded = User.decodeEmailVerificationToken(req.body.token);
+    const user = decoded && await User.findById(decoded.id);
+    // A link sent to an address the account no longer uses is void
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ success: false, error: 'Verification link is invalid or has expired', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    if (!user.isEmailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+    res.json({ success: true, message: 'Your email address has been confirmed.' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Resend verification - email a new link to the signed-in user
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.isEmailVerified) return res.status(400).json({ success: false, error: 'Email address is already confirmed' });
+
+    if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ success: false, error: 'A link was just sent, please wait a minute before asking again' });
+    }
+
+    await sendVerificationLink(user);
+    res.json({ success: true, message: `A new confirmation link has been sent to ${user.email}.` });
+  } catch (err) {
+    next(err);
+  }
+};
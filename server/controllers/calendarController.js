@@ -0,0 +1,92 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const { renderCalendar } = require('../utils/ical');
+const { can, appointmentResource, STAFF_ROLES } = require('../utils/permissions');
+
+// Doctors and their staff get the doctor's view of an event (patient name in the title)
+const viewerFor = (user) => (user.role === 'doctor' || STAFF_ROLES.includes(user.role) ? 'doctor' : 'patient');
+
+// Past appointments kept in the feed so recent visits stay visible
+const FEED_PAST_DAYS = 30;
+
+const sendCalendar = (res, body, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+};
+
+const feedUrls = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+// Download a single appointment as an .ics file
+exports.appointmentEvent = async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) return res.status(404).json({ success: false, error: 'Appointment not found' });
+
+    if (!can(req.user, 'appointment:export', appointmentResource(appointment))) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+
+    sendCalendar(res, renderCalendar([appointment], { viewer: viewerFor(req.user) }), `appointment-${appointment._id}.ics`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the current user's feed URL, issuing a token on first use
+exports.getFeed = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    if (!user.calendarToken) {
+      user.rotateCalendarToken();
+      await user.save({ validateBeforeSave: false });
+    }
+    res.json({ success: true, data: feedUrls(req, user.calendarToken) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Replace the feed token so the old URL stops working
+exports.rotateFeed = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.rotateCalendarToken();
+    await user.save({ validateBeforeSave: false });
+    res.json({ success: true, data: feedUrls(req, user.calendarToken) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Subscription feed; the token in the URL is the only credential
+exports.feed = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user || !user.isActive) return res.status(404).json({ success: false, error: 'Calendar not found' });
+
+    const query = { dateTime: { $gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) } };
+    if (user.role === 'doctor') {
+      const doctor = await Doctor.findOne({ user: user._id });
+      if (!doctor) return res.status(404).json({ success: false, error: 'Calendar not found' });
+      query.doctor = doctor._id;
+    } else if (STAFF_ROLES.includes(user.role)) {
+      query.doctor = { $in: user.assignedDoctors || [] };
+    } else {
+      query.patient = user._id;
+    }
+    const viewer = viewerFor(user);
+
+    // Cancelled visits stay in the feed as STATUS:CANCELLED so subscribed calendars drop them
+    const appointments = await Appointment.find(query).sort('dateTime').limit(500);
+    res.set('Cache-Control', 'private, max-age=300');
+    sendCalendar(res, renderCalendar(appointments, { viewer, name: 'MediReach Appointments' }));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,155 @@
+const Clinic = require('../models/Clinic');
+const Doctor = require('../models/Doctor');
+const { relocate } = require('../services/geocoder');
+const { scheduleError } = require('../services/clinics');
+const nextAvailable = require('../services/nextAvailable');
+const { escapeRegExp } = require('../utils/regex');
+
+const EDITABLE_FIELDS = ['name', 'address', 'timezone', 'phone', 'openingHours'];
+
+const pickFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => { if (body[field] !== undefined) fields[field] = body[field]; });
+  return fields;
+};
+
+// Geocode the address in fields, if given; resolves to whether it was located
+const geocodeAddress = async (fields, current) => {
+  if (!fields.address) return undefined;
+  const { location, ...address } = fields.address;
+  const point = await relocate(address, current);
+  fields.address = point ? { ...address, location: point } : address;
+  return Boolean(point);
+};
+
+const notFound = (res) => res.status(404).json({ success: false, error: 'Clinic not found' });
+
+// List active clinics (?q= matches name or city, ?city= filters by city)
+exports.getAll = async (req, res, next) => {
+  try {
+    const query = { isActive: true };
+    if (req.query.city) query['address.city'] = new RegExp(`^${escapeRegExp(req.query.city)}$`, 'i');
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+      query.$or = [{ name: pattern }, { 'address.city': pattern }];
+    }
+
+    const clinics = await Clinic.find(query).sort('name');
+    res.json({ success: true, count: clinics.length, data: clinics });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a clinic with the listed doctors working there
+exports.getById = async (req, res, next) => {
+  try {
+    const clinic = await Clinic.findById(req.params.id);
+    if (!clinic) return notFound(res);
+
+    const doctors = await Doctor.find({ clinics: clinic._id, isVerified: true })
+      .select('user specialization consultationFee rating');
+    res.json({ success: true, data: { ...clinic.toJSON(), doctors } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Add a clinic
+exports.create = async (req, res, next) => {
+  try {
+    const fields = pickFields(req.body);
+    const geocoded = await geocodeAddress(fields);
+
+    const clinic = await Clinic.create({ ...fields, createdBy: req.user._id });
+    res.status(201).json({ success: true, data: clinic, ...(geocoded !== undefined && { geocoded }) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Doctors whose weekly windows at the clinic fall outside its (edited) opening hours,
+// as "Dr. Name: problem" lines
+const windowsOutsideHours = async (clinic) => {
+  const doctors = await Doctor.find({ clinics: clinic._id });
+  const problems = [];
+  for (const doctor of doctors) {
+    const problem = await scheduleError({
+      clinicIds: [clinic._id],
+      timezone: clinic.timezone,
+      availability: doctor.availability.filter(w => String(w.clinic) === clinic._id.toString()),
+      clinics: [clinic]
+    });
+    if (problem) problems.push(`Dr. ${doctor.user.firstName} ${doctor.user.lastName}: ${problem.error}`);
+  }
+  return problems;
+};
+
+// Update a clinic; its doctors' slots are in its timezone, so that only
+// changes while no doctor in another timezone works there, and its opening
+// hours only while every doctor's windows there still fit
+exports.update = async (req, res, next) => {
+  try {
+    const clinic = await Clinic.findOne({ _id: req.params.id, isActive: true });
+    if (!clinic) return notFound(res);
+
+    const fields = pickFields(req.body);
+    if (fields.timezone && fields.timezone !== clinic.timezone) {
+      const elsewhere = await Doctor.countDocuments({ clinics: clinic._id, timezone: { $ne: fields.timezone } });
+      if (elsewhere) {
+        return res.status(400).json({
+          success: false,
+          error: 'Doctors working at this clinic are in another timezone; update or unlink them first',
+          code: 'INVALID_CLINIC'
+        });
+      }
+    }
+    const geocoded = await geocodeAddress(fields, clinic.address);
+
+    clinic.set(fields);
+    if (fields.openingHours) {
+      await clinic.validate();
+      const details = await windowsOutsideHours(clinic);
+      if (details.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Some doctors hold hours here outside the new opening hours; change their schedules first',
+          code: 'INVALID_CLINIC',
+          details
+        });
+      }
+    }
+    await clinic.save();
+
+    // Search reads each doctor's copy of the clinic's name and address
+    if (fields.name || fields.address) await Doctor.syncLocations({ clinics: clinic._id });
+    const linked = await Doctor.find({ clinics: clinic._id }).select('_id');
+    for (const doctor of linked) await nextAvailable.invalidate(doctor);
+    res.json({ success: true, data: clinic, ...(geocoded !== undefined && { geocoded }) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Close a clinic; kept on past appointments, so doctors must unlink it first
+exports.remove = async (req, res, next) => {
+  try {
+    const clinic = await Clinic.findOne({ _id: req.params.id, isActive: true });
+    if (!clinic) return notFound(res);
+
+    const linked = await Doctor.countDocuments({ clinics: clinic._id });
+    if (linked) {
+      return res.status(400).json({
+        success: false,
+        error: `${linked} doctor${linked === 1 ? ' still works' : 's still work'} at this clinic; unlink them first`,
+        code: 'CLINIC_IN_USE'
+      });
+    }
+
+    clinic.isActive = false;
+    await clinic.save();
+    res.json({ success: true, data: {} });
+  } catch (err) {
+    next(err);
+  }
+};
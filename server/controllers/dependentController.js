@@ -0,0 +1,74 @@
+const Dependent = require('../models/Dependent');
+const Appointment = require('../models/Appointment');
+
+const EDITABLE_FIELDS = ['firstName', 'lastName', 'dateOfBirth', 'gender', 'relationship'];
+
+const pickFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => { if (body[field] !== undefined) fields[field] = body[field]; });
+  return fields;
+};
+
+const notFound = (res) => res.status(404).json({ success: false, error: 'Family member not found' });
+
+// List the current user's family members
+exports.getAll = async (req, res, next) => {
+  try {
+    const dependents = await Dependent.find({ guardian: req.user._id, isActive: true }).sort('firstName');
+    res.json({ success: true, count: dependents.length, data: dependents });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Add a family member
+exports.create = async (req, res, next) => {
+  try {
+    const dependent = await Dependent.create({ ...pickFields(req.body), guardian: req.user._id });
+    res.status(201).json({ success: true, data: dependent });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Update a family member
+exports.update = async (req, res, next) => {
+  try {
+    const dependent = await Dependent.findOneAndUpdate(
+      { _id: req.params.id, guardian: req.user._id, isActive: true },
+      pickFields(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!dependent) return notFound(res);
+    res.json({ success: true, data: dependent });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Remove a family member; kept on past appointments, so upcoming ones must be cancelled first
+exports.remove = async (req, res, next) => {
+  try {
+    const dependent = await Dependent.findActiveFor(req.user._id, req.params.id);
+    if (!dependent) return notFound(res);
+
+    const upcoming = await Appointment.countDocuments({
+      dependent: dependent._id,
+      status: { $in: ['pending', 'confirmed'] },
+      dateTime: { $gt: new Date() }
+    });
+    if (upcoming) {
+      return res.status(409).json({
+        success: false,
+        error: `Cancel ${dependent.firstName}'s ${upcoming} upcoming appointment(s) first`,
+        code: 'DEPENDENT_HAS_APPOINTMENTS'
+      });
+    }
+
+    dependent.isActive = false;
+    await dependent.save();
+    res.json({ success: true, data: {} });
+  } catch (err) {
+    next(err);
+  }
+};
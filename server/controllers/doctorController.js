@@ -1,22 +1,61 @@
+const mongoose = require('mongoose');
 const Doctor = require('../models/Doctor');
 const Appointment = require('../models/Appointment');
+const SlotHold = require('../models/SlotHold');
+const Clinic = require('../models/Clinic');
+const {
+  DATE_PATTERN, DEFAULT_TIMEZONE, toDateString, getDayRange, generateSlots, generateSlotDetails, fitsAvailability
+} = require('../utils/availability');
+const { can, doctorResource } = require('../utils/permissions');
+const { parseSearch, buildSearchPipeline, formatSearchResult } = require('../utils/doctorSearch');
+const { sendVerificationDecision } = require('../services/mail');
+const nextAvailable = require('../services/nextAvailable');
+const { relocate } = require('../services/geocoder');
+const { scheduleError } = require('../services/clinics');
 
-// Get all doctors
+// Clinic details shown wherever a visit's location is
+const CLINIC_FIELDS = 'name address timezone phone openingHours isActive';
+
+const forbidden = (res) => res.status(403).json({ success: false, error: 'Not authorized' });
+
+// Doctor a write targets: /:id when given, otherwise the signed-in doctor's own profile
+const targetDoctor = (req) => (req.params.id
+  ? Doctor.findById(req.params.id)
+  : Doctor.findOne({ user: req.user._id }));
+
+// No target: a missing /:id, or a caller without a profile of their own
+const noTarget = (req, res) => (req.params.id
+  ? res.status(404).json({ success: false, error: 'Doctor profile not found' })
+  : forbidden(res));
+
+// Search listed doctors: free text, filters and facet counts (see utils/doctorSearch)
 exports.getAll = async (req, res, next) => {
   try {
-    const { specialization, city, page = 1, limit = 10, sort = '-rating.average' } = req.query;
-    const query = { isVerified: true };
-    if (specialization) query.specialization = specialization;
-    if (city) query['clinicAddress.city'] = new RegExp(city, 'i');
+    const search = parseSearch(req.query);
+    if (search.errors) return res.status(400).json({ success: false, error: 'Invalid search', details: search.errors });
 
-    const doctors = await Doctor.find(query)
-      .sort(sort)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+    // Recompute doctors whose bookings or schedule changed, or whose slot has passed, before
+    // filtering or sorting on their next slot; the background job keeps the rest fresh
+    await nextAvailable.refreshForSearch(search.now);
+    const [raw] = await Doctor.aggregate(buildSearchPipeline(search));
+    const { ids, distances, total, facets } = formatSearchResult(raw);
 
-    const total = await Doctor.countDocuments(query);
+    // Load the page through the model so population and hidden fields apply, then restore the search order
+    const found = await Doctor.find({ _id: { $in: ids } });
+    const byId = new Map(found.map(doctor => [doctor._id.toString(), doctor]));
+    const doctors = ids.map(id => byId.get(id.toString())).filter(Boolean);
 
-    res.json({ success: true, count: doctors.length, total, pages: Math.ceil(total / limit), data: doctors });
+    res.json({
+      success: true,
+      count: doctors.length,
+      total,
+      page: search.page,
+      pages: Math.ceil(total / search.limit),
+      data: distances
+        ? doctors.map(doctor => ({ ...doctor.toJSON(), distanceKm: distances[doctor._id.toString()] }))
+        : doctors,
+      facets
+    });
   } catch (err) {
     next(err);
   }
@@ -25,7 +64,7 @@ exports.getAll = async (req, res, next) => {
 // Get doctor by id
 exports.getById = async (req, res, next) => {
   try {
-    const doctor = await Doctor.findById(req.params.id);
+    const doctor = await Doctor.findById(req.params.id).populate({ path: 'clinics', select: CLINIC_FIELDS });
     if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
     res.json({ success: true, data: doctor });
   } catch (err) {
@@ -42,44 +81,90 @@ exports.getSlots = async (req, res, next) => {
     const doctor = await Doctor.findById(req.params.id);
     if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
 
-    const requestedDate = new Date(date);
-    const dayOfWeek = requestedDate.getDay();
-    const dayAvailability = doctor.availability.find(a => a.dayOfWeek === dayOfWeek && a.isAvailable);
-    if (!dayAvailability) return res.json({ success: true, data: [] });
+    if (!DATE_PATTERN.test(date)) return res.status(400).json({ success: false, error: 'Date must be in YYYY-MM-DD format' });
 
-    const slots = [];
-    const [startHour, startMin] = dayAvailability.startTime.split(':').map(Number);
-    const [endHour, endMin] = dayAvailability.endTime.split(':').map(Number);
+    // The date is a calendar day in the doctor's zone; slots go out as UTC instants
+    const timezone = doctor.timezone || DEFAULT_TIMEZONE;
+    const slots = generateSlotDetails(doctor, date);
+    if (slots.length === 0) return res.json({ success: true, timezone, data: [] });
 
-    let current = new Date(requestedDate);
-    current.setHours(startHour, startMin, 0, 0);
-    const endTime = new Date(requestedDate);
-    endTime.setHours(endHour, endMin, 0, 0);
-
-    while (current < endTime) {
-      slots.push(new Date(current));
-      current.setMinutes(current.getMinutes() + doctor.slotDuration);
-    }
-
-    const startOfDay = new Date(requestedDate.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(requestedDate.setHours(23, 59, 59, 999));
+    const { start: startOfDay, end: endOfDay } = getDayRange(date, timezone);
 
     const bookedAppointments = await Appointment.find({
       doctor: doctor._id,
-      dateTime: { $gte: startOfDay, $lte: endOfDay },
+      dateTime: { $lt: endOfDay },
+      endTime: { $gt: startOfDay },
       status: { $nin: ['cancelled'] }
-    }).select('dateTime');
+    }).select('dateTime endTime');
+
+    // Slots other patients are holding during checkout are hidden as well
+    const heldByOthers = await SlotHold.findActive({
+      doctor: doctor._id, start: startOfDay, end: endOfDay, excludePatient: req.user?._id
+    });
+
+    // Drop any slot that overlaps a booking or hold, not just exact start-time matches
+    const slotMs = doctor.slotDuration * 60 * 1000;
+    const overlaps = (slot, ranges) => ranges.some(r =>
+      slot.getTime() < r.endTime.getTime() && slot.getTime() + slotMs > r.dateTime.getTime());
 
-    const bookedTimes = bookedAppointments.map(a => a.dateTime.getTime());
+    // Each slot says which clinic it is at; null means the doctor's clinicAddress
+    const clinicIds = [...new Set(slots.filter(s => s.clinic).map(s => s.clinic.toString()))];
+    const clinics = clinicIds.length ? await Clinic.find({ _id: { $in: clinicIds } }).select(CLINIC_FIELDS) : [];
+    const clinicById = new Map(clinics.map(c => [c._id.toString(), c]));
 
     const availableSlots = slots
-      .filter(slot => !bookedTimes.includes(slot.getTime()) && slot > new Date())
-      .map(slot => ({
-        dateTime: slot,
-        formatted: slot.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+      .filter(({ start }) => !overlaps(start, bookedAppointments) && !overlaps(start, heldByOthers) && start > new Date())
+      .map(({ start, clinic }) => ({
+        dateTime: start,
+        formatted: start.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: timezone }),
+        clinic: (clinic && clinicById.get(clinic.toString())) || null
       }));
 
-    res.json({ success: true, data: availableSlots });
+    res.json({ success: true, timezone, data: availableSlots });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Hold a slot for the current patient while they finish booking
+exports.holdSlot = async (req, res, next) => {
+  try {
+    const { dateTime } = req.body;
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const start = new Date(dateTime);
+    if (!dateTime || isNaN(start.getTime())) return res.status(400).json({ success: false, error: 'Invalid date and time' });
+    if (start <= new Date()) return res.status(400).json({ success: false, error: 'Cannot hold a slot in the past' });
+
+    const timezone = doctor.timezone || DEFAULT_TIMEZONE;
+    const isSlot = generateSlots(doctor, toDateString(start, timezone)).some(s => s.getTime() === start.getTime());
+    if (!isSlot) return res.status(400).json({ success: false, error: 'Not one of the doctor\'s available slots' });
+
+    const end = new Date(start.getTime() + doctor.slotDuration * 60 * 1000);
+    const isFree = await Appointment.isSlotAvailable(doctor._id, start, end);
+    if (!isFree) return res.status(409).json({ success: false, error: 'Time slot is not available', code: 'SLOT_CONFLICT' });
+
+    const hold = await SlotHold.place(doctor._id, req.user._id, start, end);
+    if (!hold) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another patient is booking this time slot, please choose another',
+        code: 'SLOT_HELD'
+      });
+    }
+
+    res.status(201).json({ success: true, data: hold });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Release the current patient's hold (checkout abandoned)
+exports.releaseHold = async (req, res, next) => {
+  try {
+    await SlotHold.deleteMany({ doctor: req.params.id, patient: req.user._id, waitlist: null });
+    res.json({ success: true, data: {} });
   } catch (err) {
     next(err);
   }
@@ -88,32 +173,171 @@ exports.getSlots = async (req, res, next) => {
 // Update profile
 exports.updateProfile = async (req, res, next) => {
   try {
+    const target = await targetDoctor(req);
+    if (!target) return noTarget(req, res);
+    if (!can(req.user, 'doctor-profile:update', doctorResource(target))) return forbidden(res);
+
     const allowedFields = [
       'specialization', 'bio', 'consultationFee', 'experience',
-      'languages', 'clinicAddress', 'acceptingNewPatients', 'qualifications'
+      'languages', 'clinicAddress', 'acceptingNewPatients', 'qualifications', 'appointmentTypes', 'clinics'
     ];
 
     const updates = {};
     allowedFields.forEach(field => { if (req.body[field] !== undefined) updates[field] = req.body[field]; });
 
-    const doctor = await Doctor.findOneAndUpdate({ user: req.user._id }, updates, { new: true, runValidators: true });
-    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor profile not found' });
-    res.json({ success: true, data: doctor });
+    if (updates.clinics !== undefined) {
+      if (!Array.isArray(updates.clinics) || !updates.clinics.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ success: false, error: 'clinics must be a list of clinic ids', code: 'INVALID_CLINIC' });
+      }
+      updates.clinics = [...new Set(updates.clinics.map(String))];
+      const problem = await scheduleError({
+        clinicIds: updates.clinics,
+        timezone: target.timezone,
+        availability: target.availability,
+        overrides: target.availabilityOverrides
+      });
+      if (problem) return res.status(400).json(problem);
+    }
+
+    // Coordinates come only from the geocoder
+    let geocoded;
+    if (updates.clinicAddress) {
+      const { location, ...address } = updates.clinicAddress;
+      const point = await relocate(address, target.clinicAddress);
+      updates.clinicAddress = point ? { ...address, location: point } : address;
+      geocoded = Boolean(point);
+    }
+
+    let doctor = await Doctor.findByIdAndUpdate(target._id, updates, { new: true, runValidators: true })
+      .populate({ path: 'clinics', select: CLINIC_FIELDS });
+    if (updates.clinicAddress || updates.clinics) await Doctor.syncLocations({ _id: doctor._id });
+
+    // The doctor answering a request for more information sends the profile back for review
+    if (doctor.verification.status === 'info-requested' && req.user.role === 'doctor') {
+      doctor = await Doctor.findById(doctor._id).select('+verification.reason +verification.history');
+      doctor.recordVerification('pending', { id: req.user._id, role: req.user.role }, 'Profile updated');
+      await doctor.save();
+    }
+
+    res.json({ success: true, data: doctor, ...(geocoded !== undefined && { geocoded }) });
   } catch (err) {
     next(err);
   }
 };
 
-// Update availability
+// Update availability, for the doctor or their staff
 exports.updateAvailability = async (req, res, next) => {
   try {
-    const { availability, slotDuration } = req.body;
-    const updates = {};
-    if (availability) updates.availability = availability;
-    if (slotDuration) updates.slotDuration = slotDuration;
+    const { availability, availabilityOverrides, slotDuration, timezone } = req.body;
+
+    const doctor = await targetDoctor(req);
+    if (!doctor) return noTarget(req, res);
+    if (!can(req.user, 'schedule:manage', doctorResource(doctor))) return forbidden(res);
+
+    if (availability) doctor.availability = availability;
+    if (availabilityOverrides) doctor.availabilityOverrides = availabilityOverrides;
+    if (slotDuration) doctor.slotDuration = slotDuration;
+    if (timezone) doctor.timezone = timezone;
+
+    const problem = await scheduleError({
+      clinicIds: doctor.clinics,
+      timezone: doctor.timezone,
+      availability: doctor.availability,
+      overrides: doctor.availabilityOverrides
+    });
+    if (problem) return res.status(400).json(problem);
+
+    await doctor.save();
+    await nextAvailable.invalidate(doctor);
+
+    // Upcoming bookings that no longer fit the schedule, so the doctor can contact those patients
+    const upcoming = await Appointment.find({
+      doctor: doctor._id,
+      dateTime: { $gte: new Date() },
+      status: { $in: ['pending', 'confirmed'] }
+    }).sort('dateTime');
+    const affectedAppointments = upcoming.filter(a => !fitsAvailability(doctor, a.dateTime, a.endTime));
+
+    res.json({ success: true, data: doctor, affectedAppointments });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Admin review decisions and the status each one sets
+const VERIFICATION_DECISIONS = { approve: 'approved', reject: 'rejected', 'request-info': 'info-requested' };
+
+// Query for doctors in any of the given review statuses
+const verificationQuery = (statuses) => {
+  const clauses = [{ 'verification.status': { $in: statuses } }];
+  // Profiles from before the review queue have no status yet; isVerified decides it
+  if (statuses.includes('pending')) clauses.push({ 'verification.status': { $exists: false }, isVerified: false });
+  if (statuses.includes('approved')) clauses.push({ 'verification.status': { $exists: false }, isVerified: true });
+  return { $or: clauses };
+};
+
+// Doctors awaiting review, oldest first, with their credentials and review history
+exports.getVerificationQueue = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    if (status && !Doctor.VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Doctor.VERIFICATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const query = verificationQuery(status ? [status] : ['pending', 'info-requested']);
+    const doctors = await Doctor.find(query)
+      .select('+verification.reason +verification.history')
+      .populate('verification.history.changedBy', 'firstName lastName role')
+      .sort('createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Doctor.countDocuments(query);
+
+    res.json({ success: true, count: doctors.length, total, pages: Math.ceil(total / limit), data: doctors });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Approve, reject or ask a doctor for more information, and let them know
+exports.verify = async (req, res, next) => {
+  try {
+    const { decision } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const to = VERIFICATION_DECISIONS[decision];
+    if (!to) return res.status(400).json({ success: false, error: 'Decision must be approve, reject or request-info' });
+    if (to !== 'approved' && !reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required to reject or request more information' });
+    }
+
+    const doctor = await Doctor.findById(req.params.id).select('+verification.reason +verification.history');
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+    if (doctor.verification.status === to) {
+      return res.status(409).json({
+        success: false,
+        error: `Doctor is already ${to.replace('-', ' ')}`,
+        code: 'VERIFICATION_UNCHANGED'
+      });
+    }
+
+    doctor.recordVerification(to, { id: req.user._id, role: req.user.role }, reason);
+    await doctor.save();
+    await doctor.populate('verification.history.changedBy', 'firstName lastName role');
+
+    // The decision stands even if the email fails
+    try {
+      await sendVerificationDecision(doctor.user, to, reason);
+    } catch (err) {
+      console.error('❌ [VERIFY DOCTOR] Failed to notify doctor:', err.message);
+    }
 
-    const doctor = await Doctor.findOneAndUpdate({ user: req.user._id }, updates, { new: true, runValidators: true });
-    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor profile not found' });
     res.json({ success: true, data: doctor });
   } catch (err) {
     next(err);
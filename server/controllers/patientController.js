@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { escapeRegExp } = require('../utils/regex');
+
+// What the front desk sees of a patient record
+const PATIENT_FIELDS = 'firstName lastName email phone dateOfBirth gender createdBy createdAt';
+
+// Search patients by name, email or phone (front desk)
+exports.search = async (req, res, next) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2) return res.status(400).json({ success: false, error: 'Search needs at least 2 characters' });
+
+    // Every word must match some field, so "jane smith" finds Jane Smith
+    const words = q.split(/\s+/).slice(0, 5).map(word => new RegExp(escapeRegExp(word), 'i'));
+    const query = {
+      role: 'patient',
+      isActive: true,
+      $and: words.map(pattern => ({
+        $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { phone: pattern }]
+      }))
+    };
+
+    const patients = await User.find(query).select(PATIENT_FIELDS).sort('lastName firstName').limit(20);
+    res.json({ success: true, count: patients.length, data: patients });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Register a patient record for a walk-in or phone booking (front desk)
+exports.create = async (req, res, next) => {
+  try {
+    const { firstName, lastName, phone, email, dateOfBirth, gender } = req.body;
+
+    const errors = [];
+    if (!firstName?.trim()) errors.push('First name is required');
+    if (!lastName?.trim()) errors.push('Last name is required');
+    if (!phone?.trim()) errors.push('Phone is required');
+    if (email && (typeof email !== 'string' || !/^\S+@\S+\.\S+$/.test(email.trim()))) errors.push('Invalid email format');
+    if (errors.length) return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+
+    const address = email ? email.trim().toLowerCase() : undefined;
+    if (address && (await User.exists({ email: address }))) {
+      return res.status(400).json({ success: false, error: 'Email already registered', field: 'email' });
+    }
+
+    // No password: the patient can claim the record later through the password reset link
+    const patient = await User.create({
+      username: `walkin_${crypto.randomBytes(4).toString('hex')}`,
+      firstName: firstName.trim(),
+      lastName: lastName.trim(),
+      phone: phone.trim(),
+      // The front desk can't vouch for the address; resetting the password to claim the record confirms it
+      ...(address && { email: address, emailVerified: false }),
+      dateOfBirth,
+      gender,
+      role: 'patient',
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, data: await User.findById(patient._id).select(PATIENT_FIELDS) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,221 @@
+const Review = require('../models/Review');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { can, appointmentResource } = require('../utils/permissions');
+
+const forbidden = (res) => res.status(403).json({ success: false, error: 'Not authorized' });
+const notFound = (res) => res.status(404).json({ success: false, error: 'Review not found' });
+
+// Review with its doctor's user id, enough for appointmentResource
+const findReview = (id) => Review.findById(id).populate({ path: 'doctor', select: 'user' });
+
+// Public view: reviewer shown as first name and last initial, moderation details left out
+const toPublic = (review) => {
+  const { patient, appointment, flags, moderation, ...rest } = review.toObject();
+  return { ...rest, reviewer: patient ? `${patient.firstName} ${patient.lastName?.[0] || ''}.` : 'Former patient' };
+};
+
+const parseRating = (value) => (value === undefined ? undefined : Number(value));
+
+// Published reviews of a doctor, newest first
+exports.getForDoctor = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+    const doctor = await Doctor.findById(req.params.id).select('rating');
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const query = { doctor: doctor._id, status: 'published' };
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('patient', 'firstName lastName')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      pages: Math.ceil(total / limit),
+      rating: doctor.rating,
+      data: reviews.map(toPublic)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Current patient's reviews, so the dashboard knows which visits are reviewed
+exports.getMine = async (req, res, next) => {
+  try {
+    const reviews = await Review.find({ patient: req.user._id }).select('-flags').sort('-createdAt');
+    res.json({ success: true, count: reviews.length, data: reviews });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Review one of the patient's own completed appointments
+exports.create = async (req, res, next) => {
+  try {
+    const { appointmentId, comment } = req.body;
+
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) return res.status(404).json({ success: false, error: 'Appointment not found' });
+    if (!can(req.user, 'review:write', appointmentResource(appointment))) return forbidden(res);
+    if (appointment.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only completed appointments can be reviewed',
+        code: 'APPOINTMENT_NOT_COMPLETED'
+      });
+    }
+
+    const existing = await Review.exists({ appointment: appointment._id });
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'You have already reviewed this appointment', code: 'REVIEW_EXISTS' });
+    }
+
+    const review = await Review.create({
+      doctor: appointment.doctor._id,
+      patient: req.user._id,
+      appointment: appointment._id,
+      rating: parseRating(req.body.rating),
+      comment
+    });
+    await Review.updateDoctorRating(review.doctor);
+
+    res.status(201).json({ success: true, data: review });
+  } catch (err) {
+    // A second review submitted at the same moment loses on the unique index
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, error: 'You have already reviewed this appointment', code: 'REVIEW_EXISTS' });
+    }
+    next(err);
+  }
+};
+
+// Edit the patient's own rating or comment
+exports.update = async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review) return notFound(res);
+    if (!can(req.user, 'review:write', appointmentResource(review))) return forbidden(res);
+
+    const rating = parseRating(req.body.rating);
+    if (rating !== undefined) review.rating = rating;
+    if (req.body.comment !== undefined) review.comment = req.body.comment;
+    review.editedAt = new Date();
+    await review.save();
+    await Review.updateDoctorRating(review.doctor._id);
+
+    res.json({ success: true, data: review });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delete a review (its author or an admin)
+exports.remove = async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review) return notFound(res);
+    if (!can(req.user, 'review:delete', appointmentResource(review))) return forbidden(res);
+
+    await review.deleteOne();
+    await Review.updateDoctorRating(review.doctor._id);
+
+    res.json({ success: true, data: {} });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// The reviewed doctor's public reply; sending it again replaces it
+exports.reply = async (req, res, next) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) return res.status(400).json({ success: false, error: 'Reply text is required' });
+
+    const review = await findReview(req.params.id);
+    if (!review) return notFound(res);
+    if (!can(req.user, 'review:reply', appointmentResource(review))) return forbidden(res);
+
+    review.reply = { text, repliedAt: new Date() };
+    await review.save();
+
+    res.json({ success: true, data: review });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Flag a review for an admin to look at; each user counts once
+exports.flag = async (req, res, next) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    const flagged = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: 'published', 'flags.by': { $ne: req.user._id } },
+      { $push: { flags: { by: req.user._id, reason } } },
+      { new: true, runValidators: true }
+    );
+    if (!flagged && !(await Review.exists({ _id: req.params.id, status: 'published' }))) return notFound(res);
+
+    res.json({ success: true, data: {} });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Reviews waiting for an admin: flagged ones still published, or ones already hidden
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const { status = 'flagged' } = req.query;
+    if (!['flagged', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Status must be flagged or hidden' });
+    }
+
+    const query = status === 'hidden'
+      ? { status: 'hidden' }
+      : { status: 'published', 'flags.0': { $exists: true } };
+    const reviews = await Review.find(query)
+      .populate('patient', 'firstName lastName email')
+      .populate({ path: 'doctor', select: 'user specialization' })
+      .populate('flags.by', 'firstName lastName role')
+      .sort(status === 'hidden' ? '-moderation.moderatedAt' : 'createdAt')
+      .limit(100);
+
+    res.json({ success: true, count: reviews.length, data: reviews });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Hide a review or publish it again; either way its flags are settled
+exports.moderate = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!['published', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Status must be published or hidden' });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) return notFound(res);
+
+    review.status = status;
+    review.flags = [];
+    review.moderation = { by: req.user._id, reason, moderatedAt: new Date() };
+    await review.save();
+    await Review.updateDoctorRating(review.doctor);
+
+    res.json({ success: true, data: review });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,296 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Doctor = require('../models/Doctor');
+const Dependent = require('../models/Dependent');
+const SlotLock = require('../models/SlotLock');
+const { typeNotOfferedError, checkSlot, bookSlot, moveAppointment } = require('../services/booking');
+const { offerFreedSlot, closeEntriesOnBooking } = require('../services/waitlist');
+const nextAvailable = require('../services/nextAvailable');
+const { checkTransition, withAllowedTransitions } = require('../utils/appointmentStatus');
+const { DATE_PATTERN, DEFAULT_TIMEZONE, clinicAt } = require('../utils/availability');
+const { MAX_OCCURRENCES, buildOccurrences, shiftOccurrences } = require('../utils/recurrence');
+const { can, redactAppointment } = require('../utils/permissions');
+
+// Check every occurrence; returns one report row per visit
+const checkOccurrences = async ({ doctor, patientId, dependentId = null, occurrences, excludeId = null }) => {
+  const report = [];
+  for (const { index, dateTime } of occurrences) {
+    if (!dateTime) {
+      report.push({ index, dateTime, available: false, code: 'INVALID_TIME', error: 'This time does not exist on that day (clock change)' });
+      continue;
+    }
+    if (dateTime <= new Date()) {
+      report.push({ index, dateTime, available: false, code: 'IN_PAST', error: 'Time is in the past' });
+      continue;
+    }
+    const end = new Date(dateTime.getTime() + doctor.slotDuration * 60 * 1000);
+    const problem = await checkSlot({ doctor, patientId, dependentId, start: dateTime, end, excludeId, requireAvailability: true });
+    report.push(problem
+      ? { index, dateTime, available: false, code: problem.code, error: problem.error }
+      : { index, dateTime, available: true });
+  }
+  return report;
+};
+
+const seriesConflictError = (report) => ({
+  success: false,
+  error: `${report.filter(r => !r.available).length} of ${report.length} visits are not available`,
+  code: 'SERIES_CONFLICT',
+  details: { occurrences: report }
+});
+
+// Permission resource for a series; its doctor isn't populated, so look up the doctor's user
+const seriesResource = async (series) => {
+  const doctor = await Doctor.findById(series.doctor).select('user');
+  return {
+    patientId: series.patient.toString(),
+    doctorId: series.doctor.toString(),
+    doctorUserId: doctor?.user?.toString()
+  };
+};
+
+const forbidden = (res) => res.status(403).json({ success: false, error: 'Not authorized' });
+
+// Remaining active visits of a series, earliest first
+const upcomingOccurrences = (seriesId) => Appointment.find({
+  series: seriesId,
+  status: { $in: ['pending', 'confirmed'] },
+  dateTime: { $gt: new Date() }
+}).sort('dateTime');
+
+// Book a recurring series
+exports.create = async (req, res, next) => {
+  try {
+    const { doctorId, dependentId, dateTime, until, type, reason, symptoms, notes } = req.body;
+    const intervalWeeks = Number(req.body.intervalWeeks) || 1;
+    const count = req.body.count ? Number(req.body.count) : undefined;
+    const skipConflicts = Boolean(req.body.skipConflicts);
+    const dryRun = Boolean(req.body.dryRun);
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+    if (!doctor.acceptingNewPatients) return res.status(400).json({ success: false, error: 'Doctor not accepting new patients' });
+    const typeError = typeNotOfferedError(doctor, type);
+    if (typeError) return res.status(400).json(typeError);
+
+    const start = new Date(dateTime);
+    if (!dateTime || isNaN(start.getTime())) return res.status(400).json({ success: false, error: 'Invalid date and time' });
+    if (!count && !until) return res.status(400).json({ success: false, error: 'Provide a number of visits or an end date' });
+    if (count && (count < 2 || count > MAX_OCCURRENCES)) {
+      return res.status(400).json({ success: false, error: `A series has between 2 and ${MAX_OCCURRENCES} visits` });
+    }
+    if (until && !DATE_PATTERN.test(until)) return res.status(400).json({ success: false, error: 'End date must be in YYYY-MM-DD format' });
+
+    const dependent = dependentId ? await Dependent.findActiveFor(req.user._id, dependentId) : null;
+    if (dependentId && !dependent) return res.status(404).json({ success: false, error: 'Family member not found' });
+
+    const series = new AppointmentSeries({
+      patient: req.user._id, dependent: dependent?._id, doctor: doctor._id, intervalWeeks, count, until
+    });
+    await series.validate();
+
+    const occurrences = buildOccurrences({
+      start, intervalWeeks, count, until, timeZone: doctor.timezone || DEFAULT_TIMEZONE
+    });
+    if (occurrences.length < 2) return res.status(400).json({ success: false, error: 'The end date leaves fewer than 2 visits' });
+
+    const report = await checkOccurrences({ doctor, patientId: req.user._id, dependentId: series.dependent, occurrences });
+    if (dryRun) return res.json({ success: true, data: { occurrences: report } });
+
+    const bookable = report.filter(r => r.available);
+    if (bookable.length === 0 || (!skipConflicts && bookable.length < report.length)) {
+      return res.status(409).json(seriesConflictError(report));
+    }
+
+    await series.save();
+    const booked = [];
+    for (const row of bookable) {
+      const end = new Date(row.dateTime.getTime() + doctor.slotDuration * 60 * 1000);
+      const appointment = await bookSlot({
+        doctorId: doctor._id,
+        patientId: req.user._id,
+        dependentId: series.dependent,
+        start: row.dateTime,
+        end,
+        actor: { id: req.user._id, role: 'patient' },
+        fields: {
+          type: type || 'in-person',
+          reason,
+          symptoms: symptoms || [],
+          notes: { patient: notes || '' },
+          fee: { amount: doctor.consultationFee },
+          series: series._id,
+          seriesIndex: row.index,
+          clinic: clinicAt(doctor, row.dateTime, end)
+        }
+      });
+      if (appointment) {
+        booked.push(appointment);
+        continue;
+      }
+
+      // Taken between the check and the write
+      Object.assign(row, { available: false, code: 'SLOT_CONFLICT', error: 'Time slot is not available' });
+      if (!skipConflicts) {
+        for (const a of booked) await SlotLock.release(a._id);
+        await Appointment.deleteMany({ _id: { $in: booked.map(a => a._id) } });
+        await nextAvailable.invalidate(doctor);
+        await series.deleteOne();
+        return res.status(409).json(seriesConflictError(report));
+      }
+    }
+    if (booked.length === 0) {
+      await series.deleteOne();
+      return res.status(409).json(seriesConflictError(report));
+    }
+    await closeEntriesOnBooking(req.user._id, doctor._id, booked[0]);
+
+    const appointments = await Appointment.find({ series: series._id }).sort('dateTime');
+    res.status(201).json({
+      success: true,
+      data: {
+        series,
+        appointments: appointments.map(a => withAllowedTransitions(a, 'patient')),
+        skipped: report.filter(r => !r.available)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a series with all of its visits
+exports.getById = async (req, res, next) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) return res.status(404).json({ success: false, error: 'Series not found' });
+
+    if (!can(req.user, 'series:read', await seriesResource(series))) return forbidden(res);
+    const { role } = req.user;
+
+    const appointments = await Appointment.find({ series: series._id }).sort('dateTime');
+    res.json({
+      success: true,
+      data: { series, appointments: appointments.map(a => redactAppointment(withAllowedTransitions(a, role), req.user)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Cancel every remaining visit of a series; the series is only closed once none are left
+exports.cancel = async (req, res, next) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) return res.status(404).json({ success: false, error: 'Series not found' });
+
+    if (!can(req.user, 'series:manage', await seriesResource(series))) return forbidden(res);
+    const { role } = req.user;
+
+    const cancelled = [];
+    const failed = [];
+    for (const appointment of await upcomingOccurrences(series._id)) {
+      const check = checkTransition(appointment, 'cancelled', role);
+      const updated = check.allowed && await Appointment.transitionStatus(appointment, 'cancelled', {
+        actor: req.user._id,
+        role,
+        reason: req.body.reason || 'Series cancelled'
+      });
+      if (!updated) {
+        failed.push({ _id: appointment._id, dateTime: appointment.dateTime, error: check.reason || 'Appointment was changed by another request' });
+        continue;
+      }
+      cancelled.push(updated._id);
+      await nextAvailable.invalidate(updated.doctor);
+      await offerFreedSlot(updated);
+    }
+
+    // A visit that couldn't be cancelled keeps the series active so staff can resolve it
+    if (failed.length === 0) {
+      series.status = 'cancelled';
+      await series.save();
+    }
+
+    res.json({
+      success: true,
+      message: failed.length
+        ? `${cancelled.length} visits cancelled; ${failed.length} could not be, so the series stays active`
+        : 'Series cancelled',
+      data: { series, cancelled, failed, partial: failed.length > 0 }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Move every remaining visit of a series; the earliest goes to dateTime and the rest keep their spacing
+exports.reschedule = async (req, res, next) => {
+  try {
+    const { dateTime, reason } = req.body;
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) return res.status(404).json({ success: false, error: 'Series not found' });
+
+    if (!can(req.user, 'series:manage', await seriesResource(series))) return forbidden(res);
+    const { role } = req.user;
+
+    const newStart = new Date(dateTime);
+    if (!dateTime || isNaN(newStart.getTime())) return res.status(400).json({ success: false, error: 'Invalid date and time' });
+
+    const remaining = await upcomingOccurrences(series._id);
+    if (remaining.length === 0) return res.status(400).json({ success: false, error: 'No upcoming visits left in this series' });
+
+    const doctor = await Doctor.findById(series.doctor);
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const newTimes = shiftOccurrences(remaining.map(a => a.dateTime), newStart, doctor.timezone || DEFAULT_TIMEZONE);
+    const report = await checkOccurrences({
+      doctor,
+      patientId: series.patient,
+      dependentId: series.dependent,
+      occurrences: remaining.map((a, i) => ({ index: a.seriesIndex, dateTime: newTimes[i] })),
+      excludeId: remaining.map(a => a._id)
+    });
+    if (report.some(r => !r.available)) return res.status(409).json(seriesConflictError(report));
+
+    // Move in the direction of the shift so no visit lands on a neighbour's still-locked old time
+    const order = remaining.map((_, i) => i);
+    if (newTimes[0] > remaining[0].dateTime) order.reverse();
+
+    const moved = [];
+    for (const i of order) {
+      const appointment = remaining[i];
+      if (newTimes[i].getTime() === appointment.dateTime.getTime()) continue;
+      const end = new Date(newTimes[i].getTime() + doctor.slotDuration * 60 * 1000);
+      const { appointment: updated, error } = await moveAppointment(appointment, newTimes[i], end, {
+        actorId: req.user._id,
+        reason: reason || 'Series rescheduled',
+        clinic: clinicAt(doctor, newTimes[i], end)
+      });
+      if (updated) {
+        moved.push({ original: appointment, updated });
+        continue;
+      }
+
+      // Taken between the check and the write: put the visits already moved back, last first
+      Object.assign(report[i], { available: false, code: error.code || 'SLOT_CONFLICT', error: error.error });
+      for (const { original, updated: current } of moved.reverse()) {
+        const { error: undoError } = await moveAppointment(current, original.dateTime, original.endTime, {
+          actorId: req.user._id,
+          reason: 'Series reschedule rolled back',
+          clinic: original.clinic
+        });
+        if (undoError) console.error(`❌ [SERIES RESCHEDULE] Failed to move appointment ${original._id} back:`, undoError.error);
+      }
+      return res.status(409).json(seriesConflictError(report));
+    }
+
+    const movedById = new Map(moved.map(m => [m.original._id.toString(), m.updated]));
+    const appointments = remaining.map(a => movedById.get(a._id.toString()) || a);
+    res.json({
+      success: true,
+      data: { series, appointments: appointments.map(a => redactAppointment(withAllowedTransitions(a, role), req.user)) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { ROLES } = require('../utils/permissions');
+const {
+  TWO_FACTOR_FIELDS,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+
+const invalidCode = (res) => res.status(401).json({ success: false, error: 'Invalid authentication code', code: 'INVALID_2FA_CODE' });
+
+// Get two-factor status for the current user
+exports.getStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: await user.requiresTwoFactor(),
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Start setup - returns the secret and a QR code for the authenticator app
+exports.setup = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor.enabled) return res.status(400).json({ success: false, error: 'Two-factor authentication is already on' });
+
+    res.json({ success: true, data: await beginEnrollment(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Finish setup with the first code from the app; returns recovery codes, shown only this once
+exports.enable = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor.enabled) return res.status(400).json({ success: false, error: 'Two-factor authentication is already on' });
+    if (!user.twoFactor.pendingSecret) return res.status(400).json({ success: false, error: 'Start two-factor setup first' });
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) return invalidCode(res);
+
+    res.json({ success: true, message: 'Two-factor authentication is on', data: { recoveryCodes } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Turn two-factor off; needs the password and a current code, and isn't allowed where policy requires it
+exports.disable = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user.twoFactor.enabled) return res.status(400).json({ success: false, error: 'Two-factor authentication is not on' });
+    if (await user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        error: `Two-factor authentication is required for ${user.role} accounts`,
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    if (!password || !(await user.comparePassword(password))) return res.status(401).json({ success: false, error: 'Password is incorrect' });
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) return invalidCode(res);
+
+    await disableTwoFactor(user);
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Replace the recovery codes after confirming a current code
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) return res.status(400).json({ success: false, error: 'Two-factor authentication is not on' });
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) return invalidCode(res);
+
+    res.json({ success: true, data: { recoveryCodes: await regenerateRecoveryCodes(user) } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the two-factor policy in force
+exports.getPolicy = async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await SecurityPolicy.current() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Choose which roles must use two-factor; takes effect on each user's next login or token refresh
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+    if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({ success: false, error: `twoFactorRequiredRoles must be a list of: ${ROLES.join(', ')}` });
+    }
+
+    await SecurityPolicy.saveChanges({ twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)] }, req.user._id);
+    res.json({ success: true, message: 'Two-factor policy updated', data: await SecurityPolicy.current() });
+  } catch (err) {
+    next(err);
+  }
+};
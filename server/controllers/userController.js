@@ -1,4 +1,10 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Doctor = require('../models/Doctor');
+const Session = require('../models/Session');
+const { startSession } = require('../services/sessions');
+const { recentLogins, clearLockout } = require('../services/loginSecurity');
+const { STAFF_ROLES } = require('../utils/permissions');
 
 // Update profile
 exports.updateProfile = async (req, res, next) => {
@@ -27,22 +33,37 @@ exports.updatePassword = async (req, res, next) => {
     const user = await User.findById(req.user._id).select('+password');
     if (!(await user.comparePassword(currentPassword))) return res.status(401).json({ success: false, error: 'Current password is incorrect' });
 
+    // Other devices are signed out; this one gets a fresh session
     user.password = newPassword;
     await user.save();
+    await Session.revokeAll(user._id, 'password-change');
 
-    const token = user.generateToken();
-    res.json({ success: true, token });
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ success: true, token, refreshToken });
   } catch (err) {
     next(err);
   }
 };
 
-// Get users (admin)
+// Get recent sign-ins for the current user
+exports.getMyLogins = async (req, res, next) => {
+  try {
+    const logins = await recentLogins(req.user._id, req.query.limit);
+    res.json({ success: true, count: logins.length, data: logins });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get users (admin); each includes isLocked, lastLockedAt and lockoutCount
 exports.getUsers = async (req, res, next) => {
   try {
-    const { role, page = 1, limit = 20 } = req.query;
+    const { role, locked, page = 1, limit = 20 } = req.query;
     const query = {};
     if (role) query.role = role;
+    // Currently locked out, or ever locked out when locked=ever
+    if (locked === 'true') query.lockUntil = { $gt: new Date() };
+    if (locked === 'ever') query.lockoutCount = { $gt: 0 };
 
     const users = await User.find(query).sort('-createdAt').skip((page - 1) * limit).limit(parseInt(limit));
     const total = await User.countDocuments(query);
@@ -59,8 +80,69 @@ exports.updateStatus = async (req, res, next) => {
     const { isActive } = req.body;
     const user = await User.findByIdAndUpdate(req.params.id, { isActive }, { new: true });
     if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    if (!user.isActive) await Session.revokeAll(user._id, 'deactivated');
+    res.json({ success: true, data: user });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Change a user's role and, for receptionists and nurses, the doctors they work for (admin)
+exports.updateRole = async (req, res, next) => {
+  try {
+    const { role, assignedDoctors = [] } = req.body;
+    // Doctors need a doctor profile, so that role only comes from registration
+    if (!['patient', 'admin', ...STAFF_ROLES].includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of patient, admin, ${STAFF_ROLES.join(', ')}` });
+    }
+    if (!Array.isArray(assignedDoctors) || (assignedDoctors.length && !STAFF_ROLES.includes(role))) {
+      return res.status(400).json({ success: false, error: 'Only receptionists and nurses can be assigned to doctors' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    if (user.role === 'doctor') {
+      return res.status(400).json({ success: false, error: "A doctor's role can't be changed" });
+    }
+
+    const doctorIds = [...new Set(assignedDoctors.map(String))];
+    const valid = doctorIds.every(id => mongoose.isValidObjectId(id));
+    if (!valid || (await Doctor.countDocuments({ _id: { $in: doctorIds } })) !== doctorIds.length) {
+      return res.status(400).json({ success: false, error: 'One or more assigned doctors were not found' });
+    }
+
+    // protect reloads the user on every request, so this applies immediately
+    user.role = role;
+    user.assignedDoctors = doctorIds;
+    await user.save({ validateModifiedOnly: true });
     res.json({ success: true, data: user });
   } catch (err) {
     next(err);
   }
 };
+
+// Get a user's recent sign-ins (admin)
+exports.getUserLogins = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    const logins = await recentLogins(user._id, req.query.limit);
+    res.json({ success: true, count: logins.length, data: logins });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Lift a sign-in lockout (admin)
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    await clearLockout(user._id);
+    res.json({ success: true, message: 'Account unlocked' });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,76 @@
+const Waitlist = require('../models/Waitlist');
+const Doctor = require('../models/Doctor');
+const { withdrawOffer } = require('../services/waitlist');
+
+// Join a doctor's waitlist
+exports.join = async (req, res, next) => {
+  try {
+    const { doctorId, dateFrom, dateTo, timeOfDay, reason } = req.body;
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) return res.status(404).json({ success: false, error: 'Doctor not found' });
+
+    const existing = await Waitlist.findOne({ patient: req.user._id, doctor: doctorId, status: { $in: ['waiting', 'offered'] } });
+    if (existing) return res.status(400).json({ success: false, error: 'You are already on this doctor\'s waitlist' });
+
+    const entry = await Waitlist.create({
+      patient: req.user._id,
+      doctor: doctorId,
+      dateFrom: dateFrom || undefined,
+      dateTo: dateTo || undefined,
+      timeOfDay: timeOfDay || 'any',
+      reason
+    });
+
+    res.status(201).json({ success: true, data: entry });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get current patient's active entries and offers
+exports.getMine = async (req, res, next) => {
+  try {
+    const entries = await Waitlist.find({ patient: req.user._id, status: { $in: ['waiting', 'offered'] } })
+      .populate({ path: 'doctor', select: 'user specialization timezone slotDuration' })
+      .sort('createdAt');
+
+    res.json({ success: true, count: entries.length, data: entries });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Decline an offered slot and stay on the waitlist
+exports.decline = async (req, res, next) => {
+  try {
+    const entry = await Waitlist.findOne({ _id: req.params.id, patient: req.user._id });
+    if (!entry) return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    if (entry.status !== 'offered') return res.status(400).json({ success: false, error: 'There is no open offer to decline' });
+
+    const updated = await withdrawOffer(entry, 'waiting');
+    if (!updated) return res.status(409).json({ success: false, error: 'This offer has already expired or been claimed' });
+
+    res.json({ success: true, data: updated });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Leave the waitlist
+exports.leave = async (req, res, next) => {
+  try {
+    const entry = await Waitlist.findOne({ _id: req.params.id, patient: req.user._id });
+    if (!entry) return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+
+    if (entry.status === 'offered') {
+      await withdrawOffer(entry, 'cancelled');
+    } else if (entry.status === 'waiting') {
+      await Waitlist.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'cancelled' });
+    }
+
+    res.json({ success: true, data: {} });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Background Jobs
+ *
+ * Periodic tasks that run alongside the API server. Each job has its own
+ * interval, and a run is skipped while the previous one is still going.
+ */
+
+const { expireOffers } = require('../services/waitlist');
+const nextAvailable = require('../services/nextAvailable');
+const { sendDueReminders } = require('./reminders');
+
+const jobs = [
+  {
+    // Hand expired waitlist offers to the next patient in line
+    name: 'waitlist-offers',
+    intervalMs: 60 * 1000,
+    run: expireOffers
+  },
+  {
+    // Recompute cached next-available slots that have passed or aged, so searches don't have to
+    name: 'next-available',
+    intervalMs: 5 * 60 * 1000,
+    run: () => nextAvailable.refreshStale()
+  },
+  {
+    name: 'reminders',
+    intervalMs: (parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 5) * 60 * 1000,
+    run: () => sendDueReminders()
+  }
+];
+
+// Start every job; timers do not keep the process alive on their own
+const startJobs = () => jobs.map(job => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (err) {
+      console.error(`Job ${job.name} failed:`, err);
+    } finally {
+      running = false;
+    }
+  }, job.intervalMs);
+  timer.unref();
+  return timer;
+});
+
+module.exports = { jobs, startJobs };
@@ -0,0 +1,155 @@
+/**
+ * Appointment Reminders
+ *
+ * Sends each confirmed appointment a reminder at every configured offset
+ * before it starts (24h and 2h by default), on the channels the appointment
+ * has switched on. Delivery is recorded in ReminderLog before sending, so a
+ * reminder is never sent twice, even across restarts or parallel workers.
+ */
+
+const Appointment = require('../models/Appointment');
+const ReminderLog = require('../models/ReminderLog');
+const { getChannels } = require('../services/channels');
+const { DEFAULT_TIMEZONE } = require('../utils/availability');
+const { visitLocation } = require('../utils/location');
+
+// Hours before the appointment, e.g. "24,2"; kept largest first, in minutes
+const parseOffsets = (value) => [...new Set(String(value)
+  .split(',')
+  .map(hours => Math.round(parseFloat(hours) * 60))
+  .filter(minutes => minutes > 0))]
+  .sort((a, b) => b - a);
+
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS_HOURS || '24,2');
+
+// A failed send is retried on later sweeps up to this many attempts
+const MAX_ATTEMPTS = 3;
+
+const describeOffset = (minutes) => {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return hours === 1 ? '1 hour' : `${hours} hours`;
+};
+
+/**
+ * Build the reminder message for one channel
+ *
+ * @param {Object} appointment - Appointment with patient, doctor and clinic populated
+ * @param {Number} offsetMinutes - Offset the reminder is sent for
+ * @param {String} channel - "email" or "sms"
+ * @returns {Object} { subject, text }
+ */
+const renderReminder = (appointment, offsetMinutes, channel) => {
+  const doctorName = `Dr. ${appointment.doctor?.user?.firstName || ''} ${appointment.doctor?.user?.lastName || ''}`.trim();
+  const when = new Intl.DateTimeFormat('en-US', {
+    timeZone: appointment.doctor?.timezone || DEFAULT_TIMEZONE,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(appointment.dateTime);
+  // Reminders for a family member go to the guardian's account, naming who the visit is for
+  const whose = appointment.dependent?.firstName ? `${appointment.dependent.firstName}'s` : 'your';
+  const subject = appointment.dependent?.firstName
+    ? `Reminder: ${whose} appointment with ${doctorName} in ${describeOffset(offsetMinutes)}`
+    : `Reminder: appointment with ${doctorName} in ${describeOffset(offsetMinutes)}`;
+
+  const where = appointment.type === 'in-person' && visitLocation(appointment);
+
+  if (channel === 'sms') {
+    return {
+      subject,
+      text: `MediReach: ${whose} ${appointment.type} appointment with ${doctorName} is on ${when}${where ? ` at ${where}` : ''}.`
+    };
+  }
+  return {
+    subject,
+    text: [
+      appointment.patient?.firstName ? `Hello ${appointment.patient.firstName},` : 'Hello,',
+      '',
+      `This is a reminder of ${whose} ${appointment.type} appointment with ${doctorName} on ${when}.`,
+      ...(where ? [`Location: ${where}`] : []),
+      ...(appointment.clinic?.phone ? [`Clinic phone: ${appointment.clinic.phone}`] : []),
+      `Reason for visit: ${appointment.reason}`,
+      '',
+      'If you can no longer attend, please cancel or reschedule from your dashboard so the slot can go to another patient.',
+      '',
+      'MediReach'
+    ].join('\n')
+  };
+};
+
+// Claim a reminder; false if it was already sent, is being sent, or has used up its retries
+const claim = async (key, recipient) => {
+  try {
+    await ReminderLog.create({ ...key, recipient });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  const retry = await ReminderLog.findOneAndUpdate(
+    { ...key, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+    { status: 'sending', recipient, $inc: { attempts: 1 } }
+  );
+  return Boolean(retry);
+};
+
+const deliver = async (appointment, offsetMinutes, channel, adapter, recipient) => {
+  const key = { appointment: appointment._id, dateTime: appointment.dateTime, offsetMinutes, channel };
+  if (!(await claim(key, recipient))) return false;
+
+  try {
+    await adapter.send({ to: recipient, ...renderReminder(appointment, offsetMinutes, channel) });
+    await ReminderLog.updateOne(key, { status: 'sent', sentAt: new Date(), $unset: { error: 1 } });
+    return true;
+  } catch (err) {
+    console.error(`Failed to send ${channel} reminder for appointment ${appointment._id}:`, err.message);
+    await ReminderLog.updateOne(key, { status: 'failed', error: err.message });
+    return false;
+  }
+};
+
+/**
+ * Send every reminder that is due
+ *
+ * An appointment is due for an offset once it is that close, until the next
+ * smaller offset takes over, so a late confirmation gets one reminder rather
+ * than all of them at once.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.channels] - Adapters keyed by channel name
+ * @param {Number[]} [options.offsets] - Minutes before the appointment, largest first
+ * @returns {Number} Reminders sent
+ */
+const sendDueReminders = async ({ now = new Date(), channels = getChannels(), offsets = REMINDER_OFFSETS } = {}) => {
+  let sent = 0;
+  for (const [i, offset] of offsets.entries()) {
+    const nextOffset = offsets[i + 1] || 0;
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      dateTime: {
+        $gt: new Date(now.getTime() + nextOffset * 60 * 1000),
+        $lte: new Date(now.getTime() + offset * 60 * 1000)
+      }
+    });
+
+    for (const appointment of appointments) {
+      const recipients = { email: appointment.patient?.email, sms: appointment.patient?.phone };
+      for (const [name, recipient] of Object.entries(recipients)) {
+        if (!appointment.reminders?.[name] || !recipient || !channels[name]) continue;
+        if (await deliver(appointment, offset, name, channels[name], recipient)) sent++;
+      }
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  renderReminder,
+  sendDueReminders
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { can } = require('../utils/permissions');
 
 // Protect routes - require authentication
 exports.protect = async (req, res, next) => {
@@ -37,6 +39,16 @@ exports.protect = async (req, res, next) => {
         error: 'User account is deactivated'
       });
     }
+
+    // Password changed or reset, or signed out everywhere, since this token was issued
+    if (user.isTokenRevoked(decoded) || (decoded.sid && !(await Session.isActive(decoded.sid)))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired, please log in again'
+      });
+    }
+
+    req.sessionId = decoded.sid;
     
     req.user = user;
     next();
@@ -48,10 +60,11 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Authorize specific roles
-exports.authorize = (...roles) => {
+// Require a permission the user's role holds outright (see utils/permissions.js);
+// grants that depend on the resource are checked in the controller
+exports.permit = (action) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!can(req.user, action)) {
       return res.status(403).json({
         success: false,
         error: `Role '${req.user.role}' is not authorized to access this route`
@@ -61,6 +74,26 @@ exports.authorize = (...roles) => {
   };
 };
 
+// Actions users with an unconfirmed email may not take, e.g. "book,waitlist"; "none" allows everything
+const UNVERIFIED_BLOCKED_ACTIONS = (process.env.UNVERIFIED_BLOCKED_ACTIONS || 'book')
+  .split(',')
+  .map(action => action.trim())
+  .filter(action => action && action !== 'none');
+
+// Require a confirmed email address for an action covered by the policy
+exports.requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (UNVERIFIED_BLOCKED_ACTIONS.includes(action) && !req.user.isEmailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please confirm your email address first',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  };
+};
+
 // Optional auth - doesn't fail if no token
 exports.optionalAuth = async (req, res, next) => {
   try {
@@ -71,7 +104,11 @@ exports.optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id);
+      const user = await User.findById(decoded.id);
+      if (user && !user.isTokenRevoked(decoded) && (!decoded.sid || await Session.isActive(decoded.sid))) {
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
     }
     next();
   } catch (err) {
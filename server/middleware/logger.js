@@ -2,30 +2,50 @@
  * API Request/Response Logging Middleware
  * 
  * Purpose: Track all incoming requests and outgoing responses for debugging
- * Logs include: method, URL, status code, response time, and payload (without passwords)
+ * Logs include: method, URL, status code, response time, and payload (passwords, tokens,
+ * two-factor codes and calendar feed tokens redacted)
  * 
- * Usage: app.use(requestLogger); // Add early in middleware stack
+ * Usage: app.use(requestLogger); // Add right after the body parser so bodies can be redacted
  */
 
+// 🔐 Fields never written to the logs, wherever they appear in a request or response body
+const SENSITIVE_FIELDS = new Set([
+  'password', 'confirmPassword', 'currentPassword', 'newPassword',
+  'token', 'refreshToken', 'challengeToken',
+  'recoveryCode', 'recoveryCodes',
+  'secret', 'otpauthUrl', 'qrCode'
+]);
+
+// Requests also carry two-factor codes as `code`; in responses `code` is an error code and stays readable
+const SENSITIVE_REQUEST_FIELDS = new Set([...SENSITIVE_FIELDS, 'code']);
+
+// 🔐 A calendar feed URL carries its only credential, the token, in the path
+const CALENDAR_FEED_URL = /(\/api\/calendar\/)[^/?#\s]+(\.ics)/g;
+
+// Text with the token of any calendar feed URL in it masked
+const maskFeedToken = (text) => text.replace(CALENDAR_FEED_URL, '$1***REDACTED***$2');
+
+// Copy of the data with sensitive fields masked, including inside nested objects and arrays
+const sanitizeData = (data, fields = SENSITIVE_FIELDS) => {
+  if (typeof data === 'string') return maskFeedToken(data);
+  // Mongoose documents, dates and ids: redact what would actually be serialized
+  if (data && typeof data.toJSON === 'function') return sanitizeData(data.toJSON(), fields);
+  if (Array.isArray(data)) return data.map(item => sanitizeData(item, fields));
+  if (!data || typeof data !== 'object' || data.constructor !== Object) return data;
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => (
+    [key, fields.has(key) ? '***REDACTED***' : sanitizeData(value, fields)]
+  )));
+};
+
 const requestLogger = (req, res, next) => {
   // ⏱️ Start timer to measure response time
   const startTime = Date.now();
 
-  // 🔐 Function to sanitize sensitive data from logs (remove passwords)
-  const sanitizeData = (data) => {
-    if (!data) return data;
-    const sanitized = { ...data };
-    if (sanitized.password) sanitized.password = '***REDACTED***';
-    if (sanitized.confirmPassword) sanitized.confirmPassword = '***REDACTED***';
-    if (sanitized.token) sanitized.token = '***REDACTED***';
-    return sanitized;
-  };
-
   // 📥 Log incoming request
   console.log(
-    `\n📨 [${new Date().toISOString()}] ${req.method.toUpperCase()} ${req.path}`,
+    `\n📨 [${new Date().toISOString()}] ${req.method.toUpperCase()} ${maskFeedToken(req.path)}`,
     `\n   IP: ${req.ip}`,
-    `\n   Body: ${JSON.stringify(sanitizeData(req.body))}`
+    `\n   Body: ${JSON.stringify(sanitizeData(req.body, SENSITIVE_REQUEST_FIELDS))}`
   );
 
   // 🎯 Intercept the response to log it
@@ -51,3 +71,5 @@ const requestLogger = (req, res, next) => {
 };
 
 module.exports = requestLogger;
+module.exports.sanitizeData = sanitizeData;
+module.exports.maskFeedToken = maskFeedToken;
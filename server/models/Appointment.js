@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const SlotLock = require('./SlotLock');
+const { APPOINTMENT_TYPES } = require('../utils/appointmentStatus');
 
 const appointmentSchema = new mongoose.Schema({
   patient: {
@@ -11,6 +13,18 @@ const appointmentSchema = new mongoose.Schema({
     ref: 'Doctor',
     required: [true, 'Doctor is required']
   },
+  // Family member the visit is for; the patient is then their guardian and the contact
+  dependent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dependent',
+    default: null
+  },
+  // Where the visit happens; null means the doctor's clinicAddress
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    default: null
+  },
   dateTime: {
     type: Date,
     required: [true, 'Appointment date and time is required']
@@ -26,7 +40,7 @@ const appointmentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['in-person', 'video', 'phone'],
+    enum: APPOINTMENT_TYPES,
     default: 'in-person'
   },
   reason: {
@@ -52,12 +66,38 @@ const appointmentSchema = new mongoose.Schema({
     email: { type: Boolean, default: true },
     sms: { type: Boolean, default: false }
   },
+  // Who made the booking: the patient, or front-desk staff booking on their behalf
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   cancelledBy: {
     type: String,
-    enum: ['patient', 'doctor', 'system', null],
+    enum: ['patient', 'doctor', 'admin', 'receptionist', 'nurse', 'system', null],
     default: null
   },
-  cancellationReason: String
+  cancellationReason: String,
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: String,
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  rescheduleHistory: [{
+    dateTime: Date,
+    endTime: Date,
+    rescheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rescheduledAt: { type: Date, default: Date.now },
+    reason: String
+  }],
+  // Recurring series this visit belongs to, and its position in the series (0-based)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  seriesIndex: Number
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -68,12 +108,10 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ patient: 1, dateTime: -1 });
 appointmentSchema.index({ doctor: 1, dateTime: -1 });
 appointmentSchema.index({ dateTime: 1, status: 1 });
+appointmentSchema.index({ series: 1, dateTime: 1 });
 
-// Prevent double booking
-appointmentSchema.index(
-  { doctor: 1, dateTime: 1 },
-  { unique: true, partialFilterExpression: { status: { $ne: 'cancelled' } } }
-);
+// Double booking is prevented by SlotLock, which also covers overlapping
+// intervals and patients; a unique index on start time alone cannot.
 
 // Virtual to check if appointment is in the past
 appointmentSchema.virtual('isPast').get(function() {
@@ -87,21 +125,65 @@ appointmentSchema.pre(/^find/, function(next) {
     select: 'firstName lastName email phone'
   }).populate({
     path: 'doctor',
-    select: 'user specialization consultationFee slotDuration'
+    select: 'user specialization consultationFee slotDuration timezone clinicAddress'
+  }).populate({
+    path: 'clinic',
+    select: 'name address timezone phone'
+  }).populate({
+    path: 'dependent',
+    select: 'firstName lastName dateOfBirth gender relationship'
   });
   next();
 });
 
-// Static method to check slot availability
-appointmentSchema.statics.isSlotAvailable = async function(doctorId, dateTime, excludeId = null) {
+// Name of the person attending: the dependent when booked for one, otherwise the patient
+appointmentSchema.virtual('attendeeName').get(function() {
+  const person = this.dependent?.firstName ? this.dependent : this.patient;
+  return person?.firstName ? `${person.firstName} ${person.lastName || ''}`.trim() : undefined;
+});
+
+// Find active appointments overlapping [start, end) for a doctor and/or patient
+appointmentSchema.statics.findConflicts = function({ doctor, patient, dependent = null, start, end, excludeId = null }) {
+  const owners = [];
+  if (doctor) owners.push({ doctor });
+  // A guardian and each of their dependents are separate people with separate diaries
+  if (patient) owners.push({ patient, dependent });
+
   const query = {
-    doctor: doctorId,
-    dateTime: dateTime,
-    status: { $nin: ['cancelled'] }
+    $or: owners,
+    status: { $nin: ['cancelled'] },
+    dateTime: { $lt: end },
+    endTime: { $gt: start }
   };
-  if (excludeId) query._id = { $ne: excludeId };
-  const existing = await this.findOne(query);
-  return !existing;
+  if (excludeId) query._id = Array.isArray(excludeId) ? { $nin: excludeId } : { $ne: excludeId };
+  return this.find(query);
+};
+
+// Static method to check slot availability
+appointmentSchema.statics.isSlotAvailable = async function(doctorId, dateTime, endTime, excludeId = null) {
+  const conflicts = await this.findConflicts({ doctor: doctorId, start: dateTime, end: endTime, excludeId });
+  return conflicts.length === 0;
+};
+
+// Atomically move to a new status and record who made the change.
+// Callers must validate the move with utils/appointmentStatus first.
+// Resolves to null if the status changed underneath us.
+appointmentSchema.statics.transitionStatus = async function(appointment, to, { actor, role, reason = '' }, extraUpdates = {}) {
+  const set = { ...extraUpdates, status: to };
+  if (to === 'cancelled') {
+    set.cancelledBy = role;
+    set.cancellationReason = reason;
+  }
+  const updated = await this.findOneAndUpdate(
+    { _id: appointment._id, status: appointment.status },
+    {
+      $set: set,
+      $push: { statusHistory: { from: appointment.status, to, changedBy: actor, role, reason } }
+    },
+    { new: true, runValidators: true }
+  );
+  if (updated && to === 'cancelled') await SlotLock.release(appointment._id);
+  return updated;
 };
 
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { DATE_PATTERN } = require('../utils/availability');
+
+/**
+ * Recurring appointment series (e.g. weekly physiotherapy).
+ *
+ * Holds the recurrence rule; each visit is a normal Appointment pointing
+ * back here through `series`, so occurrences can still be cancelled or
+ * rescheduled one at a time.
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  // Family member every visit is for (see Appointment.dependent)
+  dependent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dependent',
+    default: null
+  },
+  intervalWeeks: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  count: {
+    type: Number,
+    min: 1
+  },
+  // Last allowed "YYYY-MM-DD" in the doctor's timezone, inclusive
+  until: {
+    type: String,
+    match: [DATE_PATTERN, 'Dates must be in YYYY-MM-DD format']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, { timestamps: true });
+
+appointmentSeriesSchema.pre('validate', function(next) {
+  if (!this.count && !this.until) this.invalidate('count', 'A series needs a number of visits or an end date');
+  next();
+});
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
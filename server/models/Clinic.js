@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { TIME_PATTERN, DEFAULT_TIMEZONE, isValidTimeZone, toMinutes } = require('../utils/availability');
+
+const openingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0=Sunday, 6=Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  opensAt: {
+    type: String, // "08:00"
+    required: true,
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  closesAt: {
+    type: String, // "18:00"
+    required: true,
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  }
+}, { _id: false });
+
+openingHoursSchema.pre('validate', function(next) {
+  if (this.opensAt && this.closesAt && toMinutes(this.opensAt) >= toMinutes(this.closesAt)) {
+    this.invalidate('closesAt', 'Opening time must be before closing time');
+  }
+  next();
+});
+
+/**
+ * A site where doctors see patients.
+ *
+ * Doctors link to the clinics they work at, and each of their weekly
+ * availability windows names the clinic it is held at, so every slot and
+ * appointment knows where the visit happens. Clinics that close are
+ * deactivated rather than deleted so past appointments keep an address.
+ */
+const clinicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Clinic name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  address: {
+    street: String,
+    city: { type: String, required: [true, 'City is required'], trim: true },
+    state: String,
+    zipCode: String,
+    // Set from the address by services/geocoder; absent when it couldn't be located
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    }
+  },
+  timezone: {
+    type: String, // IANA zone of the site; the availability of doctors working here is in it
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Empty means the hours are not published; doctors may then be scheduled at any time
+  openingHours: [openingHoursSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+clinicSchema.index({ isActive: 1, name: 1 });
+clinicSchema.index({ 'address.location': '2dsphere' });
+
+// Whether the clinic is open for all of [startTime, endTime) on a weekday
+clinicSchema.methods.isOpenDuring = function(dayOfWeek, startTime, endTime) {
+  if (!this.openingHours?.length) return true;
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  return this.openingHours.some(h =>
+    h.dayOfWeek === dayOfWeek && toMinutes(h.opensAt) <= start && toMinutes(h.closesAt) >= end);
+};
+
+module.exports = mongoose.model('Clinic', clinicSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * A person a patient account books for, e.g. a child or an elderly parent.
+ *
+ * The guardian's account stays the appointment's patient: it holds the
+ * contact details and receives reminders. The dependent is who the doctor
+ * actually sees. Removed dependents are deactivated rather than deleted so
+ * their past appointments keep a name.
+ */
+const dependentSchema = new mongoose.Schema({
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  dateOfBirth: {
+    type: Date,
+    required: [true, 'Date of birth is required']
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other', 'prefer-not-to-say']
+  },
+  // How the dependent is related to the guardian
+  relationship: {
+    type: String,
+    enum: ['child', 'parent', 'spouse', 'sibling', 'other'],
+    required: [true, 'Relationship is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+dependentSchema.index({ guardian: 1, isActive: 1 });
+
+// A guardian's active dependent, or null; appointments may only be booked for these
+dependentSchema.statics.findActiveFor = function(guardianId, dependentId) {
+  return this.findOne({ _id: dependentId, guardian: guardianId, isActive: true });
+};
+
+module.exports = mongoose.model('Dependent', dependentSchema);
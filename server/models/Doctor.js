@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const Clinic = require('./Clinic');
+const { DATE_PATTERN, TIME_PATTERN, DEFAULT_TIMEZONE, isValidTimeZone, toMinutes } = require('../utils/availability');
+const { APPOINTMENT_TYPES } = require('../utils/appointmentStatus');
 
 const availabilitySlotSchema = new mongoose.Schema({
   dayOfWeek: {
@@ -9,18 +12,96 @@ const availabilitySlotSchema = new mongoose.Schema({
   },
   startTime: {
     type: String, // "09:00"
-    required: true
+    required: true,
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
   },
   endTime: {
     type: String, // "17:00"
-    required: true
+    required: true,
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
   },
   isAvailable: {
     type: Boolean,
     default: true
+  },
+  // Where the doctor works in this window; one of their clinics, or clinicAddress when unset
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
   }
 }, { _id: false });
 
+availabilitySlotSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && toMinutes(this.startTime) >= toMinutes(this.endTime)) {
+    this.invalidate('endTime', 'Availability start time must be before its end time');
+  }
+  next();
+});
+
+// Dated exception to the weekly template: time off or extra one-off hours
+const availabilityOverrideSchema = new mongoose.Schema({
+  startDate: {
+    type: String, // "2024-12-23"
+    required: [true, 'Override start date is required'],
+    match: [DATE_PATTERN, 'Dates must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String, // inclusive, defaults to startDate
+    match: [DATE_PATTERN, 'Dates must be in YYYY-MM-DD format']
+  },
+  type: {
+    type: String,
+    enum: ['block', 'extra'],
+    required: [true, 'Override type is required']
+  },
+  startTime: {
+    type: String, // omitted on a block means the whole day is off
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  },
+  // Where extra hours are held; ignored on blocks
+  clinic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  }
+});
+
+availabilityOverrideSchema.pre('validate', function(next) {
+  if (this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'Override end date must not be before its start date');
+  }
+  if (!!this.startTime !== !!this.endTime) {
+    this.invalidate('endTime', 'Override start and end times must be given together');
+  }
+  if (this.type === 'extra' && !this.startTime) {
+    this.invalidate('startTime', 'Extra hours need a start and end time');
+  }
+  if (this.startTime && this.endTime && toMinutes(this.startTime) >= toMinutes(this.endTime)) {
+    this.invalidate('endTime', 'Override start time must be before its end time');
+  }
+  next();
+});
+
+// Where a doctor is in the admin review before they are listed
+const VERIFICATION_STATUSES = ['pending', 'info-requested', 'approved', 'rejected'];
+
+// One step of the review, kept as the audit trail
+const verificationEventSchema = new mongoose.Schema({
+  from: String,
+  to: { type: String, enum: VERIFICATION_STATUSES, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  role: String,
+  reason: String,
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const doctorSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -63,18 +144,61 @@ const doctorSchema = new mongoose.Schema({
     type: String,
     default: ['English']
   }],
+  appointmentTypes: {
+    type: [{ type: String, enum: APPOINTMENT_TYPES }],
+    default: () => [...APPOINTMENT_TYPES],
+    validate: {
+      validator: types => types.length > 0,
+      message: 'Offer at least one appointment type'
+    }
+  },
   availability: [availabilitySlotSchema],
+  availabilityOverrides: [availabilityOverrideSchema],
   slotDuration: {
     type: Number, // minutes
     default: 30,
     enum: [15, 30, 45, 60]
   },
+  timezone: {
+    type: String, // IANA zone the availability times are in, e.g. "Africa/Nairobi"
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  // Main practice address: where visits happen in windows without a clinic
   clinicAddress: {
     name: String,
     street: String,
     city: String,
     state: String,
-    zipCode: String
+    zipCode: String,
+    // Set from the address by services/geocoder; absent when it couldn't be located
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    }
+  },
+  // Sites the doctor works at; availability windows point at one of these
+  clinics: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic'
+  }],
+  // Copy of clinicAddress and each active linked clinic, which search matches and measures
+  // distance against; rebuilt on save and by syncLocations() when a clinic changes
+  locations: {
+    type: [{
+      _id: false,
+      clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' }, // unset for clinicAddress
+      name: String,
+      city: String,
+      location: {
+        type: { type: String, enum: ['Point'] },
+        coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+      }
+    }],
+    select: false
   },
   acceptingNewPatients: {
     type: Boolean,
@@ -84,9 +208,27 @@ const doctorSchema = new mongoose.Schema({
     average: { type: Number, default: 0, min: 0, max: 5 },
     count: { type: Number, default: 0 }
   },
+  // Cached earliest open slot, maintained by services/nextAvailable
+  nextAvailable: {
+    at: Date, // null when nothing is open in the look-ahead window
+    computedAt: Date,
+    // Bookings or schedule changed; recompute if later than computedAt. New doctors
+    // start changed, so the first search after they are listed computes them
+    changedAt: { type: Date, default: Date.now }
+  },
   isVerified: {
-    type: Boolean,
+    type: Boolean, // true only while verification.status is 'approved'; listings filter on it
     default: false
+  },
+  verification: {
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      // Profiles verified before the review queue existed count as approved
+      default: function() { return this.isVerified ? 'approved' : 'pending'; }
+    },
+    reason: { type: String, maxlength: 1000, select: false }, // shown to the doctor, not on the public profile
+    history: { type: [verificationEventSchema], select: false }
   }
 }, {
   timestamps: true,
@@ -94,9 +236,90 @@ const doctorSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Several windows per day are allowed (e.g. lunch breaks), but they must not overlap
+doctorSchema.path('availability').validate(function(windows) {
+  const active = windows
+    .filter(w => w.isAvailable && TIME_PATTERN.test(w.startTime) && TIME_PATTERN.test(w.endTime))
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek || toMinutes(a.startTime) - toMinutes(b.startTime));
+  return active.every((w, i) => {
+    const prev = active[i - 1];
+    return !prev || prev.dayOfWeek !== w.dayOfWeek || toMinutes(prev.endTime) <= toMinutes(w.startTime);
+  });
+}, 'Availability windows on the same day must not overlap');
+
 // Index for search functionality
-doctorSchema.index({ specialization: 1, 'clinicAddress.city': 1 });
+doctorSchema.index({ specialization: 1, 'locations.city': 1 });
 doctorSchema.index({ 'rating.average': -1 });
+doctorSchema.index({ isVerified: 1, consultationFee: 1 });
+doctorSchema.index({ isVerified: 1, 'nextAvailable.at': 1 });
+doctorSchema.index({ 'locations.location': '2dsphere' });
+
+doctorSchema.index({ 'verification.status': 1, createdAt: 1 });
+
+/**
+ * Move the doctor to a new review status and record who did it
+ *
+ * Keeps isVerified in step with the status. Call save() afterwards.
+ *
+ * @param {String} to - One of VERIFICATION_STATUSES
+ * @param {Object} actor - { id, role }
+ * @param {String} [reason] - Shown to the doctor
+ */
+doctorSchema.methods.recordVerification = function(to, actor, reason = '') {
+  this.verification.history.push({ from: this.verification.status, to, changedBy: actor.id, role: actor.role, reason });
+  this.verification.status = to;
+  this.verification.reason = reason;
+  this.isVerified = to === 'approved';
+};
+
+// { name, city, location } for search; location only when the address was geocoded
+const searchLocation = (name, address, clinic) => ({
+  ...(clinic && { clinic }),
+  name,
+  city: address?.city,
+  ...(address?.location?.coordinates?.length === 2 && {
+    location: { type: 'Point', coordinates: [...address.location.coordinates] }
+  })
+});
+
+// Where the doctor sees patients: clinicAddress, if filled in, and the active linked clinics
+doctorSchema.methods.collectLocations = async function() {
+  const ids = this.clinics.map(clinic => clinic._id || clinic);
+  const clinics = ids.length ? await Clinic.find({ _id: { $in: ids }, isActive: true }).select('name address') : [];
+  const main = this.clinicAddress;
+  return [
+    ...(main && (main.name || main.city || main.location?.coordinates?.length) ? [searchLocation(main.name, main)] : []),
+    ...clinics.map(clinic => searchLocation(clinic.name, clinic.address, clinic._id))
+  ];
+};
+
+doctorSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('clinicAddress') || this.isModified('clinics')) {
+    this.locations = await this.collectLocations();
+  }
+  next();
+});
+
+/**
+ * Rebuild locations for the doctors matching a filter
+ *
+ * For changes that skip save(): profile updates, a clinic being edited, and
+ * profiles saved before locations existed.
+ *
+ * @param {Object} filter - e.g. { clinics: clinicId }
+ */
+doctorSchema.statics.syncLocations = async function(filter) {
+  const doctors = await this.find(filter).select('clinicAddress clinics');
+  if (!doctors.length) return;
+  const updates = [];
+  for (const doctor of doctors) {
+    updates.push({ updateOne: { filter: { _id: doctor._id }, update: { $set: { locations: await doctor.collectLocations() } } } });
+  }
+  await this.bulkWrite(updates);
+};
+
+doctorSchema.statics.APPOINTMENT_TYPES = APPOINTMENT_TYPES;
+doctorSchema.statics.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
 
 // Populate user data by default
 doctorSchema.pre(/^find/, function(next) {
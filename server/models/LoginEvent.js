@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// How long sign-in history is kept
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 90;
+
+/**
+ * One sign-in attempt against a known account, successful or not.
+ *
+ * Successful sign-ins from an IP address or browser the account hasn't
+ * signed in from before are flagged, so the user can spot sign-ins that
+ * weren't theirs.
+ */
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'password', // signed in with the password alone
+      'two-factor', // signed in after the second factor
+      'invalid-password',
+      'invalid-2fa-code',
+      'throttled', // tried again before the delay after earlier failures ran out
+      'locked', // too many failures; this attempt locked the account
+      'account-locked', // attempt while the account was locked
+      'deactivated'
+    ],
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  flags: [{
+    type: String,
+    enum: ['new-ip', 'new-device']
+  }]
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
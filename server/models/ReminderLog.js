@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * One row per reminder sent (or being sent) for an appointment.
+ *
+ * The unique key is claimed before the message goes out, so two workers or
+ * a restart mid-sweep can never deliver the same reminder twice. The key
+ * includes the appointment time, which gives a rescheduled visit fresh
+ * reminders for its new time.
+ */
+const reminderLogSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  dateTime: {
+    type: Date, // appointment start the reminder was for
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  recipient: String,
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  sentAt: Date
+}, { timestamps: true });
+
+reminderLogSchema.index({ appointment: 1, dateTime: 1, offsetMinutes: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * A patient's rating of a completed appointment, one per appointment.
+ *
+ * Only published reviews count towards the doctor's rating. Patients and
+ * doctors can flag a review; an admin then keeps it published or hides it.
+ */
+const reviewSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+    unique: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: { validator: Number.isInteger, message: 'Rating must be a whole number of stars' }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  editedAt: Date,
+  reply: {
+    text: { type: String, trim: true, maxlength: 2000 },
+    repliedAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  flags: [{
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, maxlength: 500 },
+    flaggedAt: { type: Date, default: Date.now }
+  }],
+  moderation: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    moderatedAt: Date
+  }
+}, { timestamps: true });
+
+reviewSchema.index({ doctor: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ patient: 1 });
+
+/**
+ * Recompute a doctor's rating from their published reviews
+ *
+ * Always rebuilt from the reviews themselves rather than adjusted by the
+ * change, so a missed or concurrent update is corrected by the next one.
+ *
+ * @param {ObjectId} doctorId
+ * @returns {Object} The new { average, count }
+ */
+reviewSchema.statics.updateDoctorRating = async function(doctorId) {
+  const [totals] = await this.aggregate([
+    { $match: { doctor: new mongoose.Types.ObjectId(doctorId), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const rating = {
+    average: totals ? Math.round(totals.average * 10) / 10 : 0,
+    count: totals ? totals.count : 0
+  };
+  await mongoose.model('Doctor').updateOne({ _id: doctorId }, { rating });
+  return rating;
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+// Until an admin saves a policy: TWO_FACTOR_REQUIRED_ROLES, e.g. "doctor,admin"
+const DEFAULT_TWO_FACTOR_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => ROLES.includes(role));
+
+const POLICY_KEY = 'default';
+
+/**
+ * Account security settings that admins change at runtime.
+ *
+ * There is a single policy document; read it through current(), which
+ * falls back to the deployment defaults before an admin has saved one.
+ */
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true,
+    immutable: true
+  },
+  // Roles that must sign in with two-factor authentication
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ROLES
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// The policy in force: { twoFactorRequiredRoles, updatedAt, updatedBy }
+securityPolicySchema.statics.current = async function() {
+  const policy = await this.findOne({ key: POLICY_KEY }).lean();
+  if (!policy) return { twoFactorRequiredRoles: DEFAULT_TWO_FACTOR_ROLES, updatedAt: null, updatedBy: null };
+  const { twoFactorRequiredRoles, updatedAt, updatedBy } = policy;
+  return { twoFactorRequiredRoles, updatedAt, updatedBy };
+};
+
+/**
+ * Save the policy
+ *
+ * @param {Object} changes - { twoFactorRequiredRoles }
+ * @param {ObjectId} adminId - Who made the change
+ */
+securityPolicySchema.statics.saveChanges = function(changes, adminId) {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { ...changes, updatedBy: adminId },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * One signed-in device.
+ *
+ * The session holds the hash of its current refresh token. Each refresh
+ * swaps in a new token and remembers the old hash; presenting an old token
+ * again means it was copied, so the whole session is revoked.
+ *
+ * Access tokens carry the session id, so revoking a session signs that
+ * device out immediately rather than when its access token expires.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  usedHashes: [String],
+  rotatedAt: Date,
+  tokenVersion: {
+    type: Number, // user's tokenVersion at sign-in; a password change voids the session
+    default: 0
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse', 'password-change', 'deactivated', null]
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ usedHashes: 1 });
+sessionSchema.index({ user: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session behind an access token is still signed in
+sessionSchema.statics.isActive = async function(sessionId) {
+  const session = await this.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return Boolean(session);
+};
+
+// Sign out every session of a user
+sessionSchema.statics.revokeAll = function(userId, reason) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// How long a patient may keep a slot while filling in the booking form
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 5;
+
+/**
+ * Short-lived reservation of a slot during checkout.
+ *
+ * MongoDB's TTL monitor deletes expired holds, but it only runs about once
+ * a minute, so every query also filters on expiresAt itself.
+ *
+ * Holds that back a waitlist offer point at the entry and live as long as
+ * the offer; a patient's ordinary checkout hold never replaces them.
+ */
+const slotHoldSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dateTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  waitlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Waitlist'
+  }
+}, { timestamps: true });
+
+// One hold per doctor slot; concurrent attempts on the same slot fail with 11000
+slotHoldSchema.index({ doctor: 1, dateTime: 1 }, { unique: true });
+slotHoldSchema.index({ patient: 1 });
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Live holds on a doctor overlapping [start, end), optionally ignoring one patient's own
+slotHoldSchema.statics.findActive = function({ doctor, start, end, excludePatient = null }) {
+  const query = {
+    doctor,
+    expiresAt: { $gt: new Date() },
+    dateTime: { $lt: end },
+    endTime: { $gt: start }
+  };
+  if (excludePatient) query.patient = { $ne: excludePatient };
+  return this.find(query);
+};
+
+/**
+ * Hold [start, end) for a patient. A checkout hold replaces the patient's
+ * current one; a waitlist offer hold is placed alongside it.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.expiresAt] - Defaults to HOLD_MINUTES from now
+ * @param {ObjectId} [options.waitlist] - Waitlist entry the hold backs an offer for
+ * @returns {Object|null} The hold, or null if another patient holds the slot
+ */
+slotHoldSchema.statics.place = async function(doctorId, patientId, start, end, { expiresAt, waitlist } = {}) {
+  const now = new Date();
+  const heldByOthers = await this.findActive({ doctor: doctorId, start, end, excludePatient: patientId });
+  if (heldByOthers.length) return null;
+
+  // Checking out a slot the patient was offered from the waitlist keeps the longer offer hold
+  if (!waitlist) {
+    const offerHold = await this.findOne({
+      doctor: doctorId, patient: patientId, dateTime: start, waitlist: { $ne: null }, expiresAt: { $gt: now }
+    });
+    if (offerHold) return offerHold;
+  }
+
+  // A patient checks out one slot at a time, but an offer arriving mid-checkout leaves that hold alone;
+  // also clear an expired hold the TTL monitor has not removed yet
+  const stale = [{ doctor: doctorId, dateTime: start, $or: [{ patient: patientId }, { expiresAt: { $lte: now } }] }];
+  if (!waitlist) stale.push({ patient: patientId, waitlist: null });
+  await this.deleteMany({ $or: stale });
+
+  try {
+    return await this.create({
+      doctor: doctorId,
+      patient: patientId,
+      dateTime: start,
+      endTime: end,
+      expiresAt: expiresAt || new Date(now.getTime() + HOLD_MINUTES * 60 * 1000),
+      waitlist
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// Drop a patient's checkout holds plus any hold on the slot they just booked
+slotHoldSchema.statics.consume = function(patientId, doctorId, start) {
+  return this.deleteMany({
+    patient: patientId,
+    $or: [{ waitlist: null }, { doctor: doctorId, dateTime: start }]
+  });
+};
+
+slotHoldSchema.statics.HOLD_MINUTES = HOLD_MINUTES;
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Lock granularity in minutes. Every slotDuration option (15/30/45/60) is a multiple of it.
+const BLOCK_MINUTES = 5;
+const BLOCK_MS = BLOCK_MINUTES * 60 * 1000;
+
+// A lock is written just before its appointment, so one without an appointment
+// only counts as orphaned (the process died in between) once it is this old
+const ORPHAN_GRACE_MS = 60 * 1000;
+
+// Locks of visits that are over protect nothing; MongoDB drops them this long after their block
+const EXPIRE_AFTER_SECONDS = 24 * 60 * 60;
+
+/**
+ * One row per (resource, time block) held by an appointment.
+ *
+ * The unique index turns "no two appointments overlap for the same doctor
+ * or patient" into a database constraint, so concurrent bookings cannot both
+ * succeed no matter how the requests interleave. A TTL index removes locks a
+ * day after their block has passed.
+ */
+const slotLockSchema = new mongoose.Schema({
+  resource: {
+    type: String, // "doctor:<id>", "patient:<id>" or "dependent:<id>"
+    required: true
+  },
+  block: {
+    type: Date,
+    required: true
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  }
+}, { timestamps: true });
+
+slotLockSchema.index({ resource: 1, block: 1 }, { unique: true });
+slotLockSchema.index({ appointment: 1 });
+slotLockSchema.index({ block: 1 }, { expireAfterSeconds: EXPIRE_AFTER_SECONDS });
+
+// Split [start, end) into lock blocks
+const toBlocks = (start, end) => {
+  const blocks = [];
+  const first = Math.floor(new Date(start).getTime() / BLOCK_MS) * BLOCK_MS;
+  for (let t = first; t < new Date(end).getTime(); t += BLOCK_MS) blocks.push(new Date(t));
+  return blocks;
+};
+
+// Lock resource keys for an appointment's doctor and the person attending (a dependent, if booked for one)
+slotLockSchema.statics.resourcesFor = function(doctorId, patientId, dependentId = null) {
+  return [`doctor:${doctorId}`, dependentId ? `dependent:${dependentId}` : `patient:${patientId}`];
+};
+
+/**
+ * Locks on these blocks left behind by appointments that no longer need
+ * them: the appointment was cancelled without its locks being released, or
+ * was never written at all. Deletes every lock of such an appointment.
+ *
+ * @returns {Boolean} Whether any were cleared
+ */
+slotLockSchema.statics.clearOrphans = async function(appointmentId, locks) {
+  const conflicting = await this.find({
+    resource: { $in: [...new Set(locks.map(l => l.resource))] },
+    block: { $in: locks.map(l => l.block) },
+    appointment: { $ne: appointmentId }
+  }).select('appointment createdAt');
+  if (!conflicting.length) return false;
+
+  // Required lazily: Appointment requires this model
+  const Appointment = mongoose.model('Appointment');
+  const owners = await Appointment.find({ _id: { $in: conflicting.map(l => l.appointment) } }).select('status');
+  const status = new Map(owners.map(a => [a._id.toString(), a.status]));
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+  const orphaned = [...new Set(conflicting
+    .filter(l => (status.has(l.appointment.toString())
+      ? status.get(l.appointment.toString()) === 'cancelled'
+      : l.createdAt.getTime() < cutoff))
+    .map(l => l.appointment.toString()))];
+  if (!orphaned.length) return false;
+
+  await this.deleteMany({ appointment: { $in: orphaned } });
+  return true;
+};
+
+/**
+ * Claim every block of [start, end) for each resource, all or nothing.
+ * Blocks the appointment already holds are skipped so a reschedule may
+ * overlap its own current time. On a conflict, orphaned locks (see
+ * clearOrphans) are cleared and the claim is tried once more.
+ *
+ * @returns {Array|null} Ids of the newly inserted locks, or null on conflict
+ */
+slotLockSchema.statics.acquire = async function(appointmentId, resources, start, end) {
+  const held = await this.find({ appointment: appointmentId }).select('resource block');
+  const heldKeys = new Set(held.map(l => `${l.resource}|${l.block.getTime()}`));
+
+  const wanted = resources
+    .flatMap(resource => toBlocks(start, end).map(block => ({ resource, block })))
+    .filter(l => !heldKeys.has(`${l.resource}|${l.block.getTime()}`));
+
+  const insert = async () => {
+    const locks = wanted.map(l => ({ ...l, _id: new mongoose.Types.ObjectId(), appointment: appointmentId }));
+    try {
+      await this.insertMany(locks, { ordered: true });
+      return locks.map(l => l._id);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // Roll back whatever part of this attempt made it in
+      await this.deleteMany({ _id: { $in: locks.map(l => l._id) } });
+      return null;
+    }
+  };
+
+  const ids = await insert();
+  if (ids || !(await this.clearOrphans(appointmentId, wanted))) return ids;
+  return insert();
+};
+
+// Release every lock held by an appointment (e.g. on cancellation)
+slotLockSchema.statics.release = function(appointmentId) {
+  return this.deleteMany({ appointment: appointmentId });
+};
+
+// Release the locks an appointment holds outside [start, end) after it moves
+slotLockSchema.statics.releaseOutside = function(appointmentId, start, end) {
+  const first = toBlocks(start, end)[0] || new Date(start);
+  return this.deleteMany({
+    appointment: appointmentId,
+    $or: [{ block: { $lt: first } }, { block: { $gte: new Date(end) } }]
+  });
+};
+
+slotLockSchema.statics.BLOCK_MINUTES = BLOCK_MINUTES;
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
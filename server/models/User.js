@@ -1,6 +1,26 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ROLES } = require('../utils/permissions');
+const SecurityPolicy = require('./SecurityPolicy');
+
+// How long an emailed password reset link stays valid
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 30;
+
+// How long an emailed verification link stays valid
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 48;
+
+// Separate signing key so a verification link can never be used as a login token
+const emailVerificationSecret = () => `${process.env.JWT_SECRET}:verify-email`;
+
+// The password step of a two-factor login is good for this long
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+
+// Separate signing key so a half-finished login can never be used as a login token
+const twoFactorChallengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -14,8 +34,9 @@ const userSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [function() { return !this.createdBy; }, 'Email is required'],
     unique: true,
+    sparse: true, // walk-in patient records may have no email
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
@@ -37,9 +58,20 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'doctor', 'admin'],
+    enum: ROLES,
     default: 'patient'
   },
+  // Front-desk staff member who registered this patient record for a walk-in or phone booking.
+  // Such records have no password until the patient sets one through the password reset link.
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Doctors a receptionist or nurse works for (see utils/permissions.js)
+  assignedDoctors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  }],
   dateOfBirth: Date,
   gender: {
     type: String,
@@ -54,43 +86,156 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.createdBy; }, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't include in queries by default
   },
   profileImage: String,
   isActive: { type: Boolean, default: true },
-  lastLogin: Date
+  lastLogin: Date,
+  calendarToken: {
+    type: String, // secret in the calendar feed URL
+    select: false
+  },
+  // Set to false on registration; accounts created before verification existed have no value and count as verified
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date,
+  tokenVersion: {
+    type: Number, // bumped to invalidate every JWT issued so far
+    default: 0
+  },
+  passwordResetToken: {
+    type: String, // SHA-256 of the emailed token
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false }, // base32 TOTP secret
+    pendingSecret: { type: String, select: false }, // issued during setup, until the first code confirms it
+    lastUsedStep: { type: Number, select: false }, // time step of the last accepted code, so it can't be replayed
+    recoveryCodes: { type: [String], select: false } // SHA-256 of unused recovery codes
+  },
+  // Failed sign-ins since the last successful one; reset on success and when a lockout starts
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  lastLockedAt: Date,
+  lockoutCount: { type: Number, default: 0 }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
-// Hash password before saving
+// Hash password before saving; a new password signs out every existing session
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) this.tokenVersion = (this.tokenVersion || 0) + 1;
   next();
 });
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false; // walk-in record nobody has claimed yet
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateToken = function() {
+// Generate a short-lived access token, tied to a session when one is given
+userSchema.methods.generateToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, v: this.tokenVersion || 0, ...(sessionId && { sid: sessionId.toString() }) },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Signed link token proving the user controls this email address
+userSchema.methods.generateEmailVerificationToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'verify-email' },
+    emailVerificationSecret(),
+    { expiresIn: `${EMAIL_VERIFICATION_HOURS}h` }
+  );
+};
+
+// Decode a verification token; null if it is forged, expired or for another purpose
+userSchema.statics.decodeEmailVerificationToken = function(token) {
+  try {
+    const decoded = jwt.verify(token, emailVerificationSecret());
+    return decoded.purpose === 'verify-email' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
+userSchema.virtual('isEmailVerified').get(function() {
+  return this.emailVerified !== false;
+});
+
+// Whether a decoded JWT was issued before the last password change
+userSchema.methods.isTokenRevoked = function(decoded) {
+  return (decoded.v || 0) !== (this.tokenVersion || 0);
+};
+
+// Start a password reset; returns the raw token to email, only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Whether the current two-factor policy covers this user's role
+userSchema.methods.requiresTwoFactor = async function() {
+  const { twoFactorRequiredRoles } = await SecurityPolicy.current();
+  return twoFactorRequiredRoles.includes(this.role);
+};
+
+// Short-lived token proving the password step of a two-factor login passed
+userSchema.methods.generateTwoFactorChallenge = function() {
+  return jwt.sign(
+    { id: this._id, v: this.tokenVersion || 0, purpose: '2fa-login' },
+    twoFactorChallengeSecret(),
+    { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` }
   );
 };
 
+// Decode a login challenge; null if it is forged, expired or for another purpose
+userSchema.statics.decodeTwoFactorChallenge = function(token) {
+  try {
+    const decoded = jwt.verify(token, twoFactorChallengeSecret());
+    return decoded.purpose === '2fa-login' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+userSchema.statics.hashToken = hashToken;
+userSchema.statics.PASSWORD_RESET_MINUTES = PASSWORD_RESET_MINUTES;
+userSchema.statics.EMAIL_VERIFICATION_HOURS = EMAIL_VERIFICATION_HOURS;
+
+// Issue a new calendar feed token; the old feed URL stops working
+userSchema.methods.rotateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { DATE_PATTERN } = require('../utils/availability');
+
+// Local-time bands for the time-of-day preference, in minutes since midnight
+const TIME_OF_DAY = {
+  any: [0, 24 * 60],
+  morning: [0, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 24 * 60]
+};
+
+const waitlistSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  // Optional "YYYY-MM-DD" range in the doctor's timezone, both ends inclusive
+  dateFrom: {
+    type: String,
+    match: [DATE_PATTERN, 'Dates must be in YYYY-MM-DD format']
+  },
+  dateTo: {
+    type: String,
+    match: [DATE_PATTERN, 'Dates must be in YYYY-MM-DD format']
+  },
+  timeOfDay: {
+    type: String,
+    enum: Object.keys(TIME_OF_DAY),
+    default: 'any'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled'],
+    default: 'waiting'
+  },
+  // Freed slot currently offered to this patient; claimed by booking it before expiresAt
+  offer: {
+    dateTime: Date,
+    endTime: Date,
+    expiresAt: Date
+  },
+  // Slots this patient let expire or declined, so they are not offered again
+  passedSlots: [Date],
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, { timestamps: true });
+
+waitlistSchema.index({ doctor: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ patient: 1, status: 1 });
+waitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+waitlistSchema.pre('validate', function(next) {
+  if (this.dateFrom && this.dateTo && this.dateTo < this.dateFrom) {
+    this.invalidate('dateTo', 'End date cannot be before start date');
+  }
+  next();
+});
+
+waitlistSchema.statics.TIME_OF_DAY = TIME_OF_DAY;
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
@@ -1,34 +1,67 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, permit, requireVerifiedEmail } = require('../middleware/auth');
 const {
   create,
   getAll,
   getById,
   update,
+  reschedule,
   remove
 } = require('../controllers/appointmentController');
+const series = require('../controllers/seriesController');
+const { appointmentEvent } = require('../controllers/calendarController');
 
 // @route   POST /api/appointments
 // @desc    Book a new appointment
 // @access  Private (Patient)
-router.post('/', protect, authorize('patient'), create);
+router.post('/', protect, permit('appointment:book'), requireVerifiedEmail('book'), create);
+
+// @route   POST /api/appointments/series
+// @desc    Book a recurring series (intervalWeeks plus count or until); dryRun only reports conflicts
+// @access  Private (Patient)
+router.post('/series', protect, permit('series:book'), requireVerifiedEmail('book'), series.create);
+
+// @route   GET /api/appointments/series/:id
+// @desc    Get a series and all of its visits
+// @access  Private
+router.get('/series/:id', protect, series.getById);
+
+// @route   POST /api/appointments/series/:id/reschedule
+// @desc    Move every remaining visit of a series
+// @access  Private
+router.post('/series/:id/reschedule', protect, series.reschedule);
+
+// @route   DELETE /api/appointments/series/:id
+// @desc    Cancel every remaining visit of a series
+// @access  Private
+router.delete('/series/:id', protect, series.cancel);
 
 // @route   GET /api/appointments
 // @desc    Get appointments for current user
 // @access  Private
-router.get('/', protect, getAll);
+router.get('/', protect, permit('appointment:list'), getAll);
 
 // @route   GET /api/appointments/:id
 // @desc    Get single appointment
 // @access  Private
 router.get('/:id', protect, getById);
 
+// @route   GET /api/appointments/:id/ics
+// @desc    Download appointment as an iCalendar (.ics) file
+// @access  Private
+router.get('/:id/ics', protect, appointmentEvent);
+
 // @route   PUT /api/appointments/:id
 // @desc    Update appointment (status, notes)
 // @access  Private
 router.put('/:id', protect, update);
 
+// @route   POST /api/appointments/:id/reschedule
+// @desc    Move appointment to a new slot
+// @access  Private
+router.post('/:id/reschedule', protect, reschedule);
+
 // @route   DELETE /api/appointments/:id
 // @desc    Cancel/delete appointment
 // @access  Private
@@ -1,7 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-const { register, login, getMe } = require('../controllers/authController');
+const { protect, optionalAuth, permit } = require('../middleware/auth');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  refresh,
+  logout,
+  logoutAll,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const twoFactor = require('../controllers/twoFactorController');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -13,6 +27,86 @@ router.post('/register', register);
 // @access  Public
 router.post('/login', login);
 
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a two-factor login with an authenticator or recovery code
+// @access  Public (login challenge)
+router.post('/login/2fa', loginTwoFactor);
+
+// @route   POST /api/auth/login/2fa/setup
+// @desc    Set up two-factor during login when the policy requires it
+// @access  Public (login challenge)
+router.post('/login/2fa/setup', loginTwoFactorSetup);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', refresh);
+
+// @route   POST /api/auth/logout
+// @desc    Sign out this device
+// @access  Public
+router.post('/logout', optionalAuth, logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every device
+// @access  Private
+router.post('/logout-all', protect, logoutAll);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with an emailed reset token
+// @access  Public
+router.post('/reset-password', resetPassword);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the signed link token
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Private
+router.post('/resend-verification', protect, resendVerification);
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status
+// @access  Private
+router.get('/2fa', protect, twoFactor.getStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor setup (secret and QR code)
+// @access  Private
+router.post('/2fa/setup', protect, twoFactor.setup);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm setup with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', protect, twoFactor.enable);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor off
+// @access  Private
+router.post('/2fa/disable', protect, twoFactor.disable);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, twoFactor.regenerateRecoveryCodes);
+
+// @route   GET /api/auth/2fa/policy
+// @desc    Get which roles must use two-factor
+// @access  Private (Admin only)
+router.get('/2fa/policy', protect, permit('security-policy:manage'), twoFactor.getPolicy);
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Set which roles must use two-factor
+// @access  Private (Admin only)
+router.put('/2fa/policy', protect, permit('security-policy:manage'), twoFactor.updatePolicy);
+
 // @route   GET /api/auth/me
 // @desc    Get current logged in user
 // @access  Private
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { getFeed, rotateFeed, feed } = require('../controllers/calendarController');
+
+// @route   GET /api/calendar/feed
+// @desc    Get the current user's calendar subscription URL
+// @access  Private
+router.get('/feed', protect, getFeed);
+
+// @route   POST /api/calendar/feed/rotate
+// @desc    Replace the feed token; the old URL stops working
+// @access  Private
+router.post('/feed/rotate', protect, rotateFeed);
+
+// @route   GET /api/calendar/:token.ics
+// @desc    iCalendar feed of the token owner's appointments
+// @access  Public (secret token)
+router.get('/:token.ics', feed);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, permit } = require('../middleware/auth');
+const { getAll, getById, create, update, remove } = require('../controllers/clinicController');
+
+// @route   GET /api/clinics
+// @desc    Active clinics (?q= name or city, ?city=)
+// @access  Public
+router.get('/', getAll);
+
+// @route   GET /api/clinics/:id
+// @desc    Get a clinic with the doctors working there
+// @access  Public
+router.get('/:id', getById);
+
+// @route   POST /api/clinics
+// @desc    Add a clinic (name, address, timezone, phone, openingHours)
+// @access  Private (Admin only)
+router.post('/', protect, permit('clinic:manage'), create);
+
+// @route   PUT /api/clinics/:id
+// @desc    Update a clinic
+// @access  Private (Admin only)
+router.put('/:id', protect, permit('clinic:manage'), update);
+
+// @route   DELETE /api/clinics/:id
+// @desc    Close a clinic no doctor works at any more
+// @access  Private (Admin only)
+router.delete('/:id', protect, permit('clinic:manage'), remove);
+
+module.exports = router;
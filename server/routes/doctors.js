@@ -1,19 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, permit, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const {
   getAll,
   getById,
   getSlots,
+  holdSlot,
+  releaseHold,
   updateProfile,
-  updateAvailability
+  updateAvailability,
+  getVerificationQueue,
+  verify
 } = require('../controllers/doctorController');
+const { getForDoctor: getReviews } = require('../controllers/reviewController');
 
 // @route   GET /api/doctors
 // @desc    Get all doctors with filters
 // @access  Public
 router.get('/', getAll);
 
+// @route   GET /api/doctors/verification
+// @desc    Doctors awaiting review (?status= for any other review status, ?page=, ?limit= up to 50)
+// @access  Private (Admin only)
+router.get('/verification', protect, permit('doctor:verify'), getVerificationQueue);
+
 // @route   GET /api/doctors/:id
 // @desc    Get single doctor with available slots
 // @access  Public
@@ -21,17 +31,47 @@ router.get('/:id', getById);
 
 // @route   GET /api/doctors/:id/slots
 // @desc    Get available slots for a doctor on a specific date
+// @access  Public (slots held by the signed-in patient stay visible to them)
+router.get('/:id/slots', optionalAuth, getSlots);
+
+// @route   GET /api/doctors/:id/reviews
+// @desc    Published reviews of a doctor, newest first (paginated)
 // @access  Public
-router.get('/:id/slots', getSlots);
+router.get('/:id/reviews', getReviews);
+
+// @route   POST /api/doctors/:id/slots/hold
+// @desc    Hold a slot for a few minutes while the patient completes booking
+// @access  Private (Patient only)
+router.post('/:id/slots/hold', protect, permit('slot:hold'), requireVerifiedEmail('book'), holdSlot);
+
+// @route   DELETE /api/doctors/:id/slots/hold
+// @desc    Release the current patient's hold on this doctor's slots
+// @access  Private (Patient only)
+router.delete('/:id/slots/hold', protect, permit('slot:hold'), releaseHold);
 
 // @route   PUT /api/doctors/profile
-// @desc    Update doctor profile
+// @desc    Update the signed-in doctor's profile
 // @access  Private (Doctor only)
-router.put('/profile', protect, authorize('doctor'), updateProfile);
+router.put('/profile', protect, updateProfile);
 
 // @route   PUT /api/doctors/availability
-// @desc    Update doctor availability
+// @desc    Update the signed-in doctor's availability
 // @access  Private (Doctor only)
-router.put('/availability', protect, authorize('doctor'), updateAvailability);
+router.put('/availability', protect, updateAvailability);
+
+// @route   PUT /api/doctors/:id
+// @desc    Update a doctor profile
+// @access  Private (the doctor, or admin)
+router.put('/:id', protect, updateProfile);
+
+// @route   PUT /api/doctors/:id/availability
+// @desc    Update a doctor's availability
+// @access  Private (the doctor, their receptionists and nurses, or admin)
+router.put('/:id/availability', protect, updateAvailability);
+
+// @route   PUT /api/doctors/:id/verification
+// @desc    Approve, reject or request more information (decision, reason)
+// @access  Private (Admin only)
+router.put('/:id/verification', protect, permit('doctor:verify'), verify);
 
 module.exports = router;
\ No newline at end of file
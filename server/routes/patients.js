@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { protect, permit } = require('../middleware/auth');
+const { search, create } = require('../controllers/patientController');
+
+// @route   GET /api/patients?q=
+// @desc    Search patients by name, email or phone
+// @access  Private (Receptionist, Admin)
+router.get('/', protect, permit('patient:search'), search);
+
+// @route   POST /api/patients
+// @desc    Register a patient record for a walk-in or phone booking
+// @access  Private (Receptionist, Admin)
+router.post('/', protect, permit('patient:create'), create);
+
+module.exports = router;
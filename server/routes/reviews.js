@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { protect, permit } = require('../middleware/auth');
+const {
+  getMine,
+  create,
+  update,
+  remove,
+  reply,
+  flag,
+  getModerationQueue,
+  moderate
+} = require('../controllers/reviewController');
+
+// @route   POST /api/reviews
+// @desc    Review a completed appointment (rating 1-5, optional comment)
+// @access  Private (the appointment's patient)
+router.post('/', protect, create);
+
+// @route   GET /api/reviews/mine
+// @desc    Get current patient's reviews
+// @access  Private
+router.get('/mine', protect, getMine);
+
+// @route   GET /api/reviews/moderation
+// @desc    Flagged (?status=flagged, default) or hidden reviews
+// @access  Private (Admin only)
+router.get('/moderation', protect, permit('review:moderate'), getModerationQueue);
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit a review
+// @access  Private (its author)
+router.put('/:id', protect, update);
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review
+// @access  Private (its author, or admin)
+router.delete('/:id', protect, remove);
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply publicly to a review
+// @access  Private (the reviewed doctor)
+router.put('/:id/reply', protect, reply);
+
+// @route   POST /api/reviews/:id/flag
+// @desc    Flag a review for moderation
+// @access  Private (Patient or Doctor)
+router.post('/:id/flag', protect, permit('review:flag'), flag);
+
+// @route   PUT /api/reviews/:id/moderation
+// @desc    Hide a review or publish it again (status, reason)
+// @access  Private (Admin only)
+router.put('/:id/moderation', protect, permit('review:moderate'), moderate);
+
+module.exports = router;
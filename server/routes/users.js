@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, permit } = require('../middleware/auth');
 const {
   updateProfile,
   updatePassword,
+  getMyLogins,
   getUsers,
-  updateStatus
+  updateStatus,
+  updateRole,
+  getUserLogins,
+  unlockUser
 } = require('../controllers/userController');
+const dependents = require('../controllers/dependentController');
 
 // @route   PUT /api/users/profile
 // @desc    Update user profile
@@ -18,14 +23,54 @@ router.put('/profile', protect, updateProfile);
 // @access  Private
 router.put('/password', protect, updatePassword);
 
+// @route   GET /api/users/me/logins
+// @desc    Get recent sign-ins for the current user
+// @access  Private
+router.get('/me/logins', protect, getMyLogins);
+
+// @route   GET /api/users/me/dependents
+// @desc    List family members the current user books for
+// @access  Private (Patient)
+router.get('/me/dependents', protect, permit('dependent:manage'), dependents.getAll);
+
+// @route   POST /api/users/me/dependents
+// @desc    Add a family member (name, date of birth, gender, relationship)
+// @access  Private (Patient)
+router.post('/me/dependents', protect, permit('dependent:manage'), dependents.create);
+
+// @route   PUT /api/users/me/dependents/:id
+// @desc    Update a family member
+// @access  Private (Patient)
+router.put('/me/dependents/:id', protect, permit('dependent:manage'), dependents.update);
+
+// @route   DELETE /api/users/me/dependents/:id
+// @desc    Remove a family member with no upcoming appointments
+// @access  Private (Patient)
+router.delete('/me/dependents/:id', protect, permit('dependent:manage'), dependents.remove);
+
 // @route   GET /api/users (Admin only)
 // @desc    Get all users
 // @access  Private/Admin
-router.get('/', protect, authorize('admin'), getUsers);
+router.get('/', protect, permit('user:list'), getUsers);
 
 // @route   PUT /api/users/:id/status (Admin only)
 // @desc    Activate/deactivate user
 // @access  Private/Admin
-router.put('/:id/status', protect, authorize('admin'), updateStatus);
+router.put('/:id/status', protect, permit('user:manage'), updateStatus);
+
+// @route   PUT /api/users/:id/role (Admin only)
+// @desc    Change a user's role and assigned doctors
+// @access  Private/Admin
+router.put('/:id/role', protect, permit('user:manage'), updateRole);
+
+// @route   GET /api/users/:id/logins (Admin only)
+// @desc    Get a user's recent sign-ins
+// @access  Private/Admin
+router.get('/:id/logins', protect, permit('user:view-logins'), getUserLogins);
+
+// @route   PUT /api/users/:id/unlock (Admin only)
+// @desc    Lift a sign-in lockout
+// @access  Private/Admin
+router.put('/:id/unlock', protect, permit('user:manage'), unlockUser);
 
 module.exports = router;
\ No newline at end of file
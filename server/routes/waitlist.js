@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, permit, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  join,
+  getMine,
+  decline,
+  leave
+} = require('../controllers/waitlistController');
+
+// @route   POST /api/waitlist
+// @desc    Join a doctor's waitlist (optional date range and time of day)
+// @access  Private (Patient only)
+router.post('/', protect, permit('waitlist:use'), requireVerifiedEmail('waitlist'), join);
+
+// @route   GET /api/waitlist
+// @desc    Get current patient's waitlist entries and open offers
+// @access  Private (Patient only)
+router.get('/', protect, permit('waitlist:use'), getMine);
+
+// @route   POST /api/waitlist/:id/decline
+// @desc    Decline an offered slot and keep waiting
+// @access  Private (Patient only)
+router.post('/:id/decline', protect, permit('waitlist:use'), decline);
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Private (Patient only)
+router.delete('/:id', protect, permit('waitlist:use'), leave);
+
+module.exports = router;
@@ -11,14 +11,17 @@ const authRoutes = require('./routes/auth');
 const doctorRoutes = require('./routes/doctors');
 const appointmentRoutes = require('./routes/appointments');
 const userRoutes = require('./routes/users');
+const waitlistRoutes = require('./routes/waitlist');
+const calendarRoutes = require('./routes/calendar');
+const patientRoutes = require('./routes/patients');
+const reviewRoutes = require('./routes/reviews');
+const clinicRoutes = require('./routes/clinics');
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/logger');
+const { maskFeedToken } = requestLogger;
 
 const app = express();
 
-// 📝 Request/Response logging middleware (add early for debugging)
-app.use(requestLogger);
-
 // ✅ Dynamic CORS configuration
 const allowedOrigins = [
   'http://localhost:3000', // dev
@@ -29,6 +32,8 @@ const allowedOrigins = [
 
 // Security middleware
 app.use(helmet());
+// Calendar feed tokens are credentials; keep them out of the access log too
+morgan.token('url', (req) => maskFeedToken(req.originalUrl || req.url));
 app.use(morgan('combined'));
 app.use(mongoSanitize());
 app.use(cors({
@@ -56,33 +61,43 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
-// Stricter limit for auth routes
+// Stricter limit for auth routes. Brute force against one account is handled per account
+// (services/loginSecurity.js); this only slows one IP guessing across many accounts, so it
+// counts failures only and leaves room for a clinic's staff sharing one public IP
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 10,
+  max: 50,
+  skipSuccessfulRequests: true,
   message: { error: 'Too many auth attempts, please try again later' }
 });
 app.use('/api/auth', authLimiter);
 
 /**
- * Remove previously added logRawBody middleware because
- * consuming the request stream causes stream not readable error.
- * Instead, add raw body logging using express.json's verify option.
+ * Keep the raw body on the request via express.json's verify option
+ * (consuming the request stream in a separate middleware breaks parsing).
+ * It isn't logged: it holds passwords and tokens; requestLogger logs a redacted copy.
  */
 
 app.use(express.json({
   limit: '10kb',
   verify: (req, res, buf) => {
     req.rawBody = buf && buf.toString();
-    console.log(`Raw request body for ${req.method} ${req.originalUrl}:`, req.rawBody);
   }
 }));
 
+// 📝 Request/Response logging middleware (after the body parser, so bodies are logged redacted)
+app.use(requestLogger);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/patients', patientRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/clinics', clinicRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -94,10 +109,18 @@ app.use(errorHandler);
 
 // Database connection
 const connectDB = require('./config/db');
-connectDB().catch(err => {
-  console.error('Exiting process due to DB error');
-  process.exit(1);
-});
+const upgradeDatabase = require('./config/upgrade');
+connectDB()
+  .catch(err => {
+    console.error('Exiting process due to DB error');
+    process.exit(1);
+  })
+  .then(upgradeDatabase)
+  .catch(err => console.error('Database upgrade failed:', err));
+
+// Background jobs (waitlist offer expiry, next-available refresh, appointment reminders)
+const { startJobs } = require('./jobs');
+startJobs();
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Booking Service
+ *
+ * Shared steps for putting appointments on the calendar, used by single
+ * bookings, reschedules and recurring series. Every write goes through
+ * SlotLock so concurrent requests cannot double-book a doctor or patient.
+ */
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const SlotLock = require('../models/SlotLock');
+const SlotHold = require('../models/SlotHold');
+const { DEFAULT_TIMEZONE, toDateString, generateSlots } = require('../utils/availability');
+const nextAvailable = require('./nextAvailable');
+
+const CHANGED_ERROR = 'Appointment was changed by another request, please try again';
+
+// Build the 400 body when the doctor doesn't offer this kind of visit, or null if they do
+const typeNotOfferedError = (doctor, type) => {
+  const kind = type || 'in-person';
+  if (doctor.appointmentTypes.includes(kind)) return null;
+  return { success: false, error: `This doctor does not offer ${kind} appointments`, code: 'TYPE_NOT_OFFERED' };
+};
+
+// Build the 409 body for a booking that overlaps another appointment
+const slotConflictError = (conflicts, doctorId) => {
+  const doctorBusy = conflicts.length === 0 || conflicts.some(c => c.doctor._id.toString() === doctorId.toString());
+  return {
+    success: false,
+    error: doctorBusy ? 'Time slot is not available' : 'You already have another appointment at this time',
+    code: 'SLOT_CONFLICT'
+  };
+};
+
+/**
+ * Why [start, end) cannot be booked for a doctor and patient
+ *
+ * @param {Object} options
+ * @param {Object} options.doctor - Doctor document
+ * @param {ObjectId} options.patientId
+ * @param {ObjectId} [options.dependentId] - Family member the visit is for
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {Array|ObjectId} [options.excludeId] - Appointment(s) being moved, ignored as conflicts
+ * @param {Boolean} [options.requireAvailability] - Also require a slot from the doctor's schedule
+ * @returns {Object|null} 409 body ({ success, error, code }), or null if the slot is free
+ */
+const checkSlot = async ({ doctor, patientId, dependentId = null, start, end, excludeId = null, requireAvailability = false }) => {
+  if (requireAvailability) {
+    const timeZone = doctor.timezone || DEFAULT_TIMEZONE;
+    const offered = generateSlots(doctor, toDateString(start, timeZone)).some(s => s.getTime() === start.getTime());
+    if (!offered) return { success: false, error: 'Doctor is not available at this time', code: 'OUTSIDE_AVAILABILITY' };
+  }
+
+  const conflicts = await Appointment.findConflicts({
+    doctor: doctor._id, patient: patientId, dependent: dependentId, start, end, excludeId
+  });
+  if (conflicts.length) return slotConflictError(conflicts, doctor._id);
+
+  const heldByOthers = await SlotHold.findActive({ doctor: doctor._id, start, end, excludePatient: patientId });
+  if (heldByOthers.length) {
+    return {
+      success: false,
+      error: 'Another patient is booking this time slot, please choose another',
+      code: 'SLOT_HELD'
+    };
+  }
+  return null;
+};
+
+/**
+ * Lock [start, end) and create a pending appointment
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.doctorId
+ * @param {ObjectId} options.patientId
+ * @param {ObjectId} [options.dependentId] - Family member the visit is for
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {Object} options.fields - Remaining Appointment fields (type, reason, fee, ...)
+ * @param {Object} options.actor - { id, role } recorded as bookedBy and in statusHistory
+ * @returns {Object|null} The appointment, or null if the slot was taken meanwhile
+ */
+const bookSlot = async ({ doctorId, patientId, dependentId = null, start, end, fields, actor }) => {
+  // Claim the interval before writing so concurrent bookings cannot both pass checkSlot
+  const appointmentId = new mongoose.Types.ObjectId();
+  const locked = await SlotLock.acquire(appointmentId, SlotLock.resourcesFor(doctorId, patientId, dependentId), start, end);
+  if (!locked) return null;
+
+  let appointment;
+  try {
+    appointment = await Appointment.create({
+      ...fields,
+      _id: appointmentId,
+      patient: patientId,
+      dependent: dependentId,
+      doctor: doctorId,
+      dateTime: start,
+      endTime: end,
+      bookedBy: actor.id,
+      statusHistory: [{ from: null, to: 'pending', changedBy: actor.id, role: actor.role }]
+    });
+  } catch (err) {
+    await SlotLock.release(appointmentId);
+    throw err;
+  }
+  // The booking consumes the patient's checkout hold
+  await SlotHold.consume(patientId, doctorId, start);
+  await nextAvailable.invalidate(doctorId);
+  return appointment;
+};
+
+/**
+ * Move an active appointment to [start, end), keeping notes, fee and history
+ *
+ * @param {Object} appointment - Appointment as currently stored
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} options - { actorId, reason, clinic }; clinic is where the new time is held
+ * @returns {Object} { appointment } on success, { error } with a 409 body otherwise
+ */
+const moveAppointment = async (appointment, start, end, { actorId, reason = '', clinic = null }) => {
+  const doctorId = appointment.doctor._id || appointment.doctor;
+  const patientId = appointment.patient._id || appointment.patient;
+  const dependentId = appointment.dependent?._id || appointment.dependent;
+
+  const lockIds = await SlotLock.acquire(appointment._id, SlotLock.resourcesFor(doctorId, patientId, dependentId), start, end);
+  if (!lockIds) return { error: slotConflictError([], doctorId) };
+
+  // Match on the current start time so two concurrent reschedules cannot both win
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, dateTime: appointment.dateTime, status: { $in: ['pending', 'confirmed'] } },
+    {
+      $set: { dateTime: start, endTime: end, clinic },
+      $push: {
+        rescheduleHistory: {
+          dateTime: appointment.dateTime,
+          endTime: appointment.endTime,
+          rescheduledBy: actorId,
+          reason
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    await SlotLock.deleteMany({ _id: { $in: lockIds } });
+    return { error: { success: false, error: CHANGED_ERROR } };
+  }
+  await SlotLock.releaseOutside(updated._id, start, end);
+  await nextAvailable.invalidate(doctorId);
+  return { appointment: updated };
+};
+
+module.exports = {
+  CHANGED_ERROR,
+  typeNotOfferedError,
+  slotConflictError,
+  checkSlot,
+  bookSlot,
+  moveAppointment
+};
@@ -0,0 +1,42 @@
+/**
+ * Notification Channels
+ *
+ * Every channel is an adapter with the same shape:
+ *
+ *   { name, send({ to, subject, text }) }  // resolves once the message is handed off
+ *
+ * Email goes over SMTP when SMTP_HOST is set. SMS has no provider wired up
+ * yet, so it uses the outbox stand-in, as does email without SMTP settings.
+ * A real SMS provider plugs in as another adapter selected by SMS_PROVIDER.
+ */
+
+const { createSmtpChannel } = require('./smtp');
+const { createOutboxChannel } = require('./outbox');
+
+const buildEmailChannel = () => {
+  if (!process.env.SMTP_HOST) return createOutboxChannel('email', { file: process.env.EMAIL_OUTBOX_FILE });
+  return createSmtpChannel({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || 'MediReach <no-reply@medireach.app>'
+  });
+};
+
+const buildSmsChannel = () => {
+  const provider = process.env.SMS_PROVIDER || 'outbox';
+  if (provider !== 'outbox') throw new Error(`Unknown SMS provider "${provider}"`);
+  return createOutboxChannel('sms', { file: process.env.SMS_OUTBOX_FILE });
+};
+
+let channels = null;
+
+// Channels keyed by name, built from the environment on first use
+const getChannels = () => {
+  if (!channels) channels = { email: buildEmailChannel(), sms: buildSmsChannel() };
+  return channels;
+};
+
+module.exports = { getChannels, createOutboxChannel };
@@ -0,0 +1,35 @@
+const fs = require('fs');
+
+// Messages kept in memory for inspection; older ones are dropped
+const OUTBOX_LIMIT = 100;
+
+/**
+ * Stand-in channel for development and tests
+ *
+ * Nothing leaves the machine: each message is kept in `sent`, logged to the
+ * console outside tests, and appended as a JSON line to `file` when given.
+ *
+ * @param {String} name - Channel it stands in for ("email", "sms")
+ * @param {Object} [options]
+ * @param {String} [options.file] - Path of a file to append messages to
+ * @returns {Object} Channel adapter ({ name, send, sent })
+ */
+const createOutboxChannel = (name, { file } = {}) => {
+  const sent = [];
+
+  return {
+    name,
+    sent,
+    async send(message) {
+      const entry = { ...message, channel: name, sentAt: new Date().toISOString() };
+      sent.push(entry);
+      if (sent.length > OUTBOX_LIMIT) sent.shift();
+
+      if (file) await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+      if (process.env.NODE_ENV !== 'test') console.log(`📨 [${name}] to ${message.to}: ${message.subject || message.text}`);
+      return { id: `${name}-${sent.length}-${Date.now()}` };
+    }
+  };
+};
+
+module.exports = { createOutboxChannel };
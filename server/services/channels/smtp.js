@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Email channel that delivers over SMTP
+ *
+ * @param {Object} options - host, port, secure, user, pass, from
+ * @returns {Object} Channel adapter ({ name, send })
+ */
+const createSmtpChannel = ({ host, port = 587, secure = false, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'email',
+    async send({ to, subject, text }) {
+      const info = await transporter.sendMail({ from, to, subject, text });
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpChannel };
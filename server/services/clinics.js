@@ -0,0 +1,58 @@
+/**
+ * Clinic Service
+ *
+ * Keeps a doctor's clinics and schedule consistent: a doctor links to the
+ * clinics they work at, and every availability window names one of those.
+ * Slot times are wall-clock times in the doctor's timezone, so linked
+ * clinics must share it.
+ */
+
+const Clinic = require('../models/Clinic');
+const { TIME_PATTERN } = require('../utils/availability');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const invalid = (error) => ({ success: false, error, code: 'INVALID_CLINIC' });
+
+/**
+ * Why a doctor's clinics and schedule don't fit together
+ *
+ * Linked clinics must exist, be active and be in the doctor's timezone.
+ * Weekly windows and extra hours may only name linked clinics, and weekly
+ * windows must fall inside the clinic's opening hours when it publishes them.
+ *
+ * @param {Object} schedule
+ * @param {Array<ObjectId>} schedule.clinicIds - Clinics the doctor links to
+ * @param {String} schedule.timezone - The doctor's timezone
+ * @param {Array<Object>} [schedule.availability] - Weekly windows
+ * @param {Array<Object>} [schedule.overrides] - Dated overrides
+ * @param {Array<Object>} [schedule.clinics] - The active clinics, already loaded (e.g. one with unsaved edits)
+ * @returns {Object|null} 400 body ({ success, error, code }), or null if consistent
+ */
+const scheduleError = async ({ clinicIds, timezone, availability = [], overrides = [], clinics: loaded }) => {
+  const ids = clinicIds.map(String);
+  const clinics = loaded || (ids.length ? await Clinic.find({ _id: { $in: ids }, isActive: true }) : []);
+  const byId = new Map(clinics.map(c => [c._id.toString(), c]));
+
+  if (ids.some(id => !byId.has(id))) return invalid('Clinic not found or no longer active');
+  const elsewhere = clinics.find(c => c.timezone !== timezone);
+  if (elsewhere) {
+    return invalid(`${elsewhere.name} is in ${elsewhere.timezone}; a doctor's clinics must be in their timezone (${timezone})`);
+  }
+
+  const placed = [...availability, ...overrides.filter(o => o.type === 'extra')].filter(w => w.clinic);
+  if (placed.some(w => !byId.has(String(w.clinic)))) {
+    return invalid('Availability can only be held at one of the doctor\'s clinics');
+  }
+
+  const closed = availability.find(w => w.clinic && w.isAvailable !== false
+    && TIME_PATTERN.test(w.startTime) && TIME_PATTERN.test(w.endTime)
+    && !byId.get(String(w.clinic)).isOpenDuring(w.dayOfWeek, w.startTime, w.endTime));
+  if (closed) {
+    const clinic = byId.get(String(closed.clinic));
+    return invalid(`${clinic.name} is not open on ${DAY_NAMES[closed.dayOfWeek]} ${closed.startTime}-${closed.endTime}`);
+  }
+  return null;
+};
+
+module.exports = { scheduleError };
@@ -0,0 +1,78 @@
+/**
+ * Geocoder
+ *
+ * Every geocoder is an adapter with the same shape:
+ *
+ *   { name, geocode({ text, city }) }  // resolves to { lat, lng }, or null if not found
+ *
+ * GEOCODER picks the adapter: "stub" (default) answers offline from a table
+ * of known places, "nominatim" asks OpenStreetMap. Another provider plugs in
+ * as another adapter here.
+ */
+
+const { createStubGeocoder } = require('./stub');
+const { createNominatimGeocoder } = require('./nominatim');
+
+const buildGeocoder = () => {
+  const provider = process.env.GEOCODER || 'stub';
+  if (provider === 'stub') return createStubGeocoder();
+  if (provider === 'nominatim') {
+    return createNominatimGeocoder({
+      url: process.env.NOMINATIM_URL,
+      userAgent: process.env.GEOCODER_USER_AGENT || 'MediReach Appointment System'
+    });
+  }
+  throw new Error(`Unknown geocoder "${provider}"`);
+};
+
+let geocoder = null;
+
+// Geocoder built from the environment on first use
+const getGeocoder = () => {
+  if (!geocoder) geocoder = buildGeocoder();
+  return geocoder;
+};
+
+// Single-line address a geocoder understands; the clinic name is left out
+const formatAddress = (address = {}) =>
+  [address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+
+/**
+ * GeoJSON point for a clinic address
+ *
+ * A failing geocoder is logged and treated as "not found", so saving the
+ * address never fails because of it.
+ *
+ * @param {Object} address - { street, city, state, zipCode }
+ * @returns {Object|null} { type: 'Point', coordinates: [lng, lat] }
+ */
+const locate = async (address) => {
+  const text = formatAddress(address);
+  if (!text) return null;
+  try {
+    const point = await getGeocoder().geocode({ text, city: address.city });
+    return point ? { type: 'Point', coordinates: [point.lng, point.lat] } : null;
+  } catch (err) {
+    console.error('❌ [GEOCODER] Failed to locate address:', err.message);
+    return null;
+  }
+};
+
+/**
+ * GeoJSON point for an edited address
+ *
+ * Coordinates come only from the geocoder; an unchanged address keeps the
+ * ones it has instead of being looked up again.
+ *
+ * @param {Object} address - The new { street, city, state, zipCode }
+ * @param {Object} [current] - The stored address, with its location
+ * @returns {Object|null} As locate()
+ */
+const relocate = async (address, current) => {
+  if (formatAddress(address) === formatAddress(current) && current?.location?.coordinates?.length) {
+    return { type: 'Point', coordinates: [...current.location.coordinates] };
+  }
+  return locate(address);
+};
+
+module.exports = { getGeocoder, formatAddress, locate, relocate, createStubGeocoder };
@@ -0,0 +1,25 @@
+/**
+ * Geocoder backed by OpenStreetMap's Nominatim search API
+ *
+ * Nominatim asks every client to identify itself and to stay under one
+ * request per second; addresses are only geocoded when a doctor saves one.
+ *
+ * @param {Object} options - url, userAgent, timeoutMs
+ * @returns {Object} Geocoder adapter ({ name, geocode })
+ */
+const createNominatimGeocoder = ({ url = 'https://nominatim.openstreetmap.org', userAgent, timeoutMs = 5000 }) => ({
+  name: 'nominatim',
+  async geocode({ text }) {
+    const query = new URLSearchParams({ q: text, format: 'json', limit: '1' });
+    const response = await fetch(`${url}/search?${query}`, {
+      headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) throw new Error(`Geocoding failed with status ${response.status}`);
+
+    const [match] = await response.json();
+    return match ? { lat: Number(match.lat), lng: Number(match.lon) } : null;
+  }
+});
+
+module.exports = { createNominatimGeocoder };
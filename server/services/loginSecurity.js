@@ -0,0 +1,163 @@
+/**
+ * Login Security Service
+ *
+ * Per-account brute-force protection and sign-in history. After a few
+ * failed attempts each further try must wait longer (1s, 2s, 4s... up to a
+ * minute); after LOGIN_MAX_ATTEMPTS the account is locked for
+ * LOGIN_LOCK_MINUTES. Limits follow the account, not the IP address, so a
+ * clinic sharing one public IP isn't locked out by a single user's typos.
+ */
+
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+// Failures allowed back to back before delays start
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+// Seconds to wait before the next attempt after this many failures
+const delayAfter = (failures) => (failures < FREE_ATTEMPTS
+  ? 0
+  : Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS));
+
+const requestInfo = (req) => ({ ip: req?.ip, userAgent: req?.get?.('user-agent') });
+
+// Add an attempt to the account's sign-in history
+const recordLoginEvent = (user, req, success, reason, flags = []) => LoginEvent.create({
+  user: user._id,
+  success,
+  reason,
+  flags,
+  ...requestInfo(req)
+});
+
+/**
+ * Whether the account may try to sign in right now
+ *
+ * @param {Object} user
+ * @param {Object} req
+ * @returns {Object|null} null if allowed, otherwise { status, body } for the response
+ */
+const checkLoginAllowed = async (user, req, now = new Date()) => {
+  if (user.lockUntil && user.lockUntil > now) {
+    await recordLoginEvent(user, req, false, 'account-locked');
+    const retryAfter = Math.ceil((user.lockUntil - now) / 1000);
+    return {
+      status: 423,
+      body: {
+        success: false,
+        error: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password.`,
+        code: 'ACCOUNT_LOCKED',
+        retryAfter
+      }
+    };
+  }
+
+  const delay = delayAfter(user.failedLoginAttempts || 0);
+  const waitUntil = user.lastFailedLoginAt && new Date(user.lastFailedLoginAt.getTime() + delay * 1000);
+  if (delay && waitUntil > now) {
+    await recordLoginEvent(user, req, false, 'throttled');
+    const retryAfter = Math.ceil((waitUntil - now) / 1000);
+    return {
+      status: 429,
+      body: {
+        success: false,
+        error: `Please wait ${retryAfter} second(s) before trying again`,
+        code: 'LOGIN_THROTTLED',
+        retryAfter
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed attempt, locking the account once the limit is reached
+ *
+ * @param {Object} user
+ * @param {Object} req
+ * @param {String} reason - 'invalid-password' or 'invalid-2fa-code'
+ * @returns {Boolean} Whether this attempt locked the account
+ */
+const registerFailure = async (user, req, reason, now = new Date()) => {
+  // Atomic so parallel guesses can't slip past the limit
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true }
+  );
+  await recordLoginEvent(user, req, false, reason);
+
+  if (updated.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) return false;
+
+  await User.updateOne({ _id: user._id }, {
+    lockUntil: new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000),
+    lastLockedAt: now,
+    failedLoginAttempts: 0,
+    $inc: { lockoutCount: 1 }
+  });
+  await recordLoginEvent(user, req, false, 'locked');
+  return true;
+};
+
+// Lift a lockout, e.g. after a password reset or by an admin
+const clearLockout = (userId) => User.updateOne(
+  { _id: userId },
+  { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+);
+
+/**
+ * Record a completed sign-in, clear the failure counter and flag unfamiliar IPs and browsers
+ *
+ * @param {Object} user
+ * @param {Object} req
+ * @param {String} reason - 'password' or 'two-factor'
+ * @returns {Object} The LoginEvent
+ */
+const registerSuccess = async (user, req, reason) => {
+  const { ip, userAgent } = requestInfo(req);
+  const seen = (match) => LoginEvent.exists({ user: user._id, success: true, ...match });
+
+  // The very first sign-in has nothing to compare against
+  const flags = [];
+  if (await seen({})) {
+    if (!(await seen({ ip }))) flags.push('new-ip');
+    if (!(await seen({ userAgent }))) flags.push('new-device');
+  }
+
+  await clearLockout(user._id);
+  return recordLoginEvent(user, req, true, reason, flags);
+};
+
+// Response for a failed attempt that just locked the account
+const lockedResponse = () => ({
+  status: 423,
+  body: {
+    success: false,
+    error: `Too many failed sign-in attempts. Your account is locked for ${LOGIN_LOCK_MINUTES} minutes, or you can reset your password.`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: LOGIN_LOCK_MINUTES * 60
+  }
+});
+
+// Most recent sign-in attempts for an account
+const recentLogins = (userId, limit = 20) => LoginEvent.find({ user: userId })
+  .sort({ createdAt: -1, _id: -1 })
+  .limit(Math.min(parseInt(limit, 10) || 20, 100));
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_LOCK_MINUTES,
+  delayAfter,
+  recordLoginEvent,
+  checkLoginAllowed,
+  registerFailure,
+  registerSuccess,
+  lockedResponse,
+  clearLockout,
+  recentLogins
+};
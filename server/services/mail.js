@@ -0,0 +1,110 @@
+/**
+ * Account Emails
+ *
+ * Transactional emails about a user's account. They go through the email
+ * channel, which is SMTP in production and the in-memory outbox in
+ * development and tests (see services/channels).
+ */
+
+const { getChannels } = require('./channels');
+
+// Link into the client app, e.g. clientLink('/reset-password', { token })
+const clientLink = (path, params = {}) => {
+  const url = new URL(path, process.env.CLIENT_URL || 'http://localhost:5173');
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+};
+
+const sendMail = (message) => getChannels().email.send(message);
+
+/**
+ * Email a password reset link
+ *
+ * @param {Object} user
+ * @param {String} token - Raw reset token (only its hash is stored)
+ * @param {Number} minutes - How long the link stays valid
+ */
+const sendPasswordReset = (user, token, minutes) => sendMail({
+  to: user.email,
+  subject: 'Reset your MediReach password',
+  text: [
+    `Hello ${user.firstName},`,
+    '',
+    'We received a request to reset your MediReach password. Open this link to choose a new one:',
+    '',
+    clientLink('/reset-password', { token }),
+    '',
+    `The link expires in ${minutes} minutes and can only be used once.`,
+    'If you did not ask for this, you can ignore this email; your password stays the same.',
+    '',
+    'MediReach'
+  ].join('\n')
+});
+
+/**
+ * Email a link that confirms the user owns their address
+ *
+ * @param {Object} user
+ * @param {String} token - Signed verification token
+ * @param {Number} hours - How long the link stays valid
+ */
+const sendEmailVerification = (user, token, hours) => sendMail({
+  to: user.email,
+  subject: 'Confirm your MediReach email address',
+  text: [
+    `Hello ${user.firstName},`,
+    '',
+    'Please confirm your email address so we can send you appointment confirmations and reminders:',
+    '',
+    clientLink('/verify-email', { token }),
+    '',
+    `The link expires in ${hours} hours. You can request a new one from the banner after signing in.`,
+    '',
+    'MediReach'
+  ].join('\n')
+});
+
+const VERIFICATION_MESSAGES = {
+  approved: {
+    subject: 'Your MediReach doctor profile is approved',
+    body: 'Your profile has been verified and is now listed, so patients can find you and book appointments.'
+  },
+  rejected: {
+    subject: 'Your MediReach doctor profile was not approved',
+    body: 'We could not verify your profile, so it will not be listed.'
+  },
+  'info-requested': {
+    subject: 'More information needed for your MediReach doctor profile',
+    body: 'We need more information before we can verify your profile. Please update your profile; it goes back into review when you save.'
+  }
+};
+
+/**
+ * Tell a doctor the outcome of an admin review of their profile
+ *
+ * @param {Object} user - The doctor's user account
+ * @param {String} status - 'approved', 'rejected' or 'info-requested'
+ * @param {String} [reason] - The reviewer's note
+ */
+const sendVerificationDecision = (user, status, reason) => sendMail({
+  to: user.email,
+  subject: VERIFICATION_MESSAGES[status].subject,
+  text: [
+    `Hello Dr. ${user.lastName},`,
+    '',
+    VERIFICATION_MESSAGES[status].body,
+    ...(reason ? ['', `Reviewer's note: ${reason}`] : []),
+    '',
+    clientLink('/dashboard'),
+    '',
+    'MediReach'
+  ].join('\n')
+});
+
+module.exports = {
+  clientLink,
+  sendMail,
+  sendPasswordReset,
+  sendEmailVerification,
+  sendVerificationDecision
+};
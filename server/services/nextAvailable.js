@@ -0,0 +1,161 @@
+/**
+ * Next Available Service
+ *
+ * Keeps each listed doctor's earliest open slot in Doctor.nextAvailable so
+ * search can filter and sort on it without generating slots per request.
+ *
+ * Anything that changes a doctor's bookings or schedule calls invalidate(),
+ * which only stamps changedAt. The doctor search calls refreshForSearch()
+ * first (concurrent searches share one refresh rather than each running their
+ * own), recomputing only the doctors that changed since their last
+ * computation or whose cached slot has already started, so a search never
+ * waits on the whole directory yet never sorts on a past slot. The background
+ * job calls refreshStale() for the rest: doctors never computed, or whose
+ * value is older than MAX_AGE_MINUTES (the look-ahead window moves on as days
+ * pass). Checkout holds are short-lived and are not taken
+ * into account.
+ */
+
+const Doctor = require('../models/Doctor');
+const Appointment = require('../models/Appointment');
+const { findNextSlot } = require('../utils/availability');
+
+// How far ahead to look for an open slot
+const LOOKAHEAD_DAYS = parseInt(process.env.NEXT_AVAILABLE_DAYS, 10) || 30;
+const MAX_AGE_MINUTES = parseInt(process.env.NEXT_AVAILABLE_MAX_AGE_MINUTES, 10) || 60;
+
+// Doctors recomputed per batch, to bound memory on a cold cache
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mark a doctor's cached slot as out of date
+ *
+ * @param {Object|ObjectId} doctor - Doctor (populated or not) or its id
+ */
+const invalidate = (doctor) =>
+  Doctor.updateOne({ _id: doctor._id || doctor }, { $set: { 'nextAvailable.changedAt': new Date() } });
+
+/**
+ * Recompute and store the next open slot for some doctors
+ *
+ * computedAt is the time the bookings were read, so a change made while
+ * this runs leaves the doctor stale for the next refresh.
+ *
+ * @param {Array<Object>} doctors - Doctor documents (availability, overrides, slotDuration, timezone)
+ * @param {Date} [now]
+ */
+const refresh = async (doctors, now = new Date()) => {
+  if (!doctors.length) return;
+
+  // One extra day covers the end of the last local day in zones ahead of UTC
+  const bookings = await Appointment.find({
+    doctor: { $in: doctors.map(d => d._id) },
+    dateTime: { $lt: new Date(now.getTime() + (LOOKAHEAD_DAYS + 1) * DAY_MS) },
+    endTime: { $gt: now },
+    status: { $nin: ['cancelled'] }
+  }).select('doctor dateTime endTime').lean();
+
+  const byDoctor = new Map();
+  bookings.forEach(b => {
+    const key = b.doctor.toString();
+    if (!byDoctor.has(key)) byDoctor.set(key, []);
+    byDoctor.get(key).push(b);
+  });
+
+  await Doctor.bulkWrite(doctors.map(doctor => ({
+    updateOne: {
+      filter: { _id: doctor._id },
+      update: {
+        $set: {
+          'nextAvailable.at': findNextSlot(doctor, byDoctor.get(doctor._id.toString()) || [], { from: now, days: LOOKAHEAD_DAYS }),
+          'nextAvailable.computedAt': now
+        }
+      }
+    }
+  })));
+};
+
+// Bookings or schedule changed since the last computation
+const CHANGED = { $expr: { $gt: ['$nextAvailable.changedAt', '$nextAvailable.computedAt'] } };
+
+// Slot already started; few doctors at any moment, so searches can afford to fix them
+const PASSED = (now) => ({ 'nextAvailable.at': { $lte: now } });
+
+// What a search recomputes: changed, or past its slot
+const searchQuery = (now) => ({ $or: [CHANGED, PASSED(now)] });
+
+// Also never computed, or older than MAX_AGE_MINUTES
+const staleQuery = (now) => ({
+  $or: [
+    { 'nextAvailable.computedAt': { $exists: false } },
+    { 'nextAvailable.computedAt': { $lt: new Date(now.getTime() - MAX_AGE_MINUTES * 60 * 1000) } },
+    PASSED(now),
+    CHANGED
+  ]
+});
+
+// Recompute every listed doctor matching a query, in batches; returns how many were recomputed
+const recompute = async (condition, now) => {
+  const query = { isVerified: true, ...condition };
+
+  let refreshed = 0;
+  let lastId = null;
+  for (;;) {
+    const batch = await Doctor.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+      .select('availability availabilityOverrides slotDuration timezone')
+      .sort('_id')
+      .limit(BATCH_SIZE);
+    if (!batch.length) return refreshed;
+
+    await refresh(batch, now);
+    refreshed += batch.length;
+    lastId = batch[batch.length - 1]._id;
+  }
+};
+
+// The refresh running now, and the one queued behind it for callers who arrived meanwhile
+let running = null;
+let queued = null;
+
+/**
+ * Bring doctors whose bookings or schedule changed, or whose cached slot has
+ * passed, up to date before a search; concurrent searches share the work
+ *
+ * Only one refresh runs at a time. A caller arriving while one runs waits
+ * for a single follow-up refresh shared by everyone who arrived meanwhile,
+ * since the running one may have read bookings before the caller's change.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Number>} How many doctors were recomputed
+ */
+const refreshForSearch = (now = new Date()) => {
+  if (!running) {
+    running = recompute(searchQuery(now), now).finally(() => { running = null; });
+    return running;
+  }
+  if (!queued) {
+    queued = running.catch(() => {}).then(() => {
+      queued = null;
+      return refreshForSearch();
+    });
+  }
+  return queued;
+};
+
+/**
+ * Bring every out-of-date doctor up to date; run by the background job
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Number>} How many doctors were recomputed
+ */
+const refreshStale = (now = new Date()) => recompute(staleQuery(now), now);
+
+module.exports = {
+  LOOKAHEAD_DAYS,
+  invalidate,
+  refresh,
+  refreshForSearch,
+  refreshStale
+};
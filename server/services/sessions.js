@@ -0,0 +1,108 @@
+/**
+ * Session Service
+ *
+ * Issues short-lived access tokens (JWT) together with long-lived refresh
+ * tokens that are stored server-side and rotated on every use.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// How long a device stays signed in without being used
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Another tab may still send the token that was just rotated; don't treat that as theft
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const sessionError = (error, code) => ({ success: false, error, code });
+
+/**
+ * Start a session and issue its first token pair
+ *
+ * @param {Object} user
+ * @param {Object} [req] - Request, for the device's user agent and IP
+ * @returns {Object} { token, refreshToken }
+ */
+const startSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: User.hashToken(refreshToken),
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: req?.get?.('user-agent'),
+    ip: req?.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { token: user.generateToken(session._id), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * Refused while the user's role requires two-factor and they haven't set it up.
+ *
+ * @param {String} refreshToken
+ * @returns {Object} { user, token, refreshToken } or { error } with a 401 body
+ */
+const rotateSession = async (refreshToken) => {
+  const invalid = { error: sessionError('Session has expired, please log in again', 'INVALID_REFRESH_TOKEN') };
+  if (!refreshToken || typeof refreshToken !== 'string') return invalid;
+
+  const hash = User.hashToken(refreshToken);
+  const now = new Date();
+  const session = await Session.findOne({ tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } });
+
+  if (!session) {
+    // An already-rotated token: either a racing tab, or someone replaying a stolen copy
+    const used = await Session.findOne({ usedHashes: hash });
+    if (!used || used.revokedAt) return invalid;
+    const isLatest = used.usedHashes[used.usedHashes.length - 1] === hash;
+    if (isLatest && now - used.rotatedAt < ROTATION_GRACE_MS) {
+      return { error: sessionError('Session was refreshed by another request', 'TOKEN_ROTATED') };
+    }
+    await Session.updateOne({ _id: used._id }, { revokedAt: now, revokedReason: 'reuse' });
+    return { error: sessionError('Session was signed out for your security, please log in again', 'TOKEN_REUSED') };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive || (user.tokenVersion || 0) !== session.tokenVersion) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: now, revokedReason: 'password-change' });
+    return invalid;
+  }
+  // Sessions from before the policy applied to this role end here; signing in again enrolls
+  if (!user.twoFactor.enabled && await user.requiresTwoFactor()) {
+    return { error: sessionError('Two-factor authentication is required, please log in again to set it up', 'TWO_FACTOR_REQUIRED') };
+  }
+
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null },
+    {
+      tokenHash: User.hashToken(nextToken),
+      $push: { usedHashes: hash },
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+    },
+    { new: true }
+  );
+  // Lost a race with a concurrent refresh of the same token
+  if (!rotated) return { error: sessionError('Session was refreshed by another request', 'TOKEN_ROTATED') };
+
+  return { user, token: user.generateToken(session._id), refreshToken: nextToken };
+};
+
+// Sign out the session a refresh token belongs to
+const endSession = (refreshToken) => Session.updateOne(
+  { tokenHash: User.hashToken(refreshToken), revokedAt: null },
+  { revokedAt: new Date(), revokedReason: 'logout' }
+);
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  startSession,
+  rotateSession,
+  endSession
+};
@@ -0,0 +1,133 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Enrollment, code checks and recovery codes for TOTP two-factor login.
+ * Functions take a user loaded with TWO_FACTOR_FIELDS and save it when
+ * they change anything; using up a code is a conditional update instead, so
+ * concurrent logins can't both spend it.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+
+// Hidden fields the functions below need; use with .select()
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'MediReach';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// New set of single-use recovery codes; returns them for display and stores only hashes
+const issueRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodes = codes.map(code => User.hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+/**
+ * Start enrollment with a new secret
+ *
+ * @param {Object} user
+ * @returns {Object} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const url = otpauthUrl(secret, { issuer: ISSUER, account: user.email });
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+/**
+ * Finish enrollment once the authenticator app shows a matching code
+ *
+ * @param {Object} user
+ * @param {String} code
+ * @returns {Array|null} Recovery codes, or null if the code doesn't match
+ */
+const confirmEnrollment = async (user, code) => {
+  const secret = user.twoFactor.pendingSecret;
+  const step = secret ? verifyCode(secret, code) : null;
+  if (step === null) return null;
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = secret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+  return recoveryCodes;
+};
+
+// Mirror a change already written atomically, so a later save() doesn't write it again
+const spent = (user, path, value) => {
+  user.set(path, value);
+  user.unmarkModified(path);
+};
+
+/**
+ * Check the second factor: an authenticator code, or one of the recovery codes
+ *
+ * @param {Object} user
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {String|null} 'totp' or 'recovery-code' when accepted, otherwise null
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled) return null;
+
+  if (recoveryCode) {
+    const hash = User.hashToken(normalizeRecoveryCode(recoveryCode));
+    // Each recovery code works once: only the request that removes it is accepted
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (modifiedCount !== 1) return null;
+    spent(user, 'twoFactor.recoveryCodes', (user.twoFactor.recoveryCodes || []).filter(stored => stored !== hash));
+    return 'recovery-code';
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code, { afterStep: user.twoFactor.lastUsedStep });
+  if (step === null) return null;
+  // A code's time step is used once, even by requests racing each other
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (modifiedCount !== 1) return null;
+  spent(user, 'twoFactor.lastUsedStep', step);
+  return 'totp';
+};
+
+// Replace the recovery codes; the old set stops working
+const regenerateRecoveryCodes = async (user) => {
+  const codes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+  return codes;
+};
+
+const disableTwoFactor = async (user) => {
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
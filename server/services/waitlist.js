@@ -0,0 +1,124 @@
+/**
+ * Waitlist Service
+ *
+ * Hands freed slots to waitlisted patients in the order they joined. Each
+ * offer is backed by a slot hold, so nobody else can book the slot until
+ * the offer is claimed (by booking it), declined, or expires.
+ */
+
+const Waitlist = require('../models/Waitlist');
+const Doctor = require('../models/Doctor');
+const Appointment = require('../models/Appointment');
+const SlotHold = require('../models/SlotHold');
+const { DEFAULT_TIMEZONE, toDateString, localMinutes } = require('../utils/availability');
+
+// How long a waitlisted patient has to claim an offered slot
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+// Whether a slot falls inside an entry's date range and time-of-day band
+const matchesSlot = (entry, start, timeZone) => {
+  const dateStr = toDateString(start, timeZone);
+  if (entry.dateFrom && dateStr < entry.dateFrom) return false;
+  if (entry.dateTo && dateStr > entry.dateTo) return false;
+  const [from, to] = Waitlist.TIME_OF_DAY[entry.timeOfDay];
+  const minutes = localMinutes(start, timeZone);
+  return minutes >= from && minutes < to;
+};
+
+/**
+ * Offer a free slot to the first waiting patient it suits
+ *
+ * @param {ObjectId} doctorId
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Object|null} The entry that received the offer
+ */
+const offerSlot = async (doctorId, start, end) => {
+  if (start <= new Date()) return null;
+  if (!(await Appointment.isSlotAvailable(doctorId, start, end))) return null;
+
+  const doctor = await Doctor.findById(doctorId).select('timezone');
+  if (!doctor) return null;
+  const timeZone = doctor.timezone || DEFAULT_TIMEZONE;
+
+  const candidates = await Waitlist.find({ doctor: doctorId, status: 'waiting', passedSlots: { $ne: start } })
+    .sort('createdAt');
+
+  for (const entry of candidates) {
+    if (!matchesSlot(entry, start, timeZone)) continue;
+    const busy = await Appointment.findConflicts({ patient: entry.patient, start, end });
+    if (busy.length) continue;
+
+    const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+    const hold = await SlotHold.place(doctorId, entry.patient, start, end, { expiresAt, waitlist: entry._id });
+    // Someone is checking out this slot right now; let them have it
+    if (!hold) return null;
+
+    const offered = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'offered', offer: { dateTime: start, endTime: end, expiresAt } },
+      { new: true }
+    );
+    if (offered) return offered;
+    await SlotHold.deleteOne({ _id: hold._id });
+  }
+  return null;
+};
+
+// Offer the slot of a cancelled appointment to the waitlist
+const offerFreedSlot = (appointment) =>
+  offerSlot(appointment.doctor._id || appointment.doctor, appointment.dateTime, appointment.endTime);
+
+/**
+ * Take back an entry's offer and pass the slot to the next patient in line
+ *
+ * @param {Object} entry - Entry in the "offered" state
+ * @param {String} nextStatus - "waiting" (declined / expired) or "cancelled" (left the list)
+ * @returns {Object|null} The updated entry, or null if the offer was already resolved
+ */
+const withdrawOffer = async (entry, nextStatus) => {
+  const { dateTime, endTime } = entry.offer;
+  const updated = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { status: nextStatus, $unset: { offer: 1 }, $addToSet: { passedSlots: dateTime } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await SlotHold.deleteMany({ waitlist: entry._id });
+  await offerSlot(entry.doctor, dateTime, endTime);
+  return updated;
+};
+
+// Withdraw every offer whose claim window has passed; run periodically
+const expireOffers = async () => {
+  const expired = await Waitlist.find({ status: 'offered', 'offer.expiresAt': { $lte: new Date() } });
+  for (const entry of expired) await withdrawOffer(entry, 'waiting');
+  return expired.length;
+};
+
+/**
+ * Close a patient's entries for a doctor once they have booked with them
+ *
+ * Offers for other slots are withdrawn so those slots go to the next patient.
+ */
+const closeEntriesOnBooking = async (patientId, doctorId, appointment) => {
+  const entries = await Waitlist.find({ patient: patientId, doctor: doctorId, status: { $in: ['waiting', 'offered'] } });
+  for (const entry of entries) {
+    const isClaim = entry.status === 'offered' && entry.offer.dateTime.getTime() === appointment.dateTime.getTime();
+    if (entry.status === 'offered' && !isClaim) await withdrawOffer(entry, 'waiting');
+    await Waitlist.updateOne(
+      { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+      { status: 'booked', appointment: appointment._id, $unset: { offer: 1 } }
+    );
+  }
+};
+
+module.exports = {
+  OFFER_MINUTES,
+  offerSlot,
+  offerFreedSlot,
+  withdrawOffer,
+  expireOffers,
+  closeEntriesOnBooking
+};
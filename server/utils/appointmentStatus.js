@@ -0,0 +1,94 @@
+/**
+ * Appointment Status State Machine
+ *
+ * Central transition table for appointment statuses. Every status change,
+ * whoever makes it, must pass checkTransition before it is written.
+ *
+ * Each entry lists the roles allowed to make the move and whether the
+ * appointment must already have started (e.g. you cannot no-show a visit
+ * that has not happened yet).
+ */
+
+// Kinds of visit; doctors choose which of them they offer
+const APPOINTMENT_TYPES = ['in-person', 'video', 'phone'];
+
+// Receptionists and nurses run the schedule for their doctors, but only the doctor (or an admin) completes a visit
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: ['doctor', 'admin', 'receptionist', 'nurse'] },
+    cancelled: { roles: ['patient', 'doctor', 'admin', 'receptionist', 'nurse', 'system'] }
+  },
+  confirmed: {
+    completed: { roles: ['doctor', 'admin'], afterStart: true },
+    'no-show': { roles: ['doctor', 'admin', 'receptionist', 'nurse'], afterStart: true },
+    cancelled: { roles: ['patient', 'doctor', 'admin', 'receptionist', 'nurse', 'system'] }
+  },
+  completed: {},
+  cancelled: {},
+  'no-show': {}
+};
+
+/**
+ * Check whether a role may move an appointment to a new status
+ *
+ * @param {Object} appointment - Appointment with current status and dateTime
+ * @param {String} to - Requested status
+ * @param {String} role - Role the caller acts in (patient|doctor|admin|receptionist|nurse|system)
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Object} { allowed: Boolean, reason: String }
+ */
+const checkTransition = (appointment, to, role, now = new Date()) => {
+  const from = appointment.status;
+  const rule = TRANSITIONS[from]?.[to];
+
+  if (!rule) return { allowed: false, reason: `Cannot change status from '${from}' to '${to}'` };
+  if (!rule.roles.includes(role)) return { allowed: false, reason: `Role '${role}' cannot change status from '${from}' to '${to}'` };
+  if (rule.afterStart && new Date(appointment.dateTime) > now) {
+    return { allowed: false, reason: `Appointment cannot be marked '${to}' before it starts` };
+  }
+  return { allowed: true };
+};
+
+/**
+ * List the statuses a role may move an appointment to right now
+ *
+ * @param {Object} appointment - Appointment with current status and dateTime
+ * @param {String} role - Role the caller acts in
+ * @param {Date} now - Current time
+ * @returns {Array<String>} Allowed target statuses
+ */
+const getAllowedTransitions = (appointment, role, now = new Date()) =>
+  Object.keys(TRANSITIONS[appointment.status] || {})
+    .filter(to => checkTransition(appointment, to, role, now).allowed);
+
+/**
+ * Build the structured 409 body returned for an illegal transition
+ */
+const transitionError = (appointment, to, role, reason) => ({
+  success: false,
+  error: reason,
+  code: 'INVALID_STATUS_TRANSITION',
+  details: {
+    from: appointment.status,
+    to,
+    allowed: getAllowedTransitions(appointment, role)
+  }
+});
+
+/**
+ * Serialize an appointment with the transitions available to the caller
+ * so clients can render only valid actions
+ */
+const withAllowedTransitions = (appointment, role) => ({
+  ...appointment.toJSON(),
+  allowedTransitions: getAllowedTransitions(appointment, role)
+});
+
+module.exports = {
+  APPOINTMENT_TYPES,
+  TRANSITIONS,
+  checkTransition,
+  getAllowedTransitions,
+  transitionError,
+  withAllowedTransitions
+};
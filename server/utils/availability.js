@@ -0,0 +1,258 @@
+/**
+ * Availability Helpers
+ *
+ * Turns a doctor's weekly template plus dated overrides into concrete
+ * working windows and bookable slots for a given calendar date.
+ *
+ * Times of day are handled as minutes since midnight ("09:30" -> 570) and
+ * are wall-clock times in the doctor's IANA timezone. Everything returned
+ * as a Date is an absolute instant, so it serializes to UTC over the API.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "09:30" -> 570
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Zone used for doctors that have not picked one (the server's zone unless configured)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Wall-clock fields of an instant in a timezone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(date));
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+// Minutes the zone is ahead of UTC at an instant (Nairobi -> 180)
+const getOffsetMinutes = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Instant for a wall-clock time on a date in a timezone
+ *
+ * Ambiguous times (clocks going back) resolve to the first occurrence.
+ * Times skipped by a DST jump do not exist and return null.
+ *
+ * @param {String} dateStr - "YYYY-MM-DD"
+ * @param {Number} minutes - Minutes since local midnight
+ * @param {String} timeZone - IANA zone, e.g. "Africa/Nairobi"
+ * @returns {Date|null}
+ */
+const zonedTimeToUtc = (dateStr, minutes, timeZone) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const candidates = [...new Set([
+    wallClock - getOffsetMinutes(wallClock - 24 * 60 * 60 * 1000, timeZone) * 60000,
+    wallClock - getOffsetMinutes(wallClock + 24 * 60 * 60 * 1000, timeZone) * 60000
+  ])].sort((a, b) => a - b);
+  const match = candidates.find(t => t + getOffsetMinutes(t, timeZone) * 60000 === wallClock);
+  return match === undefined ? null : new Date(match);
+};
+
+// Date -> "YYYY-MM-DD" as seen in a timezone
+const toDateString = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+// Minutes since local midnight of an instant in a timezone
+const localMinutes = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { hour, minute } = zonedParts(date, timeZone);
+  return hour * 60 + minute;
+};
+
+// "2030-01-31" + 1 -> "2030-02-01"
+const addDays = (dateStr, days) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+// [start, end) instants of a calendar day in a timezone (23 or 25 hours long on DST days)
+const getDayRange = (dateStr, timeZone) => ({
+  start: zonedTimeToUtc(dateStr, 0, timeZone),
+  end: zonedTimeToUtc(addDays(dateStr, 1), 0, timeZone)
+});
+
+const doctorTimeZone = (doctor) => doctor.timezone || DEFAULT_TIMEZONE;
+
+// Remove [start, end) from every window, splitting windows where needed
+const subtractRange = (windows, start, end) => windows.flatMap(w => {
+  if (end <= w.start || start >= w.end) return [w];
+  const pieces = [];
+  if (start > w.start) pieces.push({ ...w, end: start });
+  if (end < w.end) pieces.push({ ...w, start: end });
+  return pieces;
+});
+
+const sameClinic = (a, b) => String(a.clinic || '') === String(b.clinic || '');
+
+// Union overlapping or touching windows at the same clinic so no slot is generated
+// twice; where windows at different clinics overlap, the earlier one keeps the time
+const mergeWindows = (windows) => windows
+  .slice()
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, w) => {
+    const last = merged[merged.length - 1];
+    if (last && sameClinic(last, w) && w.start <= last.end) last.end = Math.max(last.end, w.end);
+    else if (last && w.start < last.end) {
+      if (w.end > last.end) merged.push({ ...w, start: last.end });
+    } else merged.push({ ...w });
+    return merged;
+  }, []);
+
+// Overrides that apply to a "YYYY-MM-DD" date
+const getOverridesForDate = (doctor, dateStr) =>
+  (doctor.availabilityOverrides || []).filter(o => o.startDate <= dateStr && (o.endDate || o.startDate) >= dateStr);
+
+/**
+ * Working windows for a date after applying overrides
+ *
+ * Order: every weekly window for the day -> full-day blocks clear them ->
+ * extra hours are added -> partial blocks are cut out of whatever remains.
+ *
+ * @param {Object} doctor - Doctor document
+ * @param {String} dateStr - "YYYY-MM-DD"
+ * @returns {Array<Object>} Windows as { start, end, clinic }, times in minutes since
+ *   midnight; clinic is the clinic's id, or null for the doctor's clinicAddress
+ */
+const getWindowsForDate = (doctor, dateStr) => {
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  const overrides = getOverridesForDate(doctor, dateStr);
+
+  let windows = doctor.availability
+    .filter(a => a.dayOfWeek === dayOfWeek && a.isAvailable)
+    .map(a => ({ start: toMinutes(a.startTime), end: toMinutes(a.endTime), clinic: a.clinic || null }));
+
+  if (overrides.some(o => o.type === 'block' && !o.startTime)) windows = [];
+
+  overrides
+    .filter(o => o.type === 'extra')
+    .forEach(o => windows.push({ start: toMinutes(o.startTime), end: toMinutes(o.endTime), clinic: o.clinic || null }));
+
+  overrides
+    .filter(o => o.type === 'block' && o.startTime)
+    .forEach(o => { windows = subtractRange(windows, toMinutes(o.startTime), toMinutes(o.endTime)); });
+
+  return mergeWindows(windows);
+};
+
+/**
+ * Bookable slots for a date with the clinic each is held at
+ *
+ * Slots step through wall-clock time in the doctor's zone, so a 09:00 start
+ * stays 09:00 across DST changes. Local times skipped by a DST jump are left out.
+ *
+ * @param {Object} doctor - Doctor document (availability, overrides, slotDuration, timezone)
+ * @param {String} dateStr - "YYYY-MM-DD" in the doctor's zone
+ * @returns {Array<Object>} Slots as { start: Date, clinic }, clinic as in getWindowsForDate
+ */
+const generateSlotDetails = (doctor, dateStr) => {
+  const timeZone = doctorTimeZone(doctor);
+  const slots = [];
+
+  getWindowsForDate(doctor, dateStr).forEach(w => {
+    for (let m = w.start; m + doctor.slotDuration <= w.end; m += doctor.slotDuration) {
+      const start = zonedTimeToUtc(dateStr, m, timeZone);
+      if (start) slots.push({ start, clinic: w.clinic });
+    }
+  });
+  return slots;
+};
+
+/**
+ * Bookable slot start times for a date; a slot must fit entirely in a window
+ *
+ * @param {Object} doctor - Doctor document (availability, overrides, slotDuration, timezone)
+ * @param {String} dateStr - "YYYY-MM-DD" in the doctor's zone
+ * @returns {Array<Date>} Slot start times
+ */
+const generateSlots = (doctor, dateStr) => generateSlotDetails(doctor, dateStr).map(s => s.start);
+
+// The window on that day holding all of [start, end), or undefined
+const windowFor = (doctor, start, end) => {
+  const timeZone = doctorTimeZone(doctor);
+  const dateStr = toDateString(start, timeZone);
+  const startMin = localMinutes(start, timeZone);
+  const endMin = startMin + Math.round((new Date(end) - new Date(start)) / 60000);
+  return getWindowsForDate(doctor, dateStr).find(w => startMin >= w.start && endMin <= w.end);
+};
+
+/**
+ * Whether [start, end) lies inside one of the doctor's windows on that day
+ */
+const fitsAvailability = (doctor, start, end) => Boolean(windowFor(doctor, start, end));
+
+/**
+ * Clinic a visit in [start, end) is held at
+ *
+ * @returns {*} The clinic's id, or null for the doctor's clinicAddress and for
+ *   times outside the doctor's availability
+ */
+const clinicAt = (doctor, start, end) => windowFor(doctor, start, end)?.clinic || null;
+
+/**
+ * Earliest open slot from an instant onwards, looking a number of days ahead
+ *
+ * A slot is open when it starts after `from` and overlaps none of the given
+ * bookings. Days are calendar days in the doctor's zone, starting with the
+ * day `from` falls on.
+ *
+ * @param {Object} doctor - Doctor document (availability, overrides, slotDuration, timezone)
+ * @param {Array<Object>} bookings - Active appointments as { dateTime, endTime }
+ * @param {Object} options - { from: Date, days: Number }
+ * @returns {Date|null} Start of the first open slot, or null if none in range
+ */
+const findNextSlot = (doctor, bookings, { from, days }) => {
+  const slotMs = doctor.slotDuration * 60 * 1000;
+  const overlapsBooking = (slot) => bookings.some(b =>
+    slot.getTime() < new Date(b.endTime).getTime() && slot.getTime() + slotMs > new Date(b.dateTime).getTime());
+
+  const firstDay = toDateString(from, doctorTimeZone(doctor));
+  for (let i = 0; i < days; i++) {
+    const open = generateSlots(doctor, addDays(firstDay, i)).find(slot => slot > from && !overlapsBooking(slot));
+    if (open) return open;
+  }
+  return null;
+};
+
+module.exports = {
+  DATE_PATTERN,
+  TIME_PATTERN,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  toMinutes,
+  zonedTimeToUtc,
+  toDateString,
+  localMinutes,
+  addDays,
+  getDayRange,
+  getWindowsForDate,
+  generateSlotDetails,
+  generateSlots,
+  fitsAvailability,
+  clinicAt,
+  findNextSlot
+};
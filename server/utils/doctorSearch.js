@@ -0,0 +1,350 @@
+/**
+ * Doctor Search
+ *
+ * Turns GET /api/doctors query parameters into an aggregation that finds
+ * listed doctors and counts facets in one round trip.
+ *
+ * Free text (q) matches doctor name, bio, qualifications and clinic name;
+ * every word must match one of them. Clinic name and city come from
+ * Doctor.locations, which covers both clinicAddress and linked clinics. All user input is escaped before it
+ * goes into a regex.
+ *
+ * Each facet is counted with every filter applied except its own, so a
+ * patient who picked "cardiology" still sees how many dermatologists match
+ * their other choices.
+ *
+ * "Available within" and the soonest-available sort read the cached
+ * Doctor.nextAvailable.at, so refresh it (services/nextAvailable) first.
+ * A cached slot that has already started counts as unknown.
+ *
+ * With near=lat,lng the search starts with $geoNear, so only doctors with a
+ * geocoded location within the radius are counted, and each result carries
+ * the distance to their nearest one.
+ */
+
+const { escapeRegExp } = require('./regex');
+const { APPOINTMENT_TYPES } = require('./appointmentStatus');
+
+// Bucket lower bounds for the range facets
+const FEE_BOUNDARIES = [0, 50, 100, 200];
+const EXPERIENCE_BOUNDARIES = [0, 5, 10, 20];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const AVAILABILITY_DAYS = [1, 3, 7, 14, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sorts doctors with nothing open after everyone else
+const NEVER = new Date(8.64e15);
+
+// Allowed sort orders; ties broken by review count then id so pages are stable
+const SORTS = {
+  '-rating.average': { 'rating.average': -1, 'rating.count': -1, _id: 1 },
+  consultationFee: { consultationFee: 1, _id: 1 },
+  '-consultationFee': { consultationFee: -1, _id: 1 },
+  '-experience': { experience: -1, _id: 1 },
+  nextAvailable: { nextAvailableSort: 1, 'rating.average': -1, _id: 1 },
+  distance: { distance: 1, _id: 1 }
+};
+
+// Radius around near=, in kilometres
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const MAX_LIMIT = 50;
+const MAX_WORDS = 5;
+
+// "-1.29,36.82" -> { lat: -1.29, lng: 36.82 }, or null if it isn't a valid point
+const parsePoint = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => part === '')) return null;
+  const [lat, lng] = parts.map(Number);
+  if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) return null;
+  return { lat, lng };
+};
+
+// "a,b" or ?x=a&x=b -> ['a', 'b']
+const toList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Parse and validate search parameters
+ *
+ * @param {Object} query - req.query
+ * @param {Date} [now] - Reference time for availableWithin
+ * @returns {Object} { filters, q, sort, page, limit, near, now } or { errors: [String] }
+ */
+const parseSearch = (query = {}, now = new Date()) => {
+  const errors = [];
+
+  const number = (name, { min = 0, max = Infinity } = {}) => {
+    const raw = query[name];
+    if (raw === undefined || raw === '') return undefined;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${name} must be a number${max < Infinity ? ` from ${min} to ${max}` : ` of at least ${min}`}`);
+      return undefined;
+    }
+    return value;
+  };
+
+  const filters = {
+    specialization: query.specialization ? String(query.specialization) : undefined,
+    city: query.city ? String(query.city).trim().slice(0, 100) : undefined,
+    languages: toList(query.languages).slice(0, 10),
+    acceptingNewPatients: query.acceptingNewPatients === undefined || query.acceptingNewPatients === ''
+      ? undefined
+      : String(query.acceptingNewPatients) === 'true',
+    feeMin: number('feeMin'),
+    feeMax: number('feeMax'),
+    experienceMin: number('experienceMin'),
+    minRating: number('minRating', { min: 0, max: 5 }),
+    availableWithin: number('availableWithin', { min: 1, max: AVAILABILITY_DAYS[AVAILABILITY_DAYS.length - 1] }),
+    type: query.type ? String(query.type) : undefined
+  };
+
+  if (filters.type && !APPOINTMENT_TYPES.includes(filters.type)) {
+    errors.push(`type must be one of: ${APPOINTMENT_TYPES.join(', ')}`);
+  }
+  if (filters.feeMin !== undefined && filters.feeMax !== undefined && filters.feeMin > filters.feeMax) {
+    errors.push('feeMin must not be more than feeMax');
+  }
+
+  let near = null;
+  if (query.near !== undefined && query.near !== '') {
+    near = parsePoint(query.near);
+    if (!near) errors.push('near must be "latitude,longitude"');
+  }
+  const radiusKm = number('radius', { min: 0.1, max: MAX_RADIUS_KM });
+  if (radiusKm !== undefined && !query.near) errors.push('radius needs near');
+
+  const sort = query.sort || (near ? 'distance' : '-rating.average');
+  if (!SORTS[sort]) errors.push(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  if (sort === 'distance' && !query.near) errors.push('sort by distance needs near');
+
+  if (errors.length) return { errors };
+
+  return {
+    filters,
+    q: String(query.q || '').trim().slice(0, 200),
+    sort,
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), MAX_LIMIT),
+    near: near && { ...near, radiusKm: radiusKm ?? DEFAULT_RADIUS_KM },
+    now
+  };
+};
+
+// Doctors with an open slot starting within a number of days (and not already started)
+const availableWithinClause = (days, now) => ({
+  'nextAvailable.at': { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+});
+
+// One match clause per active filter, keyed by filter name
+const filterClauses = (filters, now) => {
+  const clauses = {};
+  if (filters.specialization) clauses.specialization = { specialization: filters.specialization };
+  if (filters.city) clauses.city = { 'locations.city': new RegExp(escapeRegExp(filters.city), 'i') };
+  if (filters.languages.length) clauses.languages = { languages: { $in: filters.languages } };
+  if (filters.acceptingNewPatients !== undefined) {
+    clauses.acceptingNewPatients = { acceptingNewPatients: filters.acceptingNewPatients };
+  }
+  if (filters.feeMin !== undefined || filters.feeMax !== undefined) {
+    clauses.fee = {
+      consultationFee: {
+        ...(filters.feeMin !== undefined && { $gte: filters.feeMin }),
+        ...(filters.feeMax !== undefined && { $lte: filters.feeMax })
+      }
+    };
+  }
+  if (filters.experienceMin !== undefined) clauses.experience = { experience: { $gte: filters.experienceMin } };
+  if (filters.minRating !== undefined) clauses.rating = { 'rating.average': { $gte: filters.minRating } };
+  if (filters.availableWithin !== undefined) clauses.available = availableWithinClause(filters.availableWithin, now);
+  if (filters.type) {
+    // Profiles saved before appointmentTypes existed offer every type
+    clauses.type = { $or: [{ appointmentTypes: filters.type }, { appointmentTypes: { $exists: false } }] };
+  }
+  return clauses;
+};
+
+// Every word of the free text must appear in one of the searchable fields
+const textClause = (q) => {
+  const words = q.split(/\s+/).filter(Boolean).slice(0, MAX_WORDS);
+  if (!words.length) return null;
+  return {
+    $and: words.map(word => {
+      const pattern = new RegExp(escapeRegExp(word), 'i');
+      return {
+        $or: [
+          { 'account.firstName': pattern },
+          { 'account.lastName': pattern },
+          { bio: pattern },
+          { 'qualifications.degree': pattern },
+          { 'qualifications.institution': pattern },
+          { 'locations.name': pattern }
+        ]
+      };
+    })
+  };
+};
+
+// availableWithinClause as an aggregation expression, for counting
+const availableWithinExpr = (days, now) => ({
+  $and: [
+    { $gt: ['$nextAvailable.at', now] },
+    { $lte: ['$nextAvailable.at', new Date(now.getTime() + days * DAY_MS)] }
+  ]
+});
+
+// All clauses except the one named, combined
+const matchExcept = (clauses, skip) => {
+  const active = Object.entries(clauses).filter(([name]) => name !== skip).map(([, clause]) => clause);
+  return { $match: active.length ? { $and: active } : {} };
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+/**
+ * Build the search aggregation
+ *
+ * Results come back as ids (with distances for near searches); the caller
+ * loads the documents so the usual population and hidden fields apply.
+ *
+ * @param {Object} search - Output of parseSearch
+ * @returns {Array} Pipeline producing one document { results, total, ...facets }
+ */
+const buildSearchPipeline = ({ filters, q, sort, page, limit, near = null, now = new Date() }) => {
+  const clauses = filterClauses(filters, now);
+  const text = q ? textClause(q) : null;
+
+  const pipeline = [near
+    ? {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.lng, near.lat] },
+        key: 'locations.location',
+        distanceField: 'distance', // metres
+        maxDistance: near.radiusKm * 1000,
+        query: { isVerified: true },
+        spherical: true
+      }
+    }
+    : { $match: { isVerified: true } }];
+  if (text) {
+    pipeline.push(
+      { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'account' } },
+      { $match: text }
+    );
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [
+        matchExcept(clauses),
+        ...(sort === 'nextAvailable' ? [{ $addFields: { nextAvailableSort: { $cond: [{ $gt: ['$nextAvailable.at', now] }, '$nextAvailable.at', NEVER] } } }] : []),
+        { $sort: SORTS[sort] },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { _id: 1, distance: 1 } }
+      ],
+      total: [matchExcept(clauses), { $count: 'count' }],
+      specialization: [matchExcept(clauses, 'specialization'), ...countBy('$specialization')],
+      city: [
+        matchExcept(clauses, 'city'),
+        // Each city once per doctor, however many of their clinics are there
+        { $project: { city: { $setUnion: [{ $ifNull: ['$locations.city', []] }, []] } } },
+        { $unwind: '$city' },
+        { $match: { city: { $nin: [null, ''] } } },
+        ...countBy('$city'),
+        { $limit: 20 }
+      ],
+      languages: [matchExcept(clauses, 'languages'), { $unwind: '$languages' }, ...countBy('$languages')],
+      acceptingNewPatients: [matchExcept(clauses, 'acceptingNewPatients'), ...countBy('$acceptingNewPatients')],
+      type: [
+        matchExcept(clauses, 'type'),
+        { $project: { appointmentTypes: { $ifNull: ['$appointmentTypes', APPOINTMENT_TYPES] } } },
+        { $unwind: '$appointmentTypes' },
+        ...countBy('$appointmentTypes')
+      ],
+      fee: [
+        matchExcept(clauses, 'fee'),
+        { $bucket: { groupBy: '$consultationFee', boundaries: [...FEE_BOUNDARIES, Infinity], default: 'other', output: { count: { $sum: 1 } } } }
+      ],
+      experience: [
+        matchExcept(clauses, 'experience'),
+        { $bucket: { groupBy: '$experience', boundaries: [...EXPERIENCE_BOUNDARIES, Infinity], default: 'other', output: { count: { $sum: 1 } } } }
+      ],
+      rating: [
+        matchExcept(clauses, 'rating'),
+        {
+          $group: {
+            _id: null,
+            ...Object.fromEntries(RATING_THRESHOLDS.map(min => [
+              `atLeast${min}`, { $sum: { $cond: [{ $gte: ['$rating.average', min] }, 1, 0] } }
+            ]))
+          }
+        }
+      ],
+      available: [
+        matchExcept(clauses, 'available'),
+        {
+          $group: {
+            _id: null,
+            ...Object.fromEntries(AVAILABILITY_DAYS.map(days => [
+              `within${days}`, { $sum: { $cond: [availableWithinExpr(days, now), 1, 0] } }
+            ]))
+          }
+        }
+      ]
+    }
+  });
+
+  return pipeline;
+};
+
+/**
+ * Shape the $facet output for the response
+ *
+ * @param {Object} raw - The single document from buildSearchPipeline
+ * @returns {Object} { ids, distances, total, facets }; distances (km by id) only for near searches,
+ *   each facet a list of { value, count }
+ */
+const formatSearchResult = (raw) => {
+  const list = (buckets) => buckets.map(b => ({ value: b._id, count: b.count }));
+  const ranges = (buckets, boundaries) => buckets
+    .filter(b => b._id !== 'other')
+    .map(b => {
+      const next = boundaries[boundaries.indexOf(b._id) + 1];
+      return { min: b._id, ...(next !== undefined && { max: next }), count: b.count };
+    });
+  const ratingCounts = raw.rating[0] || {};
+  const availableCounts = raw.available[0] || {};
+
+  return {
+    ids: raw.results.map(r => r._id),
+    distances: raw.results.some(r => r.distance !== undefined)
+      ? Object.fromEntries(raw.results.map(r => [r._id.toString(), Math.round(r.distance / 100) / 10]))
+      : null,
+    total: raw.total[0]?.count || 0,
+    facets: {
+      specialization: list(raw.specialization),
+      city: list(raw.city),
+      languages: list(raw.languages),
+      acceptingNewPatients: list(raw.acceptingNewPatients),
+      type: list(raw.type),
+      fee: ranges(raw.fee, FEE_BOUNDARIES),
+      experience: ranges(raw.experience, EXPERIENCE_BOUNDARIES),
+      minRating: RATING_THRESHOLDS.map(min => ({ value: min, count: ratingCounts[`atLeast${min}`] || 0 })),
+      availableWithin: AVAILABILITY_DAYS.map(days => ({ value: days, count: availableCounts[`within${days}`] || 0 }))
+    }
+  };
+};
+
+module.exports = {
+  SORTS,
+  parseSearch,
+  buildSearchPipeline,
+  formatSearchResult
+};
@@ -0,0 +1,122 @@
+/**
+ * iCalendar (RFC 5545) Rendering
+ *
+ * Turns appointments into VEVENTs for single-event downloads and for the
+ * per-user subscription feed. Every appointment keeps the same UID for its
+ * whole life and SEQUENCE grows with each reschedule or status change, so
+ * calendar apps update the existing event instead of adding a copy.
+ */
+
+const { visitLocation } = require('./location');
+
+const PRODUCT_ID = '-//MediReach//Appointments//EN';
+const UID_DOMAIN = 'medireach.app';
+
+// pending visits show as tentative until the doctor confirms
+const EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// Escape a TEXT value (backslash, semicolon, comma, newline)
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to 75 octets, continuing with CRLF + space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// 2030-03-12T14:00:00.000Z -> 20300312T140000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Every reschedule and status change bumps the sequence
+const sequenceOf = (appointment) =>
+  (appointment.rescheduleHistory?.length || 0) + Math.max((appointment.statusHistory?.length || 0) - 1, 0);
+
+/**
+ * VEVENT lines for one appointment
+ *
+ * @param {Object} appointment - Appointment with patient and doctor populated
+ * @param {String} viewer - "patient" or "doctor"; decides the event title
+ * @returns {String[]} Unfolded content lines
+ */
+const eventLines = (appointment, viewer) => {
+  const doctorName = `Dr. ${appointment.doctor?.user?.firstName || ''} ${appointment.doctor?.user?.lastName || ''}`.trim();
+  const patientName = `${appointment.patient?.firstName || ''} ${appointment.patient?.lastName || ''}`.trim();
+  const dependent = appointment.dependent?.firstName && appointment.dependent;
+  const summary = viewer === 'doctor'
+    ? `${dependent ? `${dependent.firstName} ${dependent.lastName}` : patientName} - ${appointment.reason}`
+    : `${dependent ? `${dependent.firstName}: ` : ''}Appointment with ${doctorName}`;
+  const description = viewer === 'doctor'
+    ? `${appointment.type} appointment. Reason: ${appointment.reason}${dependent ? `. Contact: ${patientName} (guardian)` : ''}`
+    : `${appointment.type} appointment with ${doctorName}. Reason: ${appointment.reason}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${appointment._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(appointment.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(appointment.dateTime)}`,
+    `DTEND:${formatDate(appointment.endTime)}`,
+    `SEQUENCE:${sequenceOf(appointment)}`,
+    `STATUS:${EVENT_STATUS[appointment.status] || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(appointment.status === 'cancelled' ? `Cancelled: ${summary}` : summary)}`,
+    `DESCRIPTION:${escapeText(description)}`
+  ];
+  const location = visitLocation(appointment);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (appointment.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(appointment.updatedAt)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render a VCALENDAR document
+ *
+ * @param {Object[]} appointments
+ * @param {Object} [options]
+ * @param {String} [options.viewer] - "patient" or "doctor"
+ * @param {String} [options.name] - Calendar name shown by subscribing apps
+ * @returns {String} iCalendar text with CRLF line endings
+ */
+const renderCalendar = (appointments, { viewer = 'patient', name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const appointment of appointments) lines.push(...eventLines(appointment, viewer));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  sequenceOf,
+  renderCalendar
+};
@@ -0,0 +1,22 @@
+// "Westlands Clinic, 12 Ngong Road, Nairobi"
+const joinAddress = (name, address = {}) =>
+  [name, address.street, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+
+/**
+ * Where an appointment happens, as one line for calendars and messages
+ *
+ * In-person visits are at the appointment's clinic, or the doctor's
+ * clinicAddress for visits booked without one.
+ *
+ * @param {Object} appointment - Appointment with doctor and clinic populated
+ * @returns {String} Empty when no address is known
+ */
+const visitLocation = (appointment) => {
+  if (appointment.type === 'video') return 'Video consultation';
+  if (appointment.type === 'phone') return 'Phone consultation';
+  if (appointment.clinic?.name) return joinAddress(appointment.clinic.name, appointment.clinic.address);
+  const address = appointment.doctor?.clinicAddress;
+  return address ? joinAddress(address.name, address) : '';
+};
+
+module.exports = { visitLocation };
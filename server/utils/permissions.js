@@ -0,0 +1,145 @@
+/**
+ * Permission Policy
+ *
+ * The one place that decides who may do what. Routes and controllers ask
+ * can(user, action, resource) instead of comparing role strings.
+ *
+ * Each action lists who may perform it. A plain role ('admin') holds the
+ * permission everywhere; 'role:relation' holds it only for resources the
+ * user has that relation to:
+ *   own   - the patient on an appointment, series or review, or its doctor
+ *   staff - a receptionist or nurse assigned to the resource's doctor
+ *
+ * Receptionists and nurses run a doctor's schedule: they see, move and cancel
+ * appointments and edit availability, but never private notes or
+ * prescriptions. Receptionists also work the front desk: they find or
+ * register patients and book on their behalf.
+ */
+
+const ROLES = ['patient', 'doctor', 'admin', 'receptionist', 'nurse'];
+
+// Roles that work on behalf of assigned doctors
+const STAFF_ROLES = ['receptionist', 'nurse'];
+
+const POLICY = {
+  // Appointments
+  'appointment:book': ['patient', 'admin', 'receptionist'], // patients for themselves; others need appointment:book-for-patient
+  'appointment:book-for-patient': ['admin', 'receptionist:staff'],
+  'appointment:list': ['patient', 'doctor', 'admin', 'receptionist', 'nurse'], // each sees only their own scope
+  'appointment:read': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+  'appointment:reschedule': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+  'appointment:status': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'], // then the transition table decides
+  'appointment:cancel': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+  'appointment:export': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+  'patient-notes:write': ['patient:own'],
+  'private-notes:read': ['admin', 'doctor:own'],
+  'private-notes:write': ['doctor:own'],
+  'prescription:read': ['admin', 'patient:own', 'doctor:own'],
+  'prescription:write': ['doctor:own'],
+
+  // Recurring series
+  'series:book': ['patient'],
+  'series:read': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+  'series:manage': ['admin', 'patient:own', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+
+  // Reviews of completed appointments
+  'review:write': ['patient:own'],
+  'review:delete': ['admin', 'patient:own'],
+  'review:reply': ['doctor:own'],
+  'review:flag': ['patient', 'doctor'],
+  'review:moderate': ['admin'],
+
+  // Patient records at the front desk
+  'patient:search': ['admin', 'receptionist'],
+  'patient:create': ['admin', 'receptionist'],
+
+  // Family members a patient books for
+  'dependent:manage': ['patient'],
+
+  // Slots and waitlist
+  'slot:hold': ['patient'],
+  'waitlist:use': ['patient'],
+
+  // Doctor profiles and schedules
+  'doctor-profile:update': ['admin', 'doctor:own'],
+  'doctor:verify': ['admin'],
+  'schedule:manage': ['admin', 'doctor:own', 'receptionist:staff', 'nurse:staff'],
+
+  // Clinic sites doctors link to
+  'clinic:manage': ['admin'],
+
+  // User administration
+  'user:list': ['admin'],
+  'user:manage': ['admin'],
+  'user:view-logins': ['admin'],
+  'security-policy:manage': ['admin']
+};
+
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Resource descriptor for an appointment, or a review of one (its doctor populated with the doctor's user id)
+const appointmentResource = (appointment) => ({
+  patientId: idOf(appointment.patient),
+  doctorId: idOf(appointment.doctor),
+  doctorUserId: idOf(appointment.doctor?.user)
+});
+
+// Resource descriptor for a doctor profile
+const doctorResource = (doctor) => ({
+  doctorId: idOf(doctor),
+  doctorUserId: idOf(doctor.user)
+});
+
+// Relations a user has to a resource
+const relationsTo = (user, resource) => {
+  const relations = new Set();
+  if (!resource) return relations;
+  const userId = idOf(user);
+  if (userId && (resource.patientId === userId || resource.doctorUserId === userId)) relations.add('own');
+  if (STAFF_ROLES.includes(user.role) && (user.assignedDoctors || []).some(doctor => idOf(doctor) === resource.doctorId)) {
+    relations.add('staff');
+  }
+  return relations;
+};
+
+/**
+ * Whether a user may perform an action
+ *
+ * @param {Object} user - Signed-in user (role, _id, assignedDoctors)
+ * @param {String} action - Key of POLICY
+ * @param {Object} [resource] - From appointmentResource/doctorResource; without it only plain-role grants apply
+ * @returns {Boolean}
+ */
+const can = (user, action, resource) => {
+  const grants = POLICY[action];
+  if (!grants) throw new Error(`Unknown permission '${action}'`);
+  if (!user) return false;
+
+  const relations = relationsTo(user, resource);
+  return grants.some(grant => {
+    const [role, relation] = grant.split(':');
+    return role === user.role && (!relation || relations.has(relation));
+  });
+};
+
+// Drop private fields the user may not see from a serialized appointment
+const redactAppointment = (data, user) => {
+  const resource = appointmentResource(data);
+  if (!can(user, 'private-notes:read', resource) && data.notes) {
+    const { doctor, ...notes } = data.notes;
+    data.notes = notes;
+  }
+  if (!can(user, 'prescription:read', resource)) delete data.prescription;
+  return data;
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  POLICY,
+  appointmentResource,
+  doctorResource,
+  relationsTo,
+  can,
+  redactAppointment
+};
@@ -0,0 +1,69 @@
+/**
+ * Recurrence Helpers
+ *
+ * Expands a recurring series into occurrence times. Visits keep the same
+ * wall-clock time in the doctor's timezone, so a weekly 09:00 visit stays
+ * at 09:00 across DST changes.
+ */
+
+const { toDateString, localMinutes, addDays, zonedTimeToUtc } = require('./availability');
+
+// Upper bound on visits in one series (a year of weekly visits)
+const MAX_OCCURRENCES = 52;
+
+// Whole days from one "YYYY-MM-DD" to another
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Occurrences of a series starting at `start`
+ *
+ * @param {Object} rule
+ * @param {Date} rule.start - First visit
+ * @param {Number} rule.intervalWeeks - Weeks between visits
+ * @param {Number} [rule.count] - Number of visits
+ * @param {String} [rule.until] - Last allowed "YYYY-MM-DD", inclusive
+ * @param {String} rule.timeZone - Doctor's IANA zone
+ * @returns {Array<Object>} { index, date, dateTime }; dateTime is null if the local time does not exist that day
+ */
+const buildOccurrences = ({ start, intervalWeeks, count, until, timeZone }) => {
+  const firstDate = toDateString(start, timeZone);
+  const minutes = localMinutes(start, timeZone);
+  const occurrences = [];
+
+  for (let index = 0; index < MAX_OCCURRENCES; index++) {
+    if (count && index >= count) break;
+    const date = addDays(firstDate, index * 7 * intervalWeeks);
+    if (until && date > until) break;
+    occurrences.push({ index, date, dateTime: zonedTimeToUtc(date, minutes, timeZone) });
+  }
+  return occurrences;
+};
+
+/**
+ * New times for visits when the earliest one moves to `newStart`
+ *
+ * Every visit keeps its distance in days from the earliest one and takes the
+ * new local time of day.
+ *
+ * @param {Array<Date>} current - Current start times, earliest first
+ * @param {Date} newStart - New time for the earliest visit
+ * @param {String} timeZone - Doctor's IANA zone
+ * @returns {Array<Date|null>} New start times in the same order
+ */
+const shiftOccurrences = (current, newStart, timeZone) => {
+  const firstDate = toDateString(current[0], timeZone);
+  const newFirstDate = toDateString(newStart, timeZone);
+  const minutes = localMinutes(newStart, timeZone);
+
+  return current.map(dateTime => {
+    const offset = daysBetween(firstDate, toDateString(dateTime, timeZone));
+    return zonedTimeToUtc(addDays(newFirstDate, offset), minutes, timeZone);
+  });
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  buildOccurrences,
+  shiftOccurrences
+};
@@ -0,0 +1,4 @@
+// Escape user input for use inside a RegExp, so "a.b" or "(" match literally
+const escapeRegExp = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegExp };
@@ -0,0 +1,94 @@
+/**
+ * Time-based One-Time Passwords (RFC 6238)
+ *
+ * Six-digit codes over HMAC-SHA1 with 30-second steps, the defaults every
+ * authenticator app (Google Authenticator, Authy, 1Password...) expects.
+ * Secrets are exchanged as base32, the encoding used in otpauth:// URIs.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding as apps display them
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// 160-bit random secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step a moment falls in
+const stepAt = (now = Date.now()) => Math.floor(new Date(now).getTime() / 1000 / STEP_SECONDS);
+
+// Code for a given time step
+const generateCode = (secret, step = stepAt()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ *
+ * @param {String} secret - base32 secret
+ * @param {String} code - code typed by the user
+ * @param {Object} [options]
+ * @param {Date|Number} [options.now]
+ * @param {Number} [options.window=1] - steps accepted before and after the current one
+ * @param {Number} [options.afterStep] - last step already used; it and anything older is rejected as a replay
+ * @returns {Number|null} The matching step, to store as afterStep, or null
+ */
+const verifyCode = (secret, code, { now = Date.now(), window = 1, afterStep } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = stepAt(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== undefined && afterStep !== null && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+};
+
+// Enrollment URI shown as a QR code; label and issuer appear in the authenticator app
+const otpauthUrl = (secret, { issuer, account }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  stepAt,
+  generateCode,
+  verifyCode,
+  otpauthUrl
+};